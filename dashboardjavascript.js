@@ -11,7 +11,9 @@ class StudySyncDashboard {
         this.timerInterval = null;
         this.pomodoroCycles = 0;
         this.currentFlashcard = 0;
+        this.flashcardFlipped = false;
         this.flashcards = [];
+        this.studyRoom = null;
         this.notifications = [];
         this.messages = [];
         this.charts = {};
@@ -92,11 +94,16 @@ class StudySyncDashboard {
     }
 
     initializeSocket() {
-        this.socket = io();
+        // The server authenticates the handshake from the session cookie or this token
+        const token = localStorage.getItem('token');
+        this.socket = io(token ? { auth: { token } } : {});
         
         this.socket.on('connect', () => {
             console.log('Connected to real-time server');
-            this.socket.emit('join-user', this.user.id);
+        });
+
+        this.socket.on('connect_error', (error) => {
+            console.error('Real-time connection refused:', error.message);
         });
 
         this.socket.on('new-notification', (notification) => {
@@ -111,6 +118,40 @@ class StudySyncDashboard {
             this.playSound('message');
         });
 
+        // Messages that arrived while this user was offline
+        this.socket.on('pending-messages', ({ messages }) => {
+            const known = new Set(this.messages.map(m => m.id));
+            const missed = messages.filter(m => !known.has(m.id)).reverse();
+            if (missed.length === 0) return;
+            this.messages.unshift(...missed);
+            this.updateMessages();
+            this.playSound('message');
+        });
+
+        // Read here or in another tab
+        this.socket.on('message-read', (receipt) => {
+            if (receipt.reader_id !== this.user?.id) return;
+            this.messages.forEach(m => {
+                if (receipt.message_ids.includes(m.id)) m.is_read = true;
+            });
+            this.updateMessages();
+        });
+
+        this.socket.on('message-deleted', ({ id }) => {
+            this.messages = this.messages.filter(m => m.id !== id);
+            this.updateMessages();
+        });
+
+        // Requests, new friends, unfriending and blocks
+        this.socket.on('friendship-updated', () => {
+            this.loadOnlineFriends();
+        });
+
+        // A friend came online, went idle, started studying or left
+        this.socket.on('presence-changed', () => {
+            this.loadOnlineFriends();
+        });
+
         this.socket.on('friend-started-study', (data) => {
             this.showToast(`${data.username} started studying ${data.subject}`, 
                           'Want to join?', 'study');
@@ -119,6 +160,74 @@ class StudySyncDashboard {
         this.socket.on('reminder', (reminder) => {
             this.showReminder(reminder);
         });
+
+        // Timer changes made on another device (or pushed on reconnect)
+        this.socket.on('pomodoro-state', (state) => {
+            this.applyPomodoroState(state);
+        });
+
+        // Study together rooms
+        this.socket.on('room-invite', (room) => {
+            showToast(`You're invited to study "${room.title}" together`, 'info');
+        });
+
+        this.socket.on('room-clock', (clock) => {
+            this.applyRoomClock(clock);
+        });
+
+        this.socket.on('room-presence', (presence) => {
+            if (this.studyRoom && presence.room_id === this.studyRoom.id) this.studyRoom.presence = presence;
+        });
+
+        this.socket.on('room-closed', ({ room_id }) => {
+            if (!this.studyRoom || this.studyRoom.id !== room_id) return;
+            this.studyRoom = null;
+            showToast('The study room was closed', 'info');
+        });
+
+        // Group sessions scheduled, moved or cancelled; the group cards
+        // show the next one
+        this.socket.on('group-session-updated', () => {
+            this.loadStudyGroups();
+        });
+
+        // Sent only as the group's notification setting allows; @mentions
+        // arrive as notifications instead
+        this.socket.on('group-message-alert', ({ group_name: groupName, message }) => {
+            showToast(`${message.sender_name} in ${groupName}: ${message.content}`, 'info');
+            this.playSound('message');
+        });
+
+        this.trackIdle();
+    }
+
+    // Report this tab idle while it's hidden or untouched for five minutes,
+    // so friends see the user as idle once all their tabs are
+    trackIdle() {
+        const IDLE_AFTER_MS = 5 * 60 * 1000;
+        let idle = false;
+        let timer = null;
+
+        const report = (value) => {
+            if (value === idle) return;
+            idle = value;
+            this.socket.emit('presence-idle', { idle });
+        };
+        const activity = () => {
+            clearTimeout(timer);
+            if (document.hidden) return report(true);
+            report(false);
+            timer = setTimeout(() => report(true), IDLE_AFTER_MS);
+        };
+
+        ['mousemove', 'keydown', 'pointerdown', 'scroll', 'visibilitychange'].forEach(event => {
+            document.addEventListener(event, activity, { passive: true });
+        });
+        // A reconnected socket starts out active
+        this.socket.on('connect', () => {
+            if (idle) this.socket.emit('presence-idle', { idle: true });
+        });
+        activity();
     }
 
     async loadDashboardData() {
@@ -132,6 +241,7 @@ class StudySyncDashboard {
             this.loadNotifications(),
             this.loadMessages(),
             this.loadFlashcards(),
+            this.loadPomodoro(),
             this.loadWeeklyProgress()
         ]);
     }
@@ -149,7 +259,7 @@ class StudySyncDashboard {
                         <div class="timeline-time">${session.start_time} - ${session.end_time}</div>
                         <div class="timeline-content">
                             <h4>${session.title}</h4>
-                            <p>${session.subject} • ${session.location || 'Online'}</p>
+                            <p>${session.subject || 'General'} • ${session.location || 'Online'}</p>
                         </div>
                         <span class="timeline-badge badge-${session.status}">${session.status}</span>
                     </div>
@@ -170,19 +280,20 @@ class StudySyncDashboard {
             const groupsGrid = document.getElementById('groupsGrid');
             
             if (data.groups && data.groups.length > 0) {
+                data.groups.forEach(group => this.socket.emit('join-group', group.id));
                 groupsGrid.innerHTML = data.groups.map(group => `
                     <div class="group-card">
                         <div class="group-header">
-                            <img src="${group.avatar_url}" alt="${group.name}" class="group-avatar">
+                            <img src="${this.escapeHtml(group.avatar_url)}" alt="${this.escapeHtml(group.name)}" class="group-avatar">
                             <div class="group-info">
-                                <h4>${group.name}</h4>
+                                <h4>${this.escapeHtml(group.name)}</h4>
                                 <span>${group.member_count} members</span>
                             </div>
                         </div>
-                        <p class="group-description">${group.description || 'No description'}</p>
+                        <p class="group-description">${this.escapeHtml(group.description || 'No description')}</p>
                         <div class="group-meta">
-                            <span><i class="fas fa-book"></i> ${group.subject || 'General'}</span>
-                            <span><i class="fas fa-clock"></i> Next: ${group.next_session || 'No upcoming'}</span>
+                            <span><i class="fas fa-book"></i> ${this.escapeHtml(group.subject || 'General')}</span>
+                            <span><i class="fas fa-clock"></i> Next: ${group.next_session ? new Date(group.next_session).toLocaleString() : 'No upcoming'}</span>
                         </div>
                         <div class="group-actions">
                             <button class="btn-small" onclick="dashboard.viewGroup(${group.id})">
@@ -195,7 +306,7 @@ class StudySyncDashboard {
                     </div>
                 `).join('');
             } else {
-                groupsGrid.innerHTML = '<p class="text-center">You haven't joined any groups yet</p>';
+                groupsGrid.innerHTML = '<p class="text-center">You haven\'t joined any groups yet</p>';
             }
         } catch (error) {
             console.error('Error loading groups:', error);
@@ -216,7 +327,7 @@ class StudySyncDashboard {
                             <i class="fas fa-${activity.icon}"></i>
                         </div>
                         <div class="activity-details">
-                            <p>${activity.description}</p>
+                            <p>${this.escapeHtml(activity.description)}</p>
                             <small>${this.timeAgo(activity.created_at)}</small>
                         </div>
                     </div>
@@ -305,13 +416,17 @@ class StudySyncDashboard {
             
             if (data.friends && data.friends.length > 0) {
                 onlineCount.textContent = `${data.friends.length} online`;
+                const statusText = (friend) => {
+                    if (friend.state === 'studying') return `Studying ${friend.current_subject || '...'}`;
+                    return friend.state === 'idle' ? 'Idle' : 'Online';
+                };
                 onlineList.innerHTML = data.friends.map(friend => `
                     <div class="online-user">
-                        <img src="${friend.avatar_url}" alt="${friend.username}" class="avatar-small">
-                        <span class="status"></span>
+                        <img src="${friend.avatar_url}" alt="${this.escapeHtml(friend.username)}" class="avatar-small">
+                        <span class="status ${friend.state}"></span>
                         <div class="user-info">
-                            <div class="name">${friend.username}</div>
-                            <div class="status-text">Studying ${friend.current_subject || '...'}</div>
+                            <div class="name">${this.escapeHtml(friend.username)}</div>
+                            <div class="status-text">${this.escapeHtml(statusText(friend))}</div>
                         </div>
                     </div>
                 `).join('');
@@ -381,10 +496,10 @@ class StudySyncDashboard {
         messagesList.innerHTML = this.messages.slice(0, 5).map(message => `
             <div class="message-item ${message.is_read ? 'read' : 'unread'}" 
                  onclick="dashboard.openMessage(${message.id})">
-                <img src="${message.sender_avatar}" alt="${message.sender_name}" class="avatar-small">
+                <img src="${this.escapeHtml(message.sender_avatar || '/images/default-avatar.png')}" alt="${this.escapeHtml(message.sender_name)}" class="avatar-small">
                 <div class="message-content">
-                    <strong>${message.sender_name}</strong>
-                    <p>${message.content}</p>
+                    <strong>${this.escapeHtml(message.sender_name)}</strong>
+                    <p>${this.escapeHtml(message.content)}</p>
                     <small>${this.timeAgo(message.created_at)}</small>
                 </div>
             </div>
@@ -410,19 +525,27 @@ class StudySyncDashboard {
 
     updateFlashcard() {
         const preview = document.getElementById('flashcardPreview');
+        this.flashcardFlipped = false;
+        this.toggleGradeButtons(false);
         
         if (this.flashcards.length > 0) {
             const card = this.flashcards[this.currentFlashcard];
             preview.innerHTML = `
                 <div class="flashcard-content" onclick="dashboard.flipCard()">
-                    <p>${card.question}</p>
+                    <p></p>
                 </div>
             `;
+            preview.querySelector('p').textContent = card.question;
         } else {
             preview.innerHTML = '<p>No flashcards due</p>';
         }
     }
 
+    toggleGradeButtons(show) {
+        const grades = document.getElementById('flashcardGrades');
+        if (grades) grades.hidden = !show;
+    }
+
     async loadWeeklyProgress() {
         try {
             const response = await fetch('/api/analytics/weekly');
@@ -431,7 +554,7 @@ class StudySyncDashboard {
             document.getElementById('weeklyGoal').textContent = 
                 `${data.hours_completed}/${data.hours_goal} hrs`;
             
-            const percentage = (data.hours_completed / data.hours_goal) * 100;
+            const percentage = Math.min(100, (data.hours_completed / data.hours_goal) * 100);
             document.getElementById('weeklyProgressFill').style.width = `${percentage}%`;
             
             this.updateWeeklyChart(data);
@@ -475,33 +598,105 @@ class StudySyncDashboard {
     
 
     // ========== POMODORO TIMER ==========
-    startTimer() {
-        if (this.timerInterval) return;
+    // The server keeps the timer; this only counts down to its ends_at
+    async loadPomodoro() {
+        try {
+            const response = await fetch('/api/pomodoro/current');
+            const data = await response.json();
+            this.applyPomodoroState(data.pomodoro);
+        } catch (error) {
+            console.error('Error loading pomodoro:', error);
+        }
+    }
+
+    async pomodoroRequest(path, body = {}) {
+        const response = await fetch(`/api/pomodoro${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (data.pomodoro !== undefined) this.applyPomodoroState(data.pomodoro);
+        if (!data.success) throw new Error(data.message);
+        return data;
+    }
+
+    applyPomodoroState(state) {
+        clearInterval(this.timerInterval);
+        this.timerInterval = null;
         
-        let timeLeft = 25 * 60; // 25 minutes in seconds
-        const timerDisplay = document.getElementById('pomodoroTimer');
+        const active = state && ['active', 'paused'].includes(state.status);
+        this.currentTimer = active ? state : null;
+        this.pomodoroCycles = active ? state.cycles_completed : 0;
         
-        this.timerInterval = setInterval(() => {
-            timeLeft--;
-            
-            const minutes = Math.floor(timeLeft / 60);
-            const seconds = timeLeft % 60;
-            
-            timerDisplay.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        const perRound = active ? state.cycles_before_long_break : 4;
+        document.getElementById('pomodoroCycles').textContent =
+            `${this.pomodoroCycles % perRound}/${perRound} cycles`;
+        
+        if (!active) {
+            this.renderTimer(25 * 60);
+            return;
+        }
+        if (!state.running) {
+            this.renderTimer(state.remaining_seconds);
+            return;
+        }
+        
+        // Count down against the server's clock so devices agree
+        const offset = Date.now() - new Date(state.server_time).getTime();
+        const endsAt = new Date(state.ends_at).getTime() + offset;
+        const tick = () => {
+            const timeLeft = Math.max(0, Math.round((endsAt - Date.now()) / 1000));
+            this.renderTimer(timeLeft);
+            if (timeLeft > 0) return true;
             
-            if (timeLeft <= 0) {
-                this.completePomodoro();
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+            this.completePomodoro();
+            return false;
+        };
+        if (tick()) this.timerInterval = setInterval(tick, 1000);
+    }
+
+    renderTimer(timeLeft) {
+        const minutes = Math.floor(timeLeft / 60);
+        const seconds = timeLeft % 60;
+        document.getElementById('pomodoroTimer').textContent =
+            `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    async startTimer() {
+        try {
+            if (!this.currentTimer) {
+                await this.pomodoroRequest('/start');
+            } else if (this.currentTimer.status === 'paused') {
+                await this.pomodoroRequest(`/${this.currentTimer.id}/resume`);
             }
-        }, 1000);
+        } catch (error) {
+            console.error('Error starting pomodoro:', error);
+        }
     }
 
-    pauseTimer() {
-        clearInterval(this.timerInterval);
-        this.timerInterval = null;
+    async pauseTimer() {
+        if (!this.currentTimer || !this.currentTimer.running) return;
+        
+        try {
+            await this.pomodoroRequest(`/${this.currentTimer.id}/pause`);
+        } catch (error) {
+            console.error('Error pausing pomodoro:', error);
+        }
     }
     // Add these methods to the StudySyncDashboard class
 // (around line 500, before the closing brace of the class)
 
+// Activity text includes titles other group members wrote; quotes are
+// escaped too so the result is safe inside attributes
+escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 timeAgo(dateString) {
     const date = new Date(dateString);
     const now = new Date();
@@ -564,12 +759,33 @@ viewNotification(id) {
     console.log('View notification:', id);
 }
 
-openMessage(id) {
-    console.log('Open message:', id);
+// Marks the message, and the sender's earlier ones, read
+async openMessage(id) {
+    try {
+        const response = await fetch(`/api/messages/${id}/read`, { method: 'PUT' });
+        const data = await response.json();
+        if (!data.success) return showToast(data.message || 'Could not open message', 'error');
+
+        this.messages.forEach(m => {
+            if (data.message_ids.includes(m.id)) m.is_read = true;
+        });
+        this.updateMessages();
+    } catch (error) {
+        console.error('Error opening message:', error);
+    }
 }
 
-connectWithUser(id) {
-    console.log('Connect with user:', id);
+async connectWithUser(id) {
+    try {
+        const response = await fetch(`/api/users/${id}/friend-request`, { method: 'POST' });
+        const data = await response.json();
+        if (!data.success) return showToast(data.message || 'Could not send friend request', 'error');
+
+        showToast(data.status === 'accepted' ? 'You are now friends' : 'Friend request sent', 'success');
+        if (data.status === 'accepted') this.loadOnlineFriends();
+    } catch (error) {
+        console.error('Error sending friend request:', error);
+    }
 }
 
 messageUser(id) {
@@ -580,30 +796,69 @@ viewGroup(id) {
     console.log('View group:', id);
 }
 
-joinSession(id) {
-    console.log('Join session:', id);
-}
+// RSVP to the group's next session; a full session puts the user on
+// the waitlist
+async joinSession(groupId) {
+    try {
+        const response = await fetch(`/api/group-sessions?group_id=${groupId}&limit=1`);
+        const data = await response.json();
+        const session = data.sessions && data.sessions[0];
+        if (!session) {
+            showToast('This group has no upcoming sessions', 'info');
+            return;
+        }
 
-    resetTimer() {
-        clearInterval(this.timerInterval);
-        this.timerInterval = null;
-        document.getElementById('pomodoroTimer').textContent = '25:00';
+        const rsvp = await fetch(`/api/group-sessions/${session.id}/rsvp`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status: 'accepted' })
+        });
+        const result = await rsvp.json();
+        if (!result.success) throw new Error(result.message);
+
+        showToast(result.rsvp === 'waitlisted'
+            ? `"${session.title}" is full - you're on the waitlist`
+            : `You're going to "${session.title}" on ${new Date(session.scheduled_for).toLocaleString()}`,
+            result.rsvp === 'waitlisted' ? 'info' : 'success');
+        this.loadStudyGroups();
+    } catch (error) {
+        console.error('Error joining session:', error);
+        showToast(error.message || 'Could not join the session', 'error');
     }
+}
 
-    completePomodoro() {
-        this.pomodoroCycles++;
-        document.getElementById('pomodoroCycles').textContent = `${this.pomodoroCycles}/4 cycles`;
+    // Ends the pomodoro; completed focus cycles stay credited
+    async resetTimer() {
+        if (!this.currentTimer) return this.applyPomodoroState(null);
         
-        if (this.pomodoroCycles % 4 === 0) {
-            this.showToast('Great job! Take a longer break (15 minutes)', 'success');
-            document.getElementById('pomodoroTimer').textContent = '15:00';
-        } else {
-            this.showToast('Pomodoro complete! Take a 5-minute break', 'success');
-            document.getElementById('pomodoroTimer').textContent = '05:00';
+        try {
+            await this.pomodoroRequest(`/${this.currentTimer.id}/stop`);
+        } catch (error) {
+            console.error('Error stopping pomodoro:', error);
         }
+    }
+
+    async completePomodoro() {
+        const timer = this.currentTimer;
+        if (!timer) return;
         
-        this.pauseTimer();
-        this.playSound('complete');
+        try {
+            const { pomodoro, credited } = await this.pomodoroRequest(`/${timer.id}/complete`);
+            if (!credited) {
+                if (timer.phase !== 'focus') showToast('Break over! Start the next pomodoro when you are ready', 'info');
+                return;
+            }
+            
+            if (pomodoro.phase === 'long_break') {
+                showToast(`Great job! Take a longer break (${pomodoro.long_break_minutes} minutes)`, 'success');
+            } else {
+                showToast(`Pomodoro complete! Take a ${pomodoro.break_minutes}-minute break`, 'success');
+            }
+            this.playSound('complete');
+        } catch (error) {
+            // Another device may have completed this phase already
+            console.error('Error completing pomodoro:', error);
+        }
     }
 
     // ========== FLASHCARDS ==========
@@ -612,18 +867,41 @@ joinSession(id) {
         if (!card) return;
         
         const content = document.querySelector('.flashcard-content p');
-        if (content.textContent === card.question) {
-            content.textContent = card.answer;
-        } else {
-            content.textContent = card.question;
-        }
+        this.flashcardFlipped = !this.flashcardFlipped;
+        content.textContent = this.flashcardFlipped ? card.answer : card.question;
+        // Grading only makes sense once the answer has been seen
+        if (this.flashcardFlipped) this.toggleGradeButtons(true);
     }
 
-    nextCard() {
-        if (this.flashcards.length === 0) return;
+    // grade: again | hard | good | easy; the server schedules the next review
+    async gradeCard(grade) {
+        const card = this.flashcards[this.currentFlashcard];
+        if (!card || !this.flashcardFlipped) return;
         
-        this.currentFlashcard = (this.currentFlashcard + 1) % this.flashcards.length;
-        this.updateFlashcard();
+        try {
+            const response = await fetch(`/api/flashcards/${card.id}/review`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ grade })
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.message);
+            
+            // Forgotten cards come back at the end of this sitting
+            this.flashcards.splice(this.currentFlashcard, 1);
+            if (grade === 'again') this.flashcards.push(data.flashcard);
+            if (this.currentFlashcard >= this.flashcards.length) this.currentFlashcard = 0;
+            
+            if (this.flashcards.length === 0) {
+                showToast('All caught up! No more cards due', 'success');
+                await this.loadFlashcards();
+            } else {
+                this.updateFlashcard();
+            }
+        } catch (error) {
+            console.error('Error grading flashcard:', error);
+            showToast('Could not save your review', 'error');
+        }
     }
     // Add these after the existing methods, before the closing brace of the class
 
@@ -679,8 +957,48 @@ refreshSchedule() {
         window.location.href = '/groups/join';
     }
 
-    studyTogether() {
-        window.location.href = '/study-together';
+    // Join the newest open study room in the user's groups (or one they
+    // were invited to); the room's clock and presence then arrive by socket
+    async studyTogether() {
+        try {
+            const response = await fetch('/api/rooms');
+            const data = await response.json();
+            const room = data.rooms && data.rooms[0];
+            if (!room) {
+                showToast('No study rooms are open right now. Start one from one of your groups', 'info');
+                return;
+            }
+            this.joinStudyRoom(room);
+        } catch (error) {
+            console.error('Error loading study rooms:', error);
+        }
+    }
+
+    joinStudyRoom(room) {
+        if (this.studyRoom && this.studyRoom.id !== room.id) {
+            this.socket.emit('room-leave', { roomId: this.studyRoom.id });
+        }
+        this.socket.emit('room-join', { roomId: room.id }, (result) => {
+            if (!result || !result.success) {
+                showToast('Could not join the study room', 'error');
+                return;
+            }
+            this.studyRoom = { ...room, clock: result.clock };
+            const others = result.presence.members.filter(member => member.id !== this.user?.id).length;
+            showToast(`Joined "${room.title}"${others ? ` with ${others} other${others === 1 ? '' : 's'}` : ''}`, 'success');
+        });
+    }
+
+    // Focus/break changes of the shared clock
+    applyRoomClock(clock) {
+        if (!this.studyRoom || clock.room_id !== this.studyRoom.id) return;
+        const previous = this.studyRoom.clock;
+        this.studyRoom.clock = clock;
+        if (!clock.running || (previous && previous.phase === clock.phase && previous.running)) return;
+        
+        showToast(clock.phase === 'focus'
+            ? `Focus time! ${clock.focus_minutes} minutes together`
+            : `Break time! Back in ${Math.round(clock.remaining_seconds / 60)} minutes`, 'info');
     }
 
     viewAllFriends() {
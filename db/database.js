@@ -0,0 +1,215 @@
+// ============================================
+// STUDYSYNC DATA LAYER
+// SQLite access shared by the server, routes and scheduled jobs
+// ============================================
+
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { fileURLToPath } from 'url';
+import * as migrations from './migrations.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', 'studysync.db');
+
+let conn = null;
+let db = null;
+
+// ========== CONNECTION ==========
+
+/**
+ * Open the database (once). A brand-new database is migrated to the latest
+ * schema; an existing one is left for `npm run migrate` so upgrades stay
+ * deliberate. DB_PATH from .env overrides the default studysync.db.
+ */
+export async function initialize({ migrateFresh = true } = {}) {
+    if (db) return db;
+
+    const filename = process.env.DB_PATH ? path.resolve(process.env.DB_PATH) : DEFAULT_DB_PATH;
+    const opened = await open({ filename, driver: sqlite3.Database });
+    await opened.exec('PRAGMA foreign_keys = ON');
+
+    if (migrateFresh && await migrations.currentVersion(opened) === 0) {
+        await migrations.migrate(opened);
+        console.log(`📦 Created schema in ${filename}`);
+    }
+
+    conn = opened;
+    db = {
+        get: (...args) => query('get', args),
+        all: (...args) => query('all', args),
+        run: (...args) => query('run', args),
+        exec: (...args) => query('exec', args)
+    };
+    return db;
+}
+
+/**
+ * The connection, for routes and services. initialize() must have run.
+ * Its get/all/run/exec wait while another caller's transaction is open;
+ * use withTransaction() rather than issuing BEGIN yourself.
+ */
+export function getDb() {
+    if (!db) throw new Error('Database not initialized; call initialize() first');
+    return db;
+}
+
+/**
+ * Applied vs. expected schema version, for the startup check in server.js.
+ */
+export async function schemaStatus() {
+    return migrations.schemaStatus(getDb());
+}
+
+export async function close() {
+    if (!conn) return;
+    await conn.close();
+    conn = null;
+    db = null;
+}
+
+// ========== TRANSACTIONS ==========
+// Everything shares one connection, so a BEGIN would sweep statements from
+// unrelated requests into the transaction (and a second BEGIN fails).
+// Transactions therefore run one at a time, and while one is open, only
+// statements made from inside its callback reach the connection.
+
+const transactionScope = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+let openTransaction = null;
+let inFlight = 0;
+let drained = null;
+
+async function query(method, args) {
+    if (openTransaction && transactionScope.getStore() === openTransaction) return conn[method](...args);
+
+    while (openTransaction) await openTransaction.done;
+    inFlight++;
+    try {
+        return await conn[method](...args);
+    } finally {
+        if (--inFlight === 0 && drained) drained();
+    }
+}
+
+/**
+ * Run `work(db)` inside BEGIN/COMMIT, rolling back if it throws, and
+ * return its result. Called again from inside `work` it joins the open
+ * transaction.
+ */
+export async function withTransaction(work) {
+    if (openTransaction && transactionScope.getStore() === openTransaction) return work(db);
+
+    let finish;
+    const transaction = { done: new Promise(resolve => { finish = resolve; }) };
+    const previous = transactionQueue;
+    transactionQueue = transaction.done;
+    await previous;
+
+    openTransaction = transaction;
+    try {
+        // Let statements that were already sent finish outside the transaction
+        if (inFlight) await new Promise(resolve => { drained = resolve; });
+        drained = null;
+
+        return await transactionScope.run(transaction, async () => {
+            await conn.exec('BEGIN');
+            try {
+                const result = await work(db);
+                await conn.exec('COMMIT');
+                return result;
+            } catch (err) {
+                await conn.exec('ROLLBACK');
+                throw err;
+            }
+        });
+    } finally {
+        openTransaction = null;
+        finish();
+    }
+}
+
+// ========== MESSAGING ==========
+
+export async function saveMessage(senderId, receiverId, content, type = 'text') {
+    const { lastID } = await getDb().run(
+        'INSERT INTO messages (sender_id, receiver_id, content) VALUES (?, ?, ?)',
+        [senderId, receiverId, content]
+    );
+    const message = await getDb().get(
+        `SELECT m.*, u.username AS sender_name, u.avatar_url AS sender_avatar
+         FROM messages m JOIN users u ON u.id = m.sender_id
+         WHERE m.id = ?`,
+        [lastID]
+    );
+    return { ...message, type };
+}
+
+export async function saveGroupMessage(groupId, senderId, content, parentId = null) {
+    const { lastID } = await getDb().run(
+        'INSERT INTO group_messages (group_id, sender_id, content, parent_id) VALUES (?, ?, ?, ?)',
+        [groupId, senderId, content, parentId]
+    );
+    return getDb().get(
+        `SELECT gm.*, u.username AS sender_name, u.avatar_url AS sender_avatar
+         FROM group_messages gm JOIN users u ON u.id = gm.sender_id
+         WHERE gm.id = ?`,
+        [lastID]
+    );
+}
+
+// ========== SOCIAL ==========
+
+export async function userExists(userId) {
+    const row = await getDb().get('SELECT id FROM users WHERE id = ? AND is_active = 1', [userId]);
+    return Boolean(row);
+}
+
+export async function isGroupMember(groupId, userId) {
+    const row = await getDb().get(
+        'SELECT 1 AS member FROM group_members WHERE group_id = ? AND user_id = ?',
+        [groupId, userId]
+    );
+    return Boolean(row);
+}
+
+/**
+ * Accepted friends of a user, i.e. everyone who should hear that they
+ * started studying.
+ */
+export async function getStudyingFriends(userId) {
+    return getDb().all(
+        `SELECT u.id, u.username, u.avatar_url
+         FROM friendships f
+         JOIN users u ON u.id = CASE WHEN f.user_id1 = ? THEN f.user_id2 ELSE f.user_id1 END
+         WHERE (f.user_id1 = ? OR f.user_id2 = ?) AND f.status = 'accepted' AND u.is_active = 1`,
+        [userId, userId, userId]
+    );
+}
+
+// ========== NOTIFICATIONS ==========
+
+export async function createNotification({
+    user_id, type, title, message, data = null, related_id = null, related_type = null, priority = 0
+}) {
+    const { lastID } = await getDb().run(
+        `INSERT INTO notifications (user_id, type, title, message, data, related_id, related_type, priority)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [user_id, type, title, message, data ? JSON.stringify(data) : null, related_id, related_type, priority]
+    );
+    return getDb().get('SELECT * FROM notifications WHERE id = ?', [lastID]);
+}
+
+/**
+ * Drop read or archived notifications older than 30 days.
+ */
+export async function cleanupOldNotifications() {
+    const { changes } = await getDb().run(
+        `DELETE FROM notifications
+         WHERE (is_read = 1 OR is_archived = 1) AND created_at < datetime('now', '-30 days')`
+    );
+    return changes;
+}
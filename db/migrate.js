@@ -0,0 +1,37 @@
+// ============================================
+// MIGRATION CLI
+// npm run migrate [-- <version>]   apply pending migrations
+// npm run migrate:down [-- <n>]    revert the last n migrations
+// npm run migrate:status           show applied vs. expected version
+// ============================================
+
+import dotenv from 'dotenv';
+import * as db from './database.js';
+import { migrate, rollback, schemaStatus } from './migrations.js';
+
+dotenv.config();
+
+const [command = 'up', arg] = process.argv.slice(2);
+
+try {
+    const conn = await db.initialize({ migrateFresh: false });
+
+    if (command === 'up') {
+        const applied = await migrate(conn, arg ? Number(arg) : undefined);
+        if (!applied.length) console.log('✅ Schema already up to date');
+    } else if (command === 'down') {
+        const reverted = await rollback(conn, arg ? Number(arg) : 1);
+        if (!reverted.length) console.log('Nothing to revert');
+    } else if (command !== 'status') {
+        throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+
+    const status = await schemaStatus(conn);
+    console.log(`📊 Schema version ${status.current} of ${status.latest}` +
+        (status.pending.length ? ` (pending: ${status.pending.join(', ')})` : ''));
+    await db.close();
+} catch (err) {
+    console.error('❌ Migration failed:', err.message);
+    process.exitCode = 1;
+    await db.close();
+}
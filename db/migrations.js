@@ -0,0 +1,145 @@
+// ============================================
+// STUDYSYNC SCHEMA MIGRATIONS
+// Numbered SQL files in db/migrations, tracked in schema_migrations
+// ============================================
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+/**
+ * Every migration shipped with the code, in version order. Each file holds
+ * a "-- migrate:up" section and a "-- migrate:down" section.
+ */
+export function listMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(FILE_PATTERN);
+            if (!match) return null;
+            const source = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+            const upAt = source.indexOf('-- migrate:up');
+            const downAt = source.indexOf('-- migrate:down');
+            if (upAt === -1 || downAt === -1 || downAt < upAt) {
+                throw new Error(`Migration ${file} needs "-- migrate:up" followed by "-- migrate:down"`);
+            }
+            return {
+                version: Number(match[1]),
+                name: match[2],
+                up: source.slice(upAt, downAt),
+                down: source.slice(downAt)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Highest migration version the code expects the database to be at.
+ */
+export function latestVersion() {
+    const migrations = listMigrations();
+    return migrations.length ? migrations[migrations.length - 1].version : 0;
+}
+
+async function ensureMigrationsTable(db) {
+    const tracked = await db.get(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+    );
+    if (tracked) return;
+
+    await db.exec(`CREATE TABLE schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Databases created from the old monolithic database.sql already hold
+    // the 001 schema; record it rather than re-running it.
+    const legacy = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'users'");
+    if (legacy) {
+        const [baseline] = listMigrations();
+        await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [baseline.version, baseline.name]);
+        console.log(`📌 Existing schema recorded as migration ${baseline.version} (${baseline.name})`);
+    }
+}
+
+/**
+ * Version of the newest applied migration, 0 for an empty database.
+ */
+export async function currentVersion(db) {
+    await ensureMigrationsTable(db);
+    const row = await db.get('SELECT MAX(version) AS version FROM schema_migrations');
+    return row.version || 0;
+}
+
+export async function schemaStatus(db) {
+    const current = await currentVersion(db);
+    const pending = listMigrations().filter(m => m.version > current);
+    return { current, latest: latestVersion(), pending: pending.map(m => `${m.version}_${m.name}`) };
+}
+
+// Foreign keys are switched off while a migration runs so tables can be
+// rebuilt or dropped in any order, then checked before committing.
+async function runInTransaction(db, sql, record) {
+    await db.exec('PRAGMA foreign_keys = OFF');
+    await db.exec('BEGIN');
+    try {
+        await db.exec(sql);
+        const violations = await db.all('PRAGMA foreign_key_check');
+        if (violations.length) {
+            throw new Error(`Foreign key check failed on ${violations[0].table} (${violations.length} rows)`);
+        }
+        await record();
+        await db.exec('COMMIT');
+    } catch (err) {
+        await db.exec('ROLLBACK');
+        throw err;
+    } finally {
+        await db.exec('PRAGMA foreign_keys = ON');
+    }
+}
+
+/**
+ * Apply pending migrations up to `target` (default: all of them).
+ * Returns the migrations that were applied.
+ */
+export async function migrate(db, target = latestVersion()) {
+    const current = await currentVersion(db);
+    const pending = listMigrations().filter(m => m.version > current && m.version <= target);
+
+    for (const migration of pending) {
+        await runInTransaction(db, migration.up, () => db.run(
+            'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+            [migration.version, migration.name]
+        ));
+        console.log(`⬆️  Applied migration ${migration.version}_${migration.name}`);
+    }
+    return pending;
+}
+
+/**
+ * Revert the newest `steps` applied migrations. Returns the ones reverted.
+ */
+export async function rollback(db, steps = 1) {
+    await ensureMigrationsTable(db);
+    const applied = await db.all('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT ?', [steps]);
+    const byVersion = new Map(listMigrations().map(m => [m.version, m]));
+    const reverted = [];
+
+    for (const { version } of applied) {
+        const migration = byVersion.get(version);
+        if (!migration) throw new Error(`Migration ${version} is applied but its file is missing`);
+        await runInTransaction(db, migration.down, () => db.run(
+            'DELETE FROM schema_migrations WHERE version = ?', [version]
+        ));
+        console.log(`⬇️  Reverted migration ${migration.version}_${migration.name}`);
+        reverted.push(migration);
+    }
+    return reverted;
+}
@@ -1,10 +1,9 @@
 -- ============================================
--- COMPLETE STUDYSYNC DATABASE SCHEMA
--- Version 3.0 - Multi-user with all features
+-- MIGRATION 001: INITIAL SCHEMA
+-- Version 3.0 baseline - Multi-user with all features
 -- ============================================
 
--- Enable foreign keys
-PRAGMA foreign_keys = ON;
+-- migrate:up
 
 -- ========== USERS & AUTHENTICATION ==========
 
@@ -459,20 +458,20 @@ CREATE TABLE IF NOT EXISTS feedback (
 
 -- ========== INDEXES ==========
 
-CREATE INDEX idx_users_email ON users(email);
-CREATE INDEX idx_users_username ON users(username);
-CREATE INDEX idx_subjects_user ON subjects(user_id);
-CREATE INDEX idx_study_sessions_user ON study_sessions(user_id);
-CREATE INDEX idx_study_sessions_date ON study_sessions(scheduled_date);
-CREATE INDEX idx_friendships_user1 ON friendships(user_id1);
-CREATE INDEX idx_friendships_user2 ON friendships(user_id2);
-CREATE INDEX idx_notifications_user ON notifications(user_id);
-CREATE INDEX idx_notifications_unread ON notifications(user_id, is_read);
-CREATE INDEX idx_group_members_user ON group_members(user_id);
-CREATE INDEX idx_group_messages_group ON group_messages(group_id);
-CREATE INDEX idx_messages_sender ON messages(sender_id);
-CREATE INDEX idx_messages_receiver ON messages(receiver_id);
-CREATE INDEX idx_daily_logs_user_date ON daily_logs(user_id, log_date);
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+CREATE INDEX IF NOT EXISTS idx_subjects_user ON subjects(user_id);
+CREATE INDEX IF NOT EXISTS idx_study_sessions_user ON study_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_study_sessions_date ON study_sessions(scheduled_date);
+CREATE INDEX IF NOT EXISTS idx_friendships_user1 ON friendships(user_id1);
+CREATE INDEX IF NOT EXISTS idx_friendships_user2 ON friendships(user_id2);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id, is_read);
+CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_group_messages_group ON group_messages(group_id);
+CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages(sender_id);
+CREATE INDEX IF NOT EXISTS idx_messages_receiver ON messages(receiver_id);
+CREATE INDEX IF NOT EXISTS idx_daily_logs_user_date ON daily_logs(user_id, log_date);
 
 -- ========== DEFAULT ACHIEVEMENTS ==========
 
@@ -488,4 +487,36 @@ INSERT OR IGNORE INTO achievements (name, description, icon, points) VALUES
 ('Perfect Week', 'Study every day for a week', '💯', 100),
 ('Century Club', 'Complete 100 study sessions', '🏆', 500);
 
+-- migrate:down
+
+DROP TABLE IF EXISTS feedback;
+DROP TABLE IF EXISTS system_logs;
+DROP TABLE IF EXISTS flashcards;
+DROP TABLE IF EXISTS pomodoro_sessions;
+DROP TABLE IF EXISTS user_achievements;
+DROP TABLE IF EXISTS achievements;
+DROP TABLE IF EXISTS daily_logs;
+DROP TABLE IF EXISTS study_streaks;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS group_messages;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS session_participants;
+DROP TABLE IF EXISTS group_sessions;
+DROP TABLE IF EXISTS group_members;
+DROP TABLE IF EXISTS study_groups;
+DROP TABLE IF EXISTS friendships;
+DROP TABLE IF EXISTS session_reminders;
+DROP TABLE IF EXISTS study_sessions;
+DROP TABLE IF EXISTS free_slots;
+DROP TABLE IF EXISTS shared_materials;
+DROP TABLE IF EXISTS study_materials;
+DROP TABLE IF EXISTS subject_topics;
+DROP TABLE IF EXISTS subjects;
+DROP TABLE IF EXISTS email_verifications;
+DROP TABLE IF EXISTS password_resets;
+DROP TABLE IF EXISTS failed_logins;
+DROP TABLE IF EXISTS login_history;
+DROP TABLE IF EXISTS user_settings;
+DROP TABLE IF EXISTS users;
+
 -- ============================================
@@ -0,0 +1,20 @@
+-- ============================================
+-- MIGRATION 002: AUTH TOKENS
+-- Token versioning for "log out everywhere", lookup index for lockouts
+-- ============================================
+
+-- migrate:up
+
+ALTER TABLE users ADD COLUMN token_version INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_failed_logins_email ON failed_logins(email, attempt_time);
+CREATE INDEX IF NOT EXISTS idx_login_history_user ON login_history(user_id, login_time);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_login_history_user;
+DROP INDEX IF EXISTS idx_failed_logins_email;
+
+ALTER TABLE users DROP COLUMN token_version;
+
+-- ============================================
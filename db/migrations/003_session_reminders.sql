@@ -0,0 +1,62 @@
+-- ============================================
+-- MIGRATION 003: SESSION REMINDERS
+-- One row per (session, recipient, lead time) for personal and group
+-- sessions, so the scheduler can send each reminder exactly once
+-- ============================================
+
+-- migrate:up
+
+CREATE TABLE session_reminders_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    session_id INTEGER,
+    group_session_id INTEGER,
+    lead_minutes INTEGER NOT NULL,
+    remind_at DATETIME NOT NULL,
+    reminder_type TEXT DEFAULT 'email' CHECK(reminder_type IN ('email', 'push', 'both')),
+    sent INTEGER DEFAULT 0,
+    sent_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    CHECK((session_id IS NULL) <> (group_session_id IS NULL)),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (session_id) REFERENCES study_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (group_session_id) REFERENCES group_sessions(id) ON DELETE CASCADE
+);
+
+INSERT INTO session_reminders_new (id, user_id, session_id, lead_minutes, remind_at, reminder_type, sent, created_at)
+SELECT r.id, s.user_id, r.session_id,
+       MAX(0, CAST(ROUND((julianday(s.scheduled_date || ' ' || s.start_time) - julianday(r.remind_at)) * 1440) AS INTEGER)),
+       r.remind_at, r.reminder_type, r.sent, r.created_at
+FROM session_reminders r
+JOIN study_sessions s ON s.id = r.session_id;
+
+DROP TABLE session_reminders;
+ALTER TABLE session_reminders_new RENAME TO session_reminders;
+
+CREATE UNIQUE INDEX idx_session_reminders_study
+    ON session_reminders(session_id, user_id, lead_minutes) WHERE session_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_session_reminders_group
+    ON session_reminders(group_session_id, user_id, lead_minutes) WHERE group_session_id IS NOT NULL;
+CREATE INDEX idx_session_reminders_due ON session_reminders(sent, remind_at);
+
+-- migrate:down
+
+CREATE TABLE session_reminders_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL,
+    remind_at DATETIME NOT NULL,
+    reminder_type TEXT DEFAULT 'email' CHECK(reminder_type IN ('email', 'push', 'both')),
+    sent INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES study_sessions(id) ON DELETE CASCADE
+);
+
+INSERT INTO session_reminders_old (id, session_id, remind_at, reminder_type, sent, created_at)
+SELECT id, session_id, remind_at, reminder_type, sent, created_at
+FROM session_reminders
+WHERE session_id IS NOT NULL;
+
+DROP TABLE session_reminders;
+ALTER TABLE session_reminders_old RENAME TO session_reminders;
+
+-- ============================================
@@ -0,0 +1,24 @@
+-- ============================================
+-- MIGRATION 004: STUDY PLAN
+-- Marks sessions created by the plan generator and the topic they cover
+-- ============================================
+
+-- migrate:up
+
+ALTER TABLE study_sessions ADD COLUMN auto_planned INTEGER DEFAULT 0;
+-- Plain column (no FOREIGN KEY) so the down migration can drop it; readers
+-- LEFT JOIN subject_topics and treat a missing topic as none
+ALTER TABLE study_sessions ADD COLUMN topic_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_study_sessions_user_date ON study_sessions(user_id, scheduled_date, status);
+CREATE INDEX IF NOT EXISTS idx_free_slots_user ON free_slots(user_id, day_of_week);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_free_slots_user;
+DROP INDEX IF EXISTS idx_study_sessions_user_date;
+
+ALTER TABLE study_sessions DROP COLUMN topic_id;
+ALTER TABLE study_sessions DROP COLUMN auto_planned;
+
+-- ============================================
@@ -0,0 +1,25 @@
+-- ============================================
+-- MIGRATION 005: CALENDAR FEEDS
+-- Private iCalendar subscription tokens; only a SHA-256 is stored
+-- ============================================
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_accessed_at DATETIME,
+    revoked_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_user ON calendar_feeds(user_id, revoked_at);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_calendar_feeds_user;
+DROP TABLE IF EXISTS calendar_feeds;
+
+-- ============================================
@@ -0,0 +1,41 @@
+-- ============================================
+-- MIGRATION 006: FLASHCARD SPACED REPETITION
+-- SM-2 scheduling state per card and a log of every review
+-- ============================================
+
+-- migrate:up
+
+ALTER TABLE flashcards ADD COLUMN ease_factor REAL DEFAULT 2.5;
+ALTER TABLE flashcards ADD COLUMN interval_days REAL DEFAULT 0;
+ALTER TABLE flashcards ADD COLUMN repetitions INTEGER DEFAULT 0;
+ALTER TABLE flashcards ADD COLUMN lapses INTEGER DEFAULT 0;
+ALTER TABLE flashcards ADD COLUMN updated_at DATETIME;
+
+CREATE TABLE IF NOT EXISTS flashcard_reviews (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    flashcard_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    grade INTEGER NOT NULL CHECK(grade BETWEEN 0 AND 5),
+    ease_factor REAL NOT NULL,
+    interval_days REAL NOT NULL,
+    reviewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (flashcard_id) REFERENCES flashcards(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_due ON flashcards(user_id, next_review);
+CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_user ON flashcard_reviews(user_id, reviewed_at);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_flashcard_reviews_user;
+DROP INDEX IF EXISTS idx_flashcards_user_due;
+DROP TABLE IF EXISTS flashcard_reviews;
+
+ALTER TABLE flashcards DROP COLUMN updated_at;
+ALTER TABLE flashcards DROP COLUMN lapses;
+ALTER TABLE flashcards DROP COLUMN repetitions;
+ALTER TABLE flashcards DROP COLUMN interval_days;
+ALTER TABLE flashcards DROP COLUMN ease_factor;
+
+-- ============================================
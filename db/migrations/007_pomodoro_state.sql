@@ -0,0 +1,49 @@
+-- ============================================
+-- MIGRATION 007: SERVER-TRACKED POMODORO
+-- Timer phase state on pomodoro_sessions and a log of completed focus
+-- cycles (the source for daily_logs and subject hours)
+-- ============================================
+
+-- migrate:up
+
+ALTER TABLE pomodoro_sessions ADD COLUMN long_break_minutes INTEGER DEFAULT 15;
+ALTER TABLE pomodoro_sessions ADD COLUMN cycles_before_long_break INTEGER DEFAULT 4;
+-- focus, short_break or long_break
+ALTER TABLE pomodoro_sessions ADD COLUMN phase TEXT DEFAULT 'focus';
+-- Set while the current phase is running; NULL while paused
+ALTER TABLE pomodoro_sessions ADD COLUMN phase_started_at DATETIME;
+-- Seconds of the current phase already run before the last pause
+ALTER TABLE pomodoro_sessions ADD COLUMN phase_elapsed_seconds INTEGER DEFAULT 0;
+ALTER TABLE pomodoro_sessions ADD COLUMN updated_at DATETIME;
+
+CREATE TABLE IF NOT EXISTS pomodoro_cycles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pomodoro_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    subject_id INTEGER,
+    focus_minutes INTEGER NOT NULL,
+    -- The user's local date when the cycle finished
+    log_date DATE NOT NULL,
+    completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pomodoro_id) REFERENCES pomodoro_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (subject_id) REFERENCES subjects(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_pomodoro_sessions_user_status ON pomodoro_sessions(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_pomodoro_cycles_user_date ON pomodoro_cycles(user_id, log_date);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_pomodoro_cycles_user_date;
+DROP INDEX IF EXISTS idx_pomodoro_sessions_user_status;
+DROP TABLE IF EXISTS pomodoro_cycles;
+
+ALTER TABLE pomodoro_sessions DROP COLUMN updated_at;
+ALTER TABLE pomodoro_sessions DROP COLUMN phase_elapsed_seconds;
+ALTER TABLE pomodoro_sessions DROP COLUMN phase_started_at;
+ALTER TABLE pomodoro_sessions DROP COLUMN phase;
+ALTER TABLE pomodoro_sessions DROP COLUMN cycles_before_long_break;
+ALTER TABLE pomodoro_sessions DROP COLUMN long_break_minutes;
+
+-- ============================================
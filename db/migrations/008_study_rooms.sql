@@ -0,0 +1,37 @@
+-- ============================================
+-- MIGRATION 008: STUDY ROOMS
+-- Live co-study rooms: one shared Pomodoro clock per ongoing group
+-- session; attendance goes to session_participants
+-- ============================================
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS study_rooms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_session_id INTEGER NOT NULL UNIQUE,
+    host_id INTEGER NOT NULL,
+    focus_minutes INTEGER DEFAULT 25,
+    break_minutes INTEGER DEFAULT 5,
+    long_break_minutes INTEGER DEFAULT 15,
+    cycles_before_long_break INTEGER DEFAULT 4,
+    -- Clock anchor: the phase and cycle count as of phase_started_at (or,
+    -- while paused, with phase_elapsed_seconds already run)
+    phase TEXT DEFAULT 'focus' CHECK(phase IN ('focus', 'short_break', 'long_break')),
+    cycles_completed INTEGER DEFAULT 0,
+    phase_started_at DATETIME,
+    phase_elapsed_seconds INTEGER DEFAULT 0,
+    status TEXT DEFAULT 'open' CHECK(status IN ('open', 'closed')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    closed_at DATETIME,
+    FOREIGN KEY (group_session_id) REFERENCES group_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (host_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_study_rooms_status ON study_rooms(status);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_study_rooms_status;
+DROP TABLE IF EXISTS study_rooms;
+
+-- ============================================
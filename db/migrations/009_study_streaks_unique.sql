@@ -0,0 +1,17 @@
+-- ============================================
+-- MIGRATION 009: ONE STREAK ROW PER USER
+-- study_streaks is recomputed per user, so it needs a key to upsert on
+-- ============================================
+
+-- migrate:up
+
+DELETE FROM study_streaks
+WHERE id NOT IN (SELECT MIN(id) FROM study_streaks GROUP BY user_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_study_streaks_user ON study_streaks(user_id);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_study_streaks_user;
+
+-- ============================================
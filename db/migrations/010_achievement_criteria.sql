@@ -0,0 +1,29 @@
+-- ============================================
+-- MIGRATION 010: ACHIEVEMENT CRITERIA
+-- Machine-readable criteria for the seeded achievements (evaluated by
+-- services/achievements.js) and a running points total per user
+-- ============================================
+
+-- migrate:up
+
+-- criteria: {"metric": <name>, "min": <threshold>, ...metric options}
+UPDATE achievements SET criteria = '{"metric":"sessions_completed","min":1}' WHERE name = 'First Study Session';
+UPDATE achievements SET criteria = '{"metric":"longest_streak","min":7}' WHERE name = '7-Day Streak';
+UPDATE achievements SET criteria = '{"metric":"longest_streak","min":30}' WHERE name = '30-Day Streak';
+UPDATE achievements SET criteria = '{"metric":"sessions_completed","min":5,"starts_before":"08:00"}' WHERE name = 'Early Bird';
+UPDATE achievements SET criteria = '{"metric":"sessions_completed","min":5,"starts_after":"22:00"}' WHERE name = 'Night Owl';
+UPDATE achievements SET criteria = '{"metric":"groups_joined","min":1}' WHERE name = 'Group Learner';
+UPDATE achievements SET criteria = '{"metric":"friends","min":1}' WHERE name = 'Friend Maker';
+UPDATE achievements SET criteria = '{"metric":"materials_shared","min":1}' WHERE name = 'Material Contributor';
+UPDATE achievements SET criteria = '{"metric":"perfect_weeks","min":1}' WHERE name = 'Perfect Week';
+UPDATE achievements SET criteria = '{"metric":"sessions_completed","min":100}' WHERE name = 'Century Club';
+
+-- Sum of the points of every achievement earned
+ALTER TABLE users ADD COLUMN points INTEGER DEFAULT 0;
+
+-- migrate:down
+
+ALTER TABLE users DROP COLUMN points;
+UPDATE achievements SET criteria = NULL;
+
+-- ============================================
@@ -0,0 +1,17 @@
+-- ============================================
+-- MIGRATION 011: WEEKLY REPORT EMAIL
+-- Opt-in Sunday email with the week's PDF report and workbook
+-- ============================================
+
+-- migrate:up
+
+ALTER TABLE user_settings ADD COLUMN weekly_report_email INTEGER DEFAULT 0;
+-- When the last weekly report went out (UTC), so a week is sent only once
+ALTER TABLE user_settings ADD COLUMN weekly_report_sent_at DATETIME;
+
+-- migrate:down
+
+ALTER TABLE user_settings DROP COLUMN weekly_report_sent_at;
+ALTER TABLE user_settings DROP COLUMN weekly_report_email;
+
+-- ============================================
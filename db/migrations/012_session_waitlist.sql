@@ -0,0 +1,62 @@
+-- ============================================
+-- MIGRATION 012: GROUP SESSION WAITLIST
+-- RSVPs beyond max_participants wait in line ('waitlisted', ordered by
+-- response_time) and are moved up when a seat frees
+-- ============================================
+
+-- migrate:up
+
+CREATE TABLE session_participants_new (
+    session_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    status TEXT DEFAULT 'invited' CHECK(status IN ('invited', 'accepted', 'declined', 'attended', 'maybe', 'waitlisted')),
+    response_time DATETIME,
+    joined_at DATETIME,
+    left_at DATETIME,
+    feedback TEXT,
+    rating INTEGER CHECK(rating BETWEEN 1 AND 5),
+    PRIMARY KEY (session_id, user_id),
+    FOREIGN KEY (session_id) REFERENCES group_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT INTO session_participants_new
+SELECT session_id, user_id, status, response_time, joined_at, left_at, feedback, rating
+FROM session_participants;
+
+DROP TABLE session_participants;
+ALTER TABLE session_participants_new RENAME TO session_participants;
+
+CREATE INDEX idx_session_participants_status ON session_participants(session_id, status);
+
+-- current_participants now counts seats taken (accepted or attended)
+UPDATE group_sessions SET current_participants = (
+    SELECT COUNT(*) FROM session_participants p
+    WHERE p.session_id = group_sessions.id AND p.status IN ('accepted', 'attended')
+);
+
+-- migrate:down
+
+CREATE TABLE session_participants_old (
+    session_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    status TEXT DEFAULT 'invited' CHECK(status IN ('invited', 'accepted', 'declined', 'attended', 'maybe')),
+    response_time DATETIME,
+    joined_at DATETIME,
+    left_at DATETIME,
+    feedback TEXT,
+    rating INTEGER CHECK(rating BETWEEN 1 AND 5),
+    PRIMARY KEY (session_id, user_id),
+    FOREIGN KEY (session_id) REFERENCES group_sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT INTO session_participants_old
+SELECT session_id, user_id, CASE status WHEN 'waitlisted' THEN 'invited' ELSE status END,
+       response_time, joined_at, left_at, feedback, rating
+FROM session_participants;
+
+DROP TABLE session_participants;
+ALTER TABLE session_participants_old RENAME TO session_participants;
+
+-- ============================================
@@ -0,0 +1,23 @@
+-- ============================================
+-- MIGRATION 013: DIRECT MESSAGE DELIVERY
+-- Messages sent while the receiver had no socket open are pushed when
+-- they reconnect; delivered_at marks the ones already pushed
+-- ============================================
+
+-- migrate:up
+
+ALTER TABLE messages ADD COLUMN delivered_at DATETIME;
+
+-- Messages sent before delivery was tracked count as delivered
+UPDATE messages SET delivered_at = created_at;
+
+CREATE INDEX idx_messages_conversation ON messages(sender_id, receiver_id, id);
+CREATE INDEX idx_messages_unread ON messages(receiver_id, is_read);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_messages_unread;
+DROP INDEX IF EXISTS idx_messages_conversation;
+ALTER TABLE messages DROP COLUMN delivered_at;
+
+-- ============================================
@@ -0,0 +1,52 @@
+-- ============================================
+-- MIGRATION 014: GROUP CHAT MODERATION
+-- Edited, deleted and pinned chat messages, muted members, a per-group
+-- word filter and an audit trail of moderation actions
+-- ============================================
+
+-- migrate:up
+
+ALTER TABLE group_messages ADD COLUMN edited_at DATETIME;
+ALTER TABLE group_messages ADD COLUMN is_deleted INTEGER DEFAULT 0;
+ALTER TABLE group_messages ADD COLUMN pinned_by INTEGER;
+ALTER TABLE group_messages ADD COLUMN pinned_at DATETIME;
+
+-- Muted members can read but not post until this time (UTC)
+ALTER TABLE group_members ADD COLUMN muted_until DATETIME;
+
+-- JSON array of lower-case words or phrases; 'mask' stars them out,
+-- 'reject' refuses the message
+ALTER TABLE study_groups ADD COLUMN chat_filter_words TEXT;
+ALTER TABLE study_groups ADD COLUMN chat_filter_action TEXT DEFAULT 'mask' CHECK(chat_filter_action IN ('mask', 'reject'));
+
+CREATE TABLE group_moderation_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id INTEGER NOT NULL,
+    actor_id INTEGER,
+    action TEXT NOT NULL CHECK(action IN ('edit', 'delete', 'pin', 'unpin', 'mute', 'unmute', 'kick', 'filter')),
+    message_id INTEGER,
+    target_user_id INTEGER,
+    details TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (group_id) REFERENCES study_groups(id) ON DELETE CASCADE,
+    FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (message_id) REFERENCES group_messages(id) ON DELETE SET NULL,
+    FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_group_moderation_log_group ON group_moderation_log(group_id, created_at);
+CREATE INDEX idx_group_messages_pinned ON group_messages(group_id, is_pinned);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_group_messages_pinned;
+DROP TABLE IF EXISTS group_moderation_log;
+ALTER TABLE study_groups DROP COLUMN chat_filter_action;
+ALTER TABLE study_groups DROP COLUMN chat_filter_words;
+ALTER TABLE group_members DROP COLUMN muted_until;
+ALTER TABLE group_messages DROP COLUMN pinned_at;
+ALTER TABLE group_messages DROP COLUMN pinned_by;
+ALTER TABLE group_messages DROP COLUMN is_deleted;
+ALTER TABLE group_messages DROP COLUMN edited_at;
+
+-- ============================================
@@ -0,0 +1,18 @@
+-- ============================================
+-- MIGRATION 015: GROUP CHAT THREADS
+-- Replies point at the message that starts their thread; the main chat
+-- shows only thread starters with a reply count
+-- ============================================
+
+-- migrate:up
+
+ALTER TABLE group_messages ADD COLUMN parent_id INTEGER;
+
+CREATE INDEX idx_group_messages_parent ON group_messages(parent_id);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_group_messages_parent;
+ALTER TABLE group_messages DROP COLUMN parent_id;
+
+-- ============================================
@@ -0,0 +1,71 @@
+-- ============================================
+-- MIGRATION 016: FRIENDSHIP PAIRS
+-- One row per pair of users, stored with the lower id first, so (A, B)
+-- and (B, A) can't both exist. action_user_id is whoever acted last: the
+-- requester of a pending request, the blocker of a block.
+-- ============================================
+
+-- migrate:up
+
+CREATE TABLE friendships_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id1 INTEGER NOT NULL,
+    user_id2 INTEGER NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'blocked', 'declined')),
+    action_user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id1, user_id2),
+    CHECK(user_id1 < user_id2),
+    FOREIGN KEY (user_id1) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id2) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (action_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Where both directions exist keep the one that matters most (a block,
+-- then a friendship, then a request), newest first
+INSERT INTO friendships_new (id, user_id1, user_id2, status, action_user_id, created_at, updated_at)
+SELECT id, MIN(user_id1, user_id2), MAX(user_id1, user_id2), status, COALESCE(action_user_id, user_id1),
+       created_at, updated_at
+FROM (
+    SELECT f.*, ROW_NUMBER() OVER (
+        PARTITION BY MIN(f.user_id1, f.user_id2), MAX(f.user_id1, f.user_id2)
+        ORDER BY CASE f.status WHEN 'blocked' THEN 0 WHEN 'accepted' THEN 1 WHEN 'pending' THEN 2 ELSE 3 END,
+                 f.updated_at DESC, f.id DESC
+    ) AS n
+    FROM friendships f
+    WHERE f.user_id1 != f.user_id2
+)
+WHERE n = 1;
+
+DROP TABLE friendships;
+ALTER TABLE friendships_new RENAME TO friendships;
+
+CREATE INDEX idx_friendships_user1 ON friendships(user_id1, status);
+CREATE INDEX idx_friendships_user2 ON friendships(user_id2, status);
+
+-- migrate:down
+
+CREATE TABLE friendships_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id1 INTEGER NOT NULL,
+    user_id2 INTEGER NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'blocked', 'declined')),
+    action_user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id1, user_id2),
+    FOREIGN KEY (user_id1) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id2) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (action_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+INSERT INTO friendships_old SELECT * FROM friendships;
+
+DROP TABLE friendships;
+ALTER TABLE friendships_old RENAME TO friendships;
+
+CREATE INDEX idx_friendships_user1 ON friendships(user_id1);
+CREATE INDEX idx_friendships_user2 ON friendships(user_id2);
+
+-- ============================================
@@ -0,0 +1,24 @@
+-- ============================================
+-- MIGRATION 017: ONE RUNNING POMODORO PER USER
+-- Two quick starts could both find no running timer and both insert one.
+-- Older duplicates are cancelled before the index goes on; the newest is
+-- the one /current already showed.
+-- ============================================
+
+-- migrate:up
+
+UPDATE pomodoro_sessions
+SET status = 'cancelled', completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP), phase_started_at = NULL
+WHERE status IN ('active', 'paused')
+  AND id NOT IN (
+      SELECT MAX(id) FROM pomodoro_sessions WHERE status IN ('active', 'paused') GROUP BY user_id
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pomodoro_sessions_running
+    ON pomodoro_sessions(user_id) WHERE status IN ('active', 'paused');
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_pomodoro_sessions_running;
+
+-- ============================================
@@ -0,0 +1,24 @@
+-- ============================================
+-- MIGRATION 018: FRIEND INVITES TO GROUP SESSIONS
+-- Marks the session_participants rows that let a non-member into a group
+-- session or its study room; other rows only count while the user is a
+-- member. Rows already held by users outside the group are marked, so
+-- nobody loses access they have today.
+-- ============================================
+
+-- migrate:up
+
+ALTER TABLE session_participants ADD COLUMN is_friend_invite INTEGER DEFAULT 0;
+
+UPDATE session_participants SET is_friend_invite = 1
+WHERE NOT EXISTS (
+    SELECT 1 FROM group_sessions gs
+    JOIN group_members m ON m.group_id = gs.group_id AND m.user_id = session_participants.user_id
+    WHERE gs.id = session_participants.session_id
+);
+
+-- migrate:down
+
+ALTER TABLE session_participants DROP COLUMN is_friend_invite;
+
+-- ============================================
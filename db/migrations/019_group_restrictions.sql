@@ -0,0 +1,51 @@
+-- ============================================
+-- MIGRATION 019: GROUP RESTRICTIONS
+-- Mutes and kicks move out of group_members into their own per-group
+-- table, so they outlast the membership: leaving and rejoining doesn't
+-- lift a mute, and a kicked user can't join again.
+-- ============================================
+
+-- migrate:up
+
+CREATE TABLE group_restrictions (
+    group_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    -- Can't post until this time (UTC)
+    muted_until DATETIME,
+    -- Kicked by a moderator; can't join again
+    is_banned INTEGER DEFAULT 0,
+    updated_by INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (group_id, user_id),
+    FOREIGN KEY (group_id) REFERENCES study_groups(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+INSERT INTO group_restrictions (group_id, user_id, muted_until)
+SELECT group_id, user_id, muted_until FROM group_members WHERE muted_until IS NOT NULL;
+
+-- Past kicks are in the moderation log; whoever has already rejoined stays
+INSERT INTO group_restrictions (group_id, user_id, is_banned, updated_by, updated_at)
+SELECT l.group_id, l.target_user_id, 1, l.actor_id, l.created_at
+FROM group_moderation_log l
+WHERE l.action = 'kick' AND l.target_user_id IS NOT NULL
+  AND l.id = (SELECT MAX(k.id) FROM group_moderation_log k
+              WHERE k.action = 'kick' AND k.group_id = l.group_id AND k.target_user_id = l.target_user_id)
+  AND NOT EXISTS (SELECT 1 FROM group_members m WHERE m.group_id = l.group_id AND m.user_id = l.target_user_id)
+ON CONFLICT (group_id, user_id) DO UPDATE SET is_banned = 1;
+
+ALTER TABLE group_members DROP COLUMN muted_until;
+
+-- migrate:down
+
+ALTER TABLE group_members ADD COLUMN muted_until DATETIME;
+
+UPDATE group_members SET muted_until = (
+    SELECT r.muted_until FROM group_restrictions r
+    WHERE r.group_id = group_members.group_id AND r.user_id = group_members.user_id
+);
+
+DROP TABLE IF EXISTS group_restrictions;
+
+-- ============================================
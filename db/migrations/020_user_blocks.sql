@@ -0,0 +1,42 @@
+-- ============================================
+-- MIGRATION 020: USER BLOCKS
+-- Blocks move out of friendships into one row per blocker, so two users
+-- can block each other and one lifting their block leaves the other's in
+-- place. A blocked pair has no friendships row.
+-- ============================================
+
+-- migrate:up
+
+CREATE TABLE user_blocks (
+    blocker_id INTEGER NOT NULL,
+    blocked_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (blocker_id, blocked_id),
+    CHECK(blocker_id <> blocked_id),
+    FOREIGN KEY (blocker_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (blocked_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_user_blocks_blocked ON user_blocks(blocked_id);
+
+INSERT INTO user_blocks (blocker_id, blocked_id, created_at)
+SELECT action_user_id, CASE WHEN action_user_id = user_id1 THEN user_id2 ELSE user_id1 END, updated_at
+FROM friendships
+WHERE status = 'blocked' AND action_user_id IS NOT NULL;
+
+DELETE FROM friendships WHERE status = 'blocked';
+
+-- migrate:down
+
+-- A pair that blocked each other keeps the older block
+INSERT INTO friendships (user_id1, user_id2, status, action_user_id, created_at, updated_at)
+SELECT MIN(blocker_id, blocked_id), MAX(blocker_id, blocked_id), 'blocked', blocker_id, created_at, created_at
+FROM user_blocks
+WHERE true
+ORDER BY created_at, blocker_id
+ON CONFLICT (user_id1, user_id2) DO NOTHING;
+
+DROP INDEX IF EXISTS idx_user_blocks_blocked;
+DROP TABLE IF EXISTS user_blocks;
+
+-- ============================================
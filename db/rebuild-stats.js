@@ -0,0 +1,28 @@
+// ============================================
+// STATS REBUILD CLI
+// npm run stats:rebuild [-- <from> [<to>]]   recompute daily_logs and
+// study streaks for every user (dates are YYYY-MM-DD, each user's local days)
+// ============================================
+
+import dotenv from 'dotenv';
+import * as db from './database.js';
+import { rebuildAllStats } from '../services/studyStats.js';
+
+dotenv.config();
+
+const [from, to] = process.argv.slice(2);
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+try {
+    if ([from, to].some(date => date && !DATE.test(date))) {
+        throw new Error('Dates must be YYYY-MM-DD');
+    }
+    await db.initialize({ migrateFresh: false });
+    const users = await rebuildAllStats({ from, to });
+    console.log(`📊 Rebuilt daily logs and streaks for ${users} user(s)`);
+    await db.close();
+} catch (err) {
+    console.error('❌ Stats rebuild failed:', err.message);
+    process.exitCode = 1;
+    await db.close();
+}
@@ -0,0 +1,129 @@
+// ============================================
+// AUTHENTICATION MIDDLEWARE
+// Accepts either the express-session cookie or a Bearer JWT
+// ============================================
+
+import jwt from 'jsonwebtoken';
+import { getDb } from '../db/database.js';
+
+// Read lazily: route modules are imported before server.js runs dotenv
+const jwtSecret = () => process.env.JWT_SECRET || process.env.SESSION_SECRET || 'your-secret-key';
+
+const PUBLIC_USER_FIELDS = `id, username, email, full_name, student_id, avatar_url, bio, university, major,
+    year_of_study, role, is_verified, is_active, is_online, last_seen, privacy_level, timezone,
+    study_goal_hours, notification_preferences, theme_preference, points, created_at, last_login`;
+
+export function signAccessToken(user) {
+    return jwt.sign(
+        { sub: user.id, ver: user.token_version || 0, type: 'access' },
+        jwtSecret(),
+        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    );
+}
+
+export function signRefreshToken(user) {
+    return jwt.sign(
+        { sub: user.id, ver: user.token_version || 0, type: 'refresh' },
+        jwtSecret(),
+        { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
+    );
+}
+
+/**
+ * Verify a token of the given type and return the active user it belongs to,
+ * or null. Tokens issued before the user's last "log out everywhere" fail.
+ */
+export async function verifyToken(token, type = 'access') {
+    let payload;
+    try {
+        payload = jwt.verify(token, jwtSecret());
+    } catch {
+        return null;
+    }
+    if (payload.type !== type) return null;
+    return currentUser(payload.sub, payload.ver);
+}
+
+// The active user, unless their token_version moved past `version`
+async function currentUser(id, version) {
+    const user = await getDb().get(
+        `SELECT ${PUBLIC_USER_FIELDS}, token_version FROM users WHERE id = ? AND is_active = 1`,
+        [id]
+    );
+    if (!user || (user.token_version || 0) !== (version || 0)) return null;
+    delete user.token_version;
+    return user;
+}
+
+export async function findPublicUser(id) {
+    return getDb().get(`SELECT ${PUBLIC_USER_FIELDS} FROM users WHERE id = ? AND is_active = 1`, [id]);
+}
+
+/**
+ * Resolve the caller from a session (cookie) or an Authorization header.
+ * Shared by the REST middleware below and the Socket.IO handshake. Sessions
+ * carry the token_version they were started with, so logging out
+ * everywhere or resetting the password ends them like it revokes JWTs.
+ */
+export async function resolveUser({ session, authorization }) {
+    const match = /^Bearer\s+(.+)$/i.exec(authorization || '');
+    if (match) return verifyToken(match[1]);
+    if (session?.userId) return currentUser(session.userId, session.tokenVersion);
+    return null;
+}
+
+/**
+ * Require an authenticated user; sets req.user.
+ */
+export async function authenticate(req, res, next) {
+    try {
+        const user = await resolveUser({ session: req.session, authorization: req.headers.authorization });
+        if (!user) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
+        req.user = user;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Like authenticate, but lets anonymous requests through with req.user unset.
+ */
+export async function optionalAuth(req, res, next) {
+    try {
+        req.user = await resolveUser({ session: req.session, authorization: req.headers.authorization }) || undefined;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+export function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+        }
+        next();
+    };
+}
+
+/**
+ * Socket.IO middleware: authenticate the handshake with the session (shared
+ * via io.engine.use) or a token passed as `auth: { token }` / Authorization.
+ */
+export async function authenticateSocket(socket, next) {
+    try {
+        const { token } = socket.handshake.auth || {};
+        const user = await resolveUser({
+            session: socket.request.session,
+            authorization: token ? `Bearer ${token}` : socket.request.headers.authorization
+        });
+        if (!user) return next(new Error('Authentication required'));
+        socket.data.user = user;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
@@ -0,0 +1,34 @@
+// ============================================
+// FILE UPLOADS
+// ============================================
+
+import multer from 'multer';
+
+/**
+ * Accept one in-memory file in `field` whose name matches `extensions` (or
+ * whose type matches `mimeTypes`). Upload problems are answered with 400.
+ * With `optional`, requests without a file (e.g. JSON bodies) pass through.
+ */
+export function singleFileUpload({ field = 'file', maxBytes = 1024 * 1024, extensions, mimeTypes, optional = false }) {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: 1 },
+        fileFilter: (req, file, cb) => {
+            const accepted = extensions.test(file.originalname) || Boolean(mimeTypes?.test(file.mimetype));
+            cb(accepted ? null : Object.assign(new Error(`Unsupported file type: ${file.originalname}`), { status: 400 }), accepted);
+        }
+    });
+
+    return (req, res, next) => {
+        upload.single(field)(req, res, err => {
+            if (err) {
+                const status = err instanceof multer.MulterError ? 400 : err.status || 500;
+                return res.status(status).json({ success: false, message: err.message });
+            }
+            if (!req.file && !optional) {
+                return res.status(400).json({ success: false, message: `No file uploaded (field "${field}")` });
+            }
+            next();
+        });
+    };
+}
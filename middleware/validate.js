@@ -0,0 +1,24 @@
+// ============================================
+// REQUEST VALIDATION HELPERS
+// ============================================
+
+import { validationResult } from 'express-validator';
+
+/**
+ * Place after express-validator chains; rejects the request with the
+ * collected errors when any chain failed.
+ */
+export function validate(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+    next();
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error middleware.
+ */
+export function asyncHandler(fn) {
+    return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
@@ -0,0 +1,248 @@
+// ============================================
+// ANALYTICS ROUTES - /api/analytics
+// Study time, goals, productivity trends, study hours, an activity feed
+// and PDF/Excel reports. Dates are local to ?tz= (default: the user's
+// time zone).
+// ============================================
+
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { getDb } from '../db/database.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, asyncHandler } from '../middleware/validate.js';
+import {
+    isTimeZone, rangeBounds, weekStart, studyBlocks, minutesByDay, subjectBreakdown,
+    productivityTrend, studyHours, studyGoals, activityFeed
+} from '../services/analytics.js';
+import {
+    REPORT_FORMATS, reportPeriod, reportFilename, buildReport, renderReportPdf, renderReportWorkbook
+} from '../services/reports.js';
+import { safeTimeZone, todayIn, addDays } from '../utils/time.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const MAX_RANGE_DAYS = 366;
+
+// ========== HELPERS ==========
+
+const tzRule = query('tz').optional().custom(isTimeZone).withMessage('tz must be an IANA time zone');
+
+// ?from=&to=&tz= as req.range = { from, to, timeZone, start, end }; the
+// default range is the `defaultDays` days up to today
+const dateRange = (defaultDays) => [
+    query('from').optional().isISO8601({ strict: true }).withMessage('from must be YYYY-MM-DD'),
+    query('to').optional().isISO8601({ strict: true }).withMessage('to must be YYYY-MM-DD'),
+    tzRule,
+    validate,
+    (req, res, next) => {
+        const timeZone = req.query.tz || safeTimeZone(req.user.timezone);
+        const to = req.query.to || todayIn(timeZone);
+        const from = req.query.from || addDays(to, -(defaultDays - 1));
+        if (from > to) {
+            return res.status(400).json({ success: false, message: 'from must not be after to' });
+        }
+        if (addDays(from, MAX_RANGE_DAYS) <= to) {
+            return res.status(400).json({ success: false, message: `The range can span at most ${MAX_RANGE_DAYS} days` });
+        }
+        req.range = { from, to, timeZone, ...rangeBounds(from, to, timeZone) };
+        next();
+    }
+];
+
+const hours = minutes => Math.round((minutes / 60) * 10) / 10;
+
+async function loadBlocks(req) {
+    return studyBlocks(req.user, req.range.start, req.range.end);
+}
+
+// ========== PROGRESS ==========
+
+// The Monday-to-Sunday week containing ?date= (default today): hours vs.
+// user_settings.weekly_study_goal, per day and per subject
+router.get('/weekly',
+    query('date').optional().isISO8601({ strict: true }).withMessage('date must be YYYY-MM-DD'),
+    tzRule,
+    validate,
+    asyncHandler(async (req, res) => {
+        const timeZone = req.query.tz || safeTimeZone(req.user.timezone);
+        const from = weekStart(req.query.date || todayIn(timeZone));
+        const to = addDays(from, 6);
+        req.range = { from, to, timeZone, ...rangeBounds(from, to, timeZone) };
+
+        const [blocks, goals] = await Promise.all([loadBlocks(req), studyGoals(req.user.id)]);
+        const days = minutesByDay(blocks, from, to, timeZone);
+        const minutes = days.reduce((sum, day) => sum + day.minutes, 0);
+
+        res.json({
+            success: true,
+            week_start: from,
+            week_end: to,
+            time_zone: timeZone,
+            hours_goal: goals.weekly,
+            hours_completed: hours(minutes),
+            minutes_completed: minutes,
+            percent_of_goal: goals.weekly ? Math.round((minutes / 60 / goals.weekly) * 100) : null,
+            daily_goal_hours: goals.daily,
+            days: days.map(day => ({ ...day, hours: hours(day.minutes), goal_met: day.minutes >= goals.daily * 60 })),
+            subjects: await subjectBreakdown(req.user, blocks)
+        });
+    })
+);
+
+// ?month=YYYY-MM (default this month): hours per day, per Monday-based
+// week and per subject; the goal is the weekly goal scaled to the month
+router.get('/monthly',
+    query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('month must be YYYY-MM'),
+    tzRule,
+    validate,
+    asyncHandler(async (req, res) => {
+        const timeZone = req.query.tz || safeTimeZone(req.user.timezone);
+        const from = `${req.query.month || todayIn(timeZone).slice(0, 7)}-01`;
+        const to = addDays(`${addDays(from, 31).slice(0, 7)}-01`, -1);
+        req.range = { from, to, timeZone, ...rangeBounds(from, to, timeZone) };
+
+        const [blocks, goals] = await Promise.all([loadBlocks(req), studyGoals(req.user.id)]);
+        const days = minutesByDay(blocks, from, to, timeZone);
+        const minutes = days.reduce((sum, day) => sum + day.minutes, 0);
+        const goal = Math.round((goals.weekly * days.length / 7) * 10) / 10;
+
+        const weeks = new Map();
+        for (const day of days) {
+            const week = weekStart(day.date);
+            weeks.set(week, (weeks.get(week) || 0) + day.minutes);
+        }
+
+        res.json({
+            success: true,
+            month: from.slice(0, 7),
+            time_zone: timeZone,
+            hours_goal: goal,
+            hours_completed: hours(minutes),
+            minutes_completed: minutes,
+            percent_of_goal: goal ? Math.round((minutes / 60 / goal) * 100) : null,
+            days_studied: days.filter(day => day.minutes > 0).length,
+            days: days.map(day => ({ ...day, hours: hours(day.minutes) })),
+            weeks: [...weeks].map(([week, weekMinutes]) => ({
+                week_start: week, minutes: weekMinutes, hours: hours(weekMinutes)
+            })),
+            subjects: await subjectBreakdown(req.user, blocks)
+        });
+    })
+);
+
+// ========== BREAKDOWNS ==========
+
+router.get('/subjects', dateRange(30), asyncHandler(async (req, res) => {
+    const { from, to, timeZone } = req.range;
+    const subjects = await subjectBreakdown(req.user, await loadBlocks(req));
+    const minutes = subjects.reduce((sum, s) => sum + s.minutes, 0);
+    res.json({
+        success: true,
+        from,
+        to,
+        time_zone: timeZone,
+        total_minutes: minutes,
+        subjects: subjects.map(s => ({ ...s, share: minutes ? Math.round((s.minutes / minutes) * 100) : 0 }))
+    });
+}));
+
+// Average self-rating (1-5) and completed vs. missed sessions per day or week
+router.get('/productivity',
+    query('interval').optional().isIn(['day', 'week']),
+    dateRange(30),
+    asyncHandler(async (req, res) => {
+        const { from, to, timeZone } = req.range;
+        const interval = req.query.interval || 'day';
+        res.json({
+            success: true,
+            from,
+            to,
+            time_zone: timeZone,
+            interval,
+            trend: productivityTrend(await loadBlocks(req), from, to, timeZone, interval)
+        });
+    })
+);
+
+// When the user studies: minutes per local hour of day and weekday
+router.get('/study-hours', dateRange(30), asyncHandler(async (req, res) => {
+    const { from, to, timeZone } = req.range;
+    res.json({ success: true, from, to, time_zone: timeZone, ...studyHours(await loadBlocks(req), timeZone) });
+}));
+
+// ========== ACTIVITY ==========
+
+router.get('/recent-activity',
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    dateRange(30),
+    asyncHandler(async (req, res) => {
+        const { from, to, timeZone, start, end } = req.range;
+        const activities = await activityFeed(req.user, start, end, req.query.limit || 20);
+        res.json({ success: true, from, to, time_zone: timeZone, activities });
+    })
+);
+
+// ========== REPORTS ==========
+
+// Download a report: ?period=week (the week containing ?date=) or
+// ?period=term (?from= to ?to=, default the last 16 weeks)
+router.get('/reports/:format(pdf|xlsx)',
+    param('format').isIn(Object.keys(REPORT_FORMATS)),
+    query('period').optional().isIn(['week', 'term']).withMessage('period must be week or term'),
+    query('date').optional().isISO8601({ strict: true }).withMessage('date must be YYYY-MM-DD'),
+    query('from').optional().isISO8601({ strict: true }).withMessage('from must be YYYY-MM-DD'),
+    query('to').optional().isISO8601({ strict: true }).withMessage('to must be YYYY-MM-DD'),
+    tzRule,
+    validate,
+    asyncHandler(async (req, res) => {
+        const timeZone = req.query.tz || safeTimeZone(req.user.timezone);
+        const period = reportPeriod(req.query, timeZone);
+        if (period.from > period.to) {
+            return res.status(400).json({ success: false, message: 'from must not be after to' });
+        }
+        if (addDays(period.from, MAX_RANGE_DAYS) <= period.to) {
+            return res.status(400).json({ success: false, message: `The range can span at most ${MAX_RANGE_DAYS} days` });
+        }
+
+        const report = await buildReport({ ...req.user, timezone: timeZone }, period);
+        const { format } = req.params;
+        const file = format === 'pdf' ? await renderReportPdf(report) : await renderReportWorkbook(report);
+
+        res.set({
+            'Content-Type': REPORT_FORMATS[format],
+            'Content-Disposition': `attachment; filename="${reportFilename(report, format)}"`,
+            'Cache-Control': 'no-store'
+        });
+        res.send(file);
+    })
+);
+
+// Opt in or out of the Sunday evening email with the week's report
+router.get('/reports/email', asyncHandler(async (req, res) => {
+    const settings = await getDb().get(
+        'SELECT weekly_report_email, weekly_report_sent_at FROM user_settings WHERE user_id = ?',
+        [req.user.id]
+    );
+    res.json({
+        success: true,
+        enabled: Boolean(settings?.weekly_report_email),
+        last_sent_at: settings?.weekly_report_sent_at || null
+    });
+}));
+
+router.put('/reports/email',
+    body('enabled').isBoolean().withMessage('enabled must be true or false').toBoolean(),
+    validate,
+    asyncHandler(async (req, res) => {
+        await getDb().run(
+            `INSERT INTO user_settings (user_id, weekly_report_email) VALUES (?, ?)
+             ON CONFLICT(user_id) DO UPDATE SET weekly_report_email = excluded.weekly_report_email`,
+            [req.user.id, req.body.enabled ? 1 : 0]
+        );
+        res.json({ success: true, enabled: req.body.enabled });
+    })
+);
+
+export default router;
@@ -0,0 +1,371 @@
+// ============================================
+// AUTH ROUTES - /api/auth
+// Register, login, logout, current user and token refresh
+// ============================================
+
+import express from 'express';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { body } from 'express-validator';
+import { getDb } from '../db/database.js';
+import {
+    authenticate, optionalAuth, signAccessToken, signRefreshToken, verifyToken, findPublicUser
+} from '../middleware/auth.js';
+import { validate, asyncHandler } from '../middleware/validate.js';
+import { sendMail, appUrl } from '../services/mailer.js';
+
+const router = express.Router();
+
+const maxLoginAttempts = () => Number(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const lockoutMinutes = () => Number(process.env.LOCKOUT_MINUTES) || 15;
+
+const VERIFICATION_TTL = '+24 hours';
+const RESET_TTL = '+1 hour';
+const RESET_EMAILS_PER_HOUR = 3;
+
+// ========== HELPERS ==========
+
+function deviceType(userAgent = '') {
+    if (/tablet|ipad/i.test(userAgent)) return 'tablet';
+    if (/mobile|android|iphone/i.test(userAgent)) return 'mobile';
+    return 'desktop';
+}
+
+async function recordLogin(req, userId, success) {
+    const userAgent = req.get('user-agent') || null;
+    await getDb().run(
+        `INSERT INTO login_history (user_id, ip_address, user_agent, device_type, success)
+         VALUES (?, ?, ?, ?, ?)`,
+        [userId, req.ip, userAgent, deviceType(userAgent || ''), success ? 1 : 0]
+    );
+}
+
+async function recentFailures(email) {
+    const row = await getDb().get(
+        `SELECT COUNT(*) AS attempts, MIN(attempt_time) AS first_attempt FROM failed_logins
+         WHERE email = ? AND attempt_time > datetime('now', ?)`,
+        [email, `-${lockoutMinutes()} minutes`]
+    );
+    return row;
+}
+
+// Only a SHA-256 of each emailed token is stored, so a leaked database
+// can't be used to verify accounts or reset passwords.
+function newToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, hash: hashToken(token) };
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function sendVerificationEmail(user) {
+    const { token, hash } = newToken();
+    await getDb().run(
+        "INSERT INTO email_verifications (user_id, token, expires_at) VALUES (?, ?, datetime('now', ?))",
+        [user.id, hash, VERIFICATION_TTL]
+    );
+
+    const link = appUrl(`/api/auth/verify-email?token=${token}`);
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your StudySync email',
+        text: `Hi ${user.full_name || user.username},\n\nConfirm your email address by opening this link within 24 hours:\n${link}\n`,
+        html: `<p>Hi ${user.full_name || user.username},</p>
+               <p>Confirm your email address by opening this link within 24 hours:</p>
+               <p><a href="${link}">${link}</a></p>`
+    });
+}
+
+// Marks the token used and the user verified; null when the token is
+// unknown, expired or already consumed.
+async function consumeVerification(token) {
+    const db = getDb();
+    const row = await db.get(
+        `SELECT id, user_id FROM email_verifications
+         WHERE token = ? AND verified_at IS NULL AND expires_at > datetime('now')`,
+        [hashToken(token)]
+    );
+    if (!row) return null;
+
+    const { changes } = await db.run(
+        'UPDATE email_verifications SET verified_at = CURRENT_TIMESTAMP WHERE id = ? AND verified_at IS NULL',
+        [row.id]
+    );
+    if (!changes) return null;
+
+    await db.run('UPDATE users SET is_verified = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [row.user_id]);
+    return row.user_id;
+}
+
+// Start a fresh session (avoids fixation) and hand back a token pair, so
+// cookie-based pages and Bearer-token clients stay logged in together.
+async function establishLogin(req, user) {
+    await new Promise((resolve, reject) => req.session.regenerate(err => (err ? reject(err) : resolve())));
+    req.session.userId = user.id;
+    req.session.tokenVersion = user.token_version || 0;
+    return {
+        token: signAccessToken(user),
+        refreshToken: signRefreshToken(user)
+    };
+}
+
+// ========== REGISTER ==========
+
+router.post('/register',
+    body('username').trim().matches(/^[A-Za-z0-9_]{3,50}$/)
+        .withMessage('Username must be 3-50 letters, numbers or underscores'),
+    body('email').trim().isEmail().withMessage('A valid email is required').normalizeEmail(),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('full_name').optional().trim().isLength({ max: 100 }),
+    validate,
+    asyncHandler(async (req, res) => {
+        const { username, email, password, full_name: fullName } = req.body;
+        const db = getDb();
+
+        // Login matches usernames whatever their case, so register must too
+        const taken = await db.get(
+            'SELECT username, email FROM users WHERE LOWER(email) = LOWER(?) OR LOWER(username) = LOWER(?)',
+            [email, username]
+        );
+        if (taken) {
+            const field = taken.email.toLowerCase() === email.toLowerCase() ? 'Email' : 'Username';
+            return res.status(409).json({ success: false, message: `${field} is already registered` });
+        }
+
+        const passwordHash = await bcrypt.hash(password, Number(process.env.BCRYPT_ROUNDS) || 10);
+        const { lastID } = await db.run(
+            'INSERT INTO users (username, email, password_hash, full_name) VALUES (?, ?, ?, ?)',
+            [username, email, passwordHash, fullName || null]
+        );
+        await db.run('INSERT INTO user_settings (user_id) VALUES (?)', [lastID]);
+        await db.run('INSERT INTO study_streaks (user_id) VALUES (?)', [lastID]);
+
+        const user = await findPublicUser(lastID);
+        const tokens = await establishLogin(req, { ...user, token_version: 0 });
+        await recordLogin(req, lastID, true);
+
+        // Registration succeeds even if the mail server is down; the user can resend
+        sendVerificationEmail(user).catch(err => console.error('Error sending verification email:', err));
+
+        res.status(201).json({ success: true, user, ...tokens });
+    })
+);
+
+// ========== LOGIN ==========
+
+router.post('/login',
+    body('email').trim().notEmpty().withMessage('Email or username is required'),
+    // Emails are stored as register normalized them (lowercase, no gmail dots)
+    body('email').if(body('email').isEmail()).normalizeEmail(),
+    body('password').notEmpty().withMessage('Password is required'),
+    validate,
+    asyncHandler(async (req, res) => {
+        const identifier = req.body.email.toLowerCase();
+        const db = getDb();
+
+        const account = await db.get(
+            'SELECT * FROM users WHERE LOWER(email) = ? OR LOWER(username) = ?',
+            [identifier, identifier]
+        );
+        // Failed attempts are keyed by the account's email when it exists,
+        // so switching between email and username doesn't reset the count
+        const lockKey = account ? account.email.toLowerCase() : identifier;
+
+        const before = await recentFailures(lockKey);
+        if (before.attempts >= maxLoginAttempts()) {
+            return res.status(423).json({
+                success: false,
+                message: `Too many failed attempts. Try again in ${lockoutMinutes()} minutes.`
+            });
+        }
+
+        const valid = account && await bcrypt.compare(req.body.password, account.password_hash);
+        if (!valid) {
+            await db.run('INSERT INTO failed_logins (email, ip_address) VALUES (?, ?)', [lockKey, req.ip]);
+            if (account) await recordLogin(req, account.id, false);
+
+            const remaining = maxLoginAttempts() - before.attempts - 1;
+            return res.status(401).json({
+                success: false,
+                message: remaining > 0
+                    ? 'Invalid email or password'
+                    : `Too many failed attempts. Account locked for ${lockoutMinutes()} minutes.`
+            });
+        }
+
+        if (!account.is_active) {
+            return res.status(403).json({ success: false, message: 'This account has been deactivated' });
+        }
+
+        await db.run('DELETE FROM failed_logins WHERE email = ?', [lockKey]);
+        await db.run('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [account.id]);
+        await recordLogin(req, account.id, true);
+
+        const tokens = await establishLogin(req, account);
+        const user = await findPublicUser(account.id);
+        res.json({ success: true, user, ...tokens });
+    })
+);
+
+// ========== LOGOUT ==========
+
+// Ends the cookie session. With { everywhere: true } every issued JWT is
+// revoked too by bumping the user's token_version.
+router.post('/logout', optionalAuth, asyncHandler(async (req, res) => {
+    if (req.user && req.body?.everywhere) {
+        await getDb().run('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [req.user.id]);
+    }
+
+    await new Promise((resolve, reject) => req.session.destroy(err => (err ? reject(err) : resolve())));
+    res.clearCookie('connect.sid');
+    res.json({ success: true, message: 'Logged out' });
+}));
+
+// ========== CURRENT USER ==========
+
+router.get('/me', authenticate, (req, res) => {
+    res.json({ success: true, user: req.user });
+});
+
+// ========== EMAIL VERIFICATION ==========
+
+// Link target from the verification email
+router.get('/verify-email', asyncHandler(async (req, res) => {
+    const userId = req.query.token && await consumeVerification(req.query.token);
+    res.redirect(`/login.html?verified=${userId ? 1 : 0}`);
+}));
+
+router.post('/verify-email',
+    body('token').isString().notEmpty(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const userId = await consumeVerification(req.body.token);
+        if (!userId) {
+            return res.status(400).json({ success: false, message: 'Verification link is invalid or has expired' });
+        }
+        res.json({ success: true, message: 'Email verified' });
+    })
+);
+
+router.post('/resend-verification', authenticate, asyncHandler(async (req, res) => {
+    if (req.user.is_verified) {
+        return res.status(400).json({ success: false, message: 'Email is already verified' });
+    }
+
+    const recent = await getDb().get(
+        "SELECT id FROM email_verifications WHERE user_id = ? AND created_at > datetime('now', '-1 minute')",
+        [req.user.id]
+    );
+    if (recent) {
+        return res.status(429).json({ success: false, message: 'Please wait a minute before requesting another email' });
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ success: true, message: 'Verification email sent' });
+}));
+
+// ========== PASSWORD RESET ==========
+
+// Always answers the same way so the endpoint can't be used to probe
+// which emails are registered: the mail goes out in the background, and
+// past RESET_EMAILS_PER_HOUR for an address further requests are dropped.
+router.post('/forgot-password',
+    body('email').trim().isEmail().normalizeEmail(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const db = getDb();
+        const user = await db.get(
+            'SELECT id, email, username, full_name FROM users WHERE email = ? AND is_active = 1',
+            [req.body.email]
+        );
+
+        const { recent } = user
+            ? await db.get(
+                `SELECT COUNT(*) AS recent FROM password_resets
+                 WHERE user_id = ? AND created_at > datetime('now', '-1 hour')`,
+                [user.id]
+            )
+            : { recent: 0 };
+
+        if (user && recent < RESET_EMAILS_PER_HOUR) {
+            const { token, hash } = newToken();
+            await db.run(
+                "INSERT INTO password_resets (user_id, token, expires_at) VALUES (?, ?, datetime('now', ?))",
+                [user.id, hash, RESET_TTL]
+            );
+
+            const link = appUrl(`/reset-password.html?token=${token}`);
+            sendMail({
+                to: user.email,
+                subject: 'Reset your StudySync password',
+                text: `Hi ${user.full_name || user.username},\n\nReset your password within the next hour here:\n${link}\n\nIf you didn't ask for this, you can ignore this email.\n`,
+                html: `<p>Hi ${user.full_name || user.username},</p>
+                       <p>Reset your password within the next hour here:</p>
+                       <p><a href="${link}">${link}</a></p>
+                       <p>If you didn't ask for this, you can ignore this email.</p>`
+            }).catch(err => console.error('Error sending password reset email:', err));
+        }
+
+        res.json({ success: true, message: 'If that email is registered, a reset link has been sent' });
+    })
+);
+
+router.post('/reset-password',
+    body('token').isString().notEmpty(),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    validate,
+    asyncHandler(async (req, res) => {
+        const db = getDb();
+        const reset = await db.get(
+            "SELECT id, user_id FROM password_resets WHERE token = ? AND used = 0 AND expires_at > datetime('now')",
+            [hashToken(req.body.token)]
+        );
+        const { changes } = reset
+            ? await db.run('UPDATE password_resets SET used = 1 WHERE id = ? AND used = 0', [reset.id])
+            : { changes: 0 };
+        if (!changes) {
+            return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired' });
+        }
+
+        const passwordHash = await bcrypt.hash(req.body.password, Number(process.env.BCRYPT_ROUNDS) || 10);
+        const user = await db.get('SELECT email FROM users WHERE id = ?', [reset.user_id]);
+
+        // New password: retire other outstanding links, revoke issued JWTs
+        // and clear any lockout on the account
+        await db.run(
+            `UPDATE users SET password_hash = ?, token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [passwordHash, reset.user_id]
+        );
+        await db.run('UPDATE password_resets SET used = 1 WHERE user_id = ? AND used = 0', [reset.user_id]);
+        await db.run('DELETE FROM failed_logins WHERE email = ?', [user.email.toLowerCase()]);
+
+        res.json({ success: true, message: 'Password updated. Please log in again.' });
+    })
+);
+
+// ========== TOKEN REFRESH ==========
+
+router.post('/refresh',
+    body('refreshToken').isString().notEmpty(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const user = await verifyToken(req.body.refreshToken, 'refresh');
+        if (!user) {
+            return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+        }
+
+        const { token_version: tokenVersion } = await getDb().get('SELECT token_version FROM users WHERE id = ?', [user.id]);
+        const account = { ...user, token_version: tokenVersion };
+        res.json({
+            success: true,
+            user,
+            token: signAccessToken(account),
+            refreshToken: signRefreshToken(account)
+        });
+    })
+);
+
+export default router;
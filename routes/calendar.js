@@ -0,0 +1,224 @@
+// ============================================
+// CALENDAR ROUTES - /api/calendar
+// Private iCalendar subscription feed, one-off .ics downloads and
+// timetable import into free slots
+// ============================================
+
+import express from 'express';
+import crypto from 'crypto';
+import { body, param } from 'express-validator';
+import { getDb, withTransaction } from '../db/database.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, asyncHandler } from '../middleware/validate.js';
+import { singleFileUpload } from '../middleware/upload.js';
+import {
+    buildUserFeed, renderCalendar, studySessionEvent, groupSessionEvent, feedUrls
+} from '../services/calendar.js';
+import { IMPORT_DEFAULTS, buildTimetable, saveTimetable } from '../services/timetable.js';
+import { parseICalendar } from '../utils/ical.js';
+import { todayIn } from '../utils/time.js';
+
+const router = express.Router();
+
+// ========== HELPERS ==========
+
+// The feed token is the only credential a calendar app sends, so only its
+// SHA-256 is stored and the plain token is shown once, when created.
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function sendCalendar(res, body, filename, { download = false } = {}) {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename="${filename}"`,
+        'Cache-Control': 'private, no-cache'
+    });
+    res.send(body);
+}
+
+async function activeFeed(userId) {
+    return getDb().get(
+        `SELECT id, created_at, last_accessed_at FROM calendar_feeds
+         WHERE user_id = ? AND revoked_at IS NULL`,
+        [userId]
+    );
+}
+
+// ========== SUBSCRIPTION FEED ==========
+
+// Public: the token in the URL is the credential
+router.get('/feed/:token.ics', asyncHandler(async (req, res) => {
+    const db = getDb();
+    const feed = await db.get(
+        `SELECT f.id, u.id AS user_id, u.username, u.timezone
+         FROM calendar_feeds f JOIN users u ON u.id = f.user_id
+         WHERE f.token_hash = ? AND f.revoked_at IS NULL AND u.is_active = 1`,
+        [hashToken(req.params.token)]
+    );
+    // Unknown, revoked and malformed tokens all look the same
+    if (!feed) {
+        return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+    }
+
+    const events = await buildUserFeed({ id: feed.user_id, timezone: feed.timezone });
+    await db.run('UPDATE calendar_feeds SET last_accessed_at = CURRENT_TIMESTAMP WHERE id = ?', [feed.id]);
+    sendCalendar(res, renderCalendar(events, `StudySync - ${feed.username}`), 'studysync.ics');
+}));
+
+// Whether the user has a feed (the URL itself can't be shown again)
+router.get('/feed', authenticate, asyncHandler(async (req, res) => {
+    const feed = await activeFeed(req.user.id);
+    res.json({ success: true, feed: feed || null });
+}));
+
+// Create the feed URL, or rotate it: any previous URL stops working
+router.post('/feed', authenticate, asyncHandler(async (req, res) => {
+    const db = getDb();
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await withTransaction(async () => {
+        await db.run(
+            'UPDATE calendar_feeds SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+            [req.user.id]
+        );
+        await db.run('INSERT INTO calendar_feeds (user_id, token_hash) VALUES (?, ?)', [req.user.id, hashToken(token)]);
+    });
+
+    res.status(201).json({ success: true, feed: await activeFeed(req.user.id), ...feedUrls(token) });
+}));
+
+router.delete('/feed', authenticate, asyncHandler(async (req, res) => {
+    const { changes } = await getDb().run(
+        'UPDATE calendar_feeds SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+        [req.user.id]
+    );
+    if (!changes) {
+        return res.status(404).json({ success: false, message: 'No active calendar feed' });
+    }
+    res.json({ success: true, message: 'Calendar feed revoked' });
+}));
+
+// ========== SINGLE EVENTS ==========
+
+router.get('/sessions/:id.ics',
+    authenticate,
+    param('id').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const session = await getDb().get(
+            `SELECT s.*, sub.name AS subject, t.name AS topic
+             FROM study_sessions s
+             LEFT JOIN subjects sub ON sub.id = s.subject_id
+             LEFT JOIN subject_topics t ON t.id = s.topic_id
+             WHERE s.id = ? AND s.user_id = ?`,
+            [req.params.id, req.user.id]
+        );
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        const ics = renderCalendar([studySessionEvent(session, req.user.timezone)]);
+        sendCalendar(res, ics, `study-session-${session.id}.ics`, { download: true });
+    })
+);
+
+// Group sessions can be downloaded by any member of the group
+router.get('/group-sessions/:id.ics',
+    authenticate,
+    param('id').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const session = await getDb().get(
+            `SELECT gs.*, g.name AS group_name, p.status AS rsvp
+             FROM group_sessions gs
+             JOIN study_groups g ON g.id = gs.group_id
+             JOIN group_members m ON m.group_id = gs.group_id AND m.user_id = ?
+             LEFT JOIN session_participants p ON p.session_id = gs.id AND p.user_id = m.user_id
+             WHERE gs.id = ?`,
+            [req.user.id, req.params.id]
+        );
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'Group session not found' });
+        }
+
+        const ics = renderCalendar([groupSessionEvent(session)]);
+        sendCalendar(res, ics, `group-session-${session.id}.ics`, { download: true });
+    })
+);
+
+// ========== TIMETABLE IMPORT ==========
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const uploadTimetable = singleFileUpload({
+    extensions: /\.(ics|ical|ifb)$/i,
+    mimeTypes: /^text\/calendar\b/
+});
+
+const importRules = [
+    body('start_date').optional().isISO8601({ strict: true }).withMessage('start_date must be YYYY-MM-DD'),
+    body('weeks').optional().isInt({ min: 1, max: 26 }).toInt(),
+    body('day_start').optional().matches(TIME_PATTERN).withMessage('day_start must be HH:MM'),
+    body('day_end').optional().matches(TIME_PATTERN).withMessage('day_end must be HH:MM'),
+    body('min_slot_minutes').optional().isInt({ min: 15, max: 240 }).toInt(),
+    body('replace').optional().isBoolean().toBoolean(),
+    body('tag_subjects').optional().isBoolean().toBoolean(),
+    validate
+];
+
+async function timetableFromUpload(req) {
+    const options = {
+        weeks: req.body.weeks || IMPORT_DEFAULTS.weeks,
+        dayStart: req.body.day_start || IMPORT_DEFAULTS.dayStart,
+        dayEnd: req.body.day_end || IMPORT_DEFAULTS.dayEnd,
+        minSlotMinutes: req.body.min_slot_minutes || IMPORT_DEFAULTS.minSlotMinutes
+    };
+    if (options.dayEnd <= options.dayStart) {
+        return { error: 'day_end must be after day_start' };
+    }
+
+    let parsed;
+    try {
+        parsed = parseICalendar(req.file.buffer.toString('utf8'));
+    } catch (err) {
+        return { error: err.message };
+    }
+
+    const subjects = await getDb().all(
+        'SELECT id, name, classroom FROM subjects WHERE user_id = ? AND is_active = 1',
+        [req.user.id]
+    );
+    return {
+        timetable: buildTimetable(parsed, {
+            timeZone: req.user.timezone,
+            startDate: req.body.start_date || todayIn(req.user.timezone),
+            subjects,
+            options
+        })
+    };
+}
+
+// Parse a timetable and show its classes and the free slots it leaves
+router.post('/import/preview', authenticate, uploadTimetable, importRules, asyncHandler(async (req, res) => {
+    const { timetable, error } = await timetableFromUpload(req);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    res.json({ success: true, timetable });
+}));
+
+// Same, then save the free slots (replacing existing ones unless replace=false)
+router.post('/import/commit', authenticate, uploadTimetable, importRules, asyncHandler(async (req, res) => {
+    const { timetable, error } = await timetableFromUpload(req);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    const result = await saveTimetable(req.user.id, timetable, {
+        replace: req.body.replace !== false,
+        tagSubjects: req.body.tag_subjects === true
+    });
+    res.status(201).json({ success: true, timetable, ...result });
+}));
+
+export default router;
@@ -0,0 +1,290 @@
+// ============================================
+// FLASHCARD ROUTES - /api/flashcards
+// Card CRUD, deck import/export, the spaced-repetition due queue and reviews
+// ============================================
+
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { getDb, withTransaction } from '../db/database.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, asyncHandler } from '../middleware/validate.js';
+import { singleFileUpload } from '../middleware/upload.js';
+import { scheduleReview, parseGrade } from '../services/srs.js';
+import { DECK_FORMATS, detectFormat, parseDeck, planImport, applyImport, exportDeck } from '../services/decks.js';
+import { toSqlDateTime } from '../utils/time.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// ========== HELPERS ==========
+
+const CARD_SELECT = `
+    SELECT f.*, s.name AS subject, s.color AS subject_color
+    FROM flashcards f
+    LEFT JOIN subjects s ON s.id = f.subject_id`;
+
+// New cards (never reviewed) have no next_review and are always due
+const DUE = '(f.next_review IS NULL OR f.next_review <= ?)';
+
+async function findCard(userId, id) {
+    return getDb().get(`${CARD_SELECT} WHERE f.id = ? AND f.user_id = ?`, [id, userId]);
+}
+
+async function ownsSubject(userId, subjectId) {
+    if (subjectId == null || subjectId === '') return true;
+    const row = await getDb().get('SELECT id FROM subjects WHERE id = ? AND user_id = ?', [subjectId, userId]);
+    return Boolean(row);
+}
+
+const subjectFilter = query('subject_id').optional().isInt().toInt();
+
+// ========== IMPORT / EXPORT ==========
+
+// Decks arrive as a file upload, or as JSON { format, content }
+const uploadDeck = singleFileUpload({
+    maxBytes: 5 * 1024 * 1024,
+    extensions: /\.(csv|tsv|txt|json)$/i,
+    optional: true
+});
+
+// dry_run (default true) only reports what would happen
+router.post('/import',
+    uploadDeck,
+    body('format').optional().isIn(DECK_FORMATS),
+    body('content').if((value, { req }) => !req.file)
+        .notEmpty().withMessage('Upload a file or send the deck as content').bail()
+        .isString().withMessage('content must be a string'),
+    body('subject_id').optional({ values: 'falsy' }).isInt().toInt(),
+    body('create_subjects').optional().isBoolean().toBoolean(),
+    body('duplicates').optional().isIn(['skip', 'update']),
+    body('dry_run').optional().isBoolean().toBoolean(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const format = detectFormat(req.file?.originalname, req.body.format);
+        if (!format) {
+            return res.status(400).json({ success: false, message: `format must be one of ${DECK_FORMATS.join(', ')}` });
+        }
+        const subjectId = req.body.subject_id || null;
+        if (!await ownsSubject(req.user.id, subjectId)) {
+            return res.status(400).json({ success: false, message: 'Unknown subject' });
+        }
+
+        const parsed = parseDeck(req.file ? req.file.buffer.toString('utf8') : req.body.content, format);
+        if (parsed.fatal) return res.status(400).json({ success: false, message: parsed.fatal });
+
+        const plan = await planImport(req.user.id, parsed, {
+            subjectId,
+            createSubjects: req.body.create_subjects === true,
+            duplicates: req.body.duplicates || 'skip'
+        });
+        const report = {
+            format,
+            rows: parsed.cards.length + parsed.errors.length,
+            to_create: plan.create.length,
+            to_update: plan.update.length,
+            new_subjects: plan.new_subjects,
+            duplicates: plan.duplicates,
+            errors: plan.errors,
+            warnings: plan.warnings
+        };
+
+        if (req.body.dry_run !== false) {
+            return res.json({ success: true, dry_run: true, ...report });
+        }
+        const result = await applyImport(req.user.id, plan);
+        res.status(201).json({ success: true, dry_run: false, ...report, ...result });
+    })
+);
+
+router.get('/export',
+    subjectFilter,
+    query('format').optional().isIn(DECK_FORMATS),
+    validate,
+    asyncHandler(async (req, res) => {
+        if (!await ownsSubject(req.user.id, req.query.subject_id)) {
+            return res.status(404).json({ success: false, message: 'Subject not found' });
+        }
+        const deck = await exportDeck(req.user.id, { subjectId: req.query.subject_id, format: req.query.format || 'csv' });
+        res.set({
+            'Content-Type': deck.contentType,
+            'Content-Disposition': `attachment; filename="${deck.filename}"`
+        });
+        res.send(deck.body);
+    })
+);
+
+// ========== DUE QUEUE ==========
+
+// Cards to review now, most overdue first, then new cards; with counts per
+// subject so the UI can offer a queue per subject
+router.get('/due',
+    subjectFilter,
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const db = getDb();
+        const now = toSqlDateTime(new Date());
+        const params = [req.user.id, now];
+        let sql = `${CARD_SELECT} WHERE f.user_id = ? AND ${DUE}`;
+        if (req.query.subject_id) {
+            sql += ' AND f.subject_id = ?';
+            params.push(req.query.subject_id);
+        }
+
+        const [flashcards, subjects] = await Promise.all([
+            db.all(
+                `${sql} ORDER BY f.next_review IS NULL, f.next_review, f.id LIMIT ?`,
+                [...params, req.query.limit || 20]
+            ),
+            db.all(
+                `SELECT f.subject_id, s.name AS subject, s.color AS subject_color,
+                        COUNT(*) AS due, SUM(f.next_review IS NULL) AS new_cards
+                 FROM flashcards f
+                 LEFT JOIN subjects s ON s.id = f.subject_id
+                 WHERE f.user_id = ? AND ${DUE}
+                 GROUP BY f.subject_id
+                 ORDER BY s.name`,
+                [req.user.id, now]
+            )
+        ]);
+
+        res.json({
+            success: true,
+            flashcards,
+            subjects,
+            total_due: subjects.reduce((sum, s) => sum + s.due, 0)
+        });
+    })
+);
+
+// ========== CRUD ==========
+
+router.get('/',
+    subjectFilter,
+    query('search').optional().isString().trim(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const params = [req.user.id];
+        let sql = `${CARD_SELECT} WHERE f.user_id = ?`;
+        if (req.query.subject_id) {
+            sql += ' AND f.subject_id = ?';
+            params.push(req.query.subject_id);
+        }
+        if (req.query.search) {
+            sql += ' AND (f.question LIKE ? OR f.answer LIKE ?)';
+            params.push(`%${req.query.search}%`, `%${req.query.search}%`);
+        }
+
+        const flashcards = await getDb().all(
+            `${sql} ORDER BY f.created_at DESC, f.id DESC LIMIT ? OFFSET ?`,
+            [...params, req.query.limit || 100, req.query.offset || 0]
+        );
+        res.json({ success: true, flashcards });
+    })
+);
+
+const cardRules = [
+    body('question').trim().notEmpty().withMessage('question is required').isLength({ max: 2000 }),
+    body('answer').trim().notEmpty().withMessage('answer is required').isLength({ max: 5000 }),
+    body('subject_id').optional({ values: 'null' }).isInt().toInt(),
+    validate
+];
+
+router.post('/', cardRules, asyncHandler(async (req, res) => {
+    const { question, answer, subject_id: subjectId = null } = req.body;
+    if (!await ownsSubject(req.user.id, subjectId)) {
+        return res.status(400).json({ success: false, message: 'Unknown subject' });
+    }
+
+    const { lastID } = await getDb().run(
+        'INSERT INTO flashcards (user_id, subject_id, question, answer) VALUES (?, ?, ?, ?)',
+        [req.user.id, subjectId, question, answer]
+    );
+    res.status(201).json({ success: true, flashcard: await findCard(req.user.id, lastID) });
+}));
+
+router.get('/:id', param('id').isInt(), validate, asyncHandler(async (req, res) => {
+    const flashcard = await findCard(req.user.id, req.params.id);
+    if (!flashcard) return res.status(404).json({ success: false, message: 'Flashcard not found' });
+    res.json({ success: true, flashcard });
+}));
+
+// Editing the text keeps the card's review schedule
+router.put('/:id', param('id').isInt(), cardRules, asyncHandler(async (req, res) => {
+    const { question, answer, subject_id: subjectId = null } = req.body;
+    if (!await ownsSubject(req.user.id, subjectId)) {
+        return res.status(400).json({ success: false, message: 'Unknown subject' });
+    }
+
+    const { changes } = await getDb().run(
+        `UPDATE flashcards SET question = ?, answer = ?, subject_id = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND user_id = ?`,
+        [question, answer, subjectId, req.params.id, req.user.id]
+    );
+    if (!changes) return res.status(404).json({ success: false, message: 'Flashcard not found' });
+    res.json({ success: true, flashcard: await findCard(req.user.id, req.params.id) });
+}));
+
+router.delete('/:id', param('id').isInt(), validate, asyncHandler(async (req, res) => {
+    const { changes } = await getDb().run('DELETE FROM flashcards WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+    if (!changes) return res.status(404).json({ success: false, message: 'Flashcard not found' });
+    res.json({ success: true });
+}));
+
+// Forget the card's progress so it is studied as new again
+router.post('/:id/reset', param('id').isInt(), validate, asyncHandler(async (req, res) => {
+    const { changes } = await getDb().run(
+        `UPDATE flashcards
+         SET ease_factor = 2.5, interval_days = 0, repetitions = 0, lapses = 0, difficulty = 1,
+             next_review = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND user_id = ?`,
+        [req.params.id, req.user.id]
+    );
+    if (!changes) return res.status(404).json({ success: false, message: 'Flashcard not found' });
+    res.json({ success: true, flashcard: await findCard(req.user.id, req.params.id) });
+}));
+
+// ========== REVIEW ==========
+
+// grade: 0-5 (SM-2) or again / hard / good / easy
+router.post('/:id/review',
+    param('id').isInt(),
+    body('grade').custom(value => parseGrade(value) !== null)
+        .withMessage('grade must be 0-5 or one of again, hard, good, easy'),
+    validate,
+    asyncHandler(async (req, res) => {
+        const grade = parseGrade(req.body.grade);
+
+        // Read and rescheduled in one transaction, so quick successive
+        // reviews each build on the last
+        const card = await withTransaction(async db => {
+            const current = await findCard(req.user.id, req.params.id);
+            if (!current) return null;
+
+            const next = scheduleReview(current, grade);
+            await db.run(
+                `UPDATE flashcards
+                 SET ease_factor = ?, interval_days = ?, repetitions = ?, lapses = ?, difficulty = ?,
+                     next_review = ?, times_reviewed = COALESCE(times_reviewed, 0) + 1,
+                     last_reviewed = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [next.ease_factor, next.interval_days, next.repetitions, next.lapses, next.difficulty,
+                    next.next_review, current.id]
+            );
+            await db.run(
+                `INSERT INTO flashcard_reviews (flashcard_id, user_id, grade, ease_factor, interval_days)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [current.id, req.user.id, grade, next.ease_factor, next.interval_days]
+            );
+            return current;
+        });
+        if (!card) return res.status(404).json({ success: false, message: 'Flashcard not found' });
+
+        res.json({ success: true, flashcard: await findCard(req.user.id, card.id), grade });
+    })
+);
+
+export default router;
@@ -0,0 +1,149 @@
+// ============================================
+// GROUP CHAT ROUTES - /api/group-messages
+// Paged chat history and threads, pinned messages, and editing, deleting
+// and pinning messages. Changes reach `group-${groupId}` as
+// group-message-updated.
+// ============================================
+
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { authenticate } from '../middleware/auth.js';
+import { validate, asyncHandler } from '../middleware/validate.js';
+import { hasRole, getGroupRole } from '../services/groups.js';
+import {
+    MAX_GROUP_MESSAGE_LENGTH, groupMessageSummary, findGroupMessage, canModerate, postGroupMessage, groupHistory,
+    threadHistory, pinnedMessages, editGroupMessage, deleteGroupMessage, setPinned
+} from '../services/groupChat.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// ========== HELPERS ==========
+
+const contentRule = body('content').trim().isLength({ min: 1, max: MAX_GROUP_MESSAGE_LENGTH })
+    .withMessage(`Message must be 1-${MAX_GROUP_MESSAGE_LENGTH} characters`);
+
+// ?group_id= of a group the user belongs to, with their role in req.groupRole
+const requireGroupMember = [
+    query('group_id').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res, next) => {
+        req.groupRole = await getGroupRole(req.query.group_id, req.user.id);
+        if (!req.groupRole) return res.status(404).json({ success: false, message: 'Group not found' });
+        next();
+    })
+];
+
+const pageRules = [
+    query('before').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    validate
+];
+
+// A message in one of the user's groups, as req.groupMessage
+const loadMessage = [
+    param('id').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res, next) => {
+        const message = await findGroupMessage(req.params.id);
+        const role = message && await getGroupRole(message.group_id, req.user.id);
+        if (!role) return res.status(404).json({ success: false, message: 'Message not found' });
+        req.groupMessage = message;
+        req.groupRole = role;
+        next();
+    })
+];
+
+const ensureNotDeleted = (req, res, next) => {
+    if (req.groupMessage.is_deleted) {
+        return res.status(410).json({ success: false, message: 'This message was deleted' });
+    }
+    next();
+};
+
+const requireModerator = (req, res, next) => {
+    if (!hasRole(req.groupRole, 'moderator')) {
+        return res.status(403).json({ success: false, message: 'Only group moderators can pin messages' });
+    }
+    next();
+};
+
+// ========== HISTORY ==========
+
+// Thread starters, oldest first, each with its reply_count; ?before= is
+// the next_before of the previous page
+router.get('/',
+    requireGroupMember,
+    pageRules,
+    asyncHandler(async (req, res) => {
+        const page = await groupHistory(req.query.group_id, {
+            before: req.query.before ?? null,
+            limit: req.query.limit || 50
+        });
+        res.json({ success: true, ...page });
+    })
+);
+
+router.get('/pinned', requireGroupMember, asyncHandler(async (req, res) => {
+    res.json({ success: true, messages: await pinnedMessages(req.query.group_id) });
+}));
+
+// The thread a message starts or belongs to, paged like the chat
+router.get('/:id/thread', loadMessage, pageRules, asyncHandler(async (req, res) => {
+    const root = req.groupMessage.parent_id ? await findGroupMessage(req.groupMessage.parent_id) : req.groupMessage;
+    const thread = await threadHistory(root, { before: req.query.before ?? null, limit: req.query.limit || 50 });
+    res.json({ success: true, ...thread });
+}));
+
+// ========== MESSAGES ==========
+
+// Same as the socket's send-group-message event; reply_to makes it a
+// reply in that message's thread
+router.post('/',
+    body('group_id').isInt().toInt(),
+    body('reply_to').optional({ values: 'null' }).isInt().toInt(),
+    contentRule,
+    validate,
+    asyncHandler(async (req, res) => {
+        const result = await postGroupMessage(req.app.get('io'), req.body.group_id, req.user.id, req.body.content,
+            req.body.reply_to ?? null);
+        if (result.error) return res.status(result.status).json({ success: false, message: result.error });
+        res.status(201).json({ success: true, message: result.message });
+    })
+);
+
+router.put('/:id', loadMessage, ensureNotDeleted, contentRule, validate, asyncHandler(async (req, res) => {
+    if (req.groupMessage.sender_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'You can only edit your own messages' });
+    }
+    const result = await editGroupMessage(req.app.get('io'), req.groupMessage, req.user.id, req.body.content);
+    if (result.error) return res.status(result.status).json({ success: false, message: result.error });
+    res.json({ success: true, message: result.message });
+}));
+
+// Senders delete their own messages; moderators delete those of members
+// ranked below them
+router.delete('/:id', loadMessage, ensureNotDeleted, asyncHandler(async (req, res) => {
+    const message = req.groupMessage;
+    if (message.sender_id !== req.user.id
+        && !canModerate(req.groupRole, await getGroupRole(message.group_id, message.sender_id))) {
+        return res.status(403).json({ success: false, message: "You can't delete this message" });
+    }
+    await deleteGroupMessage(req.app.get('io'), message, req.user.id);
+    res.json({ success: true });
+}));
+
+router.put('/:id/pin', loadMessage, ensureNotDeleted, requireModerator, asyncHandler(async (req, res) => {
+    const message = req.groupMessage.is_pinned
+        ? groupMessageSummary(req.groupMessage)
+        : await setPinned(req.app.get('io'), req.groupMessage, req.user.id, true);
+    res.json({ success: true, message });
+}));
+
+router.delete('/:id/pin', loadMessage, ensureNotDeleted, requireModerator, asyncHandler(async (req, res) => {
+    if (req.groupMessage.is_pinned) await setPinned(req.app.get('io'), req.groupMessage, req.user.id, false);
+    res.json({ success: true });
+}));
+
+export default router;
@@ -0,0 +1,292 @@
+// ============================================
+// GROUP SESSION ROUTES - /api/group-sessions
+// Schedule group study sessions, RSVP with a waitlist, check in and out,
+// and rate them afterwards. Every change is pushed to `group-${groupId}`
+// as group-session-updated.
+// ============================================
+
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { getDb, withTransaction, isGroupMember, createNotification } from '../db/database.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, asyncHandler } from '../middleware/validate.js';
+import { hasRole, getGroupRole } from '../services/groups.js';
+import {
+    RSVP_STATUSES, CHECK_IN_OPENS_MINUTES, findGroupSession, sessionSummary, sessionWindow, getParticipant,
+    broadcastSession, rsvp, refillSeats, checkIn, checkOut, cancelSession
+} from '../services/groupSessions.js';
+import { refreshPresence } from '../services/presence.js';
+import { safeTimeZone, zonedTimeToUtc, toSqlDateTime } from '../utils/time.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// ========== HELPERS ==========
+
+const broadcast = (req, sessionId, action, extra) => broadcastSession(req.app.get('io'), sessionId, action, extra);
+
+// A date-time with an offset ('2026-05-01T18:00:00Z') is taken as is; one
+// without is local time in the user's time zone
+function parseWhen(value, timeZone) {
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) return new Date(value);
+    const [date, time = '00:00'] = value.split(/[T ]/);
+    return zonedTimeToUtc(date, time.slice(0, 5), timeZone);
+}
+
+// Group members can see a session, and so can friends invited to it; a
+// former member's own RSVP doesn't let them back in
+const loadSession = [
+    param('id').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res, next) => {
+        const session = await findGroupSession(req.params.id);
+        const role = session && await getGroupRole(session.group_id, req.user.id);
+        if (!session || (!role && !(await getParticipant(session.id, req.user.id))?.is_friend_invite)) {
+            return res.status(404).json({ success: false, message: 'Group session not found' });
+        }
+        req.groupSession = session;
+        req.groupRole = role;
+        next();
+    })
+];
+
+// The session's creator and the group's moderators and above
+const requireManager = (req, res, next) => {
+    if (req.groupSession.creator_id !== req.user.id && !hasRole(req.groupRole, 'moderator')) {
+        return res.status(403).json({
+            success: false,
+            message: 'Only the session creator or a group moderator can change this session'
+        });
+    }
+    next();
+};
+
+const ensureStatus = (...statuses) => (req, res, next) => {
+    if (!statuses.includes(req.groupSession.status)) {
+        return res.status(409).json({ success: false, message: `This session is ${req.groupSession.status}` });
+    }
+    next();
+};
+
+const sessionRules = [
+    body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title is required (max 200 characters)'),
+    body('description').optional({ values: 'null' }).trim().isLength({ max: 2000 }),
+    body('subject').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+    body('scheduled_for').isISO8601().withMessage('scheduled_for must be an ISO 8601 date-time'),
+    body('duration_minutes').optional().isInt({ min: 5, max: 12 * 60 }).toInt(),
+    body('meeting_link').optional({ values: 'falsy' })
+        .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('meeting_link must be an http(s) URL'),
+    body('location').optional({ values: 'null' }).trim().isLength({ max: 200 }),
+    body('max_participants').optional({ values: 'null' }).isInt({ min: 1, max: 500 }).toInt(),
+    validate
+];
+
+// Column values in sessionRules order; on an edit, fields left out keep
+// their value and null clears them
+const sessionValues = (req, existing = {}) => {
+    const field = name => (req.body[name] === undefined ? existing[name] ?? null : req.body[name] || null);
+    const startsAt = parseWhen(req.body.scheduled_for, safeTimeZone(req.user.timezone));
+    return {
+        startsAt,
+        values: [req.body.title, field('description'), field('subject'), toSqlDateTime(startsAt),
+            field('duration_minutes') || 60, field('meeting_link'), field('location'), field('max_participants')]
+    };
+};
+
+// ========== SESSIONS ==========
+
+// Upcoming and running sessions in the user's groups (or ?group_id=),
+// soonest first, with the user's own RSVP
+router.get('/',
+    query('group_id').optional().isInt().toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const groupId = req.query.group_id ?? null;
+        const rows = await getDb().all(
+            `SELECT gs.id, p.status AS rsvp FROM group_sessions gs
+             JOIN group_members m ON m.group_id = gs.group_id AND m.user_id = ?
+             JOIN study_groups g ON g.id = gs.group_id AND g.is_active = 1
+             LEFT JOIN session_participants p ON p.session_id = gs.id AND p.user_id = m.user_id
+             WHERE gs.status IN ('scheduled', 'ongoing')
+               AND datetime(gs.scheduled_for, '+' || COALESCE(gs.duration_minutes, 60) || ' minutes') > ?
+               AND (? IS NULL OR gs.group_id = ?)
+             ORDER BY gs.scheduled_for
+             LIMIT ?`,
+            [req.user.id, toSqlDateTime(new Date()), groupId, groupId, req.query.limit || 20]
+        );
+        const sessions = await Promise.all(rows.map(async row => ({
+            ...sessionSummary(await findGroupSession(row.id)),
+            my_rsvp: row.rsvp || null
+        })));
+        res.json({ success: true, sessions });
+    })
+);
+
+// Any member of an active group can schedule a session for it; the
+// scheduler is seated and the other members are notified
+router.post('/', body('group_id').isInt().toInt(), sessionRules, asyncHandler(async (req, res) => {
+    const db = getDb();
+    const group = await db.get('SELECT id, name, is_active FROM study_groups WHERE id = ?', [req.body.group_id]);
+    if (!group || !await isGroupMember(group.id, req.user.id)) {
+        return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+    if (!group.is_active) return res.status(409).json({ success: false, message: 'This group is archived' });
+
+    const { startsAt, values } = sessionValues(req);
+    if (startsAt <= new Date()) {
+        return res.status(400).json({ success: false, message: 'scheduled_for must be in the future' });
+    }
+
+    let sessionId;
+    await withTransaction(async () => {
+        ({ lastID: sessionId } = await db.run(
+            `INSERT INTO group_sessions (title, description, subject, scheduled_for, duration_minutes, meeting_link,
+                                         location, max_participants, group_id, creator_id, current_participants)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)`,
+            [...values, group.id, req.user.id]
+        ));
+        await db.run(
+            `INSERT INTO session_participants (session_id, user_id, status, response_time)
+             VALUES (?, ?, 'accepted', ?)`,
+            [sessionId, req.user.id, toSqlDateTime(new Date())]
+        );
+    });
+
+    const io = req.app.get('io');
+    const members = await db.all('SELECT user_id FROM group_members WHERE group_id = ? AND user_id != ?', [group.id, req.user.id]);
+    for (const { user_id: userId } of members) {
+        const notification = await createNotification({
+            user_id: userId,
+            type: 'group_session',
+            title: `New session in ${group.name}`,
+            message: `${req.user.username} scheduled "${req.body.title}"`,
+            data: { group_id: group.id, session_id: sessionId },
+            related_id: sessionId,
+            related_type: 'group_session'
+        });
+        io?.to(`user-${userId}`).emit('new-notification', notification);
+    }
+
+    const session = await broadcast(req, sessionId, 'created');
+    res.status(201).json({ success: true, session: { ...session, my_rsvp: 'accepted' } });
+}));
+
+router.get('/:id', loadSession, asyncHandler(async (req, res) => {
+    const participants = await getDb().all(
+        `SELECT u.id, u.username, u.avatar_url, p.status, p.response_time, p.joined_at, p.left_at
+         FROM session_participants p JOIN users u ON u.id = p.user_id
+         WHERE p.session_id = ? AND p.status != 'invited'
+         ORDER BY CASE p.status WHEN 'attended' THEN 0 WHEN 'accepted' THEN 1 WHEN 'maybe' THEN 2
+                                WHEN 'waitlisted' THEN 3 ELSE 4 END,
+                  p.response_time`,
+        [req.groupSession.id]
+    );
+    const mine = participants.find(p => p.id === req.user.id);
+    res.json({
+        success: true,
+        session: { ...sessionSummary(req.groupSession), my_rsvp: mine?.status || null },
+        participants
+    });
+}));
+
+// Raising max_participants seats people from the waitlist; lowering it
+// below the seats taken keeps everyone seated but admits nobody new
+router.put('/:id', loadSession, requireManager, ensureStatus('scheduled'), sessionRules, asyncHandler(async (req, res) => {
+    const { values } = sessionValues(req, req.groupSession);
+    await getDb().run(
+        `UPDATE group_sessions
+         SET title = ?, description = ?, subject = ?, scheduled_for = ?, duration_minutes = ?, meeting_link = ?,
+             location = ?, max_participants = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...values, req.groupSession.id]
+    );
+    const promoted = await refillSeats(req.app.get('io'), await findGroupSession(req.groupSession.id));
+    const session = await broadcast(req, req.groupSession.id, 'updated', { promoted });
+    res.json({ success: true, session, promoted });
+}));
+
+router.post('/:id/cancel', loadSession, requireManager, ensureStatus('scheduled', 'ongoing'), asyncHandler(async (req, res) => {
+    await cancelSession(req.app.get('io'), req.groupSession);
+    const session = await broadcast(req, req.groupSession.id, 'cancelled');
+    res.json({ success: true, session });
+}));
+
+// ========== RSVP & ATTENDANCE ==========
+
+// accepted takes a seat, or a place on the waitlist when the session is
+// full (the response says which); declining or maybe frees the seat
+router.put('/:id/rsvp',
+    loadSession,
+    ensureStatus('scheduled', 'ongoing'),
+    body('status').isIn(RSVP_STATUSES).withMessage(`status must be one of ${RSVP_STATUSES.join(', ')}`),
+    validate,
+    asyncHandler(async (req, res) => {
+        const result = await rsvp(req.app.get('io'), req.groupSession, req.user.id, req.body.status);
+        if (result.error) return res.status(result.code).json({ success: false, message: result.error });
+
+        const session = await broadcast(req, req.groupSession.id, 'rsvp', {
+            user_id: req.user.id, rsvp: result.status, promoted: result.promoted
+        });
+        res.json({ success: true, rsvp: result.status, session, promoted: result.promoted });
+    })
+);
+
+router.post('/:id/check-in', loadSession, ensureStatus('scheduled', 'ongoing'), asyncHandler(async (req, res) => {
+    const now = new Date();
+    const { start, end } = sessionWindow(req.groupSession);
+    if (now < start.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000 || now > end) {
+        return res.status(409).json({
+            success: false,
+            message: `Check-in opens ${CHECK_IN_OPENS_MINUTES} minutes before the start and closes at the end`
+        });
+    }
+
+    const result = await checkIn(req.groupSession, req.user.id, now);
+    if (result.error) return res.status(result.code).json({ success: false, message: result.error });
+    const session = await broadcast(req, req.groupSession.id, 'check-in', { user_id: req.user.id });
+    await refreshPresence(req.app.get('io'), req.user.id);
+    res.json({ success: true, participant: result.participant, session });
+}));
+
+router.post('/:id/check-out', loadSession, asyncHandler(async (req, res) => {
+    const participant = await checkOut(req.groupSession, req.user.id);
+    if (participant?.status !== 'attended') {
+        return res.status(409).json({ success: false, message: 'You have not checked in to this session' });
+    }
+    await broadcast(req, req.groupSession.id, 'check-out', { user_id: req.user.id });
+    await refreshPresence(req.app.get('io'), req.user.id);
+    res.json({ success: true, participant });
+}));
+
+// Attendees rate the session once they've left or it has ended
+router.put('/:id/feedback',
+    loadSession,
+    body('rating').isInt({ min: 1, max: 5 }).toInt(),
+    body('feedback').optional({ values: 'null' }).trim().isLength({ max: 2000 }),
+    validate,
+    asyncHandler(async (req, res) => {
+        const participant = await getParticipant(req.groupSession.id, req.user.id);
+        if (participant?.status !== 'attended') {
+            return res.status(403).json({ success: false, message: 'Only attendees can rate this session' });
+        }
+        if (!participant.left_at && req.groupSession.status !== 'completed') {
+            return res.status(409).json({ success: false, message: 'You can rate the session once you have left or it has ended' });
+        }
+
+        await getDb().run(
+            'UPDATE session_participants SET rating = ?, feedback = ? WHERE session_id = ? AND user_id = ?',
+            [req.body.rating, req.body.feedback || null, req.groupSession.id, req.user.id]
+        );
+        const { average_rating: average, ratings } = await getDb().get(
+            `SELECT ROUND(AVG(rating), 1) AS average_rating, COUNT(rating) AS ratings
+             FROM session_participants WHERE session_id = ?`,
+            [req.groupSession.id]
+        );
+        await broadcast(req, req.groupSession.id, 'feedback', { user_id: req.user.id, average_rating: average, ratings });
+        res.json({ success: true, rating: req.body.rating, average_rating: average, ratings });
+    })
+);
+
+export default router;
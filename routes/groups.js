@@ -0,0 +1,447 @@
+// ============================================
+// STUDY GROUP ROUTES - /api/groups
+// Create, update and archive groups; join by invite code or from public
+// discovery; member roles and ownership transfer; chat moderation (mutes,
+// removals, the word filter and its log)
+// ============================================
+
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { getDb, withTransaction } from '../db/database.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, asyncHandler } from '../middleware/validate.js';
+import {
+    ROLE_RANK, ASSIGNABLE_ROLES, GROUP_COLUMNS, generateInviteCode, hasRole, getGroupRole, findGroup,
+    addMember, setMemberRole, transferOwnership, removeMember
+} from '../services/groups.js';
+import {
+    FILTER_ACTIONS, NOTIFICATION_PREFERENCES, chatFilter, canModerate, muteStatus, logModeration, muteMember,
+    unmuteMember, kickMember
+} from '../services/groupChat.js';
+import { recordAchievementEvent } from '../services/achievements.js';
+import { toSqlDateTime, fromSqlDateTime } from '../utils/time.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const MAX_GROUP_SIZE = 200;
+const DEFAULT_AVATAR = '/images/default-group.png';
+
+// ========== HELPERS ==========
+
+// The invite code is only shown to members
+const groupSummary = (group, role = null) => ({
+    id: group.id,
+    name: group.name,
+    description: group.description,
+    subject: group.subject,
+    avatar_url: group.avatar_url,
+    cover_url: group.cover_url,
+    rules: group.rules,
+    is_public: Boolean(group.is_public),
+    is_active: Boolean(group.is_active),
+    creator_id: group.creator_id,
+    max_members: group.max_members,
+    member_count: group.member_count,
+    is_full: group.member_count >= group.max_members,
+    next_session: group.next_session ? fromSqlDateTime(group.next_session).toISOString() : null,
+    created_at: group.created_at,
+    role,
+    invite_code: role ? group.invite_code : undefined
+});
+
+async function uniqueInviteCode() {
+    for (;;) {
+        const code = generateInviteCode();
+        if (!await getDb().get('SELECT 1 FROM study_groups WHERE invite_code = ?', [code])) return code;
+    }
+}
+
+// Load the group named in the URL with the user's role in req.group /
+// req.role; non-members only see active public groups
+const loadGroup = [
+    param('id').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res, next) => {
+        const [group, role] = await Promise.all([findGroup(req.params.id), getGroupRole(req.params.id, req.user.id)]);
+        if (!group || (!role && !(group.is_public && group.is_active))) {
+            return res.status(404).json({ success: false, message: 'Group not found' });
+        }
+        req.group = group;
+        req.role = role;
+        next();
+    })
+];
+
+const requireRole = (minimum, action) => (req, res, next) => {
+    if (!hasRole(req.role, minimum)) {
+        return res.status(403).json({ success: false, message: `Only a group ${minimum} or above can ${action}` });
+    }
+    next();
+};
+
+const ensureActive = (req, res, next) => {
+    if (!req.group.is_active) {
+        return res.status(409).json({ success: false, message: 'This group is archived' });
+    }
+    next();
+};
+
+// The member named by :userId, whom the user must be able to moderate
+const moderateTarget = action => [
+    param('userId').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res, next) => {
+        const target = await getGroupRole(req.group.id, req.params.userId);
+        if (!target) return res.status(404).json({ success: false, message: 'Member not found' });
+        if (req.params.userId === req.user.id || !canModerate(req.role, target)) {
+            return res.status(403).json({ success: false, message: `You can't ${action} this member` });
+        }
+        next();
+    })
+];
+
+const urlRule = field => body(field).optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage(`${field} must be an http(s) URL`);
+
+const groupRules = [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+    body('description').optional({ values: 'null' }).trim().isLength({ max: 2000 }),
+    body('subject').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+    body('max_members').optional().isInt({ min: 2, max: MAX_GROUP_SIZE }).toInt(),
+    body('is_public').optional().isBoolean().toBoolean(),
+    body('rules').optional({ values: 'null' }).trim().isLength({ max: 5000 }),
+    urlRule('avatar_url'),
+    urlRule('cover_url'),
+    validate
+];
+
+// After a join the user's open sockets get the group's events right away
+function announceJoin(req, groupId) {
+    const io = req.app.get('io');
+    io?.in(`user-${req.user.id}`).socketsJoin(`group-${groupId}`);
+    io?.to(`group-${groupId}`).emit('group-member-joined', {
+        group_id: groupId,
+        user: { id: req.user.id, username: req.user.username, avatar_url: req.user.avatar_url },
+        role: 'member'
+    });
+    recordAchievementEvent(io, req.user.id, 'group_joined');
+}
+
+async function join(req, res, groupId) {
+    const result = await addMember(groupId, req.user.id);
+    if (result.error) return res.status(result.status).json({ success: false, message: result.error });
+    announceJoin(req, groupId);
+    res.json({ success: true, group: groupSummary(await findGroup(groupId), 'member') });
+}
+
+// ========== LISTS ==========
+
+// Active groups the user belongs to, with their role
+router.get('/my', asyncHandler(async (req, res) => {
+    const groups = await getDb().all(
+        `SELECT ${GROUP_COLUMNS}, me.role AS my_role
+         FROM study_groups g JOIN group_members me ON me.group_id = g.id AND me.user_id = ?
+         WHERE g.is_active = 1
+         ORDER BY next_session IS NULL, next_session, g.name`,
+        [toSqlDateTime(new Date()), req.user.id]
+    );
+    res.json({ success: true, groups: groups.map(g => groupSummary(g, g.my_role)) });
+}));
+
+// Public groups the user isn't in, optionally filtered by ?q= (name or
+// description) and ?subject=; groups with free seats first
+router.get('/discover',
+    query('q').optional().trim().isLength({ max: 100 }),
+    query('subject').optional().trim().isLength({ max: 100 }),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const like = value => (value ? `%${value.replace(/[\\%_]/g, c => `\\${c}`)}%` : null);
+        const q = like(req.query.q);
+        const subject = like(req.query.subject);
+        const groups = await getDb().all(
+            `SELECT * FROM (
+                SELECT ${GROUP_COLUMNS} FROM study_groups g
+                WHERE g.is_public = 1 AND g.is_active = 1
+                  AND NOT EXISTS (SELECT 1 FROM group_members m WHERE m.group_id = g.id AND m.user_id = ?)
+                  AND (? IS NULL OR g.name LIKE ? ESCAPE '\\' OR g.description LIKE ? ESCAPE '\\')
+                  AND (? IS NULL OR g.subject LIKE ? ESCAPE '\\')
+             )
+             ORDER BY member_count >= max_members, member_count DESC, created_at DESC
+             LIMIT ? OFFSET ?`,
+            [toSqlDateTime(new Date()), req.user.id, q, q, q, subject, subject,
+                req.query.limit || 20, req.query.offset || 0]
+        );
+        res.json({ success: true, groups: groups.map(g => groupSummary(g)) });
+    })
+);
+
+// ========== JOINING ==========
+
+// Any group, public or private, by its invite code
+router.post('/join',
+    body('invite_code').trim().toUpperCase().isLength({ min: 1, max: 20 }).withMessage('invite_code is required'),
+    validate,
+    asyncHandler(async (req, res) => {
+        const group = await getDb().get(
+            'SELECT id FROM study_groups WHERE invite_code = ? AND is_active = 1',
+            [req.body.invite_code]
+        );
+        if (!group) return res.status(404).json({ success: false, message: 'Invalid invite code' });
+        await join(req, res, group.id);
+    })
+);
+
+router.post('/:id/join', loadGroup, ensureActive, asyncHandler(async (req, res) => {
+    if (!req.role && !req.group.is_public) {
+        return res.status(403).json({ success: false, message: 'This group can only be joined with an invite code' });
+    }
+    await join(req, res, req.group.id);
+}));
+
+// Anyone can leave, including the creator: ownership passes to the
+// highest-ranked member, and a group left empty is archived
+router.post('/:id/leave', loadGroup, asyncHandler(async (req, res) => {
+    if (!req.role) return res.status(409).json({ success: false, message: 'You are not a member of this group' });
+    const result = await removeMember(req.app.get('io'), req.group.id, req.user.id);
+    res.json({ success: true, ...result });
+}));
+
+// ========== GROUPS ==========
+
+router.post('/', groupRules, asyncHandler(async (req, res) => {
+    const db = getDb();
+    const inviteCode = await uniqueInviteCode();
+    let groupId;
+
+    await withTransaction(async () => {
+        ({ lastID: groupId } = await db.run(
+            `INSERT INTO study_groups (name, description, creator_id, subject, max_members, is_public, invite_code,
+                                       rules, avatar_url, cover_url)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.body.name, req.body.description || null, req.user.id, req.body.subject || null,
+                req.body.max_members || 10, req.body.is_public === false ? 0 : 1, inviteCode,
+                req.body.rules || null, req.body.avatar_url || DEFAULT_AVATAR, req.body.cover_url || null]
+        ));
+        await db.run(
+            "INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, 'creator')",
+            [groupId, req.user.id]
+        );
+    });
+    req.app.get('io')?.in(`user-${req.user.id}`).socketsJoin(`group-${groupId}`);
+    recordAchievementEvent(req.app.get('io'), req.user.id, 'group_joined');
+
+    res.status(201).json({ success: true, group: groupSummary(await findGroup(groupId), 'creator') });
+}));
+
+router.get('/:id', loadGroup, asyncHandler(async (req, res) => {
+    res.json({ success: true, group: groupSummary(req.group, req.role) });
+}));
+
+router.put('/:id', loadGroup, requireRole('co-creator', 'edit it'), ensureActive, groupRules, asyncHandler(async (req, res) => {
+    const maxMembers = req.body.max_members || req.group.max_members;
+    if (maxMembers < req.group.member_count) {
+        return res.status(409).json({
+            success: false,
+            message: `The group already has ${req.group.member_count} members`
+        });
+    }
+
+    // Fields left out keep their value; null clears them
+    const field = name => (req.body[name] === undefined ? req.group[name] : req.body[name] || null);
+    await getDb().run(
+        `UPDATE study_groups
+         SET name = ?, description = ?, subject = ?, max_members = ?, is_public = ?, rules = ?,
+             avatar_url = ?, cover_url = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [req.body.name, field('description'), field('subject'), maxMembers,
+            req.body.is_public === undefined ? req.group.is_public : Number(req.body.is_public),
+            field('rules'), field('avatar_url') || DEFAULT_AVATAR, field('cover_url'), req.group.id]
+    );
+    const group = groupSummary(await findGroup(req.group.id), req.role);
+    req.app.get('io')?.to(`group-${group.id}`).emit('group-updated', group);
+    res.json({ success: true, group });
+}));
+
+// Archived groups keep their members and history but can't be joined,
+// edited or scheduled; the creator can restore them
+router.post('/:id/archive', loadGroup, requireRole('creator', 'archive it'), ensureActive, asyncHandler(async (req, res) => {
+    await getDb().run('UPDATE study_groups SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [req.group.id]);
+    req.app.get('io')?.to(`group-${req.group.id}`).emit('group-archived', { group_id: req.group.id });
+    res.json({ success: true });
+}));
+
+router.post('/:id/restore', loadGroup, requireRole('creator', 'restore it'), asyncHandler(async (req, res) => {
+    await getDb().run('UPDATE study_groups SET is_active = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [req.group.id]);
+    res.json({ success: true, group: groupSummary(await findGroup(req.group.id), req.role) });
+}));
+
+// A new code stops the old one from working
+router.post('/:id/invite-code', loadGroup, requireRole('co-creator', 'change the invite code'), ensureActive,
+    asyncHandler(async (req, res) => {
+        const inviteCode = await uniqueInviteCode();
+        await getDb().run(
+            'UPDATE study_groups SET invite_code = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [inviteCode, req.group.id]
+        );
+        res.json({ success: true, invite_code: inviteCode });
+    })
+);
+
+// ========== MEMBERS ==========
+
+router.get('/:id/members', loadGroup, asyncHandler(async (req, res) => {
+    if (!req.role) return res.status(403).json({ success: false, message: 'Not a member of this group' });
+    const members = await getDb().all(
+        `SELECT u.id, u.username, u.full_name, u.avatar_url, gm.role, gm.joined_at, gm.last_active,
+                r.muted_until
+         FROM group_members gm JOIN users u ON u.id = gm.user_id
+         LEFT JOIN group_restrictions r ON r.group_id = gm.group_id AND r.user_id = gm.user_id
+         WHERE gm.group_id = ?
+         ORDER BY CASE gm.role WHEN 'creator' THEN 0 WHEN 'co-creator' THEN 1 WHEN 'moderator' THEN 2 ELSE 3 END,
+                  gm.joined_at`,
+        [req.group.id]
+    );
+    res.json({ success: true, members: members.map(member => ({ ...member, ...muteStatus(member) })) });
+}));
+
+// A member can only promote or demote members ranked below them, and only
+// to a role below their own: co-creators manage moderators and members,
+// the creator also appoints co-creators
+router.put('/:id/members/:userId/role',
+    loadGroup,
+    ensureActive,
+    param('userId').isInt().toInt(),
+    body('role').isIn(ASSIGNABLE_ROLES).withMessage(`role must be one of ${ASSIGNABLE_ROLES.join(', ')}`),
+    validate,
+    asyncHandler(async (req, res) => {
+        const target = await getGroupRole(req.group.id, req.params.userId);
+        if (!target) return res.status(404).json({ success: false, message: 'Member not found' });
+
+        const rank = ROLE_RANK[req.role] ?? -1;
+        if (ROLE_RANK[target] >= rank || ROLE_RANK[req.body.role] >= rank) {
+            return res.status(403).json({ success: false, message: "You can't give or change this role" });
+        }
+        if (target !== req.body.role) {
+            await setMemberRole(req.app.get('io'), req.group.id, req.params.userId, req.body.role);
+        }
+        res.json({ success: true, user_id: req.params.userId, role: req.body.role });
+    })
+);
+
+// Hand the group to another member; the creator stays on as co-creator
+router.post('/:id/transfer',
+    loadGroup,
+    requireRole('creator', 'transfer ownership'),
+    body('user_id').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        if (req.body.user_id === req.user.id || !await getGroupRole(req.group.id, req.body.user_id)) {
+            return res.status(400).json({ success: false, message: 'Ownership can only go to another member' });
+        }
+        await transferOwnership(req.app.get('io'), req.group.id, req.user.id, req.body.user_id);
+        res.json({ success: true, creator_id: req.body.user_id });
+    })
+);
+
+// How the user is alerted to new chat messages: every one, only those
+// that @mention them, or none
+router.put('/:id/notifications',
+    loadGroup,
+    body('preference').isIn(NOTIFICATION_PREFERENCES)
+        .withMessage(`preference must be one of ${NOTIFICATION_PREFERENCES.join(', ')}`),
+    validate,
+    asyncHandler(async (req, res) => {
+        if (!req.role) return res.status(403).json({ success: false, message: 'Not a member of this group' });
+        await getDb().run(
+            'UPDATE group_members SET notification_preference = ? WHERE group_id = ? AND user_id = ?',
+            [req.body.preference, req.group.id, req.user.id]
+        );
+        res.json({ success: true, preference: req.body.preference });
+    })
+);
+
+// ========== MODERATION ==========
+
+// A muted member can still read the chat; without minutes the mute lasts
+// until it's lifted
+router.post('/:id/members/:userId/mute',
+    loadGroup,
+    ensureActive,
+    moderateTarget('mute'),
+    body('minutes').optional({ values: 'null' }).isInt({ min: 1, max: 366 * 24 * 60 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const until = req.body.minutes ? new Date(Date.now() + req.body.minutes * 60 * 1000) : null;
+        const mutedUntil = await muteMember(req.app.get('io'), req.group, req.user.id, req.params.userId, until);
+        res.json({ success: true, user_id: req.params.userId, muted_until: mutedUntil });
+    })
+);
+
+router.delete('/:id/members/:userId/mute', loadGroup, moderateTarget('unmute'), asyncHandler(async (req, res) => {
+    await unmuteMember(req.app.get('io'), req.group, req.user.id, req.params.userId);
+    res.json({ success: true, user_id: req.params.userId });
+}));
+
+router.delete('/:id/members/:userId', loadGroup, ensureActive, moderateTarget('remove'), asyncHandler(async (req, res) => {
+    await kickMember(req.app.get('io'), req.group, req.user.id, req.params.userId);
+    res.json({ success: true, user_id: req.params.userId });
+}));
+
+router.get('/:id/chat-filter', loadGroup, requireRole('moderator', 'see the chat filter'), (req, res) => {
+    res.json({ success: true, filter: chatFilter(req.group) });
+});
+
+// Words or phrases the group's rules don't allow in chat: 'mask' stars
+// them out, 'reject' refuses the message
+router.put('/:id/chat-filter',
+    loadGroup,
+    requireRole('co-creator', 'change the chat filter'),
+    ensureActive,
+    body('words').isArray({ max: 200 }).withMessage('words must be a list of at most 200 words'),
+    body('words.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Each word must be 1-50 characters'),
+    body('action').optional().isIn(FILTER_ACTIONS).withMessage(`action must be one of ${FILTER_ACTIONS.join(', ')}`),
+    validate,
+    asyncHandler(async (req, res) => {
+        const words = [...new Set(req.body.words.map(word => word.toLowerCase()))];
+        const action = req.body.action || chatFilter(req.group).action;
+        await getDb().run(
+            `UPDATE study_groups SET chat_filter_words = ?, chat_filter_action = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [words.length ? JSON.stringify(words) : null, action, req.group.id]
+        );
+        await logModeration(req.group.id, req.user.id, 'filter', { details: { words, action } });
+        res.json({ success: true, filter: { words, action } });
+    })
+);
+
+// Edits, deletions, pins, mutes, removals and filter changes, newest first
+router.get('/:id/moderation-log',
+    loadGroup,
+    requireRole('moderator', 'see the moderation log'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const entries = await getDb().all(
+            `SELECT l.id, l.action, l.message_id, l.actor_id, a.username AS actor_name,
+                    l.target_user_id, t.username AS target_name, l.details, l.created_at
+             FROM group_moderation_log l
+             LEFT JOIN users a ON a.id = l.actor_id
+             LEFT JOIN users t ON t.id = l.target_user_id
+             WHERE l.group_id = ?
+             ORDER BY l.id DESC
+             LIMIT ? OFFSET ?`,
+            [req.group.id, req.query.limit || 50, req.query.offset || 0]
+        );
+        res.json({
+            success: true,
+            entries: entries.map(entry => ({ ...entry, details: entry.details ? JSON.parse(entry.details) : null }))
+        });
+    })
+);
+
+export default router;
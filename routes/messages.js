@@ -0,0 +1,157 @@
+// ============================================
+// MESSAGE ROUTES - /api/messages
+// Direct message conversations with paged history, unread counts, read
+// receipts (message-read) and soft delete. Sending over the socket's
+// send-message event and over POST / are the same.
+// ============================================
+
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { getDb, userExists } from '../db/database.js';
+import { BLOCKED_IDS } from '../services/friends.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, asyncHandler } from '../middleware/validate.js';
+import {
+    MAX_MESSAGE_LENGTH, messageSummary, findMessage, sendMessage, listConversations, conversationHistory,
+    markRead, deleteMessage
+} from '../services/messages.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// ========== HELPERS ==========
+
+// The other side of a conversation: any active user but yourself
+const loadPartner = [
+    param('userId').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res, next) => {
+        if (req.params.userId === req.user.id || !await userExists(req.params.userId)) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        next();
+    })
+];
+
+// A message the user sent or received
+const loadMessage = [
+    param('id').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res, next) => {
+        const message = await findMessage(req.params.id);
+        if (!message || (message.sender_id !== req.user.id && message.receiver_id !== req.user.id)) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+        req.message = message;
+        next();
+    })
+];
+
+// ========== CONVERSATIONS ==========
+
+router.get('/conversations',
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const conversations = await listConversations(req.user.id, {
+            limit: req.query.limit || 20,
+            offset: req.query.offset || 0
+        });
+        res.json({ success: true, conversations });
+    })
+);
+
+// Newest unread messages across all conversations, with the total and
+// the count per sender
+router.get('/unread',
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const db = getDb();
+        const messages = await db.all(
+            `SELECT m.*, u.username AS sender_name, u.avatar_url AS sender_avatar
+             FROM messages m JOIN users u ON u.id = m.sender_id
+             WHERE m.receiver_id = ? AND m.is_read = 0 AND m.is_deleted = 0 AND m.sender_id NOT IN ${BLOCKED_IDS}
+             ORDER BY m.id DESC
+             LIMIT ?`,
+            [req.user.id, req.user.id, req.query.limit || 20]
+        );
+        const counts = await db.all(
+            `SELECT sender_id AS user_id, COUNT(*) AS unread_count FROM messages
+             WHERE receiver_id = ? AND is_read = 0 AND is_deleted = 0 AND sender_id NOT IN ${BLOCKED_IDS}
+             GROUP BY sender_id`,
+            [req.user.id, req.user.id]
+        );
+        res.json({
+            success: true,
+            unread_count: counts.reduce((sum, row) => sum + row.unread_count, 0),
+            conversations: counts,
+            messages: messages.map(messageSummary)
+        });
+    })
+);
+
+// One page of the conversation, oldest first; ?before= is the
+// next_before of the previous page
+router.get('/conversations/:userId',
+    loadPartner,
+    query('before').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const page = await conversationHistory(req.user.id, req.params.userId, {
+            before: req.query.before ?? null,
+            limit: req.query.limit || 50
+        });
+        res.json({ success: true, ...page });
+    })
+);
+
+// Everything the other user sent, or only up to ?up_to= (a message id)
+router.put('/conversations/:userId/read',
+    loadPartner,
+    body('up_to').optional().isInt({ min: 1 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const ids = await markRead(req.app.get('io'), req.user.id, req.params.userId, req.body.up_to ?? null);
+        res.json({ success: true, message_ids: ids });
+    })
+);
+
+// ========== MESSAGES ==========
+
+router.post('/',
+    body('receiver_id').isInt().toInt(),
+    body('content').trim().isLength({ min: 1, max: MAX_MESSAGE_LENGTH })
+        .withMessage(`Message must be 1-${MAX_MESSAGE_LENGTH} characters`),
+    validate,
+    asyncHandler(async (req, res) => {
+        if (req.body.receiver_id === req.user.id || !await userExists(req.body.receiver_id)) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        const result = await sendMessage(req.app.get('io'), req.user.id, req.body.receiver_id, req.body.content);
+        if (result.error) return res.status(403).json({ success: false, message: result.error });
+        res.status(201).json({ success: true, message: result.message });
+    })
+);
+
+// Reading a message reads the ones before it in the conversation too
+router.put('/:id/read', loadMessage, asyncHandler(async (req, res) => {
+    if (req.message.receiver_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'Only the receiver can mark a message read' });
+    }
+    const ids = await markRead(req.app.get('io'), req.user.id, req.message.sender_id, req.message.id);
+    res.json({ success: true, message_ids: ids });
+}));
+
+router.delete('/:id', loadMessage, asyncHandler(async (req, res) => {
+    if (req.message.sender_id !== req.user.id) {
+        return res.status(403).json({ success: false, message: 'You can only delete your own messages' });
+    }
+    if (!req.message.is_deleted) await deleteMessage(req.app.get('io'), req.message);
+    res.json({ success: true });
+}));
+
+export default router;
@@ -0,0 +1,153 @@
+// ============================================
+// POMODORO ROUTES - /api/pomodoro
+// Server-tracked focus/break timer; every change is pushed to the user's
+// other devices as a 'pomodoro-state' Socket.IO event
+// ============================================
+
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { getDb } from '../db/database.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, asyncHandler } from '../middleware/validate.js';
+import {
+    pomodoroState, findPomodoro, currentPomodoro, startPomodoro, pausePomodoro, resumePomodoro,
+    completePhase, stopPomodoro
+} from '../services/pomodoro.js';
+import { recordAchievementEvent } from '../services/achievements.js';
+import { refreshPresence } from '../services/presence.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// ========== HELPERS ==========
+
+// Also moves the user in or out of studying for their friends
+function broadcast(req, row) {
+    const io = req.app.get('io');
+    io?.to(`user-${req.user.id}`).emit('pomodoro-state', pomodoroState(row));
+    refreshPresence(io, req.user.id).catch(err => console.error('Error refreshing presence:', err));
+}
+
+// Load the pomodoro named in the URL; 404 unless it's the user's, 409 when
+// it's already over
+const loadPomodoro = [
+    param('id').isInt(),
+    validate,
+    asyncHandler(async (req, res, next) => {
+        const row = await findPomodoro(req.user.id, req.params.id);
+        if (!row) return res.status(404).json({ success: false, message: 'Pomodoro not found' });
+        if (!['active', 'paused'].includes(row.status)) {
+            return res.status(409).json({ success: false, message: `This pomodoro is ${row.status}` });
+        }
+        req.pomodoro = row;
+        next();
+    })
+];
+
+const respond = (req, res, row, extra = {}) => {
+    broadcast(req, row);
+    res.json({ success: true, pomodoro: pomodoroState(row), ...extra });
+};
+
+const alreadyRunning = async (req, res) => res.status(409).json({
+    success: false,
+    message: 'A pomodoro is already running',
+    pomodoro: pomodoroState(await currentPomodoro(req.user.id))
+});
+
+// ========== TIMER ==========
+
+// The running or paused timer, so a reloaded page can pick it up
+router.get('/current', asyncHandler(async (req, res) => {
+    res.json({ success: true, pomodoro: pomodoroState(await currentPomodoro(req.user.id)) });
+}));
+
+router.post('/start',
+    body('subject_id').optional({ values: 'null' }).isInt().toInt(),
+    body('focus_minutes').optional().isInt({ min: 5, max: 120 }).toInt(),
+    body('break_minutes').optional().isInt({ min: 1, max: 60 }).toInt(),
+    body('long_break_minutes').optional().isInt({ min: 1, max: 60 }).toInt(),
+    body('cycles_before_long_break').optional().isInt({ min: 1, max: 12 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        if (await currentPomodoro(req.user.id)) return alreadyRunning(req, res);
+
+        const subjectId = req.body.subject_id || null;
+        if (subjectId) {
+            const subject = await getDb().get('SELECT id FROM subjects WHERE id = ? AND user_id = ?', [subjectId, req.user.id]);
+            if (!subject) return res.status(400).json({ success: false, message: 'Unknown subject' });
+        }
+
+        const row = await startPomodoro(req.user.id, {
+            subjectId,
+            focusMinutes: req.body.focus_minutes,
+            breakMinutes: req.body.break_minutes,
+            longBreakMinutes: req.body.long_break_minutes,
+            cyclesBeforeLongBreak: req.body.cycles_before_long_break
+        });
+        // Another start got in first
+        if (!row) return alreadyRunning(req, res);
+        broadcast(req, row);
+        res.status(201).json({ success: true, pomodoro: pomodoroState(row) });
+    })
+);
+
+router.post('/:id/pause', loadPomodoro, asyncHandler(async (req, res) => {
+    if (req.pomodoro.status !== 'active') {
+        return res.status(409).json({ success: false, message: 'The timer is not running' });
+    }
+    respond(req, res, await pausePomodoro(req.pomodoro));
+}));
+
+router.post('/:id/resume', loadPomodoro, asyncHandler(async (req, res) => {
+    if (req.pomodoro.status !== 'paused') {
+        return res.status(409).json({ success: false, message: 'The timer is not paused' });
+    }
+    respond(req, res, await resumePomodoro(req.pomodoro));
+}));
+
+// Finish the current phase: a focus phase once its time is up (crediting
+// the cycle), a break at any time
+router.post('/:id/complete', loadPomodoro, asyncHandler(async (req, res) => {
+    const { row, credited, error } = await completePhase(req.pomodoro, req.user.timezone);
+    if (error) {
+        return res.status(409).json({ success: false, message: error, pomodoro: pomodoroState(req.pomodoro) });
+    }
+    if (credited) recordAchievementEvent(req.app.get('io'), req.user.id, 'pomodoro_completed');
+    respond(req, res, row, { credited });
+}));
+
+router.post('/:id/stop', loadPomodoro, asyncHandler(async (req, res) => {
+    respond(req, res, await stopPomodoro(req.pomodoro));
+}));
+
+// ========== HISTORY ==========
+
+router.get('/history',
+    query('days').optional().isInt({ min: 1, max: 365 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const db = getDb();
+        const since = `-${req.query.days || 7} days`;
+        const [pomodoros, totals] = await Promise.all([
+            db.all(
+                `SELECT p.*, s.name AS subject FROM pomodoro_sessions p
+                 LEFT JOIN subjects s ON s.id = p.subject_id
+                 WHERE p.user_id = ? AND p.started_at >= datetime('now', ?)
+                 ORDER BY p.started_at DESC`,
+                [req.user.id, since]
+            ),
+            db.all(
+                `SELECT log_date, COUNT(*) AS cycles, SUM(focus_minutes) AS focus_minutes
+                 FROM pomodoro_cycles
+                 WHERE user_id = ? AND completed_at >= datetime('now', ?)
+                 GROUP BY log_date ORDER BY log_date`,
+                [req.user.id, since]
+            )
+        ]);
+        res.json({ success: true, pomodoros: pomodoros.map(p => pomodoroState(p)), daily: totals });
+    })
+);
+
+export default router;
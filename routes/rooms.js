@@ -0,0 +1,214 @@
+// ============================================
+// STUDY ROOM ROUTES - /api/rooms
+// Open, list, invite to and close co-study rooms; the live clock and
+// presence run over Socket.IO (see services/studyRooms.js)
+// ============================================
+
+import express from 'express';
+import { body, param } from 'express-validator';
+import { getDb, withTransaction, isGroupMember, getStudyingFriends, createNotification } from '../db/database.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, asyncHandler } from '../middleware/validate.js';
+import {
+    findRoom, roomClock, roomPresence, canJoinRoom, canManageRoom, openRoom, closeRoom
+} from '../services/studyRooms.js';
+import { toSqlDateTime } from '../utils/time.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// ========== HELPERS ==========
+
+const roomSummary = room => ({
+    id: room.id,
+    group_session_id: room.group_session_id,
+    group_id: room.group_id,
+    group_name: room.group_name,
+    title: room.title,
+    subject: room.subject,
+    host_id: room.host_id,
+    host_name: room.host_name,
+    status: room.status,
+    created_at: room.created_at,
+    closed_at: room.closed_at,
+    participants: room.status === 'open' ? roomPresence(room).members.length : 0,
+    clock: roomClock(room)
+});
+
+// Invite accepted friends who aren't in the session yet; a
+// session_participants row marked is_friend_invite is what lets a
+// non-member into the room
+async function inviteFriends(req, room, userIds) {
+    const db = getDb();
+    const friendIds = new Set((await getStudyingFriends(req.user.id)).map(f => f.id));
+    const io = req.app.get('io');
+    const invited = [];
+
+    for (const userId of new Set(userIds)) {
+        if (!friendIds.has(userId)) continue;
+        const { changes } = await db.run(
+            `INSERT INTO session_participants (session_id, user_id, status, is_friend_invite)
+             VALUES (?, ?, 'invited', 1)
+             ON CONFLICT(session_id, user_id) DO NOTHING`,
+            [room.group_session_id, userId]
+        );
+        if (!changes) continue;
+
+        const notification = await createNotification({
+            user_id: userId,
+            type: 'study_room_invite',
+            title: 'Study together',
+            message: `${req.user.username} invited you to study "${room.title}" together`,
+            data: { room_id: room.id },
+            related_id: room.id,
+            related_type: 'study_room'
+        });
+        io?.to(`user-${userId}`).emit('new-notification', notification);
+        io?.to(`user-${userId}`).emit('room-invite', roomSummary(room));
+        invited.push(userId);
+    }
+    return invited;
+}
+
+// Load the room named in the URL; 404 unless the user may join it
+const loadRoom = [
+    param('id').isInt(),
+    validate,
+    asyncHandler(async (req, res, next) => {
+        const room = await findRoom(req.params.id);
+        if (!room || !await canJoinRoom(room, req.user.id)) {
+            return res.status(404).json({ success: false, message: 'Study room not found' });
+        }
+        req.room = room;
+        next();
+    })
+];
+
+const ensureOpen = (req, res, next) => {
+    if (req.room.status !== 'open') {
+        return res.status(409).json({ success: false, message: 'This study room is closed' });
+    }
+    next();
+};
+
+// ========== ROOMS ==========
+
+// Open rooms in the user's groups and rooms they were invited to
+router.get('/', asyncHandler(async (req, res) => {
+    const rows = await getDb().all(
+        `SELECT r.id FROM study_rooms r
+         JOIN group_sessions gs ON gs.id = r.group_session_id
+         WHERE r.status = 'open'
+           AND (gs.group_id IN (SELECT group_id FROM group_members WHERE user_id = ?)
+                OR gs.id IN (SELECT session_id FROM session_participants
+                             WHERE user_id = ? AND is_friend_invite = 1))
+         ORDER BY r.created_at DESC`,
+        [req.user.id, req.user.id]
+    );
+    const rooms = await Promise.all(rows.map(row => findRoom(row.id)));
+    res.json({ success: true, rooms: rooms.map(roomSummary) });
+}));
+
+// Open a room, either on a new ad-hoc session in a group (group_id) or on
+// a scheduled group session (group_session_id)
+router.post('/',
+    body('group_id').optional().isInt().toInt(),
+    body('group_session_id').optional().isInt().toInt(),
+    body().custom(value => Boolean(value.group_id || value.group_session_id))
+        .withMessage('group_id or group_session_id is required'),
+    body('title').optional().trim().isLength({ min: 1, max: 200 }),
+    body('subject').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+    body('focus_minutes').optional().isInt({ min: 5, max: 120 }).toInt(),
+    body('break_minutes').optional().isInt({ min: 1, max: 60 }).toInt(),
+    body('long_break_minutes').optional().isInt({ min: 1, max: 60 }).toInt(),
+    body('cycles_before_long_break').optional().isInt({ min: 1, max: 12 }).toInt(),
+    body('invite').optional().isArray({ max: 50 }),
+    body('invite.*').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const db = getDb();
+        let sessionId = req.body.group_session_id;
+        let groupId = req.body.group_id;
+
+        if (sessionId) {
+            const session = await db.get('SELECT id, group_id, status FROM group_sessions WHERE id = ?', [sessionId]);
+            if (!session || !await isGroupMember(session.group_id, req.user.id)) {
+                return res.status(404).json({ success: false, message: 'Group session not found' });
+            }
+            if (['completed', 'cancelled'].includes(session.status)) {
+                return res.status(409).json({ success: false, message: `This session is ${session.status}` });
+            }
+            groupId = session.group_id;
+        } else if (!await isGroupMember(groupId, req.user.id)) {
+            return res.status(403).json({ success: false, message: 'Not a member of this group' });
+        }
+        const group = await db.get('SELECT is_active FROM study_groups WHERE id = ?', [groupId]);
+        if (!group.is_active) return res.status(409).json({ success: false, message: 'This group is archived' });
+
+        let room;
+        await withTransaction(async () => {
+            if (!sessionId) {
+                ({ lastID: sessionId } = await db.run(
+                    `INSERT INTO group_sessions (group_id, creator_id, title, subject, scheduled_for, status)
+                     VALUES (?, ?, ?, ?, ?, 'ongoing')`,
+                    [groupId, req.user.id, req.body.title || 'Study together',
+                        req.body.subject || null, toSqlDateTime(new Date())]
+                ));
+            }
+            room = await openRoom(sessionId, req.user.id, {
+                focusMinutes: req.body.focus_minutes,
+                breakMinutes: req.body.break_minutes,
+                longBreakMinutes: req.body.long_break_minutes,
+                cyclesBeforeLongBreak: req.body.cycles_before_long_break
+            });
+        });
+        const invited = await inviteFriends(req, room, req.body.invite || []);
+        req.app.get('io')?.to(`group-${room.group_id}`).emit('room-opened', roomSummary(room));
+
+        res.status(201).json({ success: true, room: roomSummary(room), invited });
+    })
+);
+
+router.get('/:id', loadRoom, asyncHandler(async (req, res) => {
+    const attendance = await getDb().all(
+        `SELECT sp.user_id, u.username, u.avatar_url, sp.status, sp.joined_at, sp.left_at
+         FROM session_participants sp JOIN users u ON u.id = sp.user_id
+         WHERE sp.session_id = ?
+         ORDER BY sp.joined_at IS NULL, sp.joined_at`,
+        [req.room.group_session_id]
+    );
+    res.json({
+        success: true,
+        room: roomSummary(req.room),
+        presence: req.room.status === 'open' ? roomPresence(req.room) : null,
+        attendance
+    });
+}));
+
+// Group members can invite their friends; invited friends can't pass the
+// invite on
+router.post('/:id/invite',
+    loadRoom,
+    ensureOpen,
+    body('user_ids').isArray({ min: 1, max: 50 }),
+    body('user_ids.*').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        if (!await isGroupMember(req.room.group_id, req.user.id)) {
+            return res.status(403).json({ success: false, message: 'Only group members can invite friends to this room' });
+        }
+        const invited = await inviteFriends(req, req.room, req.body.user_ids);
+        res.json({ success: true, invited });
+    })
+);
+
+router.post('/:id/close', loadRoom, ensureOpen, asyncHandler(async (req, res) => {
+    if (!await canManageRoom(req.room, req.user.id)) {
+        return res.status(403).json({ success: false, message: 'Only the host or a group moderator can close this room' });
+    }
+    const room = await closeRoom(req.app.get('io'), req.room);
+    res.json({ success: true, room: roomSummary(room) });
+}));
+
+export default router;
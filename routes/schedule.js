@@ -0,0 +1,404 @@
+// ============================================
+// SCHEDULE ROUTES - /api/schedule
+// Study sessions, free slots, deadlines and study plan generation
+// ============================================
+
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { getDb, withTransaction } from '../db/database.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, asyncHandler } from '../middleware/validate.js';
+import { generatePlan, commitPlan, isPlannerEnabled } from '../services/planner.js';
+import { refreshUserStats } from '../services/studyStats.js';
+import { recordAchievementEvent } from '../services/achievements.js';
+import { todayIn, addDays, timeToMinutes } from '../utils/time.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// ========== STUDY PLAN ==========
+
+const planRules = [
+    body('start_date').optional().isISO8601({ strict: true }).withMessage('start_date must be YYYY-MM-DD'),
+    body('weeks').optional().isInt({ min: 1, max: 8 }).toInt(),
+    body('session_minutes').optional().isInt({ min: 15, max: 240 }).toInt(),
+    body('break_minutes').optional().isInt({ min: 0, max: 60 }).toInt(),
+    body('max_daily_minutes').optional().isInt({ min: 30, max: 960 }).toInt(),
+    validate
+];
+
+function requirePlanner(req, res, next) {
+    if (!isPlannerEnabled()) {
+        return res.status(403).json({ success: false, message: 'AI scheduling is disabled' });
+    }
+    next();
+}
+
+const planOptions = ({ start_date, weeks, session_minutes, break_minutes, max_daily_minutes }) => ({
+    startDate: start_date,
+    weeks,
+    sessionMinutes: session_minutes,
+    breakMinutes: break_minutes,
+    maxDailyMinutes: max_daily_minutes
+});
+
+// Preview a plan without saving anything
+router.post('/plan/preview', requirePlanner, planRules, asyncHandler(async (req, res) => {
+    const plan = await generatePlan(req.user.id, planOptions(req.body));
+    res.json({ success: true, plan });
+}));
+
+// Generate and save a plan, replacing earlier auto-planned sessions in its window
+router.post('/plan/commit', requirePlanner, planRules, asyncHandler(async (req, res) => {
+    const plan = await generatePlan(req.user.id, planOptions(req.body));
+    const created = await commitPlan(req.user.id, plan);
+    res.status(201).json({ success: true, plan, created });
+}));
+
+// Re-plan from now after sessions were missed; previews unless commit is true
+router.post('/replan',
+    requirePlanner,
+    body('commit').optional().isBoolean().toBoolean(),
+    planRules,
+    asyncHandler(async (req, res) => {
+        const options = { ...planOptions(req.body), startDate: undefined };
+        const plan = await generatePlan(req.user.id, options, { replan: true });
+        const created = req.body.commit ? await commitPlan(req.user.id, plan) : 0;
+        res.status(req.body.commit ? 201 : 200).json({ success: true, plan, created });
+    })
+);
+
+// ========== HELPERS ==========
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Allowed status changes; completed, cancelled and missed are final
+// (a missed session is rescheduled by editing it or re-planning)
+const STATUS_TRANSITIONS = {
+    planned: ['ongoing', 'cancelled', 'missed'],
+    ongoing: ['completed', 'missed'],
+    completed: [],
+    cancelled: [],
+    missed: []
+};
+
+const SESSION_SELECT = `
+    SELECT s.*, sub.name AS subject, sub.color AS subject_color, t.name AS topic
+    FROM study_sessions s
+    LEFT JOIN subjects sub ON sub.id = s.subject_id
+    LEFT JOIN subject_topics t ON t.id = s.topic_id`;
+
+const timeField = field => body(field)
+    .matches(TIME_PATTERN).withMessage(`${field} must be HH:MM`);
+
+const endAfterStart = body('end_time').custom((end, { req }) => {
+    if (req.body.start_time && end <= req.body.start_time) {
+        throw new Error('end_time must be after start_time');
+    }
+    return true;
+});
+
+async function findSession(userId, id) {
+    return getDb().get(`${SESSION_SELECT} WHERE s.id = ? AND s.user_id = ?`, [id, userId]);
+}
+
+// Add (sign 1) or take back (sign -1) a completed session's minutes in its
+// subject's hours_completed
+async function creditSubject(session, sign) {
+    if (!session.subject_id) return;
+    const minutes = session.duration_minutes || timeToMinutes(session.end_time) - timeToMinutes(session.start_time);
+    await getDb().run(
+        `UPDATE subjects SET hours_completed = MAX(0, COALESCE(hours_completed, 0) + ?), updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [sign * minutes / 60, session.subject_id]
+    );
+}
+
+async function ownsSubject(userId, subjectId) {
+    if (subjectId == null || subjectId === '') return true;
+    const row = await getDb().get('SELECT id FROM subjects WHERE id = ? AND user_id = ?', [subjectId, userId]);
+    return Boolean(row);
+}
+
+// Planned or ongoing sessions of the user that overlap [start, end) on a date
+async function findOverlap(userId, date, start, end, excludeId = null) {
+    return getDb().get(
+        `SELECT id, title, start_time, end_time FROM study_sessions
+         WHERE user_id = ? AND scheduled_date = ? AND status IN ('planned', 'ongoing') AND id IS NOT ?
+           AND time(start_time) < time(?) AND time(end_time) > time(?)`,
+        [userId, date, excludeId, end, start]
+    );
+}
+
+async function findSlotOverlap(userId, day, start, end, excludeId = null) {
+    return getDb().get(
+        `SELECT id, start_time, end_time FROM free_slots
+         WHERE user_id = ? AND day_of_week = ? AND id IS NOT ?
+           AND time(start_time) < time(?) AND time(end_time) > time(?)`,
+        [userId, day, excludeId, end, start]
+    );
+}
+
+const overlapResponse = (res, overlap) => res.status(409).json({
+    success: false,
+    message: `Overlaps with "${overlap.title}" (${overlap.start_time} - ${overlap.end_time})`,
+    conflict: overlap
+});
+
+// ========== TODAY & DEADLINES ==========
+
+// Today's sessions in the user's time zone, for the dashboard timeline
+router.get('/today', asyncHandler(async (req, res) => {
+    const sessions = await getDb().all(
+        `${SESSION_SELECT}
+         WHERE s.user_id = ? AND s.scheduled_date = ? AND s.status != 'cancelled'
+         ORDER BY s.start_time`,
+        [req.user.id, todayIn(req.user.timezone)]
+    );
+    res.json({ success: true, sessions });
+}));
+
+// Subject deadlines in the next `days` days (default 30)
+router.get('/deadlines',
+    query('days').optional().isInt({ min: 1, max: 365 }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const today = todayIn(req.user.timezone);
+        const rows = await getDb().all(
+            `SELECT id AS subject_id, name AS subject, color, deadline, total_hours_needed, hours_completed
+             FROM subjects
+             WHERE user_id = ? AND is_active = 1 AND deadline BETWEEN ? AND ?
+             ORDER BY deadline`,
+            [req.user.id, today, addDays(today, req.query.days || 30)]
+        );
+
+        const deadlines = rows.map(row => {
+            const left = row.total_hours_needed != null
+                ? Math.max(0, row.total_hours_needed - (row.hours_completed || 0))
+                : null;
+            return {
+                ...row,
+                title: left == null ? 'Deadline' : left > 0 ? `${Math.round(left * 10) / 10}h of study left` : 'Study hours complete'
+            };
+        });
+        res.json({ success: true, deadlines });
+    })
+);
+
+// ========== FREE SLOTS ==========
+
+router.get('/free-slots', asyncHandler(async (req, res) => {
+    const slots = await getDb().all(
+        'SELECT * FROM free_slots WHERE user_id = ? ORDER BY day_of_week, start_time',
+        [req.user.id]
+    );
+    res.json({ success: true, slots });
+}));
+
+const slotRules = [
+    body('day_of_week').isInt({ min: 0, max: 6 }).toInt(),
+    timeField('start_time'),
+    timeField('end_time'),
+    endAfterStart,
+    body('is_recurring').optional().isBoolean().toBoolean(),
+    validate
+];
+
+router.post('/free-slots', slotRules, asyncHandler(async (req, res) => {
+    const { day_of_week: day, start_time: start, end_time: end, is_recurring: recurring = true } = req.body;
+
+    const overlap = await findSlotOverlap(req.user.id, day, start, end);
+    if (overlap) {
+        return res.status(409).json({ success: false, message: 'Overlaps an existing free slot', conflict: overlap });
+    }
+
+    const { lastID } = await getDb().run(
+        'INSERT INTO free_slots (user_id, day_of_week, start_time, end_time, is_recurring) VALUES (?, ?, ?, ?, ?)',
+        [req.user.id, day, start, end, recurring ? 1 : 0]
+    );
+    const slot = await getDb().get('SELECT * FROM free_slots WHERE id = ?', [lastID]);
+    res.status(201).json({ success: true, slot });
+}));
+
+router.put('/free-slots/:id', param('id').isInt(), slotRules, asyncHandler(async (req, res) => {
+    const { day_of_week: day, start_time: start, end_time: end, is_recurring: recurring = true } = req.body;
+
+    const existing = await getDb().get('SELECT id FROM free_slots WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+    if (!existing) return res.status(404).json({ success: false, message: 'Free slot not found' });
+
+    const overlap = await findSlotOverlap(req.user.id, day, start, end, existing.id);
+    if (overlap) {
+        return res.status(409).json({ success: false, message: 'Overlaps an existing free slot', conflict: overlap });
+    }
+
+    await getDb().run(
+        'UPDATE free_slots SET day_of_week = ?, start_time = ?, end_time = ?, is_recurring = ? WHERE id = ?',
+        [day, start, end, recurring ? 1 : 0, existing.id]
+    );
+    const slot = await getDb().get('SELECT * FROM free_slots WHERE id = ?', [existing.id]);
+    res.json({ success: true, slot });
+}));
+
+router.delete('/free-slots/:id', param('id').isInt(), validate, asyncHandler(async (req, res) => {
+    const { changes } = await getDb().run('DELETE FROM free_slots WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+    if (!changes) return res.status(404).json({ success: false, message: 'Free slot not found' });
+    res.json({ success: true });
+}));
+
+// ========== STUDY SESSIONS ==========
+
+router.get('/',
+    query('from').optional().isISO8601({ strict: true }),
+    query('to').optional().isISO8601({ strict: true }),
+    query('status').optional().isIn(Object.keys(STATUS_TRANSITIONS)),
+    validate,
+    asyncHandler(async (req, res) => {
+        const from = req.query.from || todayIn(req.user.timezone);
+        const to = req.query.to || addDays(from, 6);
+        const params = [req.user.id, from, to];
+        let sql = `${SESSION_SELECT} WHERE s.user_id = ? AND s.scheduled_date BETWEEN ? AND ?`;
+        if (req.query.status) {
+            sql += ' AND s.status = ?';
+            params.push(req.query.status);
+        }
+
+        const sessions = await getDb().all(`${sql} ORDER BY s.scheduled_date, s.start_time`, params);
+        res.json({ success: true, sessions });
+    })
+);
+
+const sessionRules = [
+    body('title').optional({ values: 'falsy' }).trim().isLength({ max: 200 }),
+    body('subject_id').optional({ values: 'falsy' }).isInt().toInt(),
+    body('scheduled_date').isISO8601({ strict: true }).withMessage('scheduled_date must be YYYY-MM-DD'),
+    timeField('start_time'),
+    timeField('end_time'),
+    endAfterStart,
+    body('description').optional().isString(),
+    body('location').optional().isString().isLength({ max: 200 }),
+    validate
+];
+
+async function saveSession(req, res, existing = null) {
+    const {
+        subject_id: subjectId = null, scheduled_date: date, start_time: start, end_time: end,
+        description = null, location = null
+    } = req.body;
+    const title = req.body.title || existing?.title || 'Study Session';
+
+    if (!await ownsSubject(req.user.id, subjectId)) {
+        return res.status(400).json({ success: false, message: 'Unknown subject' });
+    }
+    const overlap = await findOverlap(req.user.id, date, start, end, existing?.id);
+    if (overlap) return overlapResponse(res, overlap);
+
+    const duration = timeToMinutes(end) - timeToMinutes(start);
+    let id = existing?.id;
+    if (existing) {
+        await getDb().run(
+            `UPDATE study_sessions
+             SET subject_id = ?, title = ?, description = ?, scheduled_date = ?, start_time = ?, end_time = ?,
+                 duration_minutes = ?, location = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [subjectId || null, title, description, date, start, end, duration, location, id]
+        );
+    } else {
+        ({ lastID: id } = await getDb().run(
+            `INSERT INTO study_sessions
+                (user_id, subject_id, title, description, scheduled_date, start_time, end_time, duration_minutes, location)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.id, subjectId || null, title, description, date, start, end, duration, location]
+        ));
+    }
+
+    const session = await findSession(req.user.id, id);
+    res.status(existing ? 200 : 201).json({ success: true, session });
+}
+
+// The dashboard's quick-schedule form posts to /create
+router.post(['/', '/create'], sessionRules, asyncHandler((req, res) => saveSession(req, res)));
+
+router.get('/:id', param('id').isInt(), validate, asyncHandler(async (req, res) => {
+    const session = await findSession(req.user.id, req.params.id);
+    if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+    res.json({ success: true, session });
+}));
+
+router.put('/:id', param('id').isInt(), sessionRules, asyncHandler(async (req, res) => {
+    const existing = await findSession(req.user.id, req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Session not found' });
+    if (existing.status !== 'planned') {
+        return res.status(409).json({ success: false, message: `A ${existing.status} session can't be edited` });
+    }
+    await saveSession(req, res, existing);
+}));
+
+router.delete('/:id', param('id').isInt(), validate, asyncHandler(async (req, res) => {
+    const session = await findSession(req.user.id, req.params.id);
+    const changes = await withTransaction(async db => {
+        const { changes: deleted } = await db.run(
+            'DELETE FROM study_sessions WHERE id = ? AND user_id = ?',
+            [req.params.id, req.user.id]
+        );
+        if (deleted && session.status === 'completed') await creditSubject(session, -1);
+        return deleted;
+    });
+    if (!changes) return res.status(404).json({ success: false, message: 'Session not found' });
+    // A finished session counted towards its day's log and the streak
+    if (['completed', 'missed'].includes(session.status)) {
+        await refreshUserStats(req.user.id, req.user.timezone, session.scheduled_date);
+    }
+    res.json({ success: true });
+}));
+
+// planned -> ongoing -> completed/missed (or planned -> cancelled/missed).
+// Completing a session credits its minutes to the subject's hours_completed.
+router.patch('/:id/status',
+    param('id').isInt(),
+    body('status').isIn(Object.keys(STATUS_TRANSITIONS)),
+    body('productivity_rating').optional().isInt({ min: 1, max: 5 }).toInt(),
+    body('notes').optional().isString(),
+    validate,
+    asyncHandler(async (req, res) => {
+        const db = getDb();
+        const session = await findSession(req.user.id, req.params.id);
+        if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+        const { status, productivity_rating: rating = null, notes = null } = req.body;
+        if (!STATUS_TRANSITIONS[session.status].includes(status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Can't change a ${session.status} session to ${status}`,
+                allowed: STATUS_TRANSITIONS[session.status]
+            });
+        }
+
+        const { changes } = await db.run(
+            `UPDATE study_sessions
+             SET status = ?, productivity_rating = COALESCE(?, productivity_rating), notes = COALESCE(?, notes),
+                 completed_at = CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP ELSE completed_at END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = ?`,
+            [status, rating, notes, status, session.id, session.status]
+        );
+        if (!changes) {
+            return res.status(409).json({ success: false, message: 'Session was changed by another request' });
+        }
+
+        if (status === 'completed') await creditSubject(session, 1);
+        if (['completed', 'missed'].includes(status)) {
+            await refreshUserStats(req.user.id, req.user.timezone, session.scheduled_date);
+        }
+        if (status === 'completed') recordAchievementEvent(req.app.get('io'), req.user.id, 'session_completed');
+
+        res.json({
+            success: true,
+            session: await findSession(req.user.id, session.id),
+            // A missed session can be made up for with POST /api/schedule/replan
+            replan_suggested: status === 'missed' && isPlannerEnabled()
+        });
+    })
+);
+
+export default router;
@@ -0,0 +1,147 @@
+// ============================================
+// USER ROUTES - /api/users
+// Friends: requests, accepting and declining, unfriending, blocking and
+// mutual friends. Both users' tabs hear about changes as
+// friendship-updated. Friends' online status respects privacy_level.
+// ============================================
+
+import express from 'express';
+import { body, param } from 'express-validator';
+import { getDb } from '../db/database.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, asyncHandler } from '../middleware/validate.js';
+import {
+    friendshipStatus, sendRequest, cancelRequest, respondToRequest, unfriend, blockUser, unblockUser, listFriends,
+    pendingRequests, blockedUsers, mutualFriends
+} from '../services/friends.js';
+import { PRIVACY_LEVELS, refreshPresence } from '../services/presence.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// ========== HELPERS ==========
+
+// Another active user, as req.other
+const loadUser = [
+    param('id').isInt().toInt(),
+    validate,
+    asyncHandler(async (req, res, next) => {
+        const other = req.params.id !== req.user.id && await getDb().get(
+            'SELECT id, username, full_name, avatar_url FROM users WHERE id = ? AND is_active = 1',
+            [req.params.id]
+        );
+        if (!other) return res.status(404).json({ success: false, message: 'User not found' });
+        req.other = other;
+        next();
+    })
+];
+
+const notFound = (res, message) => res.status(404).json({ success: false, message });
+
+// ========== LISTS ==========
+
+router.get('/friends', asyncHandler(async (req, res) => {
+    res.json({ success: true, friends: await listFriends(req.user.id) });
+}));
+
+// Friends who are studying, online or idle, as far as they let others see
+router.get('/online-friends', asyncHandler(async (req, res) => {
+    res.json({ success: true, friends: await listFriends(req.user.id, { onlineOnly: true }) });
+}));
+
+router.get('/friend-requests', asyncHandler(async (req, res) => {
+    res.json({ success: true, ...await pendingRequests(req.user.id) });
+}));
+
+router.get('/blocked', asyncHandler(async (req, res) => {
+    res.json({ success: true, users: await blockedUsers(req.user.id) });
+}));
+
+router.get('/:id/mutual-friends', loadUser, asyncHandler(async (req, res) => {
+    res.json({ success: true, friends: await mutualFriends(req.user.id, req.other.id) });
+}));
+
+// ========== REQUESTS ==========
+
+// A request to someone who already asked the user makes them friends
+router.post('/:id/friend-request', loadUser, asyncHandler(async (req, res) => {
+    const result = await sendRequest(req.app.get('io'), req.user, req.other);
+    if (result.error) return res.status(result.code).json({ success: false, message: result.error });
+    res.status(result.status === 'pending' ? 201 : 200).json({ success: true, status: result.status });
+}));
+
+router.delete('/:id/friend-request', loadUser, asyncHandler(async (req, res) => {
+    if (!await cancelRequest(req.app.get('io'), req.user.id, req.other.id)) {
+        return notFound(res, 'No friend request to cancel');
+    }
+    res.json({ success: true, status: 'none' });
+}));
+
+router.post('/:id/friend-request/accept', loadUser, asyncHandler(async (req, res) => {
+    if (!await respondToRequest(req.app.get('io'), req.user, req.other, true)) {
+        return notFound(res, 'No friend request from this user');
+    }
+    res.json({ success: true, status: 'accepted' });
+}));
+
+router.post('/:id/friend-request/decline', loadUser, asyncHandler(async (req, res) => {
+    if (!await respondToRequest(req.app.get('io'), req.user, req.other, false)) {
+        return notFound(res, 'No friend request from this user');
+    }
+    res.json({ success: true, status: 'declined' });
+}));
+
+// ========== FRIENDS ==========
+
+router.delete('/:id/friend', loadUser, asyncHandler(async (req, res) => {
+    if (!await unfriend(req.app.get('io'), req.user.id, req.other.id)) {
+        return notFound(res, 'You are not friends with this user');
+    }
+    res.json({ success: true, status: 'none' });
+}));
+
+// How the user stands with someone: none, pending (incoming or outgoing),
+// accepted, declined or blocked (only when the user is the blocker)
+router.get('/:id/friendship', loadUser, asyncHandler(async (req, res) => {
+    const { status, action_user_id: actionUserId } = await friendshipStatus(req.user.id, req.other.id);
+    const mine = actionUserId === req.user.id;
+    res.json({
+        success: true,
+        status,
+        direction: status === 'pending' ? (mine ? 'outgoing' : 'incoming') : undefined
+    });
+}));
+
+// ========== BLOCKING ==========
+
+router.post('/:id/block', loadUser, asyncHandler(async (req, res) => {
+    await blockUser(req.app.get('io'), req.user.id, req.other.id);
+    res.json({ success: true, status: 'blocked' });
+}));
+
+router.delete('/:id/block', loadUser, asyncHandler(async (req, res) => {
+    if (!await unblockUser(req.app.get('io'), req.user.id, req.other.id)) {
+        return notFound(res, "You haven't blocked this user");
+    }
+    res.json({ success: true, status: 'none' });
+}));
+
+// ========== PRIVACY ==========
+
+// What friends see of the user's presence: 1 everything, 2 only online
+// or offline, 3 always offline. Friends hear the change right away.
+router.put('/privacy',
+    body('privacy_level').isInt({ min: PRIVACY_LEVELS.FULL, max: PRIVACY_LEVELS.HIDDEN }).toInt(),
+    validate,
+    asyncHandler(async (req, res) => {
+        await getDb().run(
+            'UPDATE users SET privacy_level = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [req.body.privacy_level, req.user.id]
+        );
+        await refreshPresence(req.app.get('io'), req.user.id);
+        res.json({ success: true, privacy_level: req.body.privacy_level });
+    })
+);
+
+export default router;
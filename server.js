@@ -42,9 +42,26 @@ const db = await import(`./db/database.js`);
 import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import scheduleRoutes from './routes/schedule.js';
+import calendarRoutes from './routes/calendar.js';
+import flashcardRoutes from './routes/flashcards.js';
+import pomodoroRoutes from './routes/pomodoro.js';
+import roomRoutes from './routes/rooms.js';
 import groupRoutes from './routes/groups.js';
+import groupSessionRoutes from './routes/groupSessions.js';
+import messageRoutes from './routes/messages.js';
+import groupMessageRoutes from './routes/groupMessages.js';
 import analyticsRoutes from './routes/analytics.js';
-import adminRoutes from './routes/admin.js';
+import { authenticateSocket } from './middleware/auth.js';
+import { runReminderTick } from './services/reminders.js';
+import { completeFinishedSessions } from './services/groupSessions.js';
+import { currentPomodoro, pomodoroState } from './services/pomodoro.js';
+import { registerStudyRoomHandlers } from './services/studyRooms.js';
+import { registerPresenceHandlers, refreshAllPresence, resetPresence, announceStudyStart } from './services/presence.js';
+import { runDailyRollup } from './services/studyStats.js';
+import { backfillAchievements } from './services/achievements.js';
+import { sendWeeklyReports } from './services/reports.js';
+import { MAX_MESSAGE_LENGTH, sendMessage, deliverPending, relayTyping } from './services/messages.js';
+import { MAX_GROUP_MESSAGE_LENGTH, postGroupMessage } from './services/groupChat.js';
 
 // SQLite session store
 const SQLiteStore = connectSqlite3(session);
@@ -60,6 +77,8 @@ const io = new SocketIO(server, {
         credentials: true
     }
 });
+// Routes push real-time updates through req.app.get('io')
+app.set('io', io);
 
 // ========== SECURITY MIDDLEWARE ==========
 app.use(helmet({
@@ -95,8 +114,8 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Session management
-app.use(session({
+// Session management (shared with the Socket.IO handshake)
+const sessionMiddleware = session({
     store: new SQLiteStore({ db: 'sessions.db', table: 'sessions' }),
     secret: process.env.SESSION_SECRET || 'your-secret-key',
     resave: false,
@@ -107,87 +126,188 @@ app.use(session({
         maxAge: 1000 * 60 * 60 * 24 * 7, // 7 days
         sameSite: 'strict'
     }
-}));
+});
+app.use(sessionMiddleware);
 
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ========== DATABASE CONNECTION ==========
-db.initialize()
-  .then(() => console.log('✅ Database initialized successfully'))
-  .catch(err => console.error('❌ Database initialization failed:', err));
+try {
+    await db.initialize();
+    console.log('✅ Database initialized successfully');
+} catch (err) {
+    console.error('❌ Database initialization failed:', err);
+    process.exit(1);
+}
+
+// Refuse to serve on a schema older than the migrations shipped with this code
+const schema = await db.schemaStatus();
+if (schema.current < schema.latest) {
+    console.error(`❌ Database schema is at version ${schema.current}, code expects ${schema.latest}`);
+    console.error(`   Pending: ${schema.pending.join(', ')} - run "npm run migrate" first`);
+    process.exit(1);
+} else if (schema.current > schema.latest) {
+    console.warn(`⚠️ Database schema version ${schema.current} is newer than this code (${schema.latest})`);
+}
+
+// Presence is tracked in memory, so nobody is online until they reconnect
+await resetPresence();
 
 // ========== ROUTES ==========
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/schedule', scheduleRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/flashcards', flashcardRoutes);
+app.use('/api/pomodoro', pomodoroRoutes);
+app.use('/api/rooms', roomRoutes);
 app.use('/api/groups', groupRoutes);
+app.use('/api/group-sessions', groupSessionRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/group-messages', groupMessageRoutes);
 app.use('/api/analytics', analyticsRoutes);
-app.use('/api/admin', adminRoutes);
 
 // ========== SOCKET.IO ==========
+// Handshakes authenticate with the same session cookie or Bearer token as
+// the REST API; every event acts as socket.data.user, never a payload id.
+io.engine.use(sessionMiddleware);
+io.use(authenticateSocket);
+
+// Async handlers report failures to the client instead of crashing the process
+const socketHandler = (socket, event, handler) => {
+    socket.on(event, async (data = {}, ack) => {
+        try {
+            await handler(data, ack);
+        } catch (err) {
+            console.error(`Socket ${event} error:`, err);
+            socket.emit('socket-error', { event, message: 'Something went wrong' });
+        }
+    });
+};
+
 io.on('connection', (socket) => {
-    console.log('🔌 New client connected:', socket.id);
+    const user = socket.data.user;
+    console.log('🔌 New client connected:', socket.id, `(user ${user.id})`);
 
-    socket.on('join-user', (userId) => {
-        socket.join(`user-${userId}`);
-        console.log(`User ${userId} joined their room`);
-    });
+    socket.join(`user-${user.id}`);
+
+    // Online, idle or studying, across all the user's tabs and devices
+    registerPresenceHandlers(io, socket, socketHandler);
+
+    // Resume a timer started on another device or before a reload
+    currentPomodoro(user.id)
+        .then(row => row && socket.emit('pomodoro-state', pomodoroState(row)))
+        .catch(err => console.error('Error loading pomodoro state:', err));
+
+    // Direct messages sent while the user was offline
+    deliverPending(io, socket, user.id)
+        .catch(err => console.error('Error delivering pending messages:', err));
 
-    socket.on('join-group', (groupId) => {
+    socketHandler(socket, 'join-group', async (groupId, ack) => {
+        if (!await db.isGroupMember(groupId, user.id)) {
+            socket.emit('socket-error', { event: 'join-group', message: 'Not a member of this group' });
+            return typeof ack === 'function' && ack({ success: false });
+        }
         socket.join(`group-${groupId}`);
-        console.log(`Socket joined group ${groupId}`);
+        console.log(`User ${user.id} joined group ${groupId}`);
+        if (typeof ack === 'function') ack({ success: true });
     });
 
-    socket.on('send-message', async (data) => {
-        const { senderId, receiverId, content, type } = data;
-        const message = await db.saveMessage(senderId, receiverId, content, type);
-        io.to(`user-${receiverId}`).emit('new-message', message);
-        socket.emit('message-sent', message);
+    socketHandler(socket, 'leave-group', async (groupId) => {
+        socket.leave(`group-${groupId}`);
     });
 
-    socket.on('send-group-message', async (data) => {
-        const { groupId, senderId, content } = data;
-        const message = await db.saveGroupMessage(groupId, senderId, content);
-        io.to(`group-${groupId}`).emit('new-group-message', message);
+    socketHandler(socket, 'send-message', async ({ receiverId, content }) => {
+        const receiver = Number(receiverId);
+        const text = typeof content === 'string' ? content.trim() : '';
+        if (!text || text.length > MAX_MESSAGE_LENGTH || receiver === user.id || !await db.userExists(receiver)) {
+            return socket.emit('socket-error', { event: 'send-message', message: 'Invalid message' });
+        }
+        const result = await sendMessage(io, user.id, receiver, text);
+        if (result.error) return socket.emit('socket-error', { event: 'send-message', message: result.error });
+        socket.emit('message-sent', result.message);
     });
 
-    socket.on('start-study-session', async (data) => {
-        const { sessionId, userId } = data;
-        const friends = await db.getStudyingFriends(userId);
-        friends.forEach(friend => {
-            io.to(`user-${friend.id}`).emit('friend-started-study', { userId, sessionId, subject: data.subject });
-        });
+    // Muted members, archived groups and the group's word filter are
+    // enforced by postGroupMessage; replyTo answers in a message's thread
+    socketHandler(socket, 'send-group-message', async ({ groupId, content, replyTo }, ack) => {
+        const text = typeof content === 'string' ? content.trim() : '';
+        const result = !text || text.length > MAX_GROUP_MESSAGE_LENGTH
+            ? { error: 'Invalid message' }
+            : await postGroupMessage(io, Number(groupId), user.id, text, Number(replyTo) || null);
+        if (result.error) {
+            socket.emit('socket-error', { event: 'send-group-message', message: result.error });
+            return typeof ack === 'function' && ack({ success: false, message: result.error });
+        }
+        if (typeof ack === 'function') ack({ success: true, message: result.message });
     });
 
-    socket.on('typing', (data) => {
-        socket.to(`user-${data.receiverId}`).emit('user-typing', { senderId: data.senderId });
+    // Accepted friends only, so users who blocked each other don't hear,
+    // and only as far as the user's privacy level allows
+    socketHandler(socket, 'start-study-session', async ({ sessionId, subject }) => {
+        await announceStudyStart(io, user, { sessionId, subject });
+    });
+
+    // Study together rooms: shared clock, presence and attendance
+    registerStudyRoomHandlers(io, socket, socketHandler);
+
+    // { receiverId, isTyping }: clients send isTyping: false when the user
+    // stops typing or clears the input; sending a message implies it.
+    // Blocked users don't hear it, as they can't be messaged.
+    socketHandler(socket, 'typing', async ({ receiverId, isTyping }) => {
+        await relayTyping(socket, user.id, Number(receiverId), isTyping !== false);
     });
 
     socket.on('disconnect', () => console.log('🔌 Client disconnected:', socket.id));
 });
 
 // ========== SCHEDULED TASKS ==========
+// Reminders live in session_reminders, so a late tick or a restart only
+// delays them; the startup run catches up on anything missed while down.
+cron.schedule('* * * * *', () => runReminderTick(io));
+runReminderTick(io);
+
+// Group sessions are completed once their planned end has passed
 cron.schedule('* * * * *', async () => {
-    try {
-        const upcomingSessions = await db.getUpcomingSessions();
-        for (const session of upcomingSessions) {
-            const timeUntil = new Date(session.scheduled_for) - new Date();
-            if (timeUntil <= 15*60*1000 && timeUntil > 14*60*1000) await sendSessionReminder(session, '15 minutes');
-            if (timeUntil <= 60*60*1000 && timeUntil > 59*60*1000) await sendSessionReminder(session, '1 hour');
-            if (timeUntil <= 24*60*60*1000 && timeUntil > 23.9*60*60*1000) await sendSessionReminder(session, '1 day');
-        }
-    } catch (err) { console.error('Error in reminder cron job:', err); }
+    try { await completeFinishedSessions(io); }
+    catch (err) { console.error('Error completing group sessions:', err); }
 });
 
-cron.schedule('0 0 * * *', async () => {
-    try { await db.updateAllStreaks(); console.log('📊 Study streaks updated'); }
-    catch (err) { console.error('Error updating streaks:', err); }
+// Pomodoros and group sessions can end without a request that refreshes
+// presence, so connected users are re-checked every minute
+cron.schedule('* * * * *', async () => {
+    try { await refreshAllPresence(io); }
+    catch (err) { console.error('Error refreshing presence:', err); }
 });
 
-cron.schedule('0 23 * * *', async () => {
-    try { await db.generateDailyReports(); console.log('📈 Daily reports generated'); }
-    catch (err) { console.error('Error generating daily reports:', err); }
+// Daily logs and streaks roll over at each user's local midnight, so the
+// rollup runs hourly and only touches users whose day has changed
+const rollupStats = async () => {
+    try {
+        const users = await runDailyRollup();
+        if (users) console.log(`📊 Daily logs and streaks updated for ${users} user(s)`);
+    } catch (err) {
+        console.error('Error rolling up daily stats:', err);
+    }
+};
+cron.schedule('5 * * * *', rollupStats);
+
+// After the startup rollup (streak rules read fresh streaks), award what
+// existing users already qualify for; a no-op once done
+rollupStats()
+    .then(() => backfillAchievements(io))
+    .then(count => count && console.log(`🏆 Backfilled ${count} achievement(s)`))
+    .catch(err => console.error('Error backfilling achievements:', err));
+
+// Weekly report emails go out on Sunday evening in each user's own zone
+cron.schedule('15 * * * *', async () => {
+    try {
+        const sent = await sendWeeklyReports();
+        if (sent) console.log(`📈 Sent ${sent} weekly report(s)`);
+    } catch (err) {
+        console.error('Error sending weekly reports:', err);
+    }
 });
 
 cron.schedule('0 0 * * 0', async () => {
@@ -195,32 +315,6 @@ cron.schedule('0 0 * * 0', async () => {
     catch (err) { console.error('Error cleaning up notifications:', err); }
 });
 
-// ========== HELPER FUNCTIONS ==========
-async function sendSessionReminder(session, timeUntil) {
-    try {
-        await db.createNotification({
-            user_id: session.user_id,
-            type: 'session_reminder',
-            title: 'Upcoming Study Session',
-            message: `Your study session "${session.title}" starts in ${timeUntil}`,
-            related_id: session.id,
-            related_type: 'study_session'
-        });
-
-        if (process.env.ENABLE_EMAIL_NOTIFICATIONS === 'true') {
-            await sendEmailReminder(session, timeUntil);
-        }
-
-        io.to(`user-${session.user_id}`).emit('reminder', {
-            title: 'Upcoming Study Session',
-            message: `"${session.title}" starts in ${timeUntil}`,
-            sessionId: session.id
-        });
-
-        console.log(`Reminder sent for session ${session.id}`);
-    } catch (err) { console.error('Error sending reminder:', err); }
-}
-
 // ========== ERROR HANDLING ==========
 app.use((req, res) => {
     res.status(404).sendFile(path.join(__dirname, 'public', '404.html'));
@@ -0,0 +1,176 @@
+// ============================================
+// ACHIEVEMENT RULES
+// Each achievement's criteria JSON names a metric and a threshold; rules
+// are checked when a relevant event happens and award points only once
+// ============================================
+
+import { getDb, createNotification } from '../db/database.js';
+
+/**
+ * Metrics a criteria can name. `events` lists what can move the metric, so
+ * an event only re-checks the rules it could affect; `value` computes the
+ * user's current figure from the criteria's options.
+ */
+const METRICS = {
+    // Options: starts_before / starts_after ('HH:MM', the session's local start time)
+    sessions_completed: {
+        events: ['session_completed'],
+        value: async (userId, { starts_before: before, starts_after: after }) => {
+            const row = await getDb().get(
+                `SELECT COUNT(*) AS n FROM study_sessions
+                 WHERE user_id = ? AND status = 'completed'
+                   AND (? IS NULL OR start_time < ?) AND (? IS NULL OR start_time >= ?)`,
+                [userId, before ?? null, before ?? null, after ?? null, after ?? null]
+            );
+            return row.n;
+        }
+    },
+    longest_streak: {
+        events: ['session_completed', 'pomodoro_completed'],
+        value: async (userId) => {
+            const row = await getDb().get('SELECT longest_streak FROM study_streaks WHERE user_id = ?', [userId]);
+            return row?.longest_streak || 0;
+        }
+    },
+    // Monday-to-Sunday weeks with study time on all seven days
+    perfect_weeks: {
+        events: ['session_completed', 'pomodoro_completed'],
+        value: async (userId) => {
+            const row = await getDb().get(
+                `SELECT COUNT(*) AS n FROM (
+                    SELECT date(log_date, '-' || ((CAST(strftime('%w', log_date) AS INTEGER) + 6) % 7) || ' days') AS week
+                    FROM daily_logs WHERE user_id = ? AND total_minutes > 0
+                    GROUP BY week HAVING COUNT(*) = 7
+                )`,
+                [userId]
+            );
+            return row.n;
+        }
+    },
+    friends: {
+        events: ['friend_accepted'],
+        value: async (userId) => {
+            const row = await getDb().get(
+                `SELECT COUNT(*) AS n FROM friendships
+                 WHERE (user_id1 = ? OR user_id2 = ?) AND status = 'accepted'`,
+                [userId, userId]
+            );
+            return row.n;
+        }
+    },
+    groups_joined: {
+        events: ['group_joined'],
+        value: async (userId) => {
+            const row = await getDb().get('SELECT COUNT(*) AS n FROM group_members WHERE user_id = ?', [userId]);
+            return row.n;
+        }
+    },
+    // Materials shared into a group or made public. No route shares
+    // materials yet, so no event moves this; backfillAchievements() checks it
+    materials_shared: {
+        events: [],
+        value: async (userId) => {
+            const row = await getDb().get(
+                `SELECT (SELECT COUNT(*) FROM shared_materials WHERE shared_by = ?)
+                      + (SELECT COUNT(*) FROM study_materials WHERE user_id = ? AND is_public = 1) AS n`,
+                [userId, userId]
+            );
+            return row.n;
+        }
+    }
+};
+
+/**
+ * The parsed criteria of an achievement row, or null when it has none or
+ * names a metric this code doesn't know.
+ */
+export function parseCriteria(achievement) {
+    if (!achievement.criteria) return null;
+    try {
+        const criteria = JSON.parse(achievement.criteria);
+        if (!METRICS[criteria?.metric] || !Number.isFinite(criteria.min)) throw new Error('unknown metric');
+        return criteria;
+    } catch {
+        console.warn(`⚠️ Ignoring achievement ${achievement.id} (${achievement.name}): invalid criteria`);
+        return null;
+    }
+}
+
+// ========== AWARDING ==========
+
+// The user_achievements primary key makes the insert the once-only guard;
+// no transaction, since checks run alongside the request that caused them
+async function award(io, userId, achievement) {
+    const db = getDb();
+    const { changes } = await db.run(
+        'INSERT OR IGNORE INTO user_achievements (user_id, achievement_id) VALUES (?, ?)',
+        [userId, achievement.id]
+    );
+    if (!changes) return false;
+
+    await db.run('UPDATE users SET points = COALESCE(points, 0) + ? WHERE id = ?', [achievement.points || 0, userId]);
+    const notification = await createNotification({
+        user_id: userId,
+        type: 'achievement',
+        title: `Achievement unlocked: ${achievement.name}`,
+        message: achievement.description || achievement.name,
+        data: { achievement_id: achievement.id, icon: achievement.icon, points: achievement.points },
+        related_id: achievement.id,
+        related_type: 'achievement'
+    });
+    io?.to(`user-${userId}`).emit('new-notification', notification);
+    return true;
+}
+
+/**
+ * Check the user's unearned achievements whose metric the event can move
+ * (all of them when event is null) and award every one now met.
+ * Returns the awarded achievement rows.
+ */
+export async function checkAchievements(io, userId, event = null) {
+    const pending = await getDb().all(
+        `SELECT a.* FROM achievements a
+         WHERE a.criteria IS NOT NULL
+           AND NOT EXISTS (SELECT 1 FROM user_achievements ua WHERE ua.achievement_id = a.id AND ua.user_id = ?)
+         ORDER BY a.points, a.id`,
+        [userId]
+    );
+
+    const values = new Map();
+    const awarded = [];
+    for (const achievement of pending) {
+        const criteria = parseCriteria(achievement);
+        if (!criteria) continue;
+        const metric = METRICS[criteria.metric];
+        if (event && !metric.events.includes(event)) continue;
+
+        // Rules sharing a metric and options share one query
+        const { min, ...options } = criteria;
+        const key = JSON.stringify(options);
+        if (!values.has(key)) values.set(key, await metric.value(userId, options));
+        if (values.get(key) >= min && await award(io, userId, achievement)) awarded.push(achievement);
+    }
+    return awarded;
+}
+
+/**
+ * Fire-and-forget form for route handlers: an achievement check never
+ * fails the request that triggered it.
+ */
+export function recordAchievementEvent(io, userId, event) {
+    checkAchievements(io, userId, event)
+        .catch(err => console.error(`Error checking achievements (${event}):`, err));
+}
+
+/**
+ * Award everything existing users already qualify for, e.g. after new
+ * achievements are added. Safe to re-run; returns the number of awards.
+ */
+export async function backfillAchievements(io = null) {
+    const users = await getDb().all('SELECT id FROM users WHERE is_active = 1');
+    let count = 0;
+    for (const { id } of users) {
+        count += (await checkAchievements(io, id)).length;
+    }
+    return count;
+}
@@ -0,0 +1,363 @@
+// ============================================
+// STUDY ANALYTICS
+// Every figure is built from "study blocks" (completed sessions and
+// pomodoro focus time as UTC instants), bucketed by day and hour in
+// whichever time zone the caller asks for
+// ============================================
+
+import { getDb } from '../db/database.js';
+import {
+    safeTimeZone, zonedParts, toZonedDateTime, zonedTimeToUtc, fromSqlDateTime, toSqlDateTime,
+    addDays, dayOfWeek, timeToMinutes
+} from '../utils/time.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * True when Intl knows the IANA zone name (for validating ?tz=).
+ */
+export function isTimeZone(value) {
+    return Boolean(value) && safeTimeZone(value) === value;
+}
+
+/**
+ * Local dates [from, to] as the UTC instants [start, end).
+ */
+export function rangeBounds(from, to, timeZone) {
+    return {
+        start: zonedTimeToUtc(from, '00:00', timeZone),
+        end: zonedTimeToUtc(addDays(to, 1), '00:00', timeZone)
+    };
+}
+
+/**
+ * Monday of the week containing a date.
+ */
+export function weekStart(date) {
+    return addDays(date, -((dayOfWeek(date) + 6) % 7));
+}
+
+// ========== STUDY BLOCKS ==========
+
+/**
+ * Finished study in [start, end): completed and missed study sessions
+ * (stored in the owner's zone), pomodoro focus cycles and pomodoros from
+ * before cycles were logged. Each block is
+ * { source, start, minutes, completed, subject_id, rating, id }.
+ */
+export async function studyBlocks(user, start, end) {
+    const db = getDb();
+    const ownerZone = safeTimeZone(user.timezone);
+    // Wall-clock dates can be up to a day either side of the UTC range
+    const fromDate = addDays(toSqlDateTime(start).slice(0, 10), -1);
+    const toDate = addDays(toSqlDateTime(end).slice(0, 10), 1);
+
+    const [sessions, cycles, legacy] = await Promise.all([
+        db.all(
+            `SELECT id, subject_id, scheduled_date, start_time, end_time, duration_minutes, status, productivity_rating
+             FROM study_sessions
+             WHERE user_id = ? AND status IN ('completed', 'missed') AND scheduled_date BETWEEN ? AND ?`,
+            [user.id, fromDate, toDate]
+        ),
+        db.all(
+            `SELECT id, pomodoro_id, subject_id, focus_minutes, completed_at FROM pomodoro_cycles
+             WHERE user_id = ? AND completed_at BETWEEN ? AND ?`,
+            [user.id, toSqlDateTime(start), toSqlDateTime(new Date(end.getTime() + HOUR * 3))]
+        ),
+        db.all(
+            `SELECT p.id, p.subject_id, p.cycles_completed * p.focus_minutes AS minutes, p.completed_at
+             FROM pomodoro_sessions p
+             WHERE p.user_id = ? AND p.status = 'completed' AND p.cycles_completed > 0
+               AND p.completed_at BETWEEN ? AND ?
+               AND NOT EXISTS (SELECT 1 FROM pomodoro_cycles c WHERE c.pomodoro_id = p.id)`,
+            [user.id, toSqlDateTime(start), toSqlDateTime(new Date(end.getTime() + 24 * HOUR))]
+        )
+    ]);
+
+    const blocks = [
+        ...sessions.map(s => ({
+            source: 'session',
+            id: s.id,
+            start: zonedTimeToUtc(s.scheduled_date, s.start_time, ownerZone),
+            minutes: s.status === 'completed'
+                ? s.duration_minutes || Math.max(0, timeToMinutes(s.end_time) - timeToMinutes(s.start_time))
+                : 0,
+            completed: s.status === 'completed',
+            subject_id: s.subject_id,
+            rating: s.productivity_rating
+        })),
+        ...cycles.map(c => ({
+            source: 'pomodoro',
+            id: c.pomodoro_id,
+            start: new Date(fromSqlDateTime(c.completed_at) - c.focus_minutes * MINUTE),
+            minutes: c.focus_minutes,
+            completed: true,
+            subject_id: c.subject_id,
+            rating: null
+        })),
+        ...legacy.map(p => ({
+            source: 'pomodoro',
+            id: p.id,
+            start: new Date(fromSqlDateTime(p.completed_at) - p.minutes * MINUTE),
+            minutes: p.minutes,
+            completed: true,
+            subject_id: p.subject_id,
+            rating: null
+        }))
+    ];
+    return blocks
+        .filter(block => block.start >= start && block.start < end)
+        .sort((a, b) => a.start - b.start);
+}
+
+// ========== AGGREGATES ==========
+
+const round1 = n => Math.round(n * 10) / 10;
+const average = values => (values.length ? round1(values.reduce((a, b) => a + b, 0) / values.length) : null);
+
+/**
+ * Minutes per local day, every day of [from, to] present.
+ */
+export function minutesByDay(blocks, from, to, timeZone) {
+    const days = new Map();
+    for (let date = from; date <= to; date = addDays(date, 1)) days.set(date, 0);
+    for (const block of blocks) {
+        const date = toZonedDateTime(block.start, timeZone).date;
+        if (days.has(date)) days.set(date, days.get(date) + block.minutes);
+    }
+    return [...days].map(([date, minutes]) => ({ date, minutes }));
+}
+
+/**
+ * Minutes, sessions, pomodoros and average rating per subject, largest first.
+ */
+export async function subjectBreakdown(user, blocks) {
+    const subjects = await getDb().all(
+        'SELECT id, name, color, total_hours_needed, hours_completed FROM subjects WHERE user_id = ?',
+        [user.id]
+    );
+    const byId = new Map(subjects.map(s => [s.id, s]));
+    const totals = new Map();
+
+    for (const block of blocks) {
+        if (!block.completed) continue;
+        const key = byId.has(block.subject_id) ? block.subject_id : null;
+        if (!totals.has(key)) totals.set(key, { minutes: 0, sessions: 0, pomodoros: new Set(), ratings: [] });
+        const entry = totals.get(key);
+        entry.minutes += block.minutes;
+        if (block.source === 'session') entry.sessions++;
+        else entry.pomodoros.add(block.id);
+        if (block.rating) entry.ratings.push(block.rating);
+    }
+
+    return [...totals]
+        .map(([id, entry]) => {
+            const subject = byId.get(id);
+            return {
+                subject_id: id,
+                subject: subject ? subject.name : 'No subject',
+                color: subject ? subject.color : null,
+                minutes: entry.minutes,
+                hours: round1(entry.minutes / 60),
+                sessions: entry.sessions,
+                pomodoros: entry.pomodoros.size,
+                average_rating: average(entry.ratings),
+                total_hours_needed: subject ? subject.total_hours_needed : null,
+                hours_completed: subject ? subject.hours_completed : null
+            };
+        })
+        .sort((a, b) => b.minutes - a.minutes);
+}
+
+/**
+ * Self-rating and completion trend per local day or Monday-based week.
+ */
+export function productivityTrend(blocks, from, to, timeZone, interval = 'day') {
+    const bucketOf = date => (interval === 'week' ? weekStart(date) : date);
+    const buckets = new Map();
+    const step = interval === 'week' ? 7 : 1;
+    for (let date = bucketOf(from); date <= to; date = addDays(date, step)) {
+        buckets.set(date, { minutes: 0, completed: 0, missed: 0, ratings: [] });
+    }
+
+    for (const block of blocks) {
+        const bucket = buckets.get(bucketOf(toZonedDateTime(block.start, timeZone).date));
+        if (!bucket) continue;
+        bucket.minutes += block.minutes;
+        if (block.source !== 'session') continue;
+        if (block.completed) bucket.completed++;
+        else bucket.missed++;
+        if (block.rating) bucket.ratings.push(block.rating);
+    }
+
+    return [...buckets].map(([period, bucket]) => ({
+        period,
+        minutes: bucket.minutes,
+        sessions_completed: bucket.completed,
+        sessions_missed: bucket.missed,
+        completion_rate: bucket.completed + bucket.missed
+            ? Math.round((bucket.completed / (bucket.completed + bucket.missed)) * 100)
+            : null,
+        average_rating: average(bucket.ratings)
+    }));
+}
+
+/**
+ * Minutes studied per local hour of day and per weekday, splitting blocks
+ * that cross an hour boundary, plus the top three hours.
+ */
+export function studyHours(blocks, timeZone) {
+    const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, minutes: 0 }));
+    const weekdays = DAY_NAMES.map((day, index) => ({ day, day_of_week: index, minutes: 0 }));
+
+    for (const block of blocks) {
+        let at = block.start.getTime();
+        let left = block.minutes;
+        while (left > 0) {
+            const parts = zonedParts(new Date(at), timeZone);
+            const chunk = Math.min(left, 60 - parts.minute);
+            hours[parts.hour].minutes += chunk;
+            weekdays[parts.dayOfWeek].minutes += chunk;
+            left -= chunk;
+            at += chunk * MINUTE;
+        }
+    }
+
+    const best = hours
+        .filter(h => h.minutes > 0)
+        .sort((a, b) => b.minutes - a.minutes || a.hour - b.hour)
+        .slice(0, 3)
+        .map(h => h.hour);
+    return { hours, weekdays, best_hours: best };
+}
+
+// ========== GOALS ==========
+
+/**
+ * The user's study goals in hours (user_settings, defaulting as the schema does).
+ */
+export async function studyGoals(userId) {
+    const row = await getDb().get(
+        'SELECT daily_study_goal, weekly_study_goal FROM user_settings WHERE user_id = ?',
+        [userId]
+    );
+    return { daily: row?.daily_study_goal ?? 2, weekly: row?.weekly_study_goal ?? 14 };
+}
+
+// ========== ACTIVITY FEED ==========
+
+const activityTime = value => fromSqlDateTime(value).toISOString();
+
+/**
+ * Recent things the user did or that happened in their groups, newest
+ * first: completed sessions and pomodoros, achievements, groups joined,
+ * group sessions attended and sessions scheduled in their groups.
+ */
+export async function activityFeed(user, start, end, limit = 20) {
+    const db = getDb();
+    const range = [toSqlDateTime(start), toSqlDateTime(end)];
+
+    const [sessions, pomodoros, achievements, groups, attended, scheduled] = await Promise.all([
+        db.all(
+            `SELECT s.id, s.title, s.completed_at, sub.name AS subject
+             FROM study_sessions s LEFT JOIN subjects sub ON sub.id = s.subject_id
+             WHERE s.user_id = ? AND s.status = 'completed' AND s.completed_at >= ? AND s.completed_at < ?
+             ORDER BY s.completed_at DESC LIMIT ?`,
+            [user.id, ...range, limit]
+        ),
+        db.all(
+            `SELECT p.id, COUNT(c.id) AS cycles, SUM(c.focus_minutes) AS minutes, MAX(c.completed_at) AS completed_at,
+                    sub.name AS subject
+             FROM pomodoro_cycles c
+             JOIN pomodoro_sessions p ON p.id = c.pomodoro_id
+             LEFT JOIN subjects sub ON sub.id = p.subject_id
+             WHERE c.user_id = ? AND c.completed_at >= ? AND c.completed_at < ?
+             GROUP BY p.id ORDER BY completed_at DESC LIMIT ?`,
+            [user.id, ...range, limit]
+        ),
+        db.all(
+            `SELECT a.id, a.name, a.icon, a.points, ua.earned_at
+             FROM user_achievements ua JOIN achievements a ON a.id = ua.achievement_id
+             WHERE ua.user_id = ? AND ua.earned_at >= ? AND ua.earned_at < ?
+             ORDER BY ua.earned_at DESC LIMIT ?`,
+            [user.id, ...range, limit]
+        ),
+        db.all(
+            `SELECT g.id, g.name, gm.joined_at FROM group_members gm JOIN study_groups g ON g.id = gm.group_id
+             WHERE gm.user_id = ? AND gm.joined_at >= ? AND gm.joined_at < ?
+             ORDER BY gm.joined_at DESC LIMIT ?`,
+            [user.id, ...range, limit]
+        ),
+        db.all(
+            `SELECT gs.id, gs.title, g.name AS group_name, sp.joined_at
+             FROM session_participants sp
+             JOIN group_sessions gs ON gs.id = sp.session_id
+             JOIN study_groups g ON g.id = gs.group_id
+             WHERE sp.user_id = ? AND sp.status = 'attended' AND sp.joined_at >= ? AND sp.joined_at < ?
+             ORDER BY sp.joined_at DESC LIMIT ?`,
+            [user.id, ...range, limit]
+        ),
+        db.all(
+            `SELECT gs.id, gs.title, gs.created_at, g.name AS group_name, u.username
+             FROM group_sessions gs
+             JOIN group_members gm ON gm.group_id = gs.group_id AND gm.user_id = ?
+             JOIN study_groups g ON g.id = gs.group_id
+             JOIN users u ON u.id = gs.creator_id
+             WHERE gs.creator_id <> ? AND gs.created_at >= ? AND gs.created_at < ?
+             ORDER BY gs.created_at DESC LIMIT ?`,
+            [user.id, user.id, ...range, limit]
+        )
+    ]);
+
+    const activities = [
+        ...sessions.map(s => ({
+            type: 'session_completed',
+            icon: 'check-circle',
+            description: `Completed "${s.title}"${s.subject ? ` (${s.subject})` : ''}`,
+            related_id: s.id,
+            created_at: activityTime(s.completed_at)
+        })),
+        ...pomodoros.map(p => ({
+            type: 'pomodoro_completed',
+            icon: 'clock',
+            description: `Focused for ${p.minutes} minutes over ${p.cycles} pomodoro${p.cycles === 1 ? '' : 's'}` +
+                (p.subject ? ` on ${p.subject}` : ''),
+            related_id: p.id,
+            created_at: activityTime(p.completed_at)
+        })),
+        ...achievements.map(a => ({
+            type: 'achievement',
+            icon: 'trophy',
+            description: `Earned "${a.name}" (+${a.points} points)`,
+            related_id: a.id,
+            created_at: activityTime(a.earned_at)
+        })),
+        ...groups.map(g => ({
+            type: 'group_joined',
+            icon: 'users',
+            description: `Joined ${g.name}`,
+            related_id: g.id,
+            created_at: activityTime(g.joined_at)
+        })),
+        ...attended.map(s => ({
+            type: 'group_session_attended',
+            icon: 'user-friends',
+            description: `Studied "${s.title}" with ${s.group_name}`,
+            related_id: s.id,
+            created_at: activityTime(s.joined_at)
+        })),
+        ...scheduled.map(s => ({
+            type: 'group_session_created',
+            icon: 'calendar-plus',
+            description: `${s.username} scheduled "${s.title}" in ${s.group_name}`,
+            related_id: s.id,
+            created_at: activityTime(s.created_at)
+        }))
+    ];
+
+    return activities
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit);
+}
@@ -0,0 +1,163 @@
+// ============================================
+// ICALENDAR EXPORT
+// Turns study sessions, group sessions and subject deadlines into .ics
+// events (times are converted to UTC, deadlines are all-day events)
+// ============================================
+
+import { createEvents } from 'ics';
+import { getDb } from '../db/database.js';
+import { appUrl } from './mailer.js';
+import { zonedTimeToUtc, fromSqlDateTime, todayIn, addDays } from '../utils/time.js';
+
+const PRODUCT_ID = 'studysync/ics';
+const UID_DOMAIN = 'studysync';
+
+// How far back the subscription feed reaches; everything upcoming is included
+const FEED_HISTORY_DAYS = 60;
+
+const STUDY_STATUS = {
+    planned: 'CONFIRMED',
+    ongoing: 'CONFIRMED',
+    completed: 'CONFIRMED',
+    missed: 'CANCELLED',
+    cancelled: 'CANCELLED'
+};
+
+const GROUP_STATUS = {
+    scheduled: 'CONFIRMED',
+    ongoing: 'CONFIRMED',
+    completed: 'CONFIRMED',
+    cancelled: 'CANCELLED'
+};
+
+const dateArray = date => date.split('-').map(Number);
+
+const modified = row => {
+    const stamp = fromSqlDateTime(row.updated_at || row.created_at);
+    return stamp && !Number.isNaN(stamp.getTime()) ? stamp.getTime() : undefined;
+};
+
+// Drop empty optional fields; ics rejects nulls
+const compact = event => Object.fromEntries(
+    Object.entries(event).filter(([, value]) => value != null && value !== '')
+);
+
+// ========== EVENTS ==========
+
+export function studySessionEvent(session, timeZone) {
+    const start = zonedTimeToUtc(session.scheduled_date, session.start_time, timeZone);
+    const end = zonedTimeToUtc(session.scheduled_date, session.end_time, timeZone);
+    const description = [session.description, session.topic && `Topic: ${session.topic}`, session.notes]
+        .filter(Boolean)
+        .join('\n\n');
+
+    return compact({
+        uid: `study-session-${session.id}@${UID_DOMAIN}`,
+        title: session.title,
+        description,
+        location: session.location,
+        categories: session.subject ? [session.subject] : undefined,
+        start: start.getTime(),
+        end: end > start ? end.getTime() : start.getTime() + (session.duration_minutes || 60) * 60000,
+        status: STUDY_STATUS[session.status] || 'TENTATIVE',
+        busyStatus: 'BUSY',
+        lastModified: modified(session)
+    });
+}
+
+export function groupSessionEvent(session) {
+    const start = fromSqlDateTime(session.scheduled_for);
+    const description = [session.description, session.group_name && `Group: ${session.group_name}`]
+        .filter(Boolean)
+        .join('\n\n');
+
+    return compact({
+        uid: `group-session-${session.id}@${UID_DOMAIN}`,
+        title: session.title,
+        description,
+        location: session.location || session.meeting_link,
+        url: session.meeting_link,
+        categories: session.subject ? [session.subject] : undefined,
+        start: start.getTime(),
+        duration: { minutes: session.duration_minutes || 60 },
+        status: session.rsvp === 'maybe' ? 'TENTATIVE' : GROUP_STATUS[session.status] || 'TENTATIVE',
+        busyStatus: 'BUSY',
+        lastModified: modified(session)
+    });
+}
+
+export function deadlineEvent(subject) {
+    return compact({
+        uid: `subject-deadline-${subject.id}@${UID_DOMAIN}`,
+        title: `Deadline: ${subject.name}`,
+        description: subject.professor ? `Professor: ${subject.professor}` : undefined,
+        start: dateArray(subject.deadline),
+        end: dateArray(addDays(subject.deadline, 1)),
+        busyStatus: 'FREE',
+        lastModified: modified(subject)
+    });
+}
+
+/**
+ * Render events as an iCalendar document. Throws on invalid input.
+ */
+export function renderCalendar(events, calName = 'StudySync') {
+    if (!events.length) {
+        // createEvents can't produce an empty calendar, but subscribers still need one
+        return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'CALSCALE:GREGORIAN', `PRODID:${PRODUCT_ID}`,
+            'METHOD:PUBLISH', `X-WR-CALNAME:${calName}`, 'END:VCALENDAR', ''].join('\r\n');
+    }
+    const { error, value } = createEvents(events, { productId: PRODUCT_ID, method: 'PUBLISH', calName });
+    if (error) throw error;
+    return value;
+}
+
+// ========== FEED ==========
+
+/**
+ * Every event in a user's subscription feed: their study sessions from the
+ * last FEED_HISTORY_DAYS on, group sessions they created, accepted or might
+ * attend, and active subject deadlines.
+ */
+export async function buildUserFeed(user) {
+    const db = getDb();
+    const since = addDays(todayIn(user.timezone), -FEED_HISTORY_DAYS);
+
+    const [sessions, groupSessions, subjects] = await Promise.all([
+        db.all(
+            `SELECT s.*, sub.name AS subject, t.name AS topic
+             FROM study_sessions s
+             LEFT JOIN subjects sub ON sub.id = s.subject_id
+             LEFT JOIN subject_topics t ON t.id = s.topic_id
+             WHERE s.user_id = ? AND s.scheduled_date >= ? AND s.status != 'cancelled'
+             ORDER BY s.scheduled_date, s.start_time`,
+            [user.id, since]
+        ),
+        db.all(
+            `SELECT gs.*, g.name AS group_name, p.status AS rsvp
+             FROM group_sessions gs
+             JOIN study_groups g ON g.id = gs.group_id
+             LEFT JOIN session_participants p ON p.session_id = gs.id AND p.user_id = ?
+             WHERE (gs.creator_id = ? OR p.status IN ('accepted', 'maybe', 'attended'))
+               AND gs.status != 'cancelled' AND gs.scheduled_for >= ?
+             ORDER BY gs.scheduled_for`,
+            [user.id, user.id, `${since} 00:00:00`]
+        ),
+        db.all(
+            `SELECT id, name, deadline, professor, created_at, updated_at FROM subjects
+             WHERE user_id = ? AND is_active = 1 AND deadline IS NOT NULL AND deadline >= ?`,
+            [user.id, since]
+        )
+    ]);
+
+    return [
+        ...sessions.map(s => studySessionEvent(s, user.timezone)),
+        ...groupSessions.map(groupSessionEvent),
+        ...subjects.map(deadlineEvent)
+    ];
+}
+
+export function feedUrls(token) {
+    const url = appUrl(`/api/calendar/feed/${token}.ics`);
+    return { url, webcal_url: url.replace(/^https?:/, 'webcal:') };
+}
@@ -0,0 +1,321 @@
+// ============================================
+// FLASHCARD DECKS
+// Import and export of flashcards as CSV, Anki-style TSV or JSON,
+// including their spaced-repetition state
+// ============================================
+
+import { getDb, withTransaction } from '../db/database.js';
+import { parseDelimited, formatDelimited, unescapeFormula } from '../utils/csv.js';
+import { toSqlDateTime, fromSqlDateTime } from '../utils/time.js';
+import { difficultyFor, SRS_DEFAULTS } from './srs.js';
+
+export const DECK_FORMATS = ['csv', 'tsv', 'json'];
+export const MAX_IMPORT_CARDS = 5000;
+
+const STATE_FIELDS = ['ease_factor', 'interval_days', 'repetitions', 'lapses', 'times_reviewed', 'last_reviewed', 'next_review'];
+const COLUMNS = ['question', 'answer', 'subject', ...STATE_FIELDS];
+
+// Header names from other tools (Anki's note fields, spreadsheet habits)
+const COLUMN_ALIASES = { front: 'question', back: 'answer', q: 'question', a: 'answer', deck: 'subject', term: 'question', definition: 'answer' };
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    tsv: 'text/tab-separated-values; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+};
+
+const ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+/**
+ * The deck format for an upload: explicit, else from the file extension.
+ */
+export function detectFormat(filename = '', format = null) {
+    if (format) return DECK_FORMATS.includes(format) ? format : null;
+    const ext = filename.toLowerCase().split('.').pop();
+    if (ext === 'txt' || ext === 'tsv') return 'tsv';
+    return DECK_FORMATS.includes(ext) ? ext : null;
+}
+
+// ========== PARSING ==========
+
+// Anki exports fields as HTML by default
+function htmlToText(value) {
+    return value
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(div|p)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+const columnName = header => {
+    const name = String(header).trim().toLowerCase().replace(/\s+/g, '_');
+    return COLUMN_ALIASES[name] || name;
+};
+
+function numberField(raw, field, { min = 0, integer = false } = {}) {
+    if (raw === undefined || raw === null || raw === '') return { value: undefined };
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+        return { error: `${field} must be ${integer ? 'an integer' : 'a number'} >= ${min}` };
+    }
+    return { value };
+}
+
+function dateField(raw, field) {
+    if (raw === undefined || raw === null || raw === '') return { value: undefined };
+    const date = fromSqlDateTime(String(raw).trim());
+    if (!date || Number.isNaN(date.getTime())) return { error: `${field} must be a date-time` };
+    return { value: toSqlDateTime(date) };
+}
+
+// A validated card, or { error } describing what is wrong with the row
+function normalizeCard(raw) {
+    const question = raw.question == null ? '' : String(raw.question).trim();
+    const answer = raw.answer == null ? '' : String(raw.answer).trim();
+    if (!question) return { error: 'question is empty' };
+    if (!answer) return { error: 'answer is empty' };
+    if (question.length > 2000 || answer.length > 5000) return { error: 'question or answer is too long' };
+
+    const card = { question, answer, subject: raw.subject ? String(raw.subject).trim() : null };
+    const checks = {
+        ease_factor: numberField(raw.ease_factor, 'ease_factor', { min: SRS_DEFAULTS.minEaseFactor }),
+        interval_days: numberField(raw.interval_days, 'interval_days'),
+        repetitions: numberField(raw.repetitions, 'repetitions', { integer: true }),
+        lapses: numberField(raw.lapses, 'lapses', { integer: true }),
+        times_reviewed: numberField(raw.times_reviewed, 'times_reviewed', { integer: true }),
+        last_reviewed: dateField(raw.last_reviewed, 'last_reviewed'),
+        next_review: dateField(raw.next_review, 'next_review')
+    };
+    for (const [field, { value, error }] of Object.entries(checks)) {
+        if (error) return { error };
+        if (value !== undefined) card[field] = value;
+    }
+    return { card };
+}
+
+function parseJsonDeck(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { fatal: `Invalid JSON: ${err.message}` };
+    }
+    const cards = Array.isArray(data) ? data : data?.cards;
+    if (!Array.isArray(cards)) return { fatal: 'Expected an array of cards or { "cards": [...] }' };
+
+    return {
+        rows: cards.map((card, i) => ({
+            row: i + 1,
+            raw: card && typeof card === 'object'
+                ? Object.fromEntries(Object.entries(card).map(([key, value]) => [columnName(key), value]))
+                : null
+        }))
+    };
+}
+
+function parseDelimitedDeck(text, format) {
+    // Anki's plain-text export starts with "#key:value" header lines
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+    const directives = {};
+    let skipped = 0;
+    while (skipped < lines.length && /^#[a-z ]+:/i.test(lines[skipped])) {
+        const [, key, value] = lines[skipped].match(/^#([a-z ]+):(.*)$/i);
+        directives[key.trim().toLowerCase()] = value.trim();
+        skipped++;
+    }
+
+    const delimiter = ANKI_SEPARATORS[directives.separator?.toLowerCase()]
+        || directives.separator
+        || (format === 'csv' ? ',' : '\t');
+    const isHtml = format === 'tsv' && directives.html !== 'false';
+    const rows = parseDelimited(lines.slice(skipped).join('\n'), delimiter)
+        .map(row => ({ ...row, line: row.line + skipped }));
+
+    let columns = directives.columns?.split(delimiter).map(columnName);
+    if (!columns && rows.length) {
+        const header = rows[0].fields.map(columnName);
+        if (header.includes('question') && header.includes('answer')) {
+            columns = header;
+            rows.shift();
+        }
+    }
+    // Without a header: question, answer, then (CSV) subject or (Anki) tags
+    columns = columns || (format === 'csv' ? ['question', 'answer', 'subject'] : ['question', 'answer']);
+
+    return {
+        rows: rows.map(({ line, fields }) => ({
+            row: line,
+            raw: Object.fromEntries(columns.map((column, i) => {
+                const value = typeof fields[i] === 'string' ? unescapeFormula(fields[i]) : fields[i];
+                return [column, isHtml && typeof value === 'string' ? htmlToText(value) : value];
+            }))
+        }))
+    };
+}
+
+/**
+ * Parse a deck into valid cards and per-row errors. `fatal` is set when
+ * the file can't be read at all.
+ */
+export function parseDeck(text, format) {
+    const { rows, fatal } = format === 'json' ? parseJsonDeck(text) : parseDelimitedDeck(text, format);
+    if (fatal) return { cards: [], errors: [], fatal };
+    if (rows.length > MAX_IMPORT_CARDS) {
+        return { cards: [], errors: [], fatal: `A deck can have at most ${MAX_IMPORT_CARDS} cards` };
+    }
+
+    const cards = [];
+    const errors = [];
+    for (const { row, raw } of rows) {
+        const { card, error } = raw ? normalizeCard(raw) : { error: 'not an object' };
+        if (error) errors.push({ row, message: error });
+        else cards.push({ row, ...card });
+    }
+    return { cards, errors };
+}
+
+// ========== IMPORT ==========
+
+const questionKey = (subjectId, question) => `${subjectId ?? ''}|${question.toLowerCase().replace(/\s+/g, ' ')}`;
+
+/**
+ * Work out what importing a deck would do, without writing anything.
+ * Cards go to the subject named in their row (matched by name, created with
+ * `createSubjects`) or else to `subjectId`. A card whose question already
+ * exists in the same subject is a duplicate: skipped, or with
+ * `duplicates: 'update'` its answer and review state are overwritten.
+ */
+export async function planImport(userId, parsed, { subjectId = null, createSubjects = false, duplicates = 'skip' } = {}) {
+    const db = getDb();
+    const [subjects, existing] = await Promise.all([
+        db.all('SELECT id, name FROM subjects WHERE user_id = ?', [userId]),
+        db.all('SELECT id, subject_id, question FROM flashcards WHERE user_id = ?', [userId])
+    ]);
+    const subjectsByName = new Map(subjects.map(s => [s.name.toLowerCase(), s.id]));
+    const existingByKey = new Map(existing.map(c => [questionKey(c.subject_id, c.question), c.id]));
+
+    const plan = { create: [], update: [], duplicates: [], errors: [...parsed.errors], warnings: [], new_subjects: [] };
+    const seen = new Map();
+
+    for (const card of parsed.cards) {
+        let target = subjectId;
+        if (card.subject) {
+            const key = card.subject.toLowerCase();
+            if (subjectsByName.has(key)) {
+                target = subjectsByName.get(key);
+            } else if (createSubjects) {
+                if (!plan.new_subjects.some(name => name.toLowerCase() === key)) plan.new_subjects.push(card.subject);
+                target = `new:${key}`;
+            } else {
+                plan.warnings.push({ row: card.row, message: `Unknown subject "${card.subject}"` });
+            }
+        }
+
+        const key = questionKey(target, card.question);
+        if (seen.has(key)) {
+            plan.duplicates.push({ row: card.row, question: card.question, duplicate_of_row: seen.get(key) });
+            continue;
+        }
+        seen.set(key, card.row);
+
+        const entry = { ...card, subject_id: target };
+        if (existingByKey.has(key)) {
+            const existingId = existingByKey.get(key);
+            if (duplicates === 'update') plan.update.push({ ...entry, id: existingId });
+            else plan.duplicates.push({ row: card.row, question: card.question, existing_id: existingId });
+        } else {
+            plan.create.push(entry);
+        }
+    }
+
+    plan.errors.sort((a, b) => a.row - b.row);
+    return plan;
+}
+
+// Review state columns present on an imported card, ready for SQL
+function stateValues(card) {
+    const state = Object.fromEntries(STATE_FIELDS.filter(f => card[f] !== undefined).map(f => [f, card[f]]));
+    if (state.ease_factor !== undefined) state.difficulty = difficultyFor(state.ease_factor);
+    return state;
+}
+
+/**
+ * Apply a plan from planImport in one transaction. Returns the counts.
+ */
+export async function applyImport(userId, plan) {
+    const db = getDb();
+    const subjectIds = new Map();
+
+    await withTransaction(async () => {
+        for (const name of plan.new_subjects) {
+            const { lastID } = await db.run('INSERT INTO subjects (user_id, name) VALUES (?, ?)', [userId, name.slice(0, 100)]);
+            subjectIds.set(`new:${name.toLowerCase()}`, lastID);
+        }
+        const resolve = id => (typeof id === 'string' ? subjectIds.get(id) : id);
+
+        for (const card of plan.create) {
+            const values = { user_id: userId, subject_id: resolve(card.subject_id), question: card.question, answer: card.answer, ...stateValues(card) };
+            const columns = Object.keys(values);
+            await db.run(
+                `INSERT INTO flashcards (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                Object.values(values)
+            );
+        }
+
+        for (const card of plan.update) {
+            const values = { answer: card.answer, ...stateValues(card) };
+            await db.run(
+                `UPDATE flashcards SET ${Object.keys(values).map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND user_id = ?`,
+                [...Object.values(values), card.id, userId]
+            );
+        }
+    });
+
+    return { created: plan.create.length, updated: plan.update.length, subjects_created: plan.new_subjects.length };
+}
+
+// ========== EXPORT ==========
+
+/**
+ * A deck file for the user's cards (optionally one subject's) with their
+ * review state: { body, contentType, filename }.
+ */
+export async function exportDeck(userId, { subjectId = null, format = 'csv' } = {}) {
+    const db = getDb();
+    const params = [userId];
+    let sql = `SELECT f.*, s.name AS subject FROM flashcards f
+               LEFT JOIN subjects s ON s.id = f.subject_id
+               WHERE f.user_id = ?`;
+    if (subjectId) {
+        sql += ' AND f.subject_id = ?';
+        params.push(subjectId);
+    }
+    const cards = await db.all(`${sql} ORDER BY f.id`, params);
+
+    const deckName = subjectId ? cards[0]?.subject || 'flashcards' : 'flashcards';
+    const filename = `${deckName.replace(/[^\w-]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'flashcards'}.${format}`;
+    const rows = cards.map(card => COLUMNS.map(column => card[column] ?? ''));
+
+    let body;
+    if (format === 'json') {
+        body = JSON.stringify({
+            deck: deckName,
+            exported_at: new Date().toISOString(),
+            cards: cards.map(card => Object.fromEntries(COLUMNS.map(column => [column, card[column] ?? null])))
+        }, null, 2);
+    } else if (format === 'tsv') {
+        // Anki reads the header lines; #html:false keeps < and & literal
+        body = `#separator:tab\r\n#html:false\r\n#columns:${COLUMNS.join('\t')}\r\n` + formatDelimited(rows, '\t');
+    } else {
+        body = formatDelimited([COLUMNS, ...rows], ',');
+    }
+
+    return { body, contentType: CONTENT_TYPES[format], filename, count: cards.length };
+}
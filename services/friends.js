@@ -0,0 +1,279 @@
+// ============================================
+// FRIENDS
+// Friend requests, friendships and blocks between two users. Each pair
+// has at most one friendships row, lower user id first; action_user_id
+// is the requester of a pending request. Blocks are kept per blocker in
+// user_blocks, and a blocked pair has no friendships row.
+// ============================================
+
+import { getDb, createNotification } from '../db/database.js';
+import { recordAchievementEvent } from './achievements.js';
+import { CURRENT_SUBJECT, visiblePresence } from './presence.js';
+
+// Ids of the users someone has blocked; the subquery's parameter is
+// that user's id
+export const BLOCKED_IDS = '(SELECT ub.blocked_id FROM user_blocks ub WHERE ub.blocker_id = ?)';
+
+const FRIEND_COLUMNS = `u.id, u.username, u.full_name, u.avatar_url, u.privacy_level, u.last_seen,
+    f.updated_at AS friends_since, ${CURRENT_SUBJECT} AS current_subject`;
+
+// f joined to the other user of each of someone's friendships; the first
+// two parameters are their id
+const WITH_OTHER = `FROM friendships f
+    JOIN users u ON u.id = CASE WHEN f.user_id1 = ? THEN f.user_id2 ELSE f.user_id1 END`;
+
+export const pairOf = (a, b) => (a < b ? [a, b] : [b, a]);
+
+export async function getFriendship(userId, otherId) {
+    return getDb().get(
+        'SELECT * FROM friendships WHERE user_id1 = ? AND user_id2 = ?',
+        pairOf(userId, otherId)
+    );
+}
+
+async function hasBlocked(blockerId, blockedId) {
+    const row = await getDb().get(
+        'SELECT 1 AS blocked FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?',
+        [blockerId, blockedId]
+    );
+    return Boolean(row);
+}
+
+/**
+ * Whether either user has blocked the other.
+ */
+export async function isBlocked(userId, otherId) {
+    const row = await getDb().get(
+        `SELECT 1 AS blocked FROM user_blocks
+         WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)`,
+        [userId, otherId, otherId, userId]
+    );
+    return Boolean(row);
+}
+
+/**
+ * How the user stands with someone: none, pending (with the requester),
+ * accepted, declined, or blocked when the user blocked them. A block by
+ * the other user reads as none, so it isn't revealed.
+ */
+export async function friendshipStatus(userId, otherId) {
+    if (await hasBlocked(userId, otherId)) return { status: 'blocked' };
+    const friendship = await getFriendship(userId, otherId);
+    return friendship
+        ? { status: friendship.status, action_user_id: friendship.action_user_id }
+        : { status: 'none' };
+}
+
+async function notify(io, userId, type, title, message, fromUser) {
+    const notification = await createNotification({
+        user_id: userId,
+        type,
+        title,
+        message,
+        data: { user_id: fromUser.id, username: fromUser.username },
+        related_id: fromUser.id,
+        related_type: 'user'
+    });
+    io?.to(`user-${userId}`).emit('new-notification', notification);
+}
+
+// Tell both users' open tabs how they now stand with each other
+function announce(io, userId, otherId, status) {
+    io?.to(`user-${userId}`).emit('friendship-updated', { user_id: otherId, status });
+    io?.to(`user-${otherId}`).emit('friendship-updated', { user_id: userId, status });
+}
+
+async function setStatus(userId, otherId, status, actionUserId) {
+    const [user1, user2] = pairOf(userId, otherId);
+    await getDb().run(
+        `INSERT INTO friendships (user_id1, user_id2, status, action_user_id) VALUES (?, ?, ?, ?)
+         ON CONFLICT(user_id1, user_id2) DO UPDATE SET
+            status = excluded.status, action_user_id = excluded.action_user_id, updated_at = CURRENT_TIMESTAMP`,
+        [user1, user2, status, actionUserId]
+    );
+}
+
+async function removeFriendship(userId, otherId) {
+    await getDb().run('DELETE FROM friendships WHERE user_id1 = ? AND user_id2 = ?', pairOf(userId, otherId));
+}
+
+async function becomeFriends(io, user, other) {
+    await setStatus(user.id, other.id, 'accepted', user.id);
+    announce(io, user.id, other.id, 'accepted');
+    await notify(io, other.id, 'friend_accepted', 'Friend request accepted',
+        `${user.username} accepted your friend request`, user);
+    recordAchievementEvent(io, user.id, 'friend_accepted');
+    recordAchievementEvent(io, other.id, 'friend_accepted');
+}
+
+// ========== REQUESTS ==========
+
+/**
+ * Ask `other` to be friends. A request the other user already sent is
+ * accepted instead; a user who declined can't be asked again until they
+ * ask. Returns { status } or { error, code }.
+ */
+export async function sendRequest(io, user, other) {
+    if (await isBlocked(user.id, other.id)) {
+        return { error: "You can't send this user a friend request", code: 403 };
+    }
+    const friendship = await getFriendship(user.id, other.id);
+    const status = friendship?.status;
+    const theirs = friendship?.action_user_id !== user.id;
+    if (status === 'accepted') return { error: 'You are already friends', code: 409 };
+    if (status === 'pending') {
+        if (!theirs) return { error: 'Friend request already sent', code: 409 };
+        await becomeFriends(io, user, other);
+        return { status: 'accepted' };
+    }
+    if (status === 'declined' && theirs) return { error: 'This user declined your friend request', code: 409 };
+
+    const settings = await getDb().get('SELECT friend_requests FROM user_settings WHERE user_id = ?', [other.id]);
+    if (settings && !settings.friend_requests) {
+        return { error: "This user isn't accepting friend requests", code: 403 };
+    }
+
+    await setStatus(user.id, other.id, 'pending', user.id);
+    announce(io, user.id, other.id, 'pending');
+    await notify(io, other.id, 'friend_request', 'New friend request',
+        `${user.username} wants to be your friend`, user);
+    return { status: 'pending' };
+}
+
+/**
+ * Withdraw a request the user sent. Returns false when there was none.
+ */
+export async function cancelRequest(io, userId, otherId) {
+    const friendship = await getFriendship(userId, otherId);
+    if (friendship?.status !== 'pending' || friendship.action_user_id !== userId) return false;
+    await removeFriendship(userId, otherId);
+    announce(io, userId, otherId, 'none');
+    return true;
+}
+
+/**
+ * Accept or decline a request `other` sent the user. A declined request
+ * is kept so it can't be sent again. Returns false when there was none.
+ */
+export async function respondToRequest(io, user, other, accept) {
+    const friendship = await getFriendship(user.id, other.id);
+    if (friendship?.status !== 'pending' || friendship.action_user_id !== other.id) return false;
+
+    if (accept) {
+        await becomeFriends(io, user, other);
+    } else {
+        await setStatus(user.id, other.id, 'declined', user.id);
+        io?.to(`user-${user.id}`).emit('friendship-updated', { user_id: other.id, status: 'declined' });
+    }
+    return true;
+}
+
+export async function unfriend(io, userId, otherId) {
+    const friendship = await getFriendship(userId, otherId);
+    if (friendship?.status !== 'accepted') return false;
+    await removeFriendship(userId, otherId);
+    announce(io, userId, otherId, 'none');
+    return true;
+}
+
+// ========== BLOCKING ==========
+
+/**
+ * Block a user: any friendship or request between them ends, neither can
+ * message the other, and the blocker stops seeing the other's messages.
+ * Each user's block stands on its own, so both can block the other.
+ */
+export async function blockUser(io, userId, otherId) {
+    const friendship = await getFriendship(userId, otherId);
+    await getDb().run(
+        'INSERT INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?) ON CONFLICT DO NOTHING',
+        [userId, otherId]
+    );
+    if (friendship) await removeFriendship(userId, otherId);
+    // The blocked user just sees the friendship end
+    io?.to(`user-${userId}`).emit('friendship-updated', { user_id: otherId, status: 'blocked' });
+    if (friendship?.status === 'accepted' || friendship?.status === 'pending') {
+        io?.to(`user-${otherId}`).emit('friendship-updated', { user_id: userId, status: 'none' });
+    }
+}
+
+/**
+ * Lift the user's block; a block the other user holds stays in place.
+ * Returns false when the user hadn't blocked them.
+ */
+export async function unblockUser(io, userId, otherId) {
+    const { changes } = await getDb().run(
+        'DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?',
+        [userId, otherId]
+    );
+    if (!changes) return false;
+    io?.to(`user-${userId}`).emit('friendship-updated', { user_id: otherId, status: 'none' });
+    return true;
+}
+
+// ========== LISTS ==========
+
+/**
+ * Accepted friends with their presence (state, last_seen and
+ * current_subject) as their privacy level lets the user see it; online
+ * friends first.
+ */
+export async function listFriends(userId, { onlineOnly = false } = {}) {
+    const rows = await getDb().all(
+        `SELECT ${FRIEND_COLUMNS}
+         ${WITH_OTHER}
+         WHERE (f.user_id1 = ? OR f.user_id2 = ?) AND f.status = 'accepted' AND u.is_active = 1
+         ORDER BY u.username COLLATE NOCASE`,
+        [userId, userId, userId]
+    );
+    const friends = rows.map(row => {
+        const { privacy_level: _, ...friend } = row;
+        const presence = visiblePresence(row);
+        return { ...friend, ...presence, is_online: presence.state !== 'offline' };
+    });
+    const online = friends.filter(friend => friend.is_online);
+    return onlineOnly ? online : [...online, ...friends.filter(friend => !friend.is_online)];
+}
+
+/**
+ * Pending requests the user received and sent.
+ */
+export async function pendingRequests(userId) {
+    const rows = await getDb().all(
+        `SELECT u.id, u.username, u.full_name, u.avatar_url, f.action_user_id, f.updated_at AS requested_at
+         ${WITH_OTHER}
+         WHERE (f.user_id1 = ? OR f.user_id2 = ?) AND f.status = 'pending' AND u.is_active = 1
+         ORDER BY f.updated_at DESC`,
+        [userId, userId, userId]
+    );
+    const request = ({ action_user_id: _, ...row }) => row;
+    return {
+        incoming: rows.filter(row => row.action_user_id !== userId).map(request),
+        outgoing: rows.filter(row => row.action_user_id === userId).map(request)
+    };
+}
+
+export async function blockedUsers(userId) {
+    return getDb().all(
+        `SELECT u.id, u.username, u.avatar_url, b.created_at AS blocked_at
+         FROM user_blocks b JOIN users u ON u.id = b.blocked_id
+         WHERE b.blocker_id = ?
+         ORDER BY b.created_at DESC`,
+        [userId]
+    );
+}
+
+/**
+ * Friends the two users have in common.
+ */
+export async function mutualFriends(userId, otherId) {
+    const friendIds = `(SELECT CASE WHEN user_id1 = ? THEN user_id2 ELSE user_id1 END FROM friendships
+                        WHERE (user_id1 = ? OR user_id2 = ?) AND status = 'accepted')`;
+    return getDb().all(
+        `SELECT u.id, u.username, u.full_name, u.avatar_url
+         FROM users u
+         WHERE u.is_active = 1 AND u.id IN ${friendIds} AND u.id IN ${friendIds}
+         ORDER BY u.username COLLATE NOCASE`,
+        [userId, userId, userId, otherId, otherId, otherId]
+    );
+}
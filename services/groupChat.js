@@ -0,0 +1,365 @@
+// ============================================
+// GROUP CHAT
+// Posting with the group's word filter and members' alert preferences,
+// threaded replies and @mentions, edits, deletes and pins, and muting or
+// removing members. Every moderation action is written to
+// group_moderation_log.
+// ============================================
+
+import { getDb, saveGroupMessage, createNotification } from '../db/database.js';
+import { ROLE_RANK, hasRole, removeMember } from './groups.js';
+import { toSqlDateTime, fromSqlDateTime } from '../utils/time.js';
+
+export const MAX_GROUP_MESSAGE_LENGTH = 2000;
+export const FILTER_ACTIONS = ['mask', 'reject'];
+export const NOTIFICATION_PREFERENCES = ['all', 'mentions', 'none'];
+
+// muted_until for a mute without an end
+const MUTED_FOREVER = '9999-12-31 23:59:59';
+
+const SELECT = `
+    SELECT gm.*, u.username AS sender_name, u.avatar_url AS sender_avatar,
+           (SELECT COUNT(*) FROM group_messages r
+            WHERE r.parent_id = gm.id AND r.is_deleted = 0) AS reply_count,
+           (SELECT MAX(r.created_at) FROM group_messages r
+            WHERE r.parent_id = gm.id AND r.is_deleted = 0) AS last_reply_at
+    FROM group_messages gm JOIN users u ON u.id = gm.sender_id`;
+
+const iso = value => fromSqlDateTime(value)?.toISOString() ?? null;
+
+// A deleted message keeps its place in the history but not its content
+export function groupMessageSummary(message) {
+    const deleted = !!message.is_deleted;
+    return {
+        id: message.id,
+        group_id: message.group_id,
+        sender_id: message.sender_id,
+        sender_name: message.sender_name,
+        sender_avatar: message.sender_avatar,
+        content: deleted ? null : message.content,
+        parent_id: message.parent_id ?? null,
+        reply_count: message.reply_count ?? 0,
+        last_reply_at: iso(message.last_reply_at),
+        is_pinned: !!message.is_pinned,
+        pinned_by: message.pinned_by ?? null,
+        pinned_at: iso(message.pinned_at),
+        edited_at: iso(message.edited_at),
+        is_deleted: deleted,
+        created_at: iso(message.created_at)
+    };
+}
+
+export async function findGroupMessage(id) {
+    return getDb().get(`${SELECT} WHERE gm.id = ?`, [id]);
+}
+
+// A member's role and alert preference, with any mute from group_restrictions
+export async function getMembership(groupId, userId) {
+    return getDb().get(
+        `SELECT gm.role, gm.notification_preference, r.muted_until
+         FROM group_members gm
+         LEFT JOIN group_restrictions r ON r.group_id = gm.group_id AND r.user_id = gm.user_id
+         WHERE gm.group_id = ? AND gm.user_id = ?`,
+        [groupId, userId]
+    );
+}
+
+export const isMuted = (member, now = new Date()) =>
+    !!member?.muted_until && fromSqlDateTime(member.muted_until) > now;
+
+// { is_muted, muted_until } for API output; muted_until is null for a
+// mute without an end
+export function muteStatus(member, now = new Date()) {
+    if (!isMuted(member, now)) return { is_muted: false, muted_until: null };
+    return { is_muted: true, muted_until: member.muted_until === MUTED_FOREVER ? null : iso(member.muted_until) };
+}
+
+/**
+ * Whether a moderator (or above) can act on a member: only on members
+ * ranked below them, or on users no longer in the group.
+ */
+export const canModerate = (actorRole, targetRole) =>
+    hasRole(actorRole, 'moderator') && (targetRole == null || ROLE_RANK[actorRole] > ROLE_RANK[targetRole]);
+
+export async function logModeration(groupId, actorId, action, {
+    messageId = null, targetUserId = null, details = null
+} = {}) {
+    await getDb().run(
+        `INSERT INTO group_moderation_log (group_id, actor_id, action, message_id, target_user_id, details)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [groupId, actorId, action, messageId, targetUserId, details && JSON.stringify(details)]
+    );
+}
+
+async function notify(io, userId, groupId, title, message) {
+    const notification = await createNotification({
+        user_id: userId,
+        type: 'group_moderation',
+        title,
+        message,
+        data: { group_id: groupId },
+        related_id: groupId,
+        related_type: 'study_group'
+    });
+    io?.to(`user-${userId}`).emit('new-notification', notification);
+}
+
+const broadcast = (io, message, action) =>
+    io?.to(`group-${message.group_id}`).emit('group-message-updated', { action, message: groupMessageSummary(message) });
+
+// ========== WORD FILTER ==========
+
+export function chatFilter(group) {
+    return {
+        words: group.chat_filter_words ? JSON.parse(group.chat_filter_words) : [],
+        action: group.chat_filter_action || 'mask'
+    };
+}
+
+// Whole words or phrases, any case; letters or digits on either side
+// mean it's part of a longer word
+function filterPattern(words) {
+    const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Run content through the group's filter: returns { content } with
+ * filtered words starred out, or { error } when the group rejects them.
+ */
+export function applyFilter(group, content) {
+    const { words, action } = chatFilter(group);
+    if (!words.length) return { content };
+
+    const pattern = filterPattern(words);
+    if (!pattern.test(content)) return { content };
+    if (action === 'reject') return { error: "Your message contains words this group's rules don't allow" };
+    return { content: content.replace(pattern, match => match.replace(/\S/g, '*')) };
+}
+
+// ========== MESSAGES ==========
+
+/**
+ * Members of the group named with @username in the content (not the
+ * domain of an email address).
+ */
+export async function mentionedMembers(groupId, content) {
+    const names = [...new Set([...content.matchAll(/(?<![\w@])@([A-Za-z0-9_]{3,50})\b/g)].map(m => m[1].toLowerCase()))];
+    if (!names.length) return [];
+    return getDb().all(
+        `SELECT u.id, u.username FROM group_members gm JOIN users u ON u.id = gm.user_id
+         WHERE gm.group_id = ? AND LOWER(u.username) IN (${names.map(() => '?').join(', ')})`,
+        [groupId, ...names]
+    );
+}
+
+async function notifyMention(io, userId, group, message) {
+    const notification = await createNotification({
+        user_id: userId,
+        type: 'group_mention',
+        title: `${message.sender_name} mentioned you in ${group.name}`,
+        message: message.content.length > 200 ? `${message.content.slice(0, 197)}...` : message.content,
+        data: { group_id: group.id, message_id: message.id, parent_id: message.parent_id },
+        related_id: message.id,
+        related_type: 'group_message'
+    });
+    io?.to(`user-${userId}`).emit('new-notification', notification);
+}
+
+// Tell the members whose notification_preference asks for it: members
+// named in the message get a notification unless they chose 'none', the
+// rest a group-message-alert when they chose 'all'
+async function fanOut(io, group, message, mentioned) {
+    const mentionedIds = new Set(mentioned.map(user => user.id));
+    const members = await getDb().all(
+        'SELECT user_id, notification_preference FROM group_members WHERE group_id = ? AND user_id != ?',
+        [group.id, message.sender_id]
+    );
+    for (const member of members) {
+        const preference = member.notification_preference || 'all';
+        if (preference === 'none') continue;
+        if (mentionedIds.has(member.user_id)) {
+            await notifyMention(io, member.user_id, group, message);
+        } else if (preference === 'all') {
+            io?.to(`user-${member.user_id}`).emit('group-message-alert', {
+                group_id: group.id, group_name: group.name, message
+            });
+        }
+    }
+}
+
+/**
+ * Post to a group's chat as a member who isn't muted, optionally as a
+ * reply to another message: replies to a reply join the same thread.
+ * Returns { message } or { error, status }.
+ */
+export async function postGroupMessage(io, groupId, userId, content, replyToId = null) {
+    const db = getDb();
+    const [group, member] = await Promise.all([
+        db.get('SELECT * FROM study_groups WHERE id = ?', [groupId]),
+        getMembership(groupId, userId)
+    ]);
+    if (!group || !member) return { error: 'Not a member of this group', status: 403 };
+    if (!group.is_active) return { error: 'This group is archived', status: 409 };
+    if (isMuted(member)) {
+        return {
+            error: member.muted_until === MUTED_FOREVER
+                ? 'You are muted in this group'
+                : `You are muted in this group until ${iso(member.muted_until)}`,
+            status: 403
+        };
+    }
+
+    let parentId = null;
+    if (replyToId) {
+        const replyTo = await findGroupMessage(replyToId);
+        if (!replyTo || replyTo.group_id !== groupId || replyTo.is_deleted) {
+            return { error: 'The message you replied to is gone', status: 404 };
+        }
+        parentId = replyTo.parent_id ?? replyTo.id;
+    }
+
+    const filtered = applyFilter(group, content);
+    if (filtered.error) return { error: filtered.error, status: 400 };
+
+    const saved = await saveGroupMessage(groupId, userId, filtered.content, parentId);
+    const message = groupMessageSummary(await findGroupMessage(saved.id));
+    io?.to(`group-${groupId}`).emit('new-group-message', message);
+    await fanOut(io, group, message, await mentionedMembers(groupId, message.content));
+    return { message };
+}
+
+async function historyPage(where, params, before, limit) {
+    const rows = await getDb().all(
+        `${SELECT} WHERE ${where} AND (? IS NULL OR gm.id < ?) ORDER BY gm.id DESC LIMIT ?`,
+        [...params, before, before, limit + 1]
+    );
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit).reverse();
+    return { messages: page.map(groupMessageSummary), next_before: hasMore ? page[0].id : null };
+}
+
+/**
+ * One page of a group's chat (thread starters only), oldest first; pass
+ * next_before for the page before it.
+ */
+export async function groupHistory(groupId, { before = null, limit = 50 } = {}) {
+    return historyPage('gm.group_id = ? AND gm.parent_id IS NULL', [groupId], before, limit);
+}
+
+/**
+ * A thread: the message that started it and one page of its replies,
+ * paged like groupHistory.
+ */
+export async function threadHistory(root, { before = null, limit = 50 } = {}) {
+    return {
+        root: groupMessageSummary(root),
+        ...await historyPage('gm.parent_id = ?', [root.id], before, limit)
+    };
+}
+
+export async function pinnedMessages(groupId) {
+    const rows = await getDb().all(
+        `${SELECT} WHERE gm.group_id = ? AND gm.is_pinned = 1 AND gm.is_deleted = 0 ORDER BY gm.pinned_at DESC`,
+        [groupId]
+    );
+    return rows.map(groupMessageSummary);
+}
+
+/**
+ * The sender rewords their message, unless muted; the previous wording
+ * goes to the audit log. Returns { message } or { error, status }.
+ */
+export async function editGroupMessage(io, message, userId, content) {
+    const [group, member] = await Promise.all([
+        getDb().get('SELECT * FROM study_groups WHERE id = ?', [message.group_id]),
+        getMembership(message.group_id, userId)
+    ]);
+    if (!group.is_active) return { error: 'This group is archived', status: 409 };
+    if (isMuted(member)) return { error: 'You are muted in this group', status: 403 };
+
+    const filtered = applyFilter(group, content);
+    if (filtered.error) return { error: filtered.error, status: 400 };
+    if (filtered.content === message.content) return { message: groupMessageSummary(message) };
+
+    await getDb().run(
+        'UPDATE group_messages SET content = ?, edited_at = ? WHERE id = ?',
+        [filtered.content, toSqlDateTime(new Date()), message.id]
+    );
+    await logModeration(message.group_id, userId, 'edit', {
+        messageId: message.id, targetUserId: message.sender_id, details: { previous: message.content }
+    });
+    const updated = await findGroupMessage(message.id);
+    broadcast(io, updated, 'edited');
+    return { message: groupMessageSummary(updated) };
+}
+
+/**
+ * Soft delete by the sender or a moderator. The content stays in the
+ * audit log for moderators.
+ */
+export async function deleteGroupMessage(io, message, actorId) {
+    await getDb().run('UPDATE group_messages SET is_deleted = 1, is_pinned = 0 WHERE id = ?', [message.id]);
+    await logModeration(message.group_id, actorId, 'delete', {
+        messageId: message.id, targetUserId: message.sender_id, details: { content: message.content }
+    });
+    broadcast(io, await findGroupMessage(message.id), 'deleted');
+}
+
+export async function setPinned(io, message, actorId, pinned) {
+    await getDb().run(
+        'UPDATE group_messages SET is_pinned = ?, pinned_by = ?, pinned_at = ? WHERE id = ?',
+        pinned ? [1, actorId, toSqlDateTime(new Date()), message.id] : [0, null, null, message.id]
+    );
+    await logModeration(message.group_id, actorId, pinned ? 'pin' : 'unpin', {
+        messageId: message.id, targetUserId: message.sender_id
+    });
+    const updated = await findGroupMessage(message.id);
+    broadcast(io, updated, pinned ? 'pinned' : 'unpinned');
+    return groupMessageSummary(updated);
+}
+
+// ========== MEMBERS ==========
+
+// Mutes and kicks live in group_restrictions, which outlasts membership
+async function restrict(groupId, userId, actorId, column, value) {
+    await getDb().run(
+        `INSERT INTO group_restrictions (group_id, user_id, ${column}, updated_by, updated_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(group_id, user_id) DO UPDATE SET
+            ${column} = excluded.${column}, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+        [groupId, userId, value, actorId, toSqlDateTime(new Date())]
+    );
+}
+
+/**
+ * Stop a member posting until `until` (a Date), or until unmuted when
+ * null; leaving and rejoining doesn't lift it. Returns the mute's end as
+ * an ISO string, or null for no end.
+ */
+export async function muteMember(io, group, actorId, userId, until = null) {
+    await restrict(group.id, userId, actorId, 'muted_until', until ? toSqlDateTime(until) : MUTED_FOREVER);
+    const ends = until ? until.toISOString() : null;
+    await logModeration(group.id, actorId, 'mute', { targetUserId: userId, details: { until: ends } });
+    io?.to(`group-${group.id}`).emit('group-member-updated', { group_id: group.id, user_id: userId, muted_until: ends });
+    await notify(io, userId, group.id, 'You were muted',
+        ends ? `You can't post in "${group.name}" until ${ends}` : `You can't post in "${group.name}" for now`);
+    return ends;
+}
+
+export async function unmuteMember(io, group, actorId, userId) {
+    await restrict(group.id, userId, actorId, 'muted_until', null);
+    await logModeration(group.id, actorId, 'unmute', { targetUserId: userId });
+    io?.to(`group-${group.id}`).emit('group-member-updated', { group_id: group.id, user_id: userId, muted_until: null });
+    await notify(io, userId, group.id, 'You were unmuted', `You can post in "${group.name}" again`);
+}
+
+/**
+ * Remove a member from the group on a moderator's say. They can't join
+ * it again.
+ */
+export async function kickMember(io, group, actorId, userId) {
+    await restrict(group.id, userId, actorId, 'is_banned', 1);
+    await removeMember(io, group.id, userId);
+    await logModeration(group.id, actorId, 'kick', { targetUserId: userId });
+    await notify(io, userId, group.id, 'Removed from a group', `A moderator removed you from "${group.name}"`);
+}
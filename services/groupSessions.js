@@ -0,0 +1,321 @@
+// ============================================
+// GROUP SESSIONS
+// RSVPs with a waitlist once max_participants seats are taken, check-in
+// and check-out for attendance, and post-session feedback
+// ============================================
+
+import { getDb, createNotification } from '../db/database.js';
+import { toSqlDateTime, fromSqlDateTime } from '../utils/time.js';
+
+// RSVP statuses that hold one of the session's seats
+const SEATED = "('accepted', 'attended')";
+
+export const RSVP_STATUSES = ['accepted', 'declined', 'maybe'];
+
+// Check-in opens this many minutes before the start and stays open until
+// the session's planned end
+export const CHECK_IN_OPENS_MINUTES = 15;
+
+const SEATS_TAKEN = `(SELECT COUNT(*) FROM session_participants s
+                      WHERE s.session_id = gs.id AND s.status IN ${SEATED})`;
+const HAS_SEAT = `(gs.max_participants IS NULL OR ${SEATS_TAKEN} < gs.max_participants)`;
+
+export async function findGroupSession(id) {
+    return getDb().get(
+        `SELECT gs.*, g.name AS group_name, g.is_active AS group_active, u.username AS creator_name,
+                (SELECT COUNT(*) FROM session_participants p
+                 WHERE p.session_id = gs.id AND p.status = 'waitlisted') AS waitlist_count,
+                (SELECT COUNT(*) FROM session_participants p
+                 WHERE p.session_id = gs.id AND p.status = 'maybe') AS maybe_count
+         FROM group_sessions gs
+         JOIN study_groups g ON g.id = gs.group_id
+         JOIN users u ON u.id = gs.creator_id
+         WHERE gs.id = ?`,
+        [id]
+    );
+}
+
+/**
+ * The session's start and planned end as Dates.
+ */
+export function sessionWindow(session) {
+    const start = fromSqlDateTime(session.scheduled_for);
+    return { start, end: new Date(start.getTime() + (session.duration_minutes || 60) * 60 * 1000) };
+}
+
+export function sessionSummary(session) {
+    const { start, end } = sessionWindow(session);
+    return {
+        id: session.id,
+        group_id: session.group_id,
+        group_name: session.group_name,
+        creator_id: session.creator_id,
+        creator_name: session.creator_name,
+        title: session.title,
+        description: session.description,
+        subject: session.subject,
+        scheduled_for: start.toISOString(),
+        ends_at: end.toISOString(),
+        duration_minutes: session.duration_minutes,
+        meeting_link: session.meeting_link,
+        location: session.location,
+        status: session.status,
+        max_participants: session.max_participants,
+        seats_taken: session.current_participants,
+        seats_left: session.max_participants == null
+            ? null
+            : Math.max(0, session.max_participants - session.current_participants),
+        waitlist_count: session.waitlist_count,
+        maybe_count: session.maybe_count
+    };
+}
+
+/**
+ * Push a session's current state to its group as group-session-updated,
+ * with the action that changed it. Returns the summary.
+ */
+export async function broadcastSession(io, sessionId, action, extra = {}) {
+    const session = sessionSummary(await findGroupSession(sessionId));
+    io?.to(`group-${session.group_id}`).emit('group-session-updated', { action, session, ...extra });
+    return session;
+}
+
+export async function getParticipant(sessionId, userId) {
+    return getDb().get('SELECT * FROM session_participants WHERE session_id = ? AND user_id = ?', [sessionId, userId]);
+}
+
+/**
+ * Store the number of seats taken in group_sessions.current_participants.
+ */
+export async function updateSeatCount(sessionId) {
+    await getDb().run(
+        `UPDATE group_sessions AS gs SET current_participants = ${SEATS_TAKEN}, updated_at = CURRENT_TIMESTAMP
+         WHERE gs.id = ?`,
+        [sessionId]
+    );
+}
+
+async function notify(io, userId, session, title, message) {
+    const notification = await createNotification({
+        user_id: userId,
+        type: 'group_session',
+        title,
+        message,
+        data: { group_id: session.group_id, session_id: session.id },
+        related_id: session.id,
+        related_type: 'group_session'
+    });
+    io?.to(`user-${userId}`).emit('new-notification', notification);
+}
+
+// ========== RSVP ==========
+
+// Move waitlisted users into free seats, first come first served
+async function promoteWaitlist(io, session) {
+    const db = getDb();
+    const promoted = [];
+    for (;;) {
+        const next = await db.get(
+            `SELECT p.user_id FROM session_participants p JOIN group_sessions gs ON gs.id = p.session_id
+             WHERE p.session_id = ? AND p.status = 'waitlisted' AND ${HAS_SEAT}
+             ORDER BY p.response_time, p.rowid
+             LIMIT 1`,
+            [session.id]
+        );
+        if (!next) break;
+        await db.run(
+            "UPDATE session_participants SET status = 'accepted' WHERE session_id = ? AND user_id = ?",
+            [session.id, next.user_id]
+        );
+        promoted.push(next.user_id);
+    }
+
+    for (const userId of promoted) {
+        await notify(io, userId, session, 'You got a seat',
+            `A seat opened up in "${session.title}" - you're in`);
+    }
+    return promoted;
+}
+
+/**
+ * Record a user's answer to a session. Accepting takes a free seat or,
+ * when the session is full, a place on the waitlist; the seat check is
+ * part of the insert so two users can't both take the last seat. Giving up
+ * a seat moves the waitlist up. Returns { status, promoted } or
+ * { error, code }.
+ */
+export async function rsvp(io, session, userId, answer, now = new Date()) {
+    const db = getDb();
+    const current = await getParticipant(session.id, userId);
+    if (current?.status === 'attended') {
+        return { error: 'You already checked in to this session', code: 409 };
+    }
+    // Accepting again keeps the seat, or the place in line
+    if (answer === 'accepted' && ['accepted', 'waitlisted'].includes(current?.status)) {
+        return { status: current.status, promoted: [] };
+    }
+
+    if (answer === 'accepted') {
+        await db.run(
+            `INSERT INTO session_participants (session_id, user_id, status, response_time)
+             SELECT gs.id, ?, CASE WHEN ${HAS_SEAT} THEN 'accepted' ELSE 'waitlisted' END, ?
+             FROM group_sessions gs WHERE gs.id = ?
+             ON CONFLICT(session_id, user_id) DO UPDATE SET
+                status = excluded.status, response_time = excluded.response_time`,
+            [userId, toSqlDateTime(now), session.id]
+        );
+    } else {
+        await db.run(
+            `INSERT INTO session_participants (session_id, user_id, status, response_time) VALUES (?, ?, ?, ?)
+             ON CONFLICT(session_id, user_id) DO UPDATE SET
+                status = excluded.status, response_time = excluded.response_time`,
+            [session.id, userId, answer, toSqlDateTime(now)]
+        );
+    }
+
+    const promoted = current?.status === 'accepted' ? await promoteWaitlist(io, session) : [];
+    await updateSeatCount(session.id);
+    return { status: (await getParticipant(session.id, userId)).status, promoted };
+}
+
+/**
+ * Fill seats freed by a larger max_participants.
+ */
+export async function refillSeats(io, session) {
+    const promoted = await promoteWaitlist(io, session);
+    await updateSeatCount(session.id);
+    return promoted;
+}
+
+/**
+ * Take a user who left or was removed from a group out of its scheduled
+ * and running sessions: their RSVPs and invites go, a check-in is closed,
+ * and freed seats go to the waitlist. Returns the ids of the sessions
+ * changed.
+ */
+export async function withdrawFromGroupSessions(io, groupId, userId, now = new Date()) {
+    const db = getDb();
+    const sessions = await db.all(
+        `SELECT gs.id, p.status FROM group_sessions gs
+         JOIN session_participants p ON p.session_id = gs.id AND p.user_id = ?
+         WHERE gs.group_id = ? AND gs.status IN ('scheduled', 'ongoing')`,
+        [userId, groupId]
+    );
+
+    for (const { id, status } of sessions) {
+        if (status === 'attended') {
+            await db.run(
+                `UPDATE session_participants SET left_at = COALESCE(left_at, ?)
+                 WHERE session_id = ? AND user_id = ?`,
+                [toSqlDateTime(now), id, userId]
+            );
+        } else {
+            await db.run('DELETE FROM session_participants WHERE session_id = ? AND user_id = ?', [id, userId]);
+            if (status === 'accepted') await refillSeats(io, await findGroupSession(id));
+        }
+    }
+    return sessions.map(session => session.id);
+}
+
+// ========== ATTENDANCE ==========
+
+/**
+ * Check a user in: anyone holding a seat, or anyone else while seats are
+ * free. The first check-in starts the session. Returns the participant
+ * row, or { error, code }.
+ */
+export async function checkIn(session, userId, now = new Date()) {
+    const db = getDb();
+    const at = toSqlDateTime(now);
+    const current = await getParticipant(session.id, userId);
+
+    if (['accepted', 'attended'].includes(current?.status)) {
+        await db.run(
+            `UPDATE session_participants
+             SET status = 'attended', joined_at = COALESCE(joined_at, ?), left_at = NULL
+             WHERE session_id = ? AND user_id = ?`,
+            [at, session.id, userId]
+        );
+    } else {
+        const { changes } = await db.run(
+            `INSERT INTO session_participants (session_id, user_id, status, response_time, joined_at)
+             SELECT gs.id, ?, 'attended', ?, ? FROM group_sessions gs WHERE gs.id = ? AND ${HAS_SEAT}
+             ON CONFLICT(session_id, user_id) DO UPDATE SET
+                status = 'attended', joined_at = COALESCE(session_participants.joined_at, excluded.joined_at),
+                left_at = NULL`,
+            [userId, at, at, session.id]
+        );
+        if (!changes) return { error: 'This session is full', code: 409 };
+    }
+
+    await db.run(
+        "UPDATE group_sessions SET status = 'ongoing', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'scheduled'",
+        [session.id]
+    );
+    await updateSeatCount(session.id);
+    return { participant: await getParticipant(session.id, userId) };
+}
+
+export async function checkOut(session, userId, now = new Date()) {
+    await getDb().run(
+        `UPDATE session_participants SET left_at = ?
+         WHERE session_id = ? AND user_id = ? AND status = 'attended'`,
+        [toSqlDateTime(now), session.id, userId]
+    );
+    return getParticipant(session.id, userId);
+}
+
+// ========== LIFECYCLE ==========
+
+/**
+ * Cancel a session and tell everyone who had answered yes, maybe or was
+ * waiting for a seat.
+ */
+export async function cancelSession(io, session) {
+    const db = getDb();
+    await db.run(
+        "UPDATE group_sessions SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [session.id]
+    );
+    const attendees = await db.all(
+        `SELECT user_id FROM session_participants
+         WHERE session_id = ? AND status IN ('accepted', 'maybe', 'waitlisted') AND user_id != ?`,
+        [session.id, session.creator_id]
+    );
+    for (const { user_id: userId } of attendees) {
+        await notify(io, userId, session, 'Group session cancelled',
+            `"${session.title}" in ${session.group_name} was cancelled`);
+    }
+}
+
+/**
+ * Minute job: mark sessions completed once their planned end has passed,
+ * unless a study room is still open on them (closing it completes them).
+ * Check-ins still open at that point are closed at the planned end.
+ * Returns the number of sessions completed.
+ */
+export async function completeFinishedSessions(io, now = new Date()) {
+    const db = getDb();
+    const sessions = await db.all(
+        `SELECT gs.* FROM group_sessions gs
+         WHERE gs.status IN ('scheduled', 'ongoing')
+           AND datetime(gs.scheduled_for, '+' || COALESCE(gs.duration_minutes, 60) || ' minutes') <= ?
+           AND NOT EXISTS (SELECT 1 FROM study_rooms r WHERE r.group_session_id = gs.id AND r.status = 'open')`,
+        [toSqlDateTime(now)]
+    );
+
+    for (const session of sessions) {
+        const { end } = sessionWindow(session);
+        await db.run(
+            "UPDATE group_sessions SET status = 'completed', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [session.id]
+        );
+        await db.run(
+            `UPDATE session_participants SET left_at = ?
+             WHERE session_id = ? AND status = 'attended' AND left_at IS NULL`,
+            [toSqlDateTime(end), session.id]
+        );
+        await broadcastSession(io, session.id, 'completed');
+    }
+    return sessions.length;
+}
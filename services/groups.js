@@ -0,0 +1,189 @@
+// ============================================
+// STUDY GROUPS
+// Member roles, joining within max_members and leaving with the
+// ownership handed over
+// ============================================
+
+import crypto from 'crypto';
+import { getDb, withTransaction, createNotification } from '../db/database.js';
+import { withdrawFromGroupSessions, broadcastSession } from './groupSessions.js';
+import { toSqlDateTime } from '../utils/time.js';
+
+// A member can manage members ranked below them; exactly one member of a
+// group is its creator
+export const ROLE_RANK = { member: 0, moderator: 1, 'co-creator': 2, creator: 3 };
+
+// Roles that can be given with a role change; 'creator' moves by transfer
+export const ASSIGNABLE_ROLES = ['member', 'moderator', 'co-creator'];
+
+// No 0/O or 1/I, so codes survive being read aloud; 32 symbols keep
+// byte % length unbiased
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export function generateInviteCode(length = 8) {
+    return [...crypto.randomBytes(length)].map(b => INVITE_ALPHABET[b % INVITE_ALPHABET.length]).join('');
+}
+
+export const hasRole = (role, minimum) => role != null && ROLE_RANK[role] >= ROLE_RANK[minimum];
+
+export async function getGroupRole(groupId, userId) {
+    const row = await getDb().get(
+        'SELECT role FROM group_members WHERE group_id = ? AND user_id = ?',
+        [groupId, userId]
+    );
+    return row?.role || null;
+}
+
+// study_groups g with its member count and next scheduled session (UTC);
+// the query's first parameter is "now"
+export const GROUP_COLUMNS = `g.*,
+    (SELECT COUNT(*) FROM group_members c WHERE c.group_id = g.id) AS member_count,
+    (SELECT MIN(gs.scheduled_for) FROM group_sessions gs
+     WHERE gs.group_id = g.id AND gs.status = 'scheduled' AND gs.scheduled_for >= ?) AS next_session`;
+
+export async function findGroup(groupId) {
+    return getDb().get(
+        `SELECT ${GROUP_COLUMNS} FROM study_groups g WHERE g.id = ?`,
+        [toSqlDateTime(new Date()), groupId]
+    );
+}
+
+// ========== MEMBERSHIP ==========
+
+/**
+ * Add a user to an active group as a member, unless a moderator kicked
+ * them from it. The member limit is checked by the insert itself, so two
+ * joins racing for the last seat can't both win. Returns { error, status }
+ * when the user can't join.
+ */
+export async function addMember(groupId, userId) {
+    const db = getDb();
+    const { changes } = await db.run(
+        `INSERT INTO group_members (group_id, user_id, role)
+         SELECT g.id, ?, 'member' FROM study_groups g
+         WHERE g.id = ? AND g.is_active = 1
+           AND (SELECT COUNT(*) FROM group_members gm WHERE gm.group_id = g.id) < g.max_members
+           AND NOT EXISTS (SELECT 1 FROM group_restrictions r
+                           WHERE r.group_id = g.id AND r.user_id = ? AND r.is_banned = 1)
+         ON CONFLICT(group_id, user_id) DO NOTHING`,
+        [userId, groupId, userId]
+    );
+    if (changes) return {};
+
+    if (await getGroupRole(groupId, userId)) return { error: 'You are already a member of this group', status: 409 };
+    const banned = await db.get(
+        'SELECT 1 AS banned FROM group_restrictions WHERE group_id = ? AND user_id = ? AND is_banned = 1',
+        [groupId, userId]
+    );
+    if (banned) return { error: 'You were removed from this group and can no longer join it', status: 403 };
+    const group = await db.get('SELECT is_active FROM study_groups WHERE id = ?', [groupId]);
+    if (!group?.is_active) return { error: 'Group not found', status: 404 };
+    return { error: 'This group is full', status: 409 };
+}
+
+async function notifyRole(io, groupId, userId, role) {
+    const group = await getDb().get('SELECT name FROM study_groups WHERE id = ?', [groupId]);
+    const notification = await createNotification({
+        user_id: userId,
+        type: 'group_role',
+        title: role === 'creator' ? 'You now own a study group' : 'Your group role changed',
+        message: role === 'creator'
+            ? `You are now the creator of "${group.name}"`
+            : `You are now ${role === 'member' ? 'a member' : `a ${role}`} of "${group.name}"`,
+        data: { group_id: groupId, role },
+        related_id: groupId,
+        related_type: 'study_group'
+    });
+    io?.to(`user-${userId}`).emit('new-notification', notification);
+}
+
+/**
+ * Change a member's role (not to or from creator) and tell them.
+ */
+export async function setMemberRole(io, groupId, userId, role) {
+    await getDb().run(
+        'UPDATE group_members SET role = ? WHERE group_id = ? AND user_id = ?',
+        [role, groupId, userId]
+    );
+    io?.to(`group-${groupId}`).emit('group-member-updated', { group_id: groupId, user_id: userId, role });
+    await notifyRole(io, groupId, userId, role);
+}
+
+/**
+ * Make another member the creator; the previous creator stays on as a
+ * co-creator.
+ */
+export async function transferOwnership(io, groupId, fromUserId, toUserId) {
+    const db = getDb();
+    await withTransaction(async () => {
+        await db.run(
+            `UPDATE group_members SET role = CASE WHEN user_id = ? THEN 'creator' ELSE 'co-creator' END
+             WHERE group_id = ? AND user_id IN (?, ?)`,
+            [toUserId, groupId, fromUserId, toUserId]
+        );
+        await db.run(
+            'UPDATE study_groups SET creator_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [toUserId, groupId]
+        );
+    });
+    const room = io?.to(`group-${groupId}`);
+    room?.emit('group-member-updated', { group_id: groupId, user_id: toUserId, role: 'creator' });
+    room?.emit('group-member-updated', { group_id: groupId, user_id: fromUserId, role: 'co-creator' });
+    await notifyRole(io, groupId, toUserId, 'creator');
+}
+
+/**
+ * Take a user out of a group, and out of its upcoming sessions. When the
+ * creator leaves, the highest-ranked remaining member (longest-standing
+ * first) takes over; when nobody is left the group is archived. Returns
+ * { successor_id, archived }.
+ */
+export async function removeMember(io, groupId, userId) {
+    const db = getDb();
+    let successor = null;
+    let archived = false;
+
+    await withTransaction(async () => {
+        const role = await getGroupRole(groupId, userId);
+        await db.run('DELETE FROM group_members WHERE group_id = ? AND user_id = ?', [groupId, userId]);
+
+        if (role === 'creator') {
+            successor = await db.get(
+                `SELECT user_id FROM group_members WHERE group_id = ?
+                 ORDER BY CASE role WHEN 'co-creator' THEN 0 WHEN 'moderator' THEN 1 ELSE 2 END, joined_at, user_id
+                 LIMIT 1`,
+                [groupId]
+            );
+            if (successor) {
+                await db.run(
+                    "UPDATE group_members SET role = 'creator' WHERE group_id = ? AND user_id = ?",
+                    [groupId, successor.user_id]
+                );
+                await db.run(
+                    'UPDATE study_groups SET creator_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [successor.user_id, groupId]
+                );
+            } else {
+                await db.run(
+                    'UPDATE study_groups SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [groupId]
+                );
+                archived = true;
+            }
+        }
+    });
+
+    // Their open sockets stop receiving the group's chat and events
+    io?.in(`user-${userId}`).socketsLeave(`group-${groupId}`);
+    io?.to(`group-${groupId}`).emit('group-member-left', { group_id: groupId, user_id: userId });
+    for (const sessionId of await withdrawFromGroupSessions(io, groupId, userId)) {
+        await broadcastSession(io, sessionId, 'rsvp', { user_id: userId, rsvp: null });
+    }
+    if (successor) {
+        io?.to(`group-${groupId}`).emit('group-member-updated', {
+            group_id: groupId, user_id: successor.user_id, role: 'creator'
+        });
+        await notifyRole(io, groupId, successor.user_id, 'creator');
+    }
+    return { successor_id: successor?.user_id ?? null, archived };
+}
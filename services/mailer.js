@@ -0,0 +1,66 @@
+// ============================================
+// MAILER
+// SMTP via the EMAIL_* settings, or a JSON file outbox for local dev
+// ============================================
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+let transport = null;
+
+// Without EMAIL_HOST (or with EMAIL_TRANSPORT=json) messages are rendered
+// by nodemailer's JSON transport and written to MAIL_OUTBOX_DIR instead.
+function useOutbox() {
+    return process.env.EMAIL_TRANSPORT === 'json' || !process.env.EMAIL_HOST;
+}
+
+function getTransport() {
+    if (transport) return transport;
+
+    if (useOutbox()) {
+        transport = nodemailer.createTransport({ jsonTransport: true });
+    } else {
+        transport = nodemailer.createTransport({
+            host: process.env.EMAIL_HOST,
+            port: Number(process.env.EMAIL_PORT) || 587,
+            secure: process.env.EMAIL_SECURE === 'true',
+            auth: process.env.EMAIL_USER
+                ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+                : undefined
+        });
+    }
+    return transport;
+}
+
+export function outboxDir() {
+    return process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'studysync-mail');
+}
+
+/**
+ * Send one email. Resolves with nodemailer's info object.
+ */
+export async function sendMail({ to, subject, text, html, attachments }) {
+    const info = await getTransport().sendMail({
+        from: process.env.EMAIL_FROM || 'StudySync <no-reply@studysync.local>',
+        to,
+        subject,
+        text,
+        html,
+        attachments
+    });
+
+    if (useOutbox()) {
+        const dir = outboxDir();
+        fs.mkdirSync(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.json`);
+        fs.writeFileSync(file, info.message);
+        console.log(`📧 Email to ${to} written to ${file}`);
+    }
+    return info;
+}
+
+export function appUrl(pathname) {
+    return new URL(pathname, process.env.BASE_URL || 'http://localhost:3000').toString();
+}
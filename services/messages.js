@@ -0,0 +1,203 @@
+// ============================================
+// DIRECT MESSAGES
+// One-to-one conversations: sending, history pages, read receipts, soft
+// delete and delivery of messages that arrived while the receiver was
+// offline. Messages from users someone blocked are hidden from them.
+// ============================================
+
+import { getDb, saveMessage } from '../db/database.js';
+import { BLOCKED_IDS, isBlocked } from './friends.js';
+import { toSqlDateTime, fromSqlDateTime } from '../utils/time.js';
+
+export const MAX_MESSAGE_LENGTH = 2000;
+
+const SELECT = `
+    SELECT m.*, u.username AS sender_name, u.avatar_url AS sender_avatar
+    FROM messages m JOIN users u ON u.id = m.sender_id`;
+
+const iso = value => fromSqlDateTime(value)?.toISOString() ?? null;
+
+// A deleted message keeps its place in the conversation but not its content
+export function messageSummary(message) {
+    const deleted = !!message.is_deleted;
+    return {
+        id: message.id,
+        sender_id: message.sender_id,
+        sender_name: message.sender_name,
+        sender_avatar: message.sender_avatar,
+        receiver_id: message.receiver_id,
+        content: deleted ? null : message.content,
+        is_read: !!message.is_read,
+        read_at: iso(message.read_at),
+        delivered_at: iso(message.delivered_at),
+        is_deleted: deleted,
+        created_at: iso(message.created_at)
+    };
+}
+
+export async function findMessage(id) {
+    return getDb().get(`${SELECT} WHERE m.id = ?`, [id]);
+}
+
+const isOnline = (io, userId) => (io?.sockets?.adapter?.rooms?.get(`user-${userId}`)?.size || 0) > 0;
+
+/**
+ * Store a message and push it to the receiver's open sockets as
+ * new-message. With none open it waits for deliverPending. Returns
+ * { message }, or { error } when either user blocked the other.
+ */
+export async function sendMessage(io, senderId, receiverId, content) {
+    if (await isBlocked(senderId, receiverId)) return { error: "You can't message this user" };
+
+    const saved = await saveMessage(senderId, receiverId, content);
+    if (isOnline(io, receiverId)) {
+        await getDb().run('UPDATE messages SET delivered_at = ? WHERE id = ?', [toSqlDateTime(new Date()), saved.id]);
+    }
+    const message = messageSummary(await findMessage(saved.id));
+    io?.to(`user-${receiverId}`).emit('new-message', message);
+    return { message };
+}
+
+/**
+ * Pass a typing indicator on to the receiver's open sockets, unless either
+ * user blocked the other. Returns whether it was sent.
+ */
+export async function relayTyping(socket, senderId, receiverId, isTyping) {
+    if (!receiverId || receiverId === senderId || await isBlocked(senderId, receiverId)) return false;
+    socket.to(`user-${receiverId}`).emit('user-typing', { senderId, isTyping });
+    return true;
+}
+
+/**
+ * Called when a user connects: send the messages that arrived while they
+ * were offline as one pending-messages batch, and tell each sender they
+ * were delivered.
+ */
+export async function deliverPending(io, socket, userId) {
+    const db = getDb();
+    const rows = await db.all(
+        `${SELECT}
+         WHERE m.receiver_id = ? AND m.delivered_at IS NULL AND m.is_deleted = 0 AND m.sender_id NOT IN ${BLOCKED_IDS}
+         ORDER BY m.id`,
+        [userId, userId]
+    );
+    if (!rows.length) return 0;
+
+    const deliveredAt = new Date();
+    const at = toSqlDateTime(deliveredAt);
+    await db.run(
+        `UPDATE messages SET delivered_at = ?
+         WHERE id IN (${rows.map(() => '?').join(', ')})`,
+        [at, ...rows.map(row => row.id)]
+    );
+    socket.emit('pending-messages', { messages: rows.map(row => messageSummary({ ...row, delivered_at: at })) });
+
+    const bySender = new Map();
+    for (const row of rows) {
+        bySender.set(row.sender_id, [...(bySender.get(row.sender_id) || []), row.id]);
+    }
+    for (const [senderId, ids] of bySender) {
+        io.to(`user-${senderId}`).emit('message-delivered', {
+            receiver_id: userId, message_ids: ids, delivered_at: deliveredAt.toISOString()
+        });
+    }
+    return rows.length;
+}
+
+// ========== CONVERSATIONS ==========
+
+/**
+ * Everyone the user has exchanged messages with, latest conversation
+ * first, with the last message and how many are unread.
+ */
+export async function listConversations(userId, { limit = 20, offset = 0 } = {}) {
+    const rows = await getDb().all(
+        `WITH mine AS (
+             SELECT m.*, CASE WHEN m.sender_id = ? THEN m.receiver_id ELSE m.sender_id END AS partner_id
+             FROM messages m WHERE m.sender_id = ? OR m.receiver_id = ?
+         ), conversations AS (
+             -- Conversations with users the user blocked are hidden
+             SELECT partner_id, MAX(id) AS last_id,
+                    SUM(receiver_id = ? AND is_read = 0 AND is_deleted = 0) AS unread_count
+             FROM mine WHERE partner_id NOT IN ${BLOCKED_IDS} GROUP BY partner_id
+         )
+         SELECT c.partner_id, c.unread_count, p.username AS partner_name, p.avatar_url AS partner_avatar,
+                m.*, s.username AS sender_name, s.avatar_url AS sender_avatar
+         FROM conversations c
+         JOIN users p ON p.id = c.partner_id
+         JOIN messages m ON m.id = c.last_id
+         JOIN users s ON s.id = m.sender_id
+         ORDER BY c.last_id DESC
+         LIMIT ? OFFSET ?`,
+        [userId, userId, userId, userId, userId, limit, offset]
+    );
+    return rows.map(row => ({
+        user: { id: row.partner_id, username: row.partner_name, avatar_url: row.partner_avatar },
+        unread_count: row.unread_count,
+        last_message: messageSummary(row)
+    }));
+}
+
+/**
+ * One page of a conversation, oldest first. Pages go back in time:
+ * pass the returned next_before to get the messages before this page.
+ */
+export async function conversationHistory(userId, partnerId, { before = null, limit = 50 } = {}) {
+    const rows = await getDb().all(
+        `${SELECT}
+         WHERE ((m.sender_id = ? AND m.receiver_id = ?) OR (m.sender_id = ? AND m.receiver_id = ?))
+           AND m.sender_id NOT IN ${BLOCKED_IDS}
+           AND (? IS NULL OR m.id < ?)
+         ORDER BY m.id DESC
+         LIMIT ?`,
+        [userId, partnerId, partnerId, userId, userId, before, before, limit + 1]
+    );
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit).reverse();
+    return {
+        messages: page.map(messageSummary),
+        next_before: hasMore ? page[0].id : null
+    };
+}
+
+// ========== READ RECEIPTS ==========
+
+/**
+ * Mark what a sender sent the reader as read, up to and including
+ * upToId (everything when omitted). The sender gets a message-read
+ * receipt, and so do the reader's other tabs to update their counts.
+ * Returns the ids marked.
+ */
+export async function markRead(io, readerId, senderId, upToId = null) {
+    const db = getDb();
+    const unread = await db.all(
+        `SELECT id FROM messages
+         WHERE receiver_id = ? AND sender_id = ? AND is_read = 0 AND is_deleted = 0 AND (? IS NULL OR id <= ?)`,
+        [readerId, senderId, upToId, upToId]
+    );
+    if (!unread.length) return [];
+
+    const ids = unread.map(row => row.id);
+    const readAt = new Date();
+    await db.run(
+        `UPDATE messages SET is_read = 1, read_at = ?, delivered_at = COALESCE(delivered_at, ?)
+         WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        [toSqlDateTime(readAt), toSqlDateTime(readAt), ...ids]
+    );
+
+    const receipt = { reader_id: readerId, sender_id: senderId, message_ids: ids, read_at: readAt.toISOString() };
+    io?.to(`user-${senderId}`).to(`user-${readerId}`).emit('message-read', receipt);
+    return ids;
+}
+
+// ========== DELETING ==========
+
+/**
+ * Soft delete: the message stays in both histories as deleted, without
+ * its content. Both sides are told with message-deleted.
+ */
+export async function deleteMessage(io, message) {
+    await getDb().run('UPDATE messages SET is_deleted = 1 WHERE id = ?', [message.id]);
+    const event = { id: message.id, sender_id: message.sender_id, receiver_id: message.receiver_id };
+    io?.to(`user-${message.sender_id}`).to(`user-${message.receiver_id}`).emit('message-deleted', event);
+}
@@ -0,0 +1,315 @@
+// ============================================
+// STUDY PLAN GENERATOR ("AI scheduling")
+// Fills a user's free_slots with study_sessions for their subjects,
+// weighted by priority, deadline pressure and remaining hours
+// ============================================
+
+import { getDb, withTransaction } from '../db/database.js';
+import {
+    safeTimeZone, toZonedDateTime, addDays, dayOfWeek, timeToMinutes, minutesToTime
+} from '../utils/time.js';
+
+export const PLAN_DEFAULTS = {
+    weeks: 2,
+    sessionMinutes: 60,
+    breakMinutes: 10,
+    minSessionMinutes: 30
+};
+
+// Topics without an estimate are sized by difficulty (1-5 hours)
+const topicMinutes = topic => (topic.estimated_hours || topic.difficulty || 2) * 60;
+
+export function isPlannerEnabled() {
+    return process.env.ENABLE_AI_SCHEDULING !== 'false';
+}
+
+// ========== INPUT ==========
+
+// Auto-planned sessions a new plan replaces: not started yet and between
+// the plan's start (date and time) and its end date. Parameters: end date,
+// start date, start date again, start time.
+const REPLACEABLE = `auto_planned = 1 AND status = 'planned'
+    AND scheduled_date <= ?
+    AND (scheduled_date > ? OR (scheduled_date = ? AND start_time >= ?))`;
+
+/**
+ * Everything the planner needs for one user from startDate at startTime
+ * through endDate. Auto-planned sessions the plan will replace are
+ * ignored; all other sessions, including auto-planned ones already under
+ * way, count as busy time and as hours already planned for their subject.
+ */
+export async function loadPlannerInput(userId, { startDate, startTime = '00:00', endDate, prioritizeMissed = false }) {
+    const db = getDb();
+    const user = await db.get(
+        `SELECT u.id, u.timezone, COALESCE(us.daily_study_goal, u.study_goal_hours, 2) AS daily_goal_hours
+         FROM users u LEFT JOIN user_settings us ON us.user_id = u.id WHERE u.id = ?`,
+        [userId]
+    );
+
+    const [slots, subjects, topics, busy] = await Promise.all([
+        db.all('SELECT * FROM free_slots WHERE user_id = ? ORDER BY day_of_week, start_time', [userId]),
+        db.all(
+            `SELECT * FROM subjects
+             WHERE user_id = ? AND is_active = 1 AND (deadline IS NULL OR deadline >= ?)`,
+            [userId, startDate]
+        ),
+        db.all(
+            `SELECT t.* FROM subject_topics t JOIN subjects s ON s.id = t.subject_id
+             WHERE s.user_id = ? AND t.completed = 0
+             ORDER BY t.subject_id, COALESCE(t.order_index, t.id)`,
+            [userId]
+        ),
+        db.all(
+            `SELECT id, subject_id, topic_id, scheduled_date, start_time, end_time, duration_minutes, auto_planned
+             FROM study_sessions
+             WHERE user_id = ? AND status IN ('planned', 'ongoing') AND scheduled_date BETWEEN ? AND ?
+               AND NOT (${REPLACEABLE})`,
+            [userId, startDate, endDate, endDate, startDate, startDate, startTime]
+        )
+    ]);
+
+    const missed = prioritizeMissed
+        ? await db.all(
+            `SELECT id, subject_id, topic_id, title, scheduled_date FROM study_sessions
+             WHERE user_id = ? AND status = 'missed' AND scheduled_date >= ?
+             ORDER BY scheduled_date`,
+            [userId, addDays(startDate, -14)]
+        )
+        : [];
+
+    return { user, slots, subjects, topics, busy, missed };
+}
+
+// ========== PLANNING ==========
+
+function sessionLength(session) {
+    return session.duration_minutes || (timeToMinutes(session.end_time) - timeToMinutes(session.start_time));
+}
+
+// Subtract busy [start, end) minute ranges from free ones
+function subtractIntervals(free, busy) {
+    let result = free;
+    for (const [bStart, bEnd] of busy) {
+        result = result.flatMap(([start, end]) => {
+            if (bEnd <= start || bStart >= end) return [[start, end]];
+            const pieces = [];
+            if (bStart > start) pieces.push([start, bStart]);
+            if (bEnd < end) pieces.push([bEnd, end]);
+            return pieces;
+        });
+    }
+    return result;
+}
+
+// Free slots are weekly; a non-recurring slot only applies to its first
+// occurrence on or after the day it was created.
+function slotAppliesOn(slot, date) {
+    if (slot.day_of_week !== dayOfWeek(date)) return false;
+    if (slot.is_recurring !== 0) return true;
+    const created = (slot.created_at || '').slice(0, 10);
+    return date >= created && date < addDays(created, 7);
+}
+
+/**
+ * Candidate study blocks, in chronological order, cut from free slots
+ * minus busy sessions and anything already in the past.
+ */
+export function buildBlocks({ slots, busy }, { startDate, endDate, now, options }) {
+    const blocks = [];
+
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+        let free = slots
+            .filter(slot => slotAppliesOn(slot, date))
+            .map(slot => [timeToMinutes(slot.start_time), timeToMinutes(slot.end_time)])
+            .filter(([start, end]) => end > start);
+
+        const taken = busy
+            .filter(s => s.scheduled_date === date)
+            .map(s => [timeToMinutes(s.start_time), timeToMinutes(s.start_time) + sessionLength(s)]);
+        if (date === now.date) {
+            // Nothing earlier than the next quarter hour after a short break
+            taken.push([0, Math.ceil((timeToMinutes(now.time) + options.breakMinutes) / 15) * 15]);
+        }
+        free = subtractIntervals(free, taken).sort((a, b) => a[0] - b[0]);
+
+        for (const [start, end] of free) {
+            let cursor = start;
+            while (end - cursor >= options.minSessionMinutes) {
+                const length = Math.min(options.sessionMinutes, end - cursor);
+                blocks.push({ date, start: cursor, length });
+                cursor += length + options.breakMinutes;
+            }
+        }
+    }
+    return blocks;
+}
+
+// Remaining minutes per subject and the topic queue that names its sessions
+function buildDemand({ subjects, topics, busy, missed }) {
+    const plannedBySubject = new Map();
+    const plannedByTopic = new Map();
+    for (const s of busy) {
+        plannedBySubject.set(s.subject_id, (plannedBySubject.get(s.subject_id) || 0) + sessionLength(s));
+        if (s.topic_id) plannedByTopic.set(s.topic_id, (plannedByTopic.get(s.topic_id) || 0) + sessionLength(s));
+    }
+    const missedTopics = new Set(missed.map(m => m.topic_id).filter(Boolean));
+
+    return subjects.map(subject => {
+        const queue = topics
+            .filter(t => t.subject_id === subject.id)
+            .map(t => ({ ...t, remaining: Math.max(0, topicMinutes(t) - (plannedByTopic.get(t.id) || 0)) }))
+            .filter(t => t.remaining > 0)
+            // Topics whose session was missed go first when re-planning
+            .sort((a, b) => Number(missedTopics.has(b.id)) - Number(missedTopics.has(a.id)));
+
+        const needed = subject.total_hours_needed != null
+            ? (subject.total_hours_needed - (subject.hours_completed || 0)) * 60
+            : queue.reduce((sum, t) => sum + t.remaining, 0);
+
+        return {
+            subject,
+            queue,
+            remaining: Math.max(0, needed - (plannedBySubject.get(subject.id) || 0)),
+            planned: 0
+        };
+    }).filter(d => d.remaining > 0);
+}
+
+// Higher is more urgent: minutes still needed per day left before the
+// deadline (or the end of the plan), boosted by priority (5 = highest)
+function urgency(demand, date, endDate) {
+    const deadline = demand.subject.deadline || addDays(endDate, 14);
+    const daysLeft = Math.max(1, (Date.parse(deadline) - Date.parse(date)) / 86400000 + 1);
+    return (demand.remaining / daysLeft) * (1 + (demand.subject.priority || 1) / 5);
+}
+
+/**
+ * Assign subjects to blocks greedily by urgency, spreading subjects across
+ * the day, and report what could not be fitted before each deadline.
+ */
+export function buildPlan(input, { startDate, endDate, now, options }) {
+    const blocks = buildBlocks(input, { startDate, endDate, now, options });
+    const demands = buildDemand(input);
+    const dailyCap = options.maxDailyMinutes;
+    const sessions = [];
+    const minutesByDate = new Map();
+
+    for (const block of blocks) {
+        const used = minutesByDate.get(block.date) || 0;
+        if (used + options.minSessionMinutes > dailyCap) continue;
+
+        const todays = sessions.filter(s => s.scheduled_date === block.date);
+        const previous = todays[todays.length - 1];
+
+        let best = null;
+        let bestScore = 0;
+        for (const demand of demands) {
+            if (demand.remaining <= 0) continue;
+            if (demand.subject.deadline && block.date > demand.subject.deadline) continue;
+
+            let score = urgency(demand, block.date, endDate);
+            if (previous?.subject_id === demand.subject.id) score *= 0.5;
+            score /= 1 + todays.filter(s => s.subject_id === demand.subject.id).length;
+            if (score > bestScore) {
+                best = demand;
+                bestScore = score;
+            }
+        }
+        if (!best) continue;
+
+        const length = Math.max(
+            Math.min(options.minSessionMinutes, block.length),
+            Math.min(block.length, dailyCap - used, Math.ceil(best.remaining / 5) * 5)
+        );
+        const topic = best.queue.find(t => t.remaining > 0);
+        if (topic) topic.remaining -= length;
+        best.remaining -= length;
+        best.planned += length;
+        minutesByDate.set(block.date, used + length);
+
+        sessions.push({
+            subject_id: best.subject.id,
+            subject: best.subject.name,
+            topic_id: topic?.id || null,
+            topic: topic?.name || null,
+            title: topic ? `${best.subject.name}: ${topic.name}` : `${best.subject.name} study`,
+            scheduled_date: block.date,
+            start_time: minutesToTime(block.start),
+            end_time: minutesToTime(block.start + length),
+            duration_minutes: length
+        });
+    }
+
+    const summary = demands.map(d => ({
+        subject_id: d.subject.id,
+        subject: d.subject.name,
+        deadline: d.subject.deadline,
+        planned_minutes: d.planned,
+        unscheduled_minutes: Math.max(0, d.remaining)
+    }));
+    const warnings = summary
+        .filter(s => s.unscheduled_minutes > 0)
+        .map(s => `${s.subject}: ${Math.round(s.unscheduled_minutes / 6) / 10}h could not be fitted` +
+            (s.deadline ? ` before ${s.deadline}` : ' in this plan'));
+
+    return { sessions, summary, warnings };
+}
+
+// ========== ENTRY POINTS ==========
+
+/**
+ * Generate a plan for a user. `replan` starts from now, puts topics of missed
+ * sessions first and lists which missed sessions it makes up for.
+ */
+export async function generatePlan(userId, opts = {}, { replan = false } = {}) {
+    const db = getDb();
+    const { timezone } = await db.get('SELECT timezone FROM users WHERE id = ?', [userId]);
+    const now = toZonedDateTime(new Date(), safeTimeZone(timezone));
+
+    const startDate = opts.startDate && opts.startDate > now.date ? opts.startDate : now.date;
+    const weeks = Math.min(8, Math.max(1, Number(opts.weeks) || PLAN_DEFAULTS.weeks));
+    const startTime = startDate === now.date ? now.time : '00:00';
+    const endDate = addDays(startDate, weeks * 7 - 1);
+
+    const input = await loadPlannerInput(userId, { startDate, startTime, endDate, prioritizeMissed: replan });
+    const options = {
+        ...PLAN_DEFAULTS,
+        sessionMinutes: Number(opts.sessionMinutes) || PLAN_DEFAULTS.sessionMinutes,
+        breakMinutes: opts.breakMinutes != null ? Number(opts.breakMinutes) : PLAN_DEFAULTS.breakMinutes,
+        maxDailyMinutes: Number(opts.maxDailyMinutes) || input.user.daily_goal_hours * 60
+    };
+
+    const plan = buildPlan(input, { startDate, endDate, now, options });
+    return {
+        start_date: startDate,
+        start_time: startTime,
+        end_date: endDate,
+        ...plan,
+        missed: replan ? input.missed : undefined
+    };
+}
+
+/**
+ * Replace the user's not-yet-started auto-planned sessions in the plan
+ * window with the given plan, in one transaction. Returns the number inserted.
+ */
+export async function commitPlan(userId, plan) {
+    const db = getDb();
+    await withTransaction(async () => {
+        await db.run(
+            `DELETE FROM study_sessions WHERE user_id = ? AND ${REPLACEABLE}`,
+            [userId, plan.end_date, plan.start_date, plan.start_date, plan.start_time]
+        );
+        for (const s of plan.sessions) {
+            await db.run(
+                `INSERT INTO study_sessions
+                    (user_id, subject_id, topic_id, title, description, scheduled_date, start_time, end_time,
+                     duration_minutes, auto_planned)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1)`,
+                [userId, s.subject_id, s.topic_id, s.title, 'Generated by the study planner',
+                    s.scheduled_date, s.start_time, s.end_time, s.duration_minutes]
+            );
+        }
+    });
+    return plan.sessions.length;
+}
@@ -0,0 +1,185 @@
+// ============================================
+// POMODORO TIMER
+// The server owns the timer: phases are timed from phase_started_at, so a
+// reload or a second device picks up exactly where the timer is
+// ============================================
+
+import { getDb, withTransaction } from '../db/database.js';
+import { refreshUserStats } from './studyStats.js';
+import { toSqlDateTime, fromSqlDateTime, todayIn } from '../utils/time.js';
+
+export const POMODORO_DEFAULTS = {
+    focusMinutes: 25,
+    breakMinutes: 5,
+    longBreakMinutes: 15,
+    cyclesBeforeLongBreak: 4
+};
+
+// Clocks drift; a focus phase may be completed this many seconds early
+const COMPLETE_TOLERANCE_SECONDS = 5;
+
+const SELECT = `
+    SELECT p.*, s.name AS subject
+    FROM pomodoro_sessions p
+    LEFT JOIN subjects s ON s.id = p.subject_id`;
+
+function phaseMinutes(row) {
+    if (row.phase === 'long_break') return row.long_break_minutes;
+    if (row.phase === 'short_break') return row.break_minutes;
+    return row.focus_minutes;
+}
+
+function elapsedSeconds(row, now) {
+    const running = row.phase_started_at ? (now - fromSqlDateTime(row.phase_started_at)) / 1000 : 0;
+    return Math.min(phaseMinutes(row) * 60, (row.phase_elapsed_seconds || 0) + Math.max(0, running));
+}
+
+/**
+ * The client-facing timer state of a pomodoro_sessions row (null for none).
+ */
+export function pomodoroState(row, now = new Date()) {
+    if (!row) return null;
+    const phaseSeconds = phaseMinutes(row) * 60;
+    const elapsed = Math.floor(elapsedSeconds(row, now));
+    const running = row.status === 'active' && Boolean(row.phase_started_at);
+
+    return {
+        id: row.id,
+        subject_id: row.subject_id,
+        subject: row.subject || null,
+        status: row.status,
+        phase: row.phase,
+        running,
+        focus_minutes: row.focus_minutes,
+        break_minutes: row.break_minutes,
+        long_break_minutes: row.long_break_minutes,
+        cycles_before_long_break: row.cycles_before_long_break,
+        cycles_completed: row.cycles_completed,
+        phase_seconds: phaseSeconds,
+        elapsed_seconds: elapsed,
+        remaining_seconds: phaseSeconds - elapsed,
+        ends_at: running ? new Date(now.getTime() + (phaseSeconds - elapsed) * 1000).toISOString() : null,
+        started_at: row.started_at,
+        completed_at: row.completed_at,
+        server_time: now.toISOString()
+    };
+}
+
+export async function findPomodoro(userId, id) {
+    return getDb().get(`${SELECT} WHERE p.id = ? AND p.user_id = ?`, [id, userId]);
+}
+
+/**
+ * The user's running or paused pomodoro, if any (at most one).
+ */
+export async function currentPomodoro(userId) {
+    return getDb().get(
+        `${SELECT} WHERE p.user_id = ? AND p.status IN ('active', 'paused') ORDER BY p.id DESC LIMIT 1`,
+        [userId]
+    );
+}
+
+// ========== TRANSITIONS ==========
+
+/**
+ * Start a new pomodoro. Returns null when the user already has one running
+ * or paused (idx_pomodoro_sessions_running allows only one).
+ */
+export async function startPomodoro(userId, { subjectId = null, focusMinutes, breakMinutes, longBreakMinutes, cyclesBeforeLongBreak } = {}) {
+    const now = toSqlDateTime(new Date());
+    const { lastID, changes } = await getDb().run(
+        `INSERT INTO pomodoro_sessions
+            (user_id, subject_id, focus_minutes, break_minutes, long_break_minutes, cycles_before_long_break,
+             status, phase, started_at, phase_started_at, phase_elapsed_seconds, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, 'active', 'focus', ?, ?, 0, ?)
+         ON CONFLICT (user_id) WHERE status IN ('active', 'paused') DO NOTHING`,
+        [userId, subjectId,
+            focusMinutes || POMODORO_DEFAULTS.focusMinutes,
+            breakMinutes || POMODORO_DEFAULTS.breakMinutes,
+            longBreakMinutes || POMODORO_DEFAULTS.longBreakMinutes,
+            cyclesBeforeLongBreak || POMODORO_DEFAULTS.cyclesBeforeLongBreak,
+            now, now, now]
+    );
+    return changes ? findPomodoro(userId, lastID) : null;
+}
+
+export async function pausePomodoro(row, now = new Date()) {
+    await getDb().run(
+        `UPDATE pomodoro_sessions
+         SET status = 'paused', phase_elapsed_seconds = ?, phase_started_at = NULL, updated_at = ?
+         WHERE id = ? AND status = 'active'`,
+        [Math.floor(elapsedSeconds(row, now)), toSqlDateTime(now), row.id]
+    );
+    return findPomodoro(row.user_id, row.id);
+}
+
+export async function resumePomodoro(row, now = new Date()) {
+    await getDb().run(
+        `UPDATE pomodoro_sessions SET status = 'active', phase_started_at = ?, updated_at = ?
+         WHERE id = ? AND status = 'paused'`,
+        [toSqlDateTime(now), toSqlDateTime(now), row.id]
+    );
+    return findPomodoro(row.user_id, row.id);
+}
+
+/**
+ * Finish the current phase and move to the next one, paused until the user
+ * starts it. Finishing a focus phase (only possible once its time is up)
+ * logs the cycle to pomodoro_cycles, refreshes today's daily_logs and streak
+ * and credits the subject's hours_completed. Breaks can be cut short.
+ * Returns { row, credited } or { error } when the focus phase isn't over.
+ */
+export async function completePhase(row, timeZone, now = new Date()) {
+    const db = getDb();
+    const isFocus = row.phase === 'focus';
+    if (isFocus && phaseMinutes(row) * 60 - elapsedSeconds(row, now) > COMPLETE_TOLERANCE_SECONDS) {
+        return { error: 'The focus phase is not over yet' };
+    }
+
+    const cycles = row.cycles_completed + (isFocus ? 1 : 0);
+    const nextPhase = !isFocus ? 'focus'
+        : cycles % row.cycles_before_long_break === 0 ? 'long_break' : 'short_break';
+
+    const credited = await withTransaction(async () => {
+        // Guarded by phase and cycle count so two devices can't credit one cycle twice
+        const { changes } = await db.run(
+            `UPDATE pomodoro_sessions
+             SET phase = ?, cycles_completed = ?, status = 'paused', phase_started_at = NULL,
+                 phase_elapsed_seconds = 0, updated_at = ?
+             WHERE id = ? AND phase = ? AND cycles_completed = ? AND status IN ('active', 'paused')`,
+            [nextPhase, cycles, toSqlDateTime(now), row.id, row.phase, row.cycles_completed]
+        );
+
+        if (changes && isFocus) {
+            const minutes = row.focus_minutes;
+            const logDate = todayIn(timeZone, now);
+            await db.run(
+                'INSERT INTO pomodoro_cycles (pomodoro_id, user_id, subject_id, focus_minutes, log_date) VALUES (?, ?, ?, ?, ?)',
+                [row.id, row.user_id, row.subject_id, minutes, logDate]
+            );
+            await refreshUserStats(row.user_id, timeZone, logDate, now);
+            if (row.subject_id) {
+                await db.run(
+                    'UPDATE subjects SET hours_completed = COALESCE(hours_completed, 0) + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [minutes / 60, row.subject_id]
+                );
+            }
+        }
+        return Boolean(changes && isFocus);
+    });
+
+    return { row: await findPomodoro(row.user_id, row.id), credited };
+}
+
+/**
+ * End the pomodoro. An unfinished focus phase is not credited.
+ */
+export async function stopPomodoro(row, now = new Date()) {
+    await getDb().run(
+        `UPDATE pomodoro_sessions
+         SET status = ?, completed_at = ?, phase_started_at = NULL, updated_at = ?
+         WHERE id = ? AND status IN ('active', 'paused')`,
+        [row.cycles_completed > 0 ? 'completed' : 'cancelled', toSqlDateTime(now), toSqlDateTime(now), row.id]
+    );
+    return findPomodoro(row.user_id, row.id);
+}
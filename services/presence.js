@@ -0,0 +1,207 @@
+// ============================================
+// PRESENCE
+// Who is online, counting every tab and device a user has open. A user is
+// studying while a Pomodoro runs or they're checked in to an ongoing group
+// session, idle once all their tabs report idle, and online otherwise.
+// When the last tab closes they stay online for a grace period, so reloads
+// don't flicker. Accepted friends hear about changes as presence-changed,
+// showing only what users.privacy_level allows.
+// ============================================
+
+import { getDb, getStudyingFriends } from '../db/database.js';
+import { toSqlDateTime, fromSqlDateTime } from '../utils/time.js';
+
+export const PRESENCE_STATES = ['studying', 'online', 'idle', 'offline'];
+
+// users.privacy_level: friends see the full state and subject, only
+// online or offline, or nothing (always offline)
+export const PRIVACY_LEVELS = { FULL: 1, ONLINE_ONLY: 2, HIDDEN: 3 };
+
+export const OFFLINE_GRACE_MS = 30 * 1000;
+
+// Checked in to an ongoing group session; u is the user
+const IN_GROUP_SESSION = `FROM session_participants sp JOIN group_sessions gs ON gs.id = sp.session_id
+    WHERE sp.user_id = u.id AND sp.status = 'attended' AND sp.left_at IS NULL AND gs.status = 'ongoing'`;
+
+// What u is studying right now: their running Pomodoro's subject, else
+// the subject of the group session they're in
+export const CURRENT_SUBJECT = `COALESCE(
+    (SELECT s.name FROM pomodoro_sessions p JOIN subjects s ON s.id = p.subject_id
+     WHERE p.user_id = u.id AND p.status = 'active' ORDER BY p.id DESC LIMIT 1),
+    (SELECT gs.subject ${IN_GROUP_SESSION} ORDER BY sp.joined_at DESC LIMIT 1))`;
+
+const IS_STUDYING = `(EXISTS (SELECT 1 FROM pomodoro_sessions p WHERE p.user_id = u.id AND p.status = 'active')
+    OR EXISTS (SELECT 1 ${IN_GROUP_SESSION}))`;
+
+// userId -> { sockets: Map(socketId -> idle), state, announced, offlineTimer };
+// announced is what friends were last told, so repeats aren't sent
+const connected = new Map();
+
+const OFFLINE = 'offline|';
+
+export function presenceState(userId) {
+    return connected.get(userId)?.state || 'offline';
+}
+
+/**
+ * The presence friends may see of a user row with id, privacy_level,
+ * last_seen and current_subject.
+ */
+export function visiblePresence(user, state = presenceState(user.id)) {
+    const level = user.privacy_level || PRIVACY_LEVELS.FULL;
+    if (level >= PRIVACY_LEVELS.HIDDEN) return { state: 'offline', last_seen: null, current_subject: null };
+
+    const lastSeen = fromSqlDateTime(user.last_seen)?.toISOString() || null;
+    if (level === PRIVACY_LEVELS.ONLINE_ONLY) {
+        return { state: state === 'offline' ? 'offline' : 'online', last_seen: lastSeen, current_subject: null };
+    }
+    return {
+        state,
+        last_seen: lastSeen,
+        current_subject: state === 'studying' ? user.current_subject ?? null : null
+    };
+}
+
+async function presenceRow(userId) {
+    return getDb().get(
+        `SELECT u.id, u.privacy_level, u.last_seen, ${IS_STUDYING} AS studying, ${CURRENT_SUBJECT} AS current_subject
+         FROM users u WHERE u.id = ?`,
+        [userId]
+    );
+}
+
+// Tell the user's accepted friends, unless what they may see is unchanged
+async function announce(io, entry, row) {
+    const presence = visiblePresence(row, entry.state);
+    const key = `${presence.state}|${presence.current_subject ?? ''}`;
+    if (key === entry.announced) return;
+    entry.announced = key;
+
+    for (const friend of await getStudyingFriends(row.id)) {
+        io?.to(`user-${friend.id}`).emit('presence-changed', { user_id: row.id, ...presence });
+    }
+}
+
+/**
+ * Work out a connected user's state again, e.g. after their Pomodoro or
+ * group session attendance changed. Users who are offline or within the
+ * grace period are left alone.
+ */
+export async function refreshPresence(io, userId) {
+    const entry = connected.get(userId);
+    if (!entry?.sockets.size) return;
+    const row = await presenceRow(userId);
+    if (!row) return;
+
+    const idle = [...entry.sockets.values()].every(Boolean);
+    entry.state = row.studying ? 'studying' : idle ? 'idle' : 'online';
+    await announce(io, entry, row);
+}
+
+/**
+ * Re-check everyone connected; catches Pomodoros and group sessions that
+ * ended without a request.
+ */
+export async function refreshAllPresence(io) {
+    for (const userId of [...connected.keys()]) await refreshPresence(io, userId);
+}
+
+/**
+ * Nobody is connected right after startup, whatever was saved before.
+ */
+export async function resetPresence() {
+    await getDb().run('UPDATE users SET is_online = 0 WHERE is_online = 1');
+}
+
+/**
+ * Tell the user's accepted friends they started a study session, as
+ * friend-started-study. Users whose privacy level hides that they are
+ * studying are not announced. Returns the number of friends told.
+ */
+export async function announceStudyStart(io, user, { sessionId, subject }) {
+    const row = await getDb().get('SELECT id, privacy_level, last_seen FROM users WHERE id = ?', [user.id]);
+    const presence = row && visiblePresence({ ...row, current_subject: subject }, 'studying');
+    if (presence?.state !== 'studying') return 0;
+
+    const friends = await getStudyingFriends(user.id);
+    for (const friend of friends) {
+        io?.to(`user-${friend.id}`).emit('friend-started-study', {
+            userId: user.id, username: user.username, sessionId, subject: presence.current_subject
+        });
+    }
+    return friends.length;
+}
+
+// ========== CONNECTIONS ==========
+
+export async function userConnected(io, socket, now = new Date()) {
+    const userId = socket.data.user.id;
+    let entry = connected.get(userId);
+    const returning = Boolean(entry);
+    if (!entry) {
+        entry = { sockets: new Map(), state: 'offline', announced: OFFLINE, offlineTimer: null };
+        connected.set(userId, entry);
+    }
+    clearTimeout(entry.offlineTimer);
+    entry.offlineTimer = null;
+    entry.sockets.set(socket.id, false);
+
+    if (!returning) {
+        await getDb().run('UPDATE users SET is_online = 1, last_seen = ? WHERE id = ?', [toSqlDateTime(now), userId]);
+    }
+    await refreshPresence(io, userId);
+}
+
+async function goOffline(io, userId, now = new Date()) {
+    const entry = connected.get(userId);
+    if (!entry || entry.sockets.size) return;
+    connected.delete(userId);
+
+    await getDb().run('UPDATE users SET is_online = 0, last_seen = ? WHERE id = ?', [toSqlDateTime(now), userId]);
+    const row = await presenceRow(userId);
+    entry.state = 'offline';
+    if (row) await announce(io, entry, row);
+}
+
+/**
+ * Drop one socket. Once the user has none left they go offline after
+ * OFFLINE_GRACE_MS unless a tab reconnects first.
+ */
+export async function userDisconnected(io, socket) {
+    const userId = socket.data.user.id;
+    const entry = connected.get(userId);
+    if (!entry?.sockets.delete(socket.id)) return;
+    if (entry.sockets.size) return refreshPresence(io, userId);
+
+    entry.offlineTimer = setTimeout(() => {
+        goOffline(io, userId).catch(err => console.error('Error marking user offline:', err));
+    }, OFFLINE_GRACE_MS);
+    entry.offlineTimer.unref?.();
+}
+
+export async function setIdle(io, socket, idle) {
+    const entry = connected.get(socket.data.user.id);
+    if (!entry?.sockets.has(socket.id) || entry.sockets.get(socket.id) === idle) return;
+    entry.sockets.set(socket.id, idle);
+    await refreshPresence(io, socket.data.user.id);
+}
+
+// ========== SOCKET EVENTS ==========
+
+/**
+ * Track the socket's user. Clients send presence-idle { idle } when the
+ * tab is hidden or untouched for a while, and { idle: false } on return.
+ */
+export function registerPresenceHandlers(io, socket, socketHandler) {
+    userConnected(io, socket)
+        .catch(err => console.error('Error tracking presence:', err));
+
+    socketHandler(socket, 'presence-idle', async ({ idle } = {}) => {
+        await setIdle(io, socket, idle === true);
+    });
+
+    socket.on('disconnect', () => {
+        userDisconnected(io, socket)
+            .catch(err => console.error('Error tracking presence:', err));
+    });
+}
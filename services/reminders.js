@@ -0,0 +1,278 @@
+// ============================================
+// SESSION REMINDER SCHEDULER
+// Materializes session_reminders rows for upcoming personal and group
+// sessions, then sends every due row exactly once
+// ============================================
+
+import { getDb, createNotification } from '../db/database.js';
+import { sendMail } from './mailer.js';
+import {
+    zonedTimeToUtc, toSqlDateTime, fromSqlDateTime, humanizeMinutes, todayIn, addDays
+} from '../utils/time.js';
+
+const MINUTE = 60 * 1000;
+// Leads that passed longer ago than this when a session is first seen
+// (created or moved at short notice) are skipped rather than sent late
+const LATE_GRACE = 5 * MINUTE;
+
+/**
+ * Minutes before a session at which reminders go out (REMINDER_LEAD_MINUTES,
+ * default one day, one hour and 15 minutes).
+ */
+export function reminderLeads() {
+    const leads = (process.env.REMINDER_LEAD_MINUTES || '1440,60,15')
+        .split(',')
+        .map(Number)
+        .filter(n => Number.isInteger(n) && n > 0);
+    return leads.length ? leads : [15];
+}
+
+const reminderType = emailEnabled => (emailEnabled ? 'both' : 'push');
+
+// ========== MATERIALIZE ==========
+
+const UPSERT_CONFLICT = `
+    DO UPDATE SET
+        remind_at = excluded.remind_at,
+        reminder_type = excluded.reminder_type,
+        sent = CASE WHEN session_reminders.remind_at = excluded.remind_at THEN session_reminders.sent ELSE 0 END,
+        sent_at = CASE WHEN session_reminders.remind_at = excluded.remind_at THEN session_reminders.sent_at ELSE NULL END
+    WHERE session_reminders.remind_at <> excluded.remind_at
+       OR session_reminders.reminder_type <> excluded.reminder_type`;
+
+/**
+ * Create (or move, if the session was rescheduled) reminder rows for every
+ * session starting within the longest lead time. Rows already materialized
+ * before downtime stay due, which is how a restart catches up.
+ */
+export async function materializeReminders(now = new Date()) {
+    const db = getDb();
+    const leads = reminderLeads();
+    const horizon = new Date(now.getTime() + Math.max(...leads) * MINUTE);
+    let count = 0;
+
+    // Personal sessions are stored in the owner's time zone, so filter
+    // loosely by date in SQL and precisely after conversion
+    const sessions = await db.all(
+        `SELECT s.id, s.user_id, s.scheduled_date, s.start_time, u.timezone,
+                COALESCE(us.reminder_enabled, 1) AS reminder_enabled,
+                COALESCE(us.email_notifications, 1) AS email_notifications
+         FROM study_sessions s
+         JOIN users u ON u.id = s.user_id
+         LEFT JOIN user_settings us ON us.user_id = s.user_id
+         WHERE s.status = 'planned' AND s.scheduled_date BETWEEN ? AND ?`,
+        [addDays(todayIn('UTC', now), -1), addDays(todayIn('UTC', horizon), 1)]
+    );
+
+    for (const session of sessions) {
+        if (!session.reminder_enabled) continue;
+        const startsAt = zonedTimeToUtc(session.scheduled_date, session.start_time, session.timezone);
+        if (startsAt <= now || startsAt > horizon) continue;
+
+        for (const lead of leads) {
+            const remindAt = new Date(startsAt - lead * MINUTE);
+            if (remindAt < now - LATE_GRACE) continue;
+            const { changes } = await db.run(
+                `INSERT INTO session_reminders (user_id, session_id, lead_minutes, remind_at, reminder_type)
+                 VALUES (?, ?, ?, ?, ?)
+                 ON CONFLICT(session_id, user_id, lead_minutes) WHERE session_id IS NOT NULL ${UPSERT_CONFLICT}`,
+                [session.user_id, session.id, lead, toSqlDateTime(remindAt),
+                    reminderType(session.email_notifications)]
+            );
+            count += changes;
+        }
+    }
+
+    // Group sessions: scheduled_for is UTC; remind the creator and everyone
+    // who accepted or answered maybe
+    const attendees = await db.all(
+        `SELECT gs.id, gs.scheduled_for, a.user_id,
+                COALESCE(us.reminder_enabled, 1) AS reminder_enabled,
+                COALESCE(us.email_notifications, 1) AS email_notifications
+         FROM group_sessions gs
+         JOIN (SELECT session_id, user_id FROM session_participants WHERE status IN ('accepted', 'maybe')
+               UNION SELECT id, creator_id FROM group_sessions) a ON a.session_id = gs.id
+         LEFT JOIN user_settings us ON us.user_id = a.user_id
+         WHERE gs.status = 'scheduled' AND gs.scheduled_for > ? AND gs.scheduled_for <= ?`,
+        [toSqlDateTime(now), toSqlDateTime(horizon)]
+    );
+
+    for (const attendee of attendees) {
+        if (!attendee.reminder_enabled) continue;
+        const startsAt = fromSqlDateTime(attendee.scheduled_for);
+
+        for (const lead of leads) {
+            const remindAt = new Date(startsAt - lead * MINUTE);
+            if (remindAt < now - LATE_GRACE) continue;
+            const { changes } = await db.run(
+                `INSERT INTO session_reminders (user_id, group_session_id, lead_minutes, remind_at, reminder_type)
+                 VALUES (?, ?, ?, ?, ?)
+                 ON CONFLICT(group_session_id, user_id, lead_minutes) WHERE group_session_id IS NOT NULL ${UPSERT_CONFLICT}`,
+                [attendee.user_id, attendee.id, lead, toSqlDateTime(remindAt),
+                    reminderType(attendee.email_notifications)]
+            );
+            count += changes;
+        }
+    }
+
+    return count;
+}
+
+// ========== DISPATCH ==========
+
+// Current state of the session and recipient behind a reminder; null when
+// either is gone or the recipient no longer attends.
+async function loadTarget(reminder) {
+    const db = getDb();
+
+    if (reminder.session_id) {
+        const row = await db.get(
+            `SELECT s.id, s.title, s.status, s.scheduled_date, s.start_time, s.location,
+                    u.email, u.username, u.full_name, u.timezone,
+                    COALESCE(us.reminder_enabled, 1) AS reminder_enabled,
+                    COALESCE(us.email_notifications, 1) AS email_notifications
+             FROM study_sessions s
+             JOIN users u ON u.id = s.user_id
+             LEFT JOIN user_settings us ON us.user_id = u.id
+             WHERE s.id = ? AND s.user_id = ?`,
+            [reminder.session_id, reminder.user_id]
+        );
+        if (!row) return null;
+        return {
+            ...row,
+            kind: 'study_session',
+            active: row.status === 'planned',
+            startsAt: zonedTimeToUtc(row.scheduled_date, row.start_time, row.timezone)
+        };
+    }
+
+    const row = await db.get(
+        `SELECT gs.id, gs.group_id, gs.title, gs.status, gs.scheduled_for, gs.location, gs.meeting_link,
+                u.email, u.username, u.full_name, u.timezone,
+                COALESCE(us.reminder_enabled, 1) AS reminder_enabled,
+                COALESCE(us.email_notifications, 1) AS email_notifications
+         FROM group_sessions gs
+         JOIN users u ON u.id = ?
+         LEFT JOIN user_settings us ON us.user_id = u.id
+         WHERE gs.id = ?
+           AND (gs.creator_id = u.id OR EXISTS (
+                SELECT 1 FROM session_participants p
+                WHERE p.session_id = gs.id AND p.user_id = u.id AND p.status IN ('accepted', 'maybe')))`,
+        [reminder.user_id, reminder.group_session_id]
+    );
+    if (!row) return null;
+    return {
+        ...row,
+        kind: 'group_session',
+        active: row.status === 'scheduled',
+        startsAt: fromSqlDateTime(row.scheduled_for)
+    };
+}
+
+async function sendEmailReminder(target, timeUntil) {
+    const where = target.meeting_link || target.location;
+    await sendMail({
+        to: target.email,
+        subject: `Reminder: "${target.title}" starts in ${timeUntil}`,
+        text: `Hi ${target.full_name || target.username},\n\n` +
+            `Your ${target.kind === 'group_session' ? 'group ' : ''}study session "${target.title}" starts in ${timeUntil}` +
+            `${where ? ` (${where})` : ''}.\n\nGood luck!\nStudySync\n`
+    });
+}
+
+async function deliver(io, reminder, target, now) {
+    const timeUntil = humanizeMinutes((target.startsAt - now) / MINUTE);
+    const isGroup = target.kind === 'group_session';
+    const title = isGroup ? 'Upcoming Group Session' : 'Upcoming Study Session';
+
+    await createNotification({
+        user_id: reminder.user_id,
+        type: 'session_reminder',
+        title,
+        message: `Your ${isGroup ? 'group ' : ''}study session "${target.title}" starts in ${timeUntil}`,
+        related_id: target.id,
+        related_type: target.kind
+    });
+
+    io?.to(`user-${reminder.user_id}`).emit('reminder', {
+        title,
+        message: `"${target.title}" starts in ${timeUntil}`,
+        sessionId: isGroup ? undefined : target.id,
+        groupSessionId: isGroup ? target.id : undefined
+    });
+
+    const wantsEmail = reminder.reminder_type !== 'push' && target.email_notifications;
+    if (wantsEmail && process.env.ENABLE_EMAIL_NOTIFICATIONS === 'true') {
+        try {
+            await sendEmailReminder(target, timeUntil);
+        } catch (err) {
+            console.error(`Error emailing reminder ${reminder.id}:`, err);
+        }
+    }
+}
+
+/**
+ * Send every unsent reminder whose time has come. Rows are claimed (sent = 1)
+ * before delivery so overlapping runs can't double-send. When several leads
+ * for one session are overdue (e.g. after downtime) only the most imminent
+ * is delivered. Rows left behind by a session that has since moved are
+ * dropped instead, for materializeReminders() to create again from the new
+ * start.
+ */
+export async function dispatchDueReminders(io, now = new Date()) {
+    const db = getDb();
+    const due = await db.all(
+        'SELECT * FROM session_reminders WHERE sent = 0 AND remind_at <= ? ORDER BY lead_minutes',
+        [toSqlDateTime(now)]
+    );
+
+    const batches = new Map();
+    for (const reminder of due) {
+        const key = `${reminder.session_id}:${reminder.group_session_id}:${reminder.user_id}`;
+        if (!batches.has(key)) batches.set(key, []);
+        batches.get(key).push(reminder);
+    }
+
+    let delivered = 0;
+    for (const [reminder, ...stale] of batches.values()) {
+        const ids = [reminder.id, ...stale.map(r => r.id)];
+        const { changes } = await db.run(
+            `UPDATE session_reminders SET sent = 1, sent_at = CURRENT_TIMESTAMP
+             WHERE sent = 0 AND id IN (${ids.map(() => '?').join(',')})`,
+            ids
+        );
+        if (!changes) continue;
+
+        const target = await loadTarget(reminder);
+        if (!target || !target.active || !target.reminder_enabled || target.startsAt <= now) continue;
+        if (toSqlDateTime(new Date(target.startsAt - reminder.lead_minutes * MINUTE)) !== reminder.remind_at) {
+            await db.run(`DELETE FROM session_reminders WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+            continue;
+        }
+
+        await deliver(io, reminder, target, now);
+        delivered++;
+        console.log(`Reminder sent for ${target.kind} ${target.id} to user ${reminder.user_id}`);
+    }
+    return delivered;
+}
+
+// ========== TICK ==========
+
+let running = false;
+
+/**
+ * One scheduler pass; safe to call from cron every minute and at startup.
+ */
+export async function runReminderTick(io, now = new Date()) {
+    if (running) return;
+    running = true;
+    try {
+        await materializeReminders(now);
+        await dispatchDueReminders(io, now);
+    } catch (err) {
+        console.error('Error in reminder scheduler:', err);
+    } finally {
+        running = false;
+    }
+}
@@ -0,0 +1,459 @@
+// ============================================
+// STUDY REPORTS
+// Weekly or term reports as a PDF (summary, charts, subjects,
+// achievements) and an .xlsx workbook of the raw data, on demand or by
+// email on Sunday evenings
+// ============================================
+
+import PDFDocument from 'pdfkit';
+import ExcelJS from 'exceljs';
+import { getDb } from '../db/database.js';
+import { sendMail } from './mailer.js';
+import { rangeBounds, weekStart, studyBlocks, subjectBreakdown, studyGoals } from './analytics.js';
+import {
+    safeTimeZone, todayIn, addDays, zonedParts, toZonedDateTime, toSqlDateTime, fromSqlDateTime
+} from '../utils/time.js';
+
+// A term report without dates covers this many weeks up to today
+const TERM_WEEKS = 16;
+// Local hour on Sunday from which the weekly email goes out
+const WEEKLY_EMAIL_HOUR = 18;
+// Longer ranges are charted per week instead of per day
+const MAX_CHART_DAYS = 62;
+
+export const REPORT_FORMATS = {
+    pdf: 'application/pdf',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * The dates a report covers: the Monday-to-Sunday week containing `date`
+ * (default today), or for a term `from`..`to` (default the last 16 weeks).
+ */
+export function reportPeriod({ period = 'week', date, from, to } = {}, timeZone, now = new Date()) {
+    const today = todayIn(timeZone, now);
+    if (period === 'term') {
+        const end = to || today;
+        return { period, from: from || addDays(end, -(TERM_WEEKS * 7 - 1)), to: end };
+    }
+    const start = weekStart(date || today);
+    return { period: 'week', from: start, to: addDays(start, 6) };
+}
+
+export function reportFilename(report, format) {
+    return `studysync-${report.period}-report-${report.from}-to-${report.to}.${format}`;
+}
+
+const round1 = n => Math.round(n * 10) / 10;
+
+function localStamp(value, timeZone) {
+    if (!value) return null;
+    const { date, time } = toZonedDateTime(fromSqlDateTime(value), timeZone);
+    return `${date} ${time}`;
+}
+
+// ========== DATA ==========
+
+/**
+ * Everything a report shows, in the user's own time zone.
+ */
+export async function buildReport(user, { period, from, to }, now = new Date()) {
+    const db = getDb();
+    const timeZone = safeTimeZone(user.timezone);
+    const { start, end } = rangeBounds(from, to, timeZone);
+
+    const [blocks, goals, streak, achievements, logs] = await Promise.all([
+        studyBlocks(user, start, end),
+        studyGoals(user.id),
+        db.get('SELECT current_streak, longest_streak, last_study_date FROM study_streaks WHERE user_id = ?', [user.id]),
+        db.all(
+            `SELECT a.name, a.description, a.points, ua.earned_at
+             FROM user_achievements ua JOIN achievements a ON a.id = ua.achievement_id
+             WHERE ua.user_id = ? ORDER BY ua.earned_at DESC`,
+            [user.id]
+        ),
+        db.all(
+            `SELECT log_date, total_minutes, sessions_completed, productivity_score FROM daily_logs
+             WHERE user_id = ? AND log_date BETWEEN ? AND ?`,
+            [user.id, from, to]
+        )
+    ]);
+
+    const subjects = await subjectBreakdown(user, blocks);
+    const totalMinutes = subjects.reduce((sum, s) => sum + s.minutes, 0);
+
+    const logByDate = new Map(logs.map(log => [log.log_date, log]));
+    const daily = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        const log = logByDate.get(date);
+        daily.push({ date, minutes: log?.total_minutes || 0, productivity_score: log?.productivity_score ?? null });
+    }
+
+    // Chart bars: one per day, or per Monday-based week for long ranges
+    let chart = daily.map(day => ({ label: day.date.slice(5), minutes: day.minutes }));
+    if (daily.length > MAX_CHART_DAYS) {
+        const weeks = new Map();
+        for (const day of daily) {
+            const week = weekStart(day.date);
+            weeks.set(week, (weeks.get(week) || 0) + day.minutes);
+        }
+        chart = [...weeks].map(([week, minutes]) => ({ label: week.slice(5), minutes }));
+    }
+
+    const sessions = blocks.filter(b => b.source === 'session');
+    const scored = daily.filter(day => day.productivity_score !== null);
+    return {
+        user: { id: user.id, username: user.username, full_name: user.full_name || null, email: user.email },
+        period,
+        from,
+        to,
+        time_zone: timeZone,
+        generated_at: now.toISOString(),
+        goal_hours: period === 'week' ? goals.weekly : round1((goals.weekly * daily.length) / 7),
+        total_minutes: totalMinutes,
+        total_hours: round1(totalMinutes / 60),
+        days_studied: daily.filter(day => day.minutes > 0).length,
+        days: daily.length,
+        sessions_completed: sessions.filter(b => b.completed).length,
+        sessions_missed: sessions.filter(b => !b.completed).length,
+        pomodoros: new Set(blocks.filter(b => b.source === 'pomodoro').map(b => b.id)).size,
+        average_productivity: scored.length
+            ? Math.round(scored.reduce((sum, day) => sum + day.productivity_score, 0) / scored.length)
+            : null,
+        streak: {
+            current: streak?.current_streak || 0,
+            longest: streak?.longest_streak || 0,
+            last_study_date: streak?.last_study_date || null
+        },
+        subjects,
+        daily,
+        chart,
+        achievements: achievements.map(a => {
+            const earned = fromSqlDateTime(a.earned_at);
+            return { ...a, earned_in_period: earned >= start && earned < end };
+        }),
+        points: achievements.reduce((sum, a) => sum + (a.points || 0), 0)
+    };
+}
+
+// ========== PDF ==========
+
+const COLORS = { text: '#222222', muted: '#6c757d', accent: '#4361ee', grid: '#e0e0e0' };
+const validColor = color => (/^#[0-9a-f]{6}$/i.test(color || '') ? color : COLORS.accent);
+
+function ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function heading(doc, text) {
+    ensureSpace(doc, 60);
+    doc.moveDown(1.2).fontSize(14).fillColor(COLORS.text).text(text, doc.page.margins.left);
+    doc.moveDown(0.4);
+}
+
+function statBoxes(doc, stats) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const gap = 10;
+    const boxWidth = (width - gap * (stats.length - 1)) / stats.length;
+    const top = doc.y;
+
+    stats.forEach(([label, value], i) => {
+        const x = left + i * (boxWidth + gap);
+        doc.roundedRect(x, top, boxWidth, 58, 6).fillAndStroke('#f5f7ff', COLORS.grid);
+        doc.fillColor(COLORS.text).fontSize(18).text(String(value), x, top + 10, { width: boxWidth, align: 'center' });
+        doc.fillColor(COLORS.muted).fontSize(9).text(label, x, top + 36, { width: boxWidth, align: 'center' });
+    });
+    doc.x = left;
+    doc.y = top + 70;
+}
+
+function barChart(doc, bars) {
+    const left = doc.page.margins.left + 30;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const height = 140;
+    ensureSpace(doc, height + 30);
+    const top = doc.y;
+    const peak = Math.max(60, ...bars.map(b => b.minutes));
+    // Whole-hour gridlines, at most about four, with the top one at or above the peak
+    const step = Math.ceil(peak / 60 / 4) * 60;
+    const max = Math.ceil(peak / step) * step;
+    const slot = width / Math.max(1, bars.length);
+    const labelEvery = Math.ceil(bars.length / 14);
+
+    doc.fontSize(7);
+    for (let m = 0; m <= max; m += step) {
+        const y = top + height - (m / max) * height;
+        doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).strokeColor(COLORS.grid).stroke();
+        doc.fillColor(COLORS.muted).text(`${m / 60}h`, left - 28, y - 3, { width: 24, align: 'right' });
+    }
+
+    bars.forEach((bar, i) => {
+        const barHeight = (bar.minutes / max) * height;
+        const x = left + i * slot + slot * 0.15;
+        if (barHeight > 0) doc.rect(x, top + height - barHeight, slot * 0.7, barHeight).fill(COLORS.accent);
+        if (i % labelEvery === 0) {
+            doc.fillColor(COLORS.muted).text(bar.label, left + i * slot - 10, top + height + 4, { width: slot + 20, align: 'center' });
+        }
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = top + height + 20;
+}
+
+function subjectTable(doc, subjects, totalMinutes) {
+    const left = doc.page.margins.left;
+    const columns = [['Subject', 150], ['Hours', 50], ['Sessions', 55], ['Pomodoros', 60], ['Rating', 45], ['Share', 135]];
+    const row = (cells, { bold = false, color = COLORS.text } = {}) => {
+        ensureSpace(doc, 20);
+        const y = doc.y;
+        let x = left;
+        doc.fontSize(9).font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(color);
+        cells.forEach((cell, i) => {
+            if (cell !== null) doc.text(String(cell), x, y, { width: columns[i][1] - 6, ellipsis: true, lineBreak: false });
+            x += columns[i][1];
+        });
+        doc.font('Helvetica');
+        doc.x = left;
+        doc.y = y + 16;
+        return { y, shareX: x - columns[columns.length - 1][1] };
+    };
+
+    row(columns.map(([title]) => title), { bold: true, color: COLORS.muted });
+    for (const subject of subjects) {
+        const share = totalMinutes ? subject.minutes / totalMinutes : 0;
+        const { y, shareX } = row([
+            subject.subject, subject.hours, subject.sessions, subject.pomodoros, subject.average_rating ?? '-', null
+        ]);
+        doc.rect(shareX, y + 1, 100 * share, 8).fill(validColor(subject.color));
+        doc.fillColor(COLORS.muted).fontSize(8).text(`${Math.round(share * 100)}%`, shareX + 104, y, { lineBreak: false });
+        doc.x = left;
+        doc.y = y + 16;
+    }
+}
+
+/**
+ * Render a report as a PDF. Resolves with the file as a Buffer.
+ */
+export function renderReportPdf(report) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 50,
+            info: { Title: `StudySync ${report.period} report ${report.from} to ${report.to}`, Author: 'StudySync' }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const name = report.user.full_name || report.user.username;
+        doc.fontSize(22).fillColor(COLORS.text).text(report.period === 'week' ? 'Weekly study report' : 'Term study report');
+        doc.fontSize(11).fillColor(COLORS.muted)
+            .text(`${name} - ${report.from} to ${report.to} (${report.time_zone})`);
+        doc.moveDown(1.2);
+
+        statBoxes(doc, [
+            ['Hours studied', `${report.total_hours}/${report.goal_hours}`],
+            ['Days studied', `${report.days_studied}/${report.days}`],
+            ['Sessions', report.sessions_completed],
+            ['Pomodoros', report.pomodoros],
+            ['Streak (best)', `${report.streak.current} (${report.streak.longest})`]
+        ]);
+        if (report.average_productivity !== null) {
+            doc.fontSize(10).fillColor(COLORS.muted)
+                .text(`Average productivity score: ${report.average_productivity}/100` +
+                    (report.sessions_missed ? ` - ${report.sessions_missed} session(s) missed` : ''));
+        }
+
+        heading(doc, report.chart.length === report.daily.length ? 'Study time per day' : 'Study time per week');
+        barChart(doc, report.chart);
+
+        heading(doc, 'Hours per subject');
+        if (report.subjects.length) subjectTable(doc, report.subjects, report.total_minutes);
+        else doc.fontSize(10).fillColor(COLORS.muted).text('No study time recorded in this period.');
+
+        heading(doc, `Achievements (${report.points} points)`);
+        if (!report.achievements.length) {
+            doc.fontSize(10).fillColor(COLORS.muted).text('No achievements yet - keep going!');
+        }
+        for (const achievement of report.achievements) {
+            ensureSpace(doc, 30);
+            doc.fontSize(10).fillColor(COLORS.text)
+                .text(`${achievement.name}${achievement.earned_in_period ? '  (new)' : ''}`, { continued: true })
+                .fillColor(COLORS.muted)
+                .text(`  +${achievement.points} - ${achievement.description || ''}`);
+        }
+
+        doc.end();
+    });
+}
+
+// ========== WORKBOOK ==========
+
+function addSheet(workbook, name, columns, rows) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(([header, key, width]) => ({ header, key, width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows);
+    return sheet;
+}
+
+/**
+ * Render a report and its raw study sessions, pomodoros and daily logs as
+ * an .xlsx workbook. Resolves with the file as a Buffer.
+ */
+export async function renderReportWorkbook(report) {
+    const db = getDb();
+    const zone = report.time_zone;
+    const { start, end } = rangeBounds(report.from, report.to, zone);
+    const range = [toSqlDateTime(start), toSqlDateTime(end)];
+
+    const [sessions, pomodoros, cycles, logs] = await Promise.all([
+        db.all(
+            `SELECT s.*, sub.name AS subject FROM study_sessions s LEFT JOIN subjects sub ON sub.id = s.subject_id
+             WHERE s.user_id = ? AND s.scheduled_date BETWEEN ? AND ? ORDER BY s.scheduled_date, s.start_time`,
+            [report.user.id, report.from, report.to]
+        ),
+        db.all(
+            `SELECT p.*, sub.name AS subject FROM pomodoro_sessions p LEFT JOIN subjects sub ON sub.id = p.subject_id
+             WHERE p.user_id = ? AND p.started_at >= ? AND p.started_at < ? ORDER BY p.started_at`,
+            [report.user.id, ...range]
+        ),
+        db.all(
+            `SELECT c.*, sub.name AS subject FROM pomodoro_cycles c LEFT JOIN subjects sub ON sub.id = c.subject_id
+             WHERE c.user_id = ? AND c.completed_at >= ? AND c.completed_at < ? ORDER BY c.completed_at`,
+            [report.user.id, ...range]
+        ),
+        db.all(
+            'SELECT * FROM daily_logs WHERE user_id = ? AND log_date BETWEEN ? AND ? ORDER BY log_date',
+            [report.user.id, report.from, report.to]
+        )
+    ]);
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'StudySync';
+    workbook.created = new Date(report.generated_at);
+
+    const summary = addSheet(workbook, 'Summary', [['Item', 'item', 28], ['Value', 'value', 24]], [
+        { item: 'Report', value: `${report.period} ${report.from} to ${report.to}` },
+        { item: 'Time zone', value: zone },
+        { item: 'Hours studied', value: report.total_hours },
+        { item: 'Goal (hours)', value: report.goal_hours },
+        { item: 'Days studied', value: report.days_studied },
+        { item: 'Sessions completed', value: report.sessions_completed },
+        { item: 'Sessions missed', value: report.sessions_missed },
+        { item: 'Pomodoros', value: report.pomodoros },
+        { item: 'Current streak (days)', value: report.streak.current },
+        { item: 'Longest streak (days)', value: report.streak.longest },
+        { item: 'Achievement points', value: report.points }
+    ]);
+    summary.addRow([]);
+    summary.addRow(['Subject', 'Hours', 'Sessions', 'Pomodoros', 'Average rating']).font = { bold: true };
+    for (const s of report.subjects) summary.addRow([s.subject, s.hours, s.sessions, s.pomodoros, s.average_rating]);
+
+    addSheet(workbook, 'Sessions', [
+        ['Date', 'date', 12], ['Start', 'start', 8], ['End', 'end', 8], ['Title', 'title', 30],
+        ['Subject', 'subject', 20], ['Status', 'status', 11], ['Minutes', 'minutes', 9],
+        ['Rating', 'rating', 8], ['Completed at', 'completed_at', 18], ['Notes', 'notes', 40]
+    ], sessions.map(s => ({
+        date: s.scheduled_date,
+        start: s.start_time,
+        end: s.end_time,
+        title: s.title,
+        subject: s.subject,
+        status: s.status,
+        minutes: s.duration_minutes,
+        rating: s.productivity_rating,
+        completed_at: localStamp(s.completed_at, zone),
+        notes: s.notes
+    })));
+
+    addSheet(workbook, 'Pomodoros', [
+        ['Started', 'started', 18], ['Finished', 'finished', 18], ['Subject', 'subject', 20],
+        ['Status', 'status', 11], ['Focus (min)', 'focus', 11], ['Break (min)', 'break', 11],
+        ['Cycles', 'cycles', 8], ['Focus total (min)', 'total', 16]
+    ], pomodoros.map(p => ({
+        started: localStamp(p.started_at, zone),
+        finished: localStamp(p.completed_at, zone),
+        subject: p.subject,
+        status: p.status,
+        focus: p.focus_minutes,
+        break: p.break_minutes,
+        cycles: p.cycles_completed,
+        total: p.cycles_completed * p.focus_minutes
+    })));
+
+    addSheet(workbook, 'Focus cycles', [
+        ['Finished', 'finished', 18], ['Day', 'day', 12], ['Subject', 'subject', 20], ['Focus (min)', 'focus', 11]
+    ], cycles.map(c => ({
+        finished: localStamp(c.completed_at, zone), day: c.log_date, subject: c.subject, focus: c.focus_minutes
+    })));
+
+    addSheet(workbook, 'Daily logs', [
+        ['Date', 'date', 12], ['Minutes', 'minutes', 9], ['Sessions', 'sessions', 9], ['Subjects', 'subjects', 30],
+        ['Productivity', 'productivity', 12], ['Mood', 'mood', 7], ['Notes', 'notes', 40]
+    ], logs.map(log => ({
+        date: log.log_date,
+        minutes: log.total_minutes,
+        sessions: log.sessions_completed,
+        subjects: log.subjects_studied ? JSON.parse(log.subjects_studied).join(', ') : null,
+        productivity: log.productivity_score,
+        mood: log.mood,
+        notes: log.notes
+    })));
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// ========== WEEKLY EMAIL ==========
+
+/**
+ * Hourly job: users who opted in get this week's report once their local
+ * time passes 18:00 on Sunday. weekly_report_sent_at keeps it to one email
+ * per week and lets a late run (after downtime) still send it that day.
+ * Returns the number of emails sent.
+ */
+export async function sendWeeklyReports(now = new Date()) {
+    const db = getDb();
+    const users = await db.all(
+        `SELECT u.id, u.username, u.email, u.full_name, u.timezone, us.weekly_report_sent_at
+         FROM users u JOIN user_settings us ON us.user_id = u.id
+         WHERE u.is_active = 1 AND us.weekly_report_email = 1 AND COALESCE(us.email_notifications, 1) = 1`
+    );
+
+    let sent = 0;
+    for (const user of users) {
+        const zone = safeTimeZone(user.timezone);
+        const local = zonedParts(now, zone);
+        if (local.dayOfWeek !== 0 || local.hour < WEEKLY_EMAIL_HOUR) continue;
+        const today = todayIn(zone, now);
+        if (user.weekly_report_sent_at && todayIn(zone, fromSqlDateTime(user.weekly_report_sent_at)) === today) continue;
+
+        try {
+            const report = await buildReport(user, reportPeriod({ period: 'week', date: today }, zone, now), now);
+            const [pdf, workbook] = await Promise.all([renderReportPdf(report), renderReportWorkbook(report)]);
+            await sendMail({
+                to: user.email,
+                subject: `Your StudySync week: ${report.total_hours} of ${report.goal_hours} hours`,
+                text: `Hi ${user.full_name || user.username},\n\n` +
+                    `This week (${report.from} to ${report.to}) you studied ${report.total_hours} hours on ` +
+                    `${report.days_studied} day(s), completed ${report.sessions_completed} session(s) and ` +
+                    `${report.pomodoros} pomodoro(s). Current streak: ${report.streak.current} day(s).\n\n` +
+                    'Your full report and raw data are attached.\n\n' +
+                    'You can turn these emails off in your StudySync settings.',
+                attachments: [
+                    { filename: reportFilename(report, 'pdf'), content: pdf, contentType: REPORT_FORMATS.pdf },
+                    { filename: reportFilename(report, 'xlsx'), content: workbook, contentType: REPORT_FORMATS.xlsx }
+                ]
+            });
+            await db.run(
+                'UPDATE user_settings SET weekly_report_sent_at = ? WHERE user_id = ?',
+                [toSqlDateTime(now), user.id]
+            );
+            sent++;
+        } catch (err) {
+            console.error(`Error sending weekly report to user ${user.id}:`, err);
+        }
+    }
+    return sent;
+}
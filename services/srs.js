@@ -0,0 +1,80 @@
+// ============================================
+// SPACED REPETITION (SM-2)
+// Schedules flashcard reviews from a 0-5 recall grade
+// ============================================
+
+import { toSqlDateTime } from '../utils/time.js';
+
+export const SRS_DEFAULTS = {
+    easeFactor: 2.5,
+    minEaseFactor: 1.3,
+    // A failed card comes back in the same sitting
+    relearnMinutes: 10,
+    maxIntervalDays: 365
+};
+
+// Button labels the dashboard sends, mapped onto SM-2 grades
+export const GRADE_NAMES = { again: 1, hard: 3, good: 4, easy: 5 };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * A 0-5 grade from a number or one of GRADE_NAMES; null when invalid.
+ */
+export function parseGrade(value) {
+    if (typeof value === 'string' && Object.hasOwn(GRADE_NAMES, value.toLowerCase())) {
+        return GRADE_NAMES[value.toLowerCase()];
+    }
+    if (value === null || value === '' || typeof value === 'boolean') return null;
+    const grade = Number(value);
+    return Number.isInteger(grade) && grade >= 0 && grade <= 5 ? grade : null;
+}
+
+// flashcards.difficulty (1 easy - 5 hard) follows the ease factor
+export function difficultyFor(easeFactor) {
+    return Math.min(5, Math.max(1, Math.round((2.5 - easeFactor) / 0.3) + 1));
+}
+
+/**
+ * The card's scheduling state after a review. Grades below 3 are lapses:
+ * the card restarts its repetitions and is shown again in a few minutes.
+ * Otherwise the interval grows 1 day, 6 days, then by the ease factor
+ * (with a bonus for "easy"). The ease factor moves per SM-2 either way.
+ */
+export function scheduleReview(card, grade, now = new Date()) {
+    const ease = card.ease_factor || SRS_DEFAULTS.easeFactor;
+    const repetitions = card.repetitions || 0;
+    const interval = card.interval_days || 0;
+
+    const easeFactor = Math.max(
+        SRS_DEFAULTS.minEaseFactor,
+        ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+    );
+
+    if (grade < 3) {
+        return {
+            ease_factor: easeFactor,
+            interval_days: 0,
+            repetitions: 0,
+            lapses: (card.lapses || 0) + (repetitions > 0 ? 1 : 0),
+            difficulty: difficultyFor(easeFactor),
+            next_review: toSqlDateTime(new Date(now.getTime() + SRS_DEFAULTS.relearnMinutes * 60000))
+        };
+    }
+
+    let nextInterval;
+    if (repetitions === 0) nextInterval = 1;
+    else if (repetitions === 1) nextInterval = 6;
+    else nextInterval = Math.round(interval * easeFactor);
+    if (grade === 5 && repetitions > 0) nextInterval = Math.round(nextInterval * 1.3);
+    nextInterval = Math.min(SRS_DEFAULTS.maxIntervalDays, Math.max(1, nextInterval));
+
+    return {
+        ease_factor: easeFactor,
+        interval_days: nextInterval,
+        repetitions: repetitions + 1,
+        lapses: card.lapses || 0,
+        difficulty: difficultyFor(easeFactor),
+        next_review: toSqlDateTime(new Date(now.getTime() + nextInterval * DAY))
+    };
+}
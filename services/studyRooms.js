@@ -0,0 +1,387 @@
+// ============================================
+// STUDY TOGETHER ROOMS
+// One shared Pomodoro clock per ongoing group session, live presence over
+// Socket.IO and attendance recorded in session_participants (joining the
+// room checks in, whether or not a seat was free)
+// ============================================
+
+import { getDb, withTransaction, isGroupMember } from '../db/database.js';
+import { POMODORO_DEFAULTS } from './pomodoro.js';
+import { updateSeatCount } from './groupSessions.js';
+import { refreshPresence } from './presence.js';
+import { toSqlDateTime, fromSqlDateTime } from '../utils/time.js';
+
+// A clock left running for days is closed long before this many phases
+const MAX_PHASES = 10000;
+
+const SELECT = `
+    SELECT r.*, gs.group_id, gs.title, gs.subject, gs.status AS session_status,
+           gs.current_participants, g.name AS group_name, u.username AS host_name
+    FROM study_rooms r
+    JOIN group_sessions gs ON gs.id = r.group_session_id
+    JOIN study_groups g ON g.id = gs.group_id
+    JOIN users u ON u.id = r.host_id`;
+
+// roomId -> Map(userId -> { id, username, avatar_url, focusing, sockets: Set })
+const presence = new Map();
+// roomId -> timeout that announces the next phase change
+const phaseTimers = new Map();
+
+export async function findRoom(id) {
+    return getDb().get(`${SELECT} WHERE r.id = ?`, [id]);
+}
+
+// ========== CLOCK ==========
+
+function phaseMinutes(room, phase) {
+    if (phase === 'long_break') return room.long_break_minutes;
+    if (phase === 'short_break') return room.break_minutes;
+    return room.focus_minutes;
+}
+
+function nextPhase(room, phase, cycles) {
+    if (phase !== 'focus') return { phase: 'focus', cycles };
+    const done = cycles + 1;
+    return { phase: done % room.cycles_before_long_break === 0 ? 'long_break' : 'short_break', cycles: done };
+}
+
+/**
+ * Where the shared clock is at `now`. A running clock rolls over into the
+ * next phase by itself, so the stored anchor only changes on host actions.
+ */
+export function roomClock(room, now = new Date()) {
+    const running = room.status === 'open' && Boolean(room.phase_started_at);
+    let phase = room.phase;
+    let cycles = room.cycles_completed;
+    let elapsed = (room.phase_elapsed_seconds || 0)
+        + (running ? Math.max(0, (now - fromSqlDateTime(room.phase_started_at)) / 1000) : 0);
+
+    for (let i = 0; running && i < MAX_PHASES && elapsed >= phaseMinutes(room, phase) * 60; i++) {
+        elapsed -= phaseMinutes(room, phase) * 60;
+        ({ phase, cycles } = nextPhase(room, phase, cycles));
+    }
+
+    const phaseSeconds = phaseMinutes(room, phase) * 60;
+    elapsed = Math.min(phaseSeconds, Math.floor(elapsed));
+    return {
+        room_id: room.id,
+        phase,
+        running,
+        focus_minutes: room.focus_minutes,
+        break_minutes: room.break_minutes,
+        long_break_minutes: room.long_break_minutes,
+        cycles_before_long_break: room.cycles_before_long_break,
+        cycles_completed: cycles,
+        phase_seconds: phaseSeconds,
+        elapsed_seconds: elapsed,
+        remaining_seconds: phaseSeconds - elapsed,
+        ends_at: running ? new Date(now.getTime() + (phaseSeconds - elapsed) * 1000).toISOString() : null,
+        server_time: now.toISOString()
+    };
+}
+
+async function saveClock(room, { phase, cycles, elapsed, running }, now) {
+    await getDb().run(
+        `UPDATE study_rooms
+         SET phase = ?, cycles_completed = ?, phase_elapsed_seconds = ?, phase_started_at = ?
+         WHERE id = ? AND status = 'open'`,
+        [phase, cycles, elapsed, running ? toSqlDateTime(now) : null, room.id]
+    );
+    return findRoom(room.id);
+}
+
+/**
+ * Apply a host action to the clock: start (or resume), pause, skip to the
+ * next phase, or reset to the first focus phase.
+ * Returns the updated room, or { error } for an action that doesn't apply.
+ */
+export async function controlClock(room, action, now = new Date()) {
+    const clock = roomClock(room, now);
+    const state = { phase: clock.phase, cycles: clock.cycles_completed, elapsed: clock.elapsed_seconds, running: clock.running };
+
+    switch (action) {
+        case 'start':
+            if (clock.running) return { error: 'The clock is already running' };
+            return { room: await saveClock(room, { ...state, running: true }, now) };
+        case 'pause':
+            if (!clock.running) return { error: 'The clock is not running' };
+            return { room: await saveClock(room, { ...state, running: false }, now) };
+        case 'skip': {
+            const next = nextPhase(room, clock.phase, clock.cycles_completed);
+            return { room: await saveClock(room, { ...state, ...next, elapsed: 0 }, now) };
+        }
+        case 'reset':
+            return { room: await saveClock(room, { phase: 'focus', cycles: 0, elapsed: 0, running: false }, now) };
+        default:
+            return { error: 'Unknown clock action' };
+    }
+}
+
+// ========== ACCESS ==========
+
+/**
+ * Members of the room's group may join, and so may friends invited to the
+ * session (their session_participants row is marked is_friend_invite).
+ */
+export async function canJoinRoom(room, userId) {
+    if (await isGroupMember(room.group_id, userId)) return true;
+    const row = await getDb().get(
+        `SELECT 1 AS invited FROM session_participants
+         WHERE session_id = ? AND user_id = ? AND is_friend_invite = 1`,
+        [room.group_session_id, userId]
+    );
+    return Boolean(row);
+}
+
+/**
+ * The host and the group's creators and moderators may close a room.
+ */
+export async function canManageRoom(room, userId) {
+    if (room.host_id === userId) return true;
+    const row = await getDb().get(
+        `SELECT 1 AS manager FROM group_members
+         WHERE group_id = ? AND user_id = ? AND role IN ('creator', 'co-creator', 'moderator')`,
+        [room.group_id, userId]
+    );
+    return Boolean(row);
+}
+
+// ========== PRESENCE & ATTENDANCE ==========
+
+/**
+ * Who is in the room right now; `focusing` means they are present, haven't
+ * stepped away and the shared clock is in a running focus phase.
+ */
+export function roomPresence(room, now = new Date()) {
+    const clock = roomClock(room, now);
+    const inFocus = clock.running && clock.phase === 'focus';
+    const members = [...(presence.get(room.id)?.values() || [])].map(member => ({
+        id: member.id,
+        username: member.username,
+        avatar_url: member.avatar_url,
+        is_host: member.id === room.host_id,
+        focusing: inFocus && member.focusing
+    }));
+    return { room_id: room.id, members, focusing_count: members.filter(m => m.focusing).length };
+}
+
+async function recordJoin(room, userId, now) {
+    // The first join counts as the start of attendance; rejoining only
+    // clears left_at
+    await getDb().run(
+        `INSERT INTO session_participants (session_id, user_id, status, response_time, joined_at)
+         VALUES (?, ?, 'attended', ?, ?)
+         ON CONFLICT(session_id, user_id) DO UPDATE SET
+             status = 'attended', joined_at = COALESCE(joined_at, excluded.joined_at), left_at = NULL`,
+        [room.group_session_id, userId, toSqlDateTime(now), toSqlDateTime(now)]
+    );
+}
+
+async function recordLeave(room, userId, now) {
+    await getDb().run(
+        'UPDATE session_participants SET left_at = ? WHERE session_id = ? AND user_id = ?',
+        [toSqlDateTime(now), room.group_session_id, userId]
+    );
+}
+
+// Announce the next phase change to everyone in the room
+function schedulePhaseChange(io, room) {
+    clearTimeout(phaseTimers.get(room.id));
+    phaseTimers.delete(room.id);
+    const clock = roomClock(room);
+    if (!clock.running || !presence.get(room.id)?.size) return;
+
+    const timer = setTimeout(async () => {
+        phaseTimers.delete(room.id);
+        try {
+            const fresh = await findRoom(room.id);
+            if (fresh?.status === 'open') broadcastRoom(io, fresh);
+        } catch (err) {
+            console.error('Error announcing study room phase:', err);
+        }
+    }, clock.remaining_seconds * 1000 + 500);
+    timer.unref?.();
+    phaseTimers.set(room.id, timer);
+}
+
+/**
+ * Push the clock and presence to everyone in the room and re-arm the phase
+ * change announcement.
+ */
+export function broadcastRoom(io, room) {
+    io.to(`room-${room.id}`).emit('room-clock', roomClock(room));
+    io.to(`room-${room.id}`).emit('room-presence', roomPresence(room));
+    schedulePhaseChange(io, room);
+}
+
+export async function joinRoom(io, socket, room, now = new Date()) {
+    const user = socket.data.user;
+    if (!presence.has(room.id)) presence.set(room.id, new Map());
+    const members = presence.get(room.id);
+
+    let member = members.get(user.id);
+    if (!member) {
+        member = { id: user.id, username: user.username, avatar_url: user.avatar_url, focusing: true, sockets: new Set() };
+        members.set(user.id, member);
+        await recordJoin(room, user.id, now);
+        await updateSeatCount(room.group_session_id);
+    }
+    member.sockets.add(socket.id);
+    socket.join(`room-${room.id}`);
+    (socket.data.studyRooms ||= new Set()).add(room.id);
+
+    broadcastRoom(io, room);
+    await refreshPresence(io, user.id);
+}
+
+/**
+ * Take one socket out of the room. Attendance ends when the user's last
+ * socket leaves; the clock pauses once the room is empty.
+ */
+export async function leaveRoom(io, socket, roomId, now = new Date()) {
+    const user = socket.data.user;
+    socket.leave(`room-${roomId}`);
+    socket.data.studyRooms?.delete(roomId);
+
+    const members = presence.get(roomId);
+    const member = members?.get(user.id);
+    if (!member) return;
+    member.sockets.delete(socket.id);
+    if (member.sockets.size) return;
+
+    members.delete(user.id);
+    if (!members.size) presence.delete(roomId);
+
+    let room = await findRoom(roomId);
+    if (!room) return;
+    await recordLeave(room, user.id, now);
+
+    if (!members.size && room.status === 'open' && room.phase_started_at) {
+        ({ room } = await controlClock(room, 'pause', now));
+    }
+    if (room.status === 'open') broadcastRoom(io, room);
+    await refreshPresence(io, user.id);
+}
+
+export function setFocusing(io, room, userId, focusing) {
+    const member = presence.get(room.id)?.get(userId);
+    if (!member) return false;
+    member.focusing = Boolean(focusing);
+    io.to(`room-${room.id}`).emit('room-presence', roomPresence(room));
+    return true;
+}
+
+// ========== LIFECYCLE ==========
+
+/**
+ * Open a room on an existing group session (or return the one already open).
+ */
+export async function openRoom(groupSessionId, hostId, settings = {}) {
+    const db = getDb();
+    const existing = await db.get(
+        'SELECT id FROM study_rooms WHERE group_session_id = ? AND status = \'open\'',
+        [groupSessionId]
+    );
+    if (existing) return findRoom(existing.id);
+
+    await db.run(
+        `INSERT INTO study_rooms
+            (group_session_id, host_id, focus_minutes, break_minutes, long_break_minutes, cycles_before_long_break)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(group_session_id) DO UPDATE SET
+             status = 'open', closed_at = NULL, host_id = excluded.host_id, phase = 'focus',
+             cycles_completed = 0, phase_started_at = NULL, phase_elapsed_seconds = 0`,
+        [groupSessionId, hostId,
+            settings.focusMinutes || POMODORO_DEFAULTS.focusMinutes,
+            settings.breakMinutes || POMODORO_DEFAULTS.breakMinutes,
+            settings.longBreakMinutes || POMODORO_DEFAULTS.longBreakMinutes,
+            settings.cyclesBeforeLongBreak || POMODORO_DEFAULTS.cyclesBeforeLongBreak]
+    );
+    await db.run(
+        'UPDATE group_sessions SET status = \'ongoing\', updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [groupSessionId]
+    );
+    const row = await db.get('SELECT id FROM study_rooms WHERE group_session_id = ?', [groupSessionId]);
+    return findRoom(row.id);
+}
+
+/**
+ * Close the room: everyone still present is signed out (left_at), the group
+ * session is marked completed and all sockets are dropped from the room.
+ */
+export async function closeRoom(io, room, now = new Date()) {
+    const db = getDb();
+    const members = presence.get(room.id);
+
+    await withTransaction(async () => {
+        await db.run(
+            'UPDATE study_rooms SET status = \'closed\', closed_at = ?, phase_started_at = NULL WHERE id = ?',
+            [toSqlDateTime(now), room.id]
+        );
+        await db.run(
+            "UPDATE group_sessions SET status = 'completed', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [room.group_session_id]
+        );
+        for (const userId of members?.keys() || []) await recordLeave(room, userId, now);
+    });
+
+    clearTimeout(phaseTimers.get(room.id));
+    phaseTimers.delete(room.id);
+    presence.delete(room.id);
+
+    io?.to(`room-${room.id}`).emit('room-closed', { room_id: room.id });
+    io?.in(`room-${room.id}`).socketsLeave(`room-${room.id}`);
+    for (const userId of members?.keys() || []) await refreshPresence(io, userId);
+    return findRoom(room.id);
+}
+
+// ========== SOCKET EVENTS ==========
+
+/**
+ * Wire the room events for one connected socket. `socketHandler` is the
+ * server's error-reporting wrapper for async handlers.
+ */
+export function registerStudyRoomHandlers(io, socket, socketHandler) {
+    const user = socket.data.user;
+    const reply = (ack, payload) => typeof ack === 'function' && ack(payload);
+
+    socketHandler(socket, 'room-join', async ({ roomId }, ack) => {
+        const room = await findRoom(roomId);
+        if (!room || room.status !== 'open' || !await canJoinRoom(room, user.id)) {
+            socket.emit('socket-error', { event: 'room-join', message: 'Study room not available' });
+            return reply(ack, { success: false });
+        }
+        await joinRoom(io, socket, room);
+        reply(ack, { success: true, clock: roomClock(room), presence: roomPresence(room) });
+    });
+
+    socketHandler(socket, 'room-leave', async ({ roomId }, ack) => {
+        await leaveRoom(io, socket, Number(roomId));
+        reply(ack, { success: true });
+    });
+
+    // A member marks themselves away (focusing: false) or back
+    socketHandler(socket, 'room-status', async ({ roomId, focusing }) => {
+        const room = await findRoom(roomId);
+        if (room?.status === 'open') setFocusing(io, room, user.id, focusing);
+    });
+
+    socketHandler(socket, 'room-clock', async ({ roomId, action }, ack) => {
+        const room = await findRoom(roomId);
+        if (!room || room.status !== 'open' || room.host_id !== user.id) {
+            socket.emit('socket-error', { event: 'room-clock', message: 'Only the host can control the clock' });
+            return reply(ack, { success: false });
+        }
+        const { room: updated, error } = await controlClock(room, action);
+        if (error) return reply(ack, { success: false, message: error });
+        broadcastRoom(io, updated);
+        reply(ack, { success: true, clock: roomClock(updated) });
+    });
+
+    socket.on('disconnect', () => {
+        for (const roomId of [...(socket.data.studyRooms || [])]) {
+            leaveRoom(io, socket, roomId)
+                .catch(err => console.error('Error leaving study room:', err));
+        }
+    });
+}
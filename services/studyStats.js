@@ -0,0 +1,255 @@
+// ============================================
+// STUDY STATS ENGINE
+// Rebuilds daily_logs and study_streaks from completed study sessions and
+// pomodoro focus cycles, by day in each user's own time zone
+// ============================================
+
+import { getDb, withTransaction } from '../db/database.js';
+import {
+    safeTimeZone, todayIn, addDays, toZonedDateTime, toSqlDateTime, fromSqlDateTime, timeToMinutes
+} from '../utils/time.js';
+
+// How far back the rollup catches up after the server was down
+const CATCH_UP_DAYS = 7;
+
+const sessionMinutes = s =>
+    s.duration_minutes || Math.max(0, timeToMinutes(s.end_time) - timeToMinutes(s.start_time));
+
+/**
+ * 0-100 from the share of finished sessions that were completed rather
+ * than missed, averaged with the mean self-rating (1-5 scaled to 100) when
+ * the user rated any. Null for a day with neither.
+ */
+export function productivityScore({ completed, finished, ratings }) {
+    const parts = [];
+    if (finished) parts.push((completed / finished) * 100);
+    if (ratings.length) parts.push((ratings.reduce((a, b) => a + b, 0) / ratings.length) * 20);
+    return parts.length ? Math.round(parts.reduce((a, b) => a + b, 0) / parts.length) : null;
+}
+
+// ========== DAILY LOGS ==========
+
+/**
+ * Per-day totals for a user between two local dates (inclusive): completed
+ * and missed study sessions by their scheduled date, pomodoro focus cycles
+ * by the date they finished, and pomodoros finished before cycles were
+ * logged. Returns Map(date -> { minutes, completed, finished, subjects, ratings }).
+ */
+export async function computeDailyStats(userId, timeZone, from, to) {
+    const db = getDb();
+    const zone = safeTimeZone(timeZone);
+    const days = new Map();
+    const day = date => {
+        if (!days.has(date)) days.set(date, { minutes: 0, completed: 0, finished: 0, subjects: new Set(), ratings: [] });
+        return days.get(date);
+    };
+
+    const [sessions, cycles, legacy] = await Promise.all([
+        db.all(
+            `SELECT s.scheduled_date, s.start_time, s.end_time, s.duration_minutes, s.status,
+                    s.productivity_rating, sub.name AS subject
+             FROM study_sessions s LEFT JOIN subjects sub ON sub.id = s.subject_id
+             WHERE s.user_id = ? AND s.scheduled_date BETWEEN ? AND ? AND s.status IN ('completed', 'missed')`,
+            [userId, from, to]
+        ),
+        db.all(
+            `SELECT c.log_date, c.focus_minutes, sub.name AS subject
+             FROM pomodoro_cycles c LEFT JOIN subjects sub ON sub.id = c.subject_id
+             WHERE c.user_id = ? AND c.log_date BETWEEN ? AND ?`,
+            [userId, from, to]
+        ),
+        // completed_at is UTC, so widen by a day each side and place it locally below
+        db.all(
+            `SELECT p.completed_at, p.cycles_completed * p.focus_minutes AS minutes, sub.name AS subject
+             FROM pomodoro_sessions p LEFT JOIN subjects sub ON sub.id = p.subject_id
+             WHERE p.user_id = ? AND p.status = 'completed' AND p.cycles_completed > 0
+               AND p.completed_at BETWEEN date(?, '-1 day') AND date(?, '+2 days')
+               AND NOT EXISTS (SELECT 1 FROM pomodoro_cycles c WHERE c.pomodoro_id = p.id)`,
+            [userId, from, to]
+        )
+    ]);
+
+    for (const session of sessions) {
+        const stats = day(session.scheduled_date);
+        stats.finished++;
+        if (session.status !== 'completed') continue;
+        stats.completed++;
+        stats.minutes += sessionMinutes(session);
+        if (session.subject) stats.subjects.add(session.subject);
+        if (session.productivity_rating) stats.ratings.push(session.productivity_rating);
+    }
+
+    for (const cycle of cycles) {
+        const stats = day(cycle.log_date);
+        stats.minutes += cycle.focus_minutes;
+        if (cycle.subject) stats.subjects.add(cycle.subject);
+    }
+
+    for (const pomodoro of legacy) {
+        const date = toZonedDateTime(fromSqlDateTime(pomodoro.completed_at), zone).date;
+        if (date < from || date > to) continue;
+        const stats = day(date);
+        stats.minutes += pomodoro.minutes;
+        if (pomodoro.subject) stats.subjects.add(pomodoro.subject);
+    }
+
+    return days;
+}
+
+/**
+ * Recompute daily_logs for a user over a range of local dates. Days that
+ * no longer have any activity are zeroed rather than deleted, so mood and
+ * notes the user wrote survive. Runs inside the caller's transaction, if any.
+ */
+export async function rebuildDailyLogs(userId, { timeZone, from, to }) {
+    const db = getDb();
+    const days = await computeDailyStats(userId, timeZone, from, to);
+
+    await db.run(
+        `UPDATE daily_logs
+         SET total_minutes = 0, sessions_completed = 0, subjects_studied = NULL, productivity_score = NULL
+         WHERE user_id = ? AND log_date BETWEEN ? AND ?`,
+        [userId, from, to]
+    );
+    for (const [date, stats] of days) {
+        await db.run(
+            `INSERT INTO daily_logs (user_id, log_date, total_minutes, sessions_completed, subjects_studied, productivity_score)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT(user_id, log_date) DO UPDATE SET
+                total_minutes = excluded.total_minutes,
+                sessions_completed = excluded.sessions_completed,
+                subjects_studied = excluded.subjects_studied,
+                productivity_score = excluded.productivity_score`,
+            [userId, date, Math.round(stats.minutes), stats.completed,
+                stats.subjects.size ? JSON.stringify([...stats.subjects].sort()) : null,
+                productivityScore(stats)]
+        );
+    }
+    return days.size;
+}
+
+// ========== STREAKS ==========
+
+/**
+ * Streaks from ascending 'YYYY-MM-DD' study dates. The current streak
+ * survives until a full local day passes without study.
+ */
+export function streaksFromDates(dates, today) {
+    let longest = 0;
+    let run = 0;
+    let last = null;
+    for (const date of dates) {
+        if (date > today) break;
+        run = last && addDays(last, 1) === date ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        last = date;
+    }
+    const current = last && (last === today || addDays(last, 1) === today) ? run : 0;
+    return { current, longest, lastStudyDate: last };
+}
+
+/**
+ * Recompute the user's study_streaks row from every daily_logs day with
+ * study time.
+ */
+export async function updateStreak(userId, timeZone, now = new Date()) {
+    const db = getDb();
+    const rows = await db.all(
+        'SELECT log_date FROM daily_logs WHERE user_id = ? AND total_minutes > 0 ORDER BY log_date',
+        [userId]
+    );
+    const streak = streaksFromDates(rows.map(r => r.log_date), todayIn(safeTimeZone(timeZone), now));
+
+    await db.run(
+        `INSERT INTO study_streaks (user_id, current_streak, longest_streak, last_study_date, updated_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(user_id) DO UPDATE SET
+            current_streak = excluded.current_streak,
+            longest_streak = excluded.longest_streak,
+            last_study_date = excluded.last_study_date,
+            updated_at = excluded.updated_at`,
+        [userId, streak.current, streak.longest, streak.lastStudyDate, toSqlDateTime(now)]
+    );
+    return streak;
+}
+
+/**
+ * Bring one user's logs for the given local dates and their streak up to
+ * date, e.g. right after a session or pomodoro cycle is completed.
+ */
+export async function refreshUserStats(userId, timeZone, dates, now = new Date()) {
+    const sorted = [].concat(dates).sort();
+    await rebuildDailyLogs(userId, { timeZone, from: sorted[0], to: sorted[sorted.length - 1] });
+    return updateStreak(userId, timeZone, now);
+}
+
+// ========== ROLLUP ==========
+
+/**
+ * Hourly job: every user whose local day has changed since their streak was
+ * last updated gets the days since then (at most CATCH_UP_DAYS) rebuilt and
+ * the streak recomputed, so streaks break at the user's midnight, not the
+ * server's. Returns the number of users updated.
+ */
+export async function runDailyRollup(now = new Date()) {
+    const db = getDb();
+    const users = await db.all(
+        `SELECT u.id, u.timezone, st.updated_at
+         FROM users u LEFT JOIN study_streaks st ON st.user_id = u.id
+         WHERE u.is_active = 1`
+    );
+
+    let count = 0;
+    for (const user of users) {
+        const zone = safeTimeZone(user.timezone);
+        const today = todayIn(zone, now);
+        const lastRun = user.updated_at ? toZonedDateTime(fromSqlDateTime(user.updated_at), zone).date : null;
+        if (lastRun === today) continue;
+
+        const earliest = addDays(today, -CATCH_UP_DAYS);
+        const from = lastRun && lastRun > earliest ? lastRun : earliest;
+        try {
+            await withTransaction(async () => {
+                await rebuildDailyLogs(user.id, { timeZone: zone, from, to: today });
+                await updateStreak(user.id, zone, now);
+            });
+            count++;
+        } catch (err) {
+            console.error(`Error rolling up stats for user ${user.id}:`, err);
+        }
+    }
+    return count;
+}
+
+/**
+ * Recompute daily_logs and streaks for every active user over a range of
+ * local dates (default: from their first recorded study to today). A user
+ * whose rebuild fails is logged and skipped. Returns the number rebuilt.
+ */
+export async function rebuildAllStats({ from, to } = {}, now = new Date()) {
+    const db = getDb();
+    const users = await db.all('SELECT id, timezone FROM users WHERE is_active = 1');
+
+    let count = 0;
+    for (const user of users) {
+        const zone = safeTimeZone(user.timezone);
+        try {
+            await withTransaction(async () => {
+                const first = from || (await db.get(
+                    `SELECT MIN(d) AS d FROM (
+                        SELECT MIN(scheduled_date) AS d FROM study_sessions WHERE user_id = ? AND status IN ('completed', 'missed')
+                        UNION ALL SELECT MIN(log_date) FROM pomodoro_cycles WHERE user_id = ?
+                        UNION ALL SELECT date(MIN(completed_at), '-1 day') FROM pomodoro_sessions WHERE user_id = ? AND status = 'completed'
+                    )`,
+                    [user.id, user.id, user.id]
+                )).d;
+                if (first) await rebuildDailyLogs(user.id, { timeZone: zone, from: first, to: to || todayIn(zone, now) });
+                await updateStreak(user.id, zone, now);
+            });
+            count++;
+        } catch (err) {
+            console.error(`Error rebuilding stats for user ${user.id}:`, err);
+        }
+    }
+    return count;
+}
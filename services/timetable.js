@@ -0,0 +1,294 @@
+// ============================================
+// TIMETABLE IMPORT
+// Expands an imported .ics class timetable into weekly busy blocks (in the
+// user's time zone) and derives the complementary free_slots
+// ============================================
+
+import { getDb, withTransaction } from '../db/database.js';
+import { resolveTzid } from '../utils/ical.js';
+import {
+    zonedTimeToUtc, toZonedDateTime, addDays, daysBetween, dayOfWeek, timeToMinutes, minutesToTime
+} from '../utils/time.js';
+
+export const IMPORT_DEFAULTS = {
+    weeks: 4,
+    dayStart: '08:00',
+    dayEnd: '22:00',
+    minSlotMinutes: 30
+};
+
+const WEEKDAY_CODES = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+// Repetitions stepped through per rule at most. Rules without COUNT start
+// stepping at the import window, so only long COUNT rules reach it.
+const MAX_ITERATIONS = 5000;
+
+// ========== RECURRENCE ==========
+
+function valueZone(value, fallback) {
+    return value.utc ? 'UTC' : resolveTzid(value.tzid) || fallback;
+}
+
+function toInstant(value, fallback) {
+    return zonedTimeToUtc(value.date, value.time || '00:00', valueZone(value, fallback));
+}
+
+// Whole periods of `length` days from `first` that end before `date`
+const periodsBefore = (first, date, length) => Math.max(0, Math.floor(daysBetween(first, date) / length));
+
+// Start dates of a DAILY or WEEKLY rule, as wall-clock dates in the event's
+// own zone (so a 09:00 class stays at 09:00 across DST changes). Without
+// COUNT nothing before skipTo matters, so whole intervals before it are
+// jumped over.
+function* ruleDates(start, rule, skipTo) {
+    const days = (rule.byDay || [])
+        .map(code => WEEKDAY_CODES[code])
+        .filter(day => day !== undefined);
+    const skip = rule.count == null && skipTo > start.date;
+
+    if (rule.freq === 'DAILY') {
+        const skipped = skip ? periodsBefore(start.date, skipTo, rule.interval) : 0;
+        let date = addDays(start.date, skipped * rule.interval);
+        for (let i = 0; i < MAX_ITERATIONS; i++, date = addDays(date, rule.interval)) {
+            if (!days.length || days.includes(dayOfWeek(date))) yield date;
+        }
+        return;
+    }
+
+    // WEEKLY: weeks run Monday to Sunday
+    const offsets = (days.length ? days : [dayOfWeek(start.date)])
+        .map(day => (day + 6) % 7)
+        .sort((a, b) => a - b);
+    const firstWeek = addDays(start.date, -((dayOfWeek(start.date) + 6) % 7));
+
+    const period = 7 * rule.interval;
+    let week = skip ? addDays(firstWeek, periodsBefore(firstWeek, skipTo, period) * period) : firstWeek;
+    for (let i = 0; i < MAX_ITERATIONS; i++, week = addDays(week, period)) {
+        for (const offset of offsets) {
+            const date = addDays(week, offset);
+            if (date >= start.date) yield date;
+        }
+    }
+}
+
+function recurrenceStarts(event, zone, { from, to: windowEnd }, warnings) {
+    const { start, rrule } = event;
+    const instants = [toInstant(start, zone)];
+
+    if (rrule && !['DAILY', 'WEEKLY'].includes(rrule.freq)) {
+        warnings.push(`"${event.summary}": ${rrule.freq} recurrence is not supported, only its first occurrence was imported`);
+    } else if (rrule) {
+        instants.length = 0;
+        const until = rrule.until && (rrule.until.time ? toInstant(rrule.until, zone) : null);
+        // A day early: the window starts at an instant, dates are in the event's zone
+        const skipTo = addDays(toZonedDateTime(from, zone).date, -1);
+        let finished = false;
+
+        for (const date of ruleDates(start, rrule, skipTo)) {
+            const instant = zonedTimeToUtc(date, start.time, zone);
+            finished = (rrule.count != null && instants.length >= rrule.count)
+                || (rrule.until && !rrule.until.time && date > rrule.until.date)
+                || (until && instant > until) || instant >= windowEnd;
+            if (finished) break;
+            instants.push(instant);
+        }
+        // (A rule whose BYDAY never matches runs out without occurrences)
+        if (!finished && instants.length) {
+            warnings.push(`"${event.summary}": recurrence truncated after ${MAX_ITERATIONS} repetitions`);
+        }
+    }
+
+    for (const rdate of event.rdates) {
+        if (rdate.time) instants.push(toInstant(rdate, zone));
+    }
+    return instants;
+}
+
+/**
+ * Every timed occurrence of the events overlapping [from, to), honouring
+ * EXDATE, cancelled instances and RECURRENCE-ID overrides. All-day and
+ * transparent (free) events are skipped.
+ */
+export function expandEvents(events, { from, to, timeZone }) {
+    const warnings = [];
+    const occurrences = [];
+
+    // Instances replaced by an override are dropped from their series
+    const overridden = new Set(events
+        .filter(e => e.recurrenceId)
+        .map(e => `${e.uid}@${toInstant(e.recurrenceId, timeZone).getTime()}`));
+
+    for (const event of events) {
+        if (!event.start.time || event.transparent || event.status === 'CANCELLED') continue;
+
+        const zone = valueZone(event.start, timeZone);
+        if (event.start.tzid && !resolveTzid(event.start.tzid)) {
+            warnings.push(`"${event.summary}": unknown time zone ${event.start.tzid}, assumed ${timeZone}`);
+        }
+
+        const first = toInstant(event.start, zone);
+        let minutes = event.duration;
+        if (event.end) minutes = (toInstant(event.end, zone) - first) / 60000;
+        if (!(minutes > 0)) continue;
+
+        const excluded = new Set(event.exdates.map(ex => (ex.time ? toInstant(ex, zone).getTime() : ex.date)));
+        for (const start of recurrenceStarts(event, zone, { from, to }, warnings)) {
+            const localDate = toZonedDateTime(start, zone).date;
+            if (excluded.has(start.getTime()) || excluded.has(localDate)) continue;
+            if (!event.recurrenceId && overridden.has(`${event.uid}@${start.getTime()}`)) continue;
+
+            const end = new Date(start.getTime() + minutes * 60000);
+            if (end > from && start < to) occurrences.push({ event, start, end });
+        }
+    }
+
+    return { occurrences, warnings };
+}
+
+// ========== FREE SLOTS ==========
+
+function mergeIntervals(intervals) {
+    const merged = [];
+    for (const [start, end] of [...intervals].sort((a, b) => a[0] - b[0])) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+        else merged.push([start, end]);
+    }
+    return merged;
+}
+
+// The subject a class belongs to: longest subject name contained in the
+// class title, else a subject whose classroom is the class location
+export function matchSubject(cls, subjects) {
+    const title = cls.summary.toLowerCase();
+    const byName = subjects
+        .filter(s => s.name && title.includes(s.name.toLowerCase()))
+        .sort((a, b) => b.name.length - a.name.length)[0];
+    if (byName) return byName;
+
+    const location = (cls.location || '').trim().toLowerCase();
+    return (location && subjects.find(s => (s.classroom || '').trim().toLowerCase() === location)) || null;
+}
+
+/**
+ * Busy classes and the complementary free slots per day_of_week for the
+ * `weeks` weeks from `startDate`. A class that meets on a weekday in any of
+ * those weeks blocks that time every week.
+ */
+export function buildTimetable(parsed, { timeZone: zone, startDate, subjects = [], options }) {
+    const from = zonedTimeToUtc(startDate, '00:00', zone);
+    const to = zonedTimeToUtc(addDays(startDate, options.weeks * 7), '00:00', zone);
+    // Floating times are in the calendar's X-WR-TIMEZONE, else the user's
+    const { occurrences, warnings } = expandEvents(parsed.events, {
+        from, to, timeZone: parsed.calendarTimeZone || zone
+    });
+
+    const classes = new Map();
+    for (const { event, start, end } of occurrences) {
+        const local = toZonedDateTime(start, zone);
+        const localEnd = toZonedDateTime(end, zone);
+        const startMinutes = timeToMinutes(local.time);
+        const endMinutes = localEnd.date === local.date ? timeToMinutes(localEnd.time) : 24 * 60 - 1;
+        if (endMinutes <= startMinutes) continue;
+
+        const key = [event.summary, event.location, local.dayOfWeek, startMinutes, endMinutes].join('|');
+        if (!classes.has(key)) {
+            classes.set(key, {
+                summary: event.summary,
+                location: event.location,
+                day_of_week: local.dayOfWeek,
+                start_time: minutesToTime(startMinutes),
+                end_time: minutesToTime(endMinutes),
+                occurrences: 0
+            });
+        }
+        classes.get(key).occurrences++;
+    }
+
+    const classList = [...classes.values()]
+        .sort((a, b) => a.day_of_week - b.day_of_week || a.start_time.localeCompare(b.start_time))
+        .map(cls => {
+            const subject = matchSubject(cls, subjects);
+            return { ...cls, subject_id: subject?.id || null, subject: subject?.name || null };
+        });
+
+    const dayStart = timeToMinutes(options.dayStart);
+    const dayEnd = timeToMinutes(options.dayEnd);
+    const busy = [];
+    const freeSlots = [];
+
+    for (let day = 0; day < 7; day++) {
+        const blocks = mergeIntervals(classList
+            .filter(cls => cls.day_of_week === day)
+            .map(cls => [timeToMinutes(cls.start_time), timeToMinutes(cls.end_time)]));
+        busy.push(...blocks.map(([start, end]) => ({
+            day_of_week: day, start_time: minutesToTime(start), end_time: minutesToTime(end)
+        })));
+
+        let cursor = dayStart;
+        for (const [start, end] of [...blocks, [dayEnd, dayEnd]]) {
+            const gapEnd = Math.min(start, dayEnd);
+            if (gapEnd - cursor >= options.minSlotMinutes) {
+                freeSlots.push({ day_of_week: day, start_time: minutesToTime(cursor), end_time: minutesToTime(gapEnd) });
+            }
+            cursor = Math.max(cursor, end);
+        }
+    }
+
+    return {
+        time_zone: zone,
+        start_date: startDate,
+        end_date: addDays(startDate, options.weeks * 7 - 1),
+        classes: classList,
+        busy,
+        free_slots: freeSlots,
+        warnings
+    };
+}
+
+/**
+ * Save derived free slots. With `replace` the user's existing slots are
+ * removed first; otherwise slots overlapping an existing one are skipped.
+ * With `tagSubjects`, matched subjects without a classroom get the class
+ * location. Returns { created, skipped, tagged }.
+ */
+export async function saveTimetable(userId, timetable, { replace = true, tagSubjects = false } = {}) {
+    const db = getDb();
+    let created = 0;
+    let skipped = 0;
+    let tagged = 0;
+
+    await withTransaction(async () => {
+        if (replace) await db.run('DELETE FROM free_slots WHERE user_id = ?', [userId]);
+
+        for (const slot of timetable.free_slots) {
+            const overlap = replace ? null : await db.get(
+                `SELECT id FROM free_slots
+                 WHERE user_id = ? AND day_of_week = ? AND time(start_time) < time(?) AND time(end_time) > time(?)`,
+                [userId, slot.day_of_week, slot.end_time, slot.start_time]
+            );
+            if (overlap) {
+                skipped++;
+                continue;
+            }
+            await db.run(
+                'INSERT INTO free_slots (user_id, day_of_week, start_time, end_time, is_recurring) VALUES (?, ?, ?, ?, 1)',
+                [userId, slot.day_of_week, slot.start_time, slot.end_time]
+            );
+            created++;
+        }
+
+        if (tagSubjects) {
+            for (const cls of timetable.classes) {
+                if (!cls.subject_id || !cls.location) continue;
+                const { changes } = await db.run(
+                    `UPDATE subjects SET classroom = ?, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ? AND user_id = ? AND (classroom IS NULL OR classroom = '')`,
+                    [cls.location.slice(0, 50), cls.subject_id, userId]
+                );
+                tagged += changes;
+            }
+        }
+    });
+
+    return { created, skipped, tagged };
+}
@@ -0,0 +1,98 @@
+// ============================================
+// ACHIEVEMENTS - EVALUATION AND BACKFILL
+// ============================================
+
+import { jest } from '@jest/globals';
+import { getDb } from '../db/database.js';
+import { checkAchievements, backfillAchievements, parseCriteria } from '../services/achievements.js';
+import { setupDatabase, fakeIo } from './helpers.js';
+
+let cleanup;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+});
+
+afterAll(async () => {
+    await cleanup();
+});
+
+let users = 0;
+async function createUser() {
+    users++;
+    const { lastID } = await getDb().run(
+        "INSERT INTO users (username, email, password_hash) VALUES (?, ?, 'x')",
+        [`achiever${users}`, `achiever${users}@example.com`]
+    );
+    return lastID;
+}
+
+async function completeSessions(userId, count, startTime = '12:00') {
+    for (let i = 0; i < count; i++) {
+        await getDb().run(
+            `INSERT INTO study_sessions (user_id, title, scheduled_date, start_time, end_time, duration_minutes, status)
+             VALUES (?, 'Done', '2030-01-01', ?, '23:00', 30, 'completed')`,
+            [userId, startTime]
+        );
+    }
+}
+
+const names = achievements => achievements.map(a => a.name);
+const points = async userId => (await getDb().get('SELECT points FROM users WHERE id = ?', [userId])).points;
+
+test('an event awards the achievements it completes once, with points and a notification', async () => {
+    const userId = await createUser();
+    await completeSessions(userId, 1);
+    const io = fakeIo();
+
+    expect(names(await checkAchievements(io, userId, 'session_completed'))).toEqual(['First Study Session']);
+    expect(await points(userId)).toBe(10);
+    expect(io.emitted).toEqual([expect.objectContaining({ room: `user-${userId}`, event: 'new-notification' })]);
+
+    expect(await checkAchievements(io, userId, 'session_completed')).toEqual([]);
+    expect(await points(userId)).toBe(10);
+});
+
+test('an event only checks the achievements it can move', async () => {
+    const userId = await createUser();
+    await completeSessions(userId, 1);
+    expect(await checkAchievements(null, userId, 'friend_accepted')).toEqual([]);
+    expect(names(await checkAchievements(null, userId))).toEqual(['First Study Session']);
+});
+
+test('criteria options narrow what counts', async () => {
+    const userId = await createUser();
+    await completeSessions(userId, 4, '07:00');
+    await completeSessions(userId, 1, '09:00');
+    expect(names(await checkAchievements(null, userId, 'session_completed'))).toEqual(['First Study Session']);
+
+    await completeSessions(userId, 1, '06:30');
+    expect(names(await checkAchievements(null, userId, 'session_completed'))).toEqual(['Early Bird']);
+});
+
+test('backfill awards what existing users already qualify for and can be re-run', async () => {
+    const [sharer, joiner] = [await createUser(), await createUser()];
+    const db = getDb();
+    await db.run("INSERT INTO study_materials (user_id, title, is_public) VALUES (?, 'Notes', 1)", [sharer]);
+    const { lastID: groupId } = await db.run("INSERT INTO study_groups (name, creator_id) VALUES ('Backfill', ?)", [joiner]);
+    await db.run("INSERT INTO group_members (group_id, user_id, role) VALUES (?, ?, 'creator')", [groupId, joiner]);
+
+    expect(await backfillAchievements()).toBe(2);
+    const earned = async userId => (await db.all(
+        `SELECT a.name FROM user_achievements ua JOIN achievements a ON a.id = ua.achievement_id
+         WHERE ua.user_id = ? ORDER BY a.name`,
+        [userId]
+    )).map(row => row.name);
+    expect(await earned(sharer)).toEqual(['Material Contributor']);
+    expect(await earned(joiner)).toEqual(['Group Learner']);
+
+    expect(await backfillAchievements()).toBe(0);
+});
+
+test('criteria naming an unknown metric are ignored', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parseCriteria({ id: 99, name: 'Mystery', criteria: '{"metric":"nope","min":1}' })).toBeNull();
+    expect(parseCriteria({ id: 99, name: 'Broken', criteria: '{' })).toBeNull();
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+});
@@ -0,0 +1,69 @@
+// ============================================
+// ANALYTICS ROUTES - DATE RANGES
+// ============================================
+
+import authRoutes from '../routes/auth.js';
+import analyticsRoutes from '../routes/analytics.js';
+import { setupDatabase, startApp, registerUser } from './helpers.js';
+
+let cleanup;
+let app;
+let request;
+let token;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    app = await startApp([['/api/auth', authRoutes], ['/api/analytics', analyticsRoutes]]);
+    request = app.request;
+    ({ token } = await registerUser(request, 'ana'));
+});
+
+afterAll(async () => {
+    await app.close();
+    await cleanup();
+});
+
+const get = url => request('GET', `/api/analytics${url}`, { token });
+
+describe('date ranges', () => {
+    test('default to the last 30 days up to today in the chosen zone', async () => {
+        const res = await get('/subjects?to=2030-01-31&tz=Asia/Tokyo');
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ from: '2030-01-02', to: '2030-01-31', time_zone: 'Asia/Tokyo' });
+    });
+
+    test('accept up to 366 days', async () => {
+        const res = await get('/study-hours?from=2030-01-01&to=2031-01-01');
+        expect(res.status).toBe(200);
+        expect((await get('/study-hours?from=2030-01-01&to=2031-01-02')).body.message)
+            .toBe('The range can span at most 366 days');
+    });
+
+    test('reject a reversed range, bad dates and unknown zones', async () => {
+        const reversed = await get('/productivity?from=2030-02-01&to=2030-01-01');
+        expect(reversed.status).toBe(400);
+        expect(reversed.body.message).toBe('from must not be after to');
+
+        expect((await get('/recent-activity?from=2030-1-1')).status).toBe(400);
+        expect((await get('/subjects?tz=Mars/Olympus')).status).toBe(400);
+    });
+});
+
+describe('weeks and months', () => {
+    test('a week runs Monday to Sunday around the given date', async () => {
+        const res = await get('/weekly?date=2030-01-09&tz=UTC');
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ week_start: '2030-01-07', week_end: '2030-01-13' });
+        expect(res.body.days).toHaveLength(7);
+    });
+
+    test('a month covers all its days, leap days included', async () => {
+        const res = await get('/monthly?month=2028-02');
+        expect(res.status).toBe(200);
+        expect(res.body.month).toBe('2028-02');
+        expect(res.body.days.map(day => day.date)).toEqual(
+            Array.from({ length: 29 }, (_, i) => `2028-02-${String(i + 1).padStart(2, '0')}`)
+        );
+        expect((await get('/monthly?month=2030-13')).status).toBe(400);
+    });
+});
@@ -0,0 +1,178 @@
+// ============================================
+// AUTH ROUTES
+// ============================================
+
+import crypto from 'crypto';
+import authRoutes from '../routes/auth.js';
+import { getDb } from '../db/database.js';
+import { setupDatabase, startApp, registerUser } from './helpers.js';
+
+let cleanup;
+let app;
+let request;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    app = await startApp([['/api/auth', authRoutes]]);
+    request = app.request;
+});
+
+afterAll(async () => {
+    await app.close();
+    await cleanup();
+});
+
+describe('register', () => {
+    test('creates the user and logs them in', async () => {
+        const { token, user } = await registerUser(request, 'alice');
+        expect(user).toMatchObject({ username: 'alice', email: 'alice@example.com' });
+        expect(user.password_hash).toBeUndefined();
+
+        const me = await request('GET', '/api/auth/me', { token });
+        expect(me.status).toBe(200);
+        expect(me.body.user.id).toBe(user.id);
+    });
+
+    test('rejects a taken username or email', async () => {
+        const again = await request('POST', '/api/auth/register', {
+            body: { username: 'alice', email: 'other@example.com', password: 'password123' }
+        });
+        expect(again.status).toBe(409);
+        expect(again.body.message).toBe('Username is already registered');
+    });
+
+    test('treats usernames that differ only in case as the same', async () => {
+        const shouted = await request('POST', '/api/auth/register', {
+            body: { username: 'Alice', email: 'alice2@example.com', password: 'password123' }
+        });
+        expect(shouted.status).toBe(409);
+        expect(shouted.body.message).toBe('Username is already registered');
+
+        const login = await request('POST', '/api/auth/login', { body: { email: 'Alice', password: 'password123' } });
+        expect(login.status).toBe(200);
+        expect(login.body.user.username).toBe('alice');
+    });
+
+    test('validates the input', async () => {
+        const res = await request('POST', '/api/auth/register', {
+            body: { username: 'x', email: 'not-an-email', password: 'short' }
+        });
+        expect(res.status).toBe(400);
+        expect(res.body.errors.map(e => e.path).sort()).toEqual(['email', 'password', 'username']);
+    });
+});
+
+describe('login', () => {
+    test('accepts the email or the username', async () => {
+        await registerUser(request, 'bob');
+        const byEmail = await request('POST', '/api/auth/login', {
+            body: { email: 'Bob@Example.com', password: 'password123' }
+        });
+        expect(byEmail.status).toBe(200);
+        expect(byEmail.body.token).toEqual(expect.any(String));
+
+        const byName = await request('POST', '/api/auth/login', { body: { email: 'BOB', password: 'password123' } });
+        expect(byName.status).toBe(200);
+    });
+
+    test('finds an email in the form it was registered with', async () => {
+        const res = await request('POST', '/api/auth/register', {
+            body: { username: 'john', email: 'John.Doe@gmail.com', password: 'password123' }
+        });
+        expect(res.status).toBe(201);
+
+        const login = await request('POST', '/api/auth/login', {
+            body: { email: 'John.Doe@gmail.com', password: 'password123' }
+        });
+        expect(login.status).toBe(200);
+        expect(login.body.user.username).toBe('john');
+    });
+
+    test('locks the account after repeated failures', async () => {
+        await registerUser(request, 'carol');
+        for (let i = 0; i < 5; i++) {
+            const res = await request('POST', '/api/auth/login', { body: { email: 'carol', password: 'wrong-pass' } });
+            expect(res.status).toBe(401);
+        }
+        const locked = await request('POST', '/api/auth/login', {
+            body: { email: 'carol@example.com', password: 'password123' }
+        });
+        expect(locked.status).toBe(423);
+    });
+});
+
+describe('tokens', () => {
+    test('refresh tokens mint new access tokens but are not access tokens', async () => {
+        await registerUser(request, 'dave');
+        const login = await request('POST', '/api/auth/login', { body: { email: 'dave', password: 'password123' } });
+
+        expect((await request('GET', '/api/auth/me', { token: login.body.refreshToken })).status).toBe(401);
+        const refreshed = await request('POST', '/api/auth/refresh', { body: { refreshToken: login.body.refreshToken } });
+        expect(refreshed.status).toBe(200);
+        expect((await request('GET', '/api/auth/me', { token: refreshed.body.token })).status).toBe(200);
+    });
+
+    test('logging out everywhere revokes issued tokens', async () => {
+        const { token } = await registerUser(request, 'erin');
+        const logout = await request('POST', '/api/auth/logout', { token, body: { everywhere: true } });
+        expect(logout.status).toBe(200);
+        expect((await request('GET', '/api/auth/me', { token })).status).toBe(401);
+    });
+
+    test('logging out everywhere ends cookie sessions on other devices', async () => {
+        await registerUser(request, 'frank');
+        const laptop = await request('POST', '/api/auth/login', { body: { email: 'frank', password: 'password123' } });
+        const phone = await request('POST', '/api/auth/login', { body: { email: 'frank', password: 'password123' } });
+        expect((await request('GET', '/api/auth/me', { cookie: laptop.cookie })).status).toBe(200);
+
+        await request('POST', '/api/auth/logout', { token: phone.body.token, body: { everywhere: true } });
+        expect((await request('GET', '/api/auth/me', { cookie: laptop.cookie })).status).toBe(401);
+
+        const again = await request('POST', '/api/auth/login', { body: { email: 'frank', password: 'password123' } });
+        expect((await request('GET', '/api/auth/me', { cookie: again.cookie })).status).toBe(200);
+    });
+});
+
+describe('password reset', () => {
+    const forgot = email => request('POST', '/api/auth/forgot-password', { body: { email } });
+
+    test('answers the same whether or not the email is registered', async () => {
+        await registerUser(request, 'gina');
+        const known = await forgot('gina@example.com');
+        const unknown = await forgot('nobody@example.com');
+        expect(known.status).toBe(200);
+        expect(unknown).toEqual(known);
+    });
+
+    test('sends at most three reset links an hour per address', async () => {
+        const { user } = await registerUser(request, 'hank');
+        for (let i = 0; i < 5; i++) expect((await forgot('hank@example.com')).status).toBe(200);
+        const { count } = await getDb().get('SELECT COUNT(*) AS count FROM password_resets WHERE user_id = ?', [user.id]);
+        expect(count).toBe(3);
+    });
+
+    test('a new password ends existing sessions and tokens', async () => {
+        const { token, user } = await registerUser(request, 'ivy');
+        const login = await request('POST', '/api/auth/login', { body: { email: 'ivy', password: 'password123' } });
+
+        const resetToken = crypto.randomBytes(32).toString('hex');
+        await getDb().run(
+            "INSERT INTO password_resets (user_id, token, expires_at) VALUES (?, ?, datetime('now', '+1 hour'))",
+            [user.id, crypto.createHash('sha256').update(resetToken).digest('hex')]
+        );
+        const reset = await request('POST', '/api/auth/reset-password', {
+            body: { token: resetToken, password: 'new-password1' }
+        });
+        expect(reset.status).toBe(200);
+
+        expect((await request('GET', '/api/auth/me', { cookie: login.cookie })).status).toBe(401);
+        expect((await request('GET', '/api/auth/me', { token })).status).toBe(401);
+        const again = await request('POST', '/api/auth/login', { body: { email: 'ivy', password: 'new-password1' } });
+        expect(again.status).toBe(200);
+
+        const reused = await request('POST', '/api/auth/reset-password', {
+            body: { token: resetToken, password: 'another-pass1' }
+        });
+        expect(reused.status).toBe(400);
+    });
+});
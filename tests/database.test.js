@@ -0,0 +1,99 @@
+// ============================================
+// DATA LAYER - TRANSACTIONS
+// ============================================
+
+import { getDb, withTransaction } from '../db/database.js';
+import { setupDatabase } from './helpers.js';
+
+let cleanup;
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+const values = async () => (await getDb().all('SELECT value FROM tx_test ORDER BY id')).map(row => row.value);
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    await getDb().exec('CREATE TABLE tx_test (id INTEGER PRIMARY KEY AUTOINCREMENT, value TEXT NOT NULL)');
+});
+
+afterAll(async () => {
+    await cleanup();
+});
+
+beforeEach(async () => {
+    await getDb().run('DELETE FROM tx_test');
+});
+
+test('overlapping transactions run one after another', async () => {
+    const results = await Promise.allSettled(Array.from({ length: 10 }, (_, i) => withTransaction(async db => {
+        await db.run('INSERT INTO tx_test (value) VALUES (?)', [`${i}-a`]);
+        await pause(5);
+        await db.run('INSERT INTO tx_test (value) VALUES (?)', [`${i}-b`]);
+        return i;
+    })));
+
+    expect(results.map(result => result.status)).toEqual(Array(10).fill('fulfilled'));
+    expect(results.map(result => result.value)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    // Each transaction's pair of rows is adjacent: nothing interleaved
+    const rows = await values();
+    expect(rows).toHaveLength(20);
+    for (let i = 0; i < 20; i += 2) expect(rows[i].split('-')[0]).toBe(rows[i + 1].split('-')[0]);
+});
+
+test('a rollback keeps writes made outside the transaction', async () => {
+    let entered;
+    const inside = new Promise(resolve => { entered = resolve; });
+
+    const failing = withTransaction(async db => {
+        await db.run("INSERT INTO tx_test (value) VALUES ('inside')");
+        entered();
+        await pause(20);
+        throw new Error('boom');
+    });
+    await inside;
+    const outside = getDb().run("INSERT INTO tx_test (value) VALUES ('outside')");
+
+    await expect(failing).rejects.toThrow('boom');
+    await outside;
+    expect(await values()).toEqual(['outside']);
+});
+
+test('statements from outside wait for the open transaction to commit', async () => {
+    let entered;
+    const inside = new Promise(resolve => { entered = resolve; });
+
+    const committing = withTransaction(async db => {
+        await db.run("INSERT INTO tx_test (value) VALUES ('first')");
+        entered();
+        await pause(20);
+        await db.run("INSERT INTO tx_test (value) VALUES ('second')");
+    });
+    await inside;
+    await getDb().run("INSERT INTO tx_test (value) VALUES ('third')");
+    await committing;
+
+    expect(await values()).toEqual(['first', 'second', 'third']);
+});
+
+test('a nested call joins the open transaction', async () => {
+    await expect(withTransaction(async db => {
+        await db.run("INSERT INTO tx_test (value) VALUES ('outer')");
+        await withTransaction(async inner => {
+            await inner.run("INSERT INTO tx_test (value) VALUES ('inner')");
+        });
+        throw new Error('undo both');
+    })).rejects.toThrow('undo both');
+
+    expect(await values()).toEqual([]);
+});
+
+test('statements already running finish before BEGIN', async () => {
+    const before = getDb().run("INSERT INTO tx_test (value) VALUES ('before')");
+    const failing = withTransaction(async db => {
+        await db.run("INSERT INTO tx_test (value) VALUES ('inside')");
+        throw new Error('boom');
+    });
+
+    await before;
+    await expect(failing).rejects.toThrow('boom');
+    expect(await values()).toEqual(['before']);
+});
@@ -0,0 +1,19 @@
+// ============================================
+// DECK IMPORT / EXPORT - DELIMITED TEXT
+// ============================================
+
+import { formatDelimited } from '../utils/csv.js';
+import { parseDeck } from '../services/decks.js';
+
+test('exported text cells a spreadsheet would run as a formula start with a quote', () => {
+    const text = formatDelimited([['=HYPERLINK("http://x")', '+1', '-2', '@SUM(A1)', 'a = b', 3, -4]]);
+    expect(text).toBe(`"'=HYPERLINK(""http://x"")",'+1,'-2,'@SUM(A1),a = b,3,-4\r\n`);
+});
+
+test('an exported deck imports with its cells unchanged', () => {
+    const exported = formatDelimited([['question', 'answer'], ['=1+1', '-2'], ["'quoted", '@home']]);
+    expect(parseDeck(exported, 'csv').cards).toEqual([
+        expect.objectContaining({ question: '=1+1', answer: '-2' }),
+        expect.objectContaining({ question: "'quoted", answer: '@home' })
+    ]);
+});
@@ -0,0 +1,97 @@
+// ============================================
+// FLASHCARDS - SPACED REPETITION
+// ============================================
+
+import authRoutes from '../routes/auth.js';
+import flashcardRoutes from '../routes/flashcards.js';
+import { getDb } from '../db/database.js';
+import { scheduleReview, parseGrade, SRS_DEFAULTS } from '../services/srs.js';
+import { setupDatabase, startApp, registerUser } from './helpers.js';
+
+describe('scheduleReview', () => {
+    const now = new Date('2030-01-01T12:00:00Z');
+    const fresh = { ease_factor: 2.5, interval_days: 0, repetitions: 0, lapses: 0 };
+
+    test('successful reviews space out 1 day, 6 days, then by the ease factor', () => {
+        const first = scheduleReview(fresh, 4, now);
+        expect(first).toMatchObject({ interval_days: 1, repetitions: 1, next_review: '2030-01-02 12:00:00' });
+        const second = scheduleReview(first, 4, now);
+        expect(second).toMatchObject({ interval_days: 6, repetitions: 2 });
+        const third = scheduleReview(second, 4, now);
+        expect(third.interval_days).toBe(Math.round(6 * third.ease_factor));
+    });
+
+    test('a lapse restarts the card and brings it back in the same sitting', () => {
+        const learnt = { ease_factor: 2.5, interval_days: 15, repetitions: 3, lapses: 0 };
+        const failed = scheduleReview(learnt, 1, now);
+        expect(failed).toMatchObject({ interval_days: 0, repetitions: 0, lapses: 1, next_review: '2030-01-01 12:10:00' });
+        expect(failed.ease_factor).toBeLessThan(2.5);
+    });
+
+    test('the ease factor never drops below the minimum', () => {
+        let card = fresh;
+        for (let i = 0; i < 20; i++) card = scheduleReview(card, 0, now);
+        expect(card.ease_factor).toBe(SRS_DEFAULTS.minEaseFactor);
+    });
+
+    test('intervals are capped', () => {
+        const mature = { ease_factor: 2.5, interval_days: 300, repetitions: 10, lapses: 0 };
+        expect(scheduleReview(mature, 5, now).interval_days).toBe(SRS_DEFAULTS.maxIntervalDays);
+    });
+
+    test('grades are numbers 0-5 or button names', () => {
+        expect(parseGrade('Easy')).toBe(5);
+        expect(parseGrade('3')).toBe(3);
+        expect([6, -1, 2.5, '', null, true, 'meh'].map(parseGrade)).toEqual(Array(7).fill(null));
+    });
+});
+
+describe('reviews', () => {
+    let cleanup;
+    let app;
+    let request;
+    let token;
+
+    beforeAll(async () => {
+        cleanup = await setupDatabase();
+        app = await startApp([['/api/auth', authRoutes], ['/api/flashcards', flashcardRoutes]]);
+        request = app.request;
+        ({ token } = await registerUser(request, 'rita'));
+    });
+
+    afterAll(async () => {
+        await app.close();
+        await cleanup();
+    });
+
+    const createCard = async () => {
+        const res = await request('POST', '/api/flashcards', { token, body: { question: 'Q', answer: 'A' } });
+        expect(res.status).toBe(201);
+        return res.body.flashcard.id;
+    };
+
+    test('a review reschedules the card and is logged', async () => {
+        const id = await createCard();
+        const res = await request('POST', `/api/flashcards/${id}/review`, { token, body: { grade: 'good' } });
+        expect(res.status).toBe(200);
+        expect(res.body.flashcard).toMatchObject({ interval_days: 1, repetitions: 1, times_reviewed: 1 });
+
+        const invalid = await request('POST', `/api/flashcards/${id}/review`, { token, body: { grade: 9 } });
+        expect(invalid.status).toBe(400);
+        const missing = await request('POST', '/api/flashcards/999999/review', { token, body: { grade: 4 } });
+        expect(missing.status).toBe(404);
+    });
+
+    test('reviews sent at the same time all succeed and each builds on the last', async () => {
+        const id = await createCard();
+        const results = await Promise.all(Array.from({ length: 10 }, () => request(
+            'POST', `/api/flashcards/${id}/review`, { token, body: { grade: 4 } }
+        )));
+        expect(results.map(res => res.status)).toEqual(Array(10).fill(200));
+
+        const card = await getDb().get('SELECT repetitions, times_reviewed FROM flashcards WHERE id = ?', [id]);
+        expect(card).toEqual({ repetitions: 10, times_reviewed: 10 });
+        const { count } = await getDb().get('SELECT COUNT(*) AS count FROM flashcard_reviews WHERE flashcard_id = ?', [id]);
+        expect(count).toBe(10);
+    });
+});
@@ -0,0 +1,123 @@
+// ============================================
+// FRIENDSHIPS AND BLOCKING
+// ============================================
+
+import authRoutes from '../routes/auth.js';
+import userRoutes from '../routes/users.js';
+import { sendMessage, relayTyping } from '../services/messages.js';
+import { setupDatabase, startApp, registerUser, fakeIo } from './helpers.js';
+
+let cleanup;
+let app;
+let request;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    app = await startApp([['/api/auth', authRoutes], ['/api/users', userRoutes]]);
+    request = app.request;
+});
+
+afterAll(async () => {
+    await app.close();
+    await cleanup();
+});
+
+const friendship = (user, other) => request('GET', `/api/users/${other.user.id}/friendship`, { token: user.token })
+    .then(res => res.body);
+const ask = (user, other) => request('POST', `/api/users/${other.user.id}/friend-request`, { token: user.token });
+const block = (user, other) => request('POST', `/api/users/${other.user.id}/block`, { token: user.token });
+
+describe('friend requests', () => {
+    test('an accepted request makes both users friends', async () => {
+        const amy = await registerUser(request, 'amy');
+        const bea = await registerUser(request, 'bea');
+
+        expect((await ask(amy, bea)).status).toBe(201);
+        expect(await friendship(amy, bea)).toMatchObject({ status: 'pending', direction: 'outgoing' });
+        expect(await friendship(bea, amy)).toMatchObject({ status: 'pending', direction: 'incoming' });
+        expect((await ask(amy, bea)).status).toBe(409);
+
+        const accepted = await request('POST', `/api/users/${amy.user.id}/friend-request/accept`, { token: bea.token });
+        expect(accepted.status).toBe(200);
+        const friends = await request('GET', '/api/users/friends', { token: amy.token });
+        expect(friends.body.friends.map(f => f.id)).toEqual([bea.user.id]);
+    });
+
+    test('asking someone who already asked you accepts their request', async () => {
+        const cat = await registerUser(request, 'cat');
+        const dan = await registerUser(request, 'dan');
+        await ask(cat, dan);
+        const crossed = await ask(dan, cat);
+        expect(crossed.status).toBe(200);
+        expect(crossed.body.status).toBe('accepted');
+    });
+
+    test("a declined request can't be sent again, but the decliner can still ask", async () => {
+        const eli = await registerUser(request, 'eli');
+        const fox = await registerUser(request, 'fox');
+        await ask(eli, fox);
+        await request('POST', `/api/users/${eli.user.id}/friend-request/decline`, { token: fox.token });
+
+        expect((await ask(eli, fox)).status).toBe(409);
+        expect((await ask(fox, eli)).status).toBe(201);
+    });
+});
+
+describe('blocking', () => {
+    test('ends the friendship and stops requests and messages both ways', async () => {
+        const gus = await registerUser(request, 'gus');
+        const hal = await registerUser(request, 'hal');
+        await ask(gus, hal);
+        await ask(hal, gus);
+
+        expect((await block(gus, hal)).status).toBe(200);
+        expect((await request('GET', '/api/users/friends', { token: hal.token })).body.friends).toEqual([]);
+        // Only the blocker sees the block
+        expect(await friendship(gus, hal)).toMatchObject({ status: 'blocked' });
+        expect(await friendship(hal, gus)).toMatchObject({ status: 'none' });
+
+        expect((await ask(hal, gus)).status).toBe(403);
+        expect(await sendMessage(null, hal.user.id, gus.user.id, 'hello?')).toEqual({ error: "You can't message this user" });
+        expect(await sendMessage(null, gus.user.id, hal.user.id, 'bye')).toEqual({ error: "You can't message this user" });
+
+        expect((await request('DELETE', `/api/users/${gus.user.id}/block`, { token: hal.token })).status).toBe(404);
+        expect((await request('DELETE', `/api/users/${hal.user.id}/block`, { token: gus.token })).status).toBe(200);
+        expect((await sendMessage(null, hal.user.id, gus.user.id, 'hello again')).message).toBeDefined();
+    });
+
+    test("when both block each other, one lifting their block leaves the other's in place", async () => {
+        const kim = await registerUser(request, 'kim');
+        const lee = await registerUser(request, 'lee');
+
+        expect((await block(kim, lee)).status).toBe(200);
+        expect((await block(lee, kim)).status).toBe(200);
+        expect(await friendship(lee, kim)).toMatchObject({ status: 'blocked' });
+        const blocked = await request('GET', '/api/users/blocked', { token: lee.token });
+        expect(blocked.body.users.map(u => u.id)).toEqual([kim.user.id]);
+
+        expect((await request('DELETE', `/api/users/${lee.user.id}/block`, { token: kim.token })).status).toBe(200);
+        expect(await friendship(kim, lee)).toMatchObject({ status: 'none' });
+        expect(await friendship(lee, kim)).toMatchObject({ status: 'blocked' });
+        expect((await ask(kim, lee)).status).toBe(403);
+        expect(await sendMessage(null, kim.user.id, lee.user.id, 'truce?')).toEqual({ error: "You can't message this user" });
+
+        expect((await request('DELETE', `/api/users/${kim.user.id}/block`, { token: lee.token })).status).toBe(200);
+        expect((await ask(kim, lee)).status).toBe(201);
+    });
+
+    test('typing indicators are not passed on between blocked users', async () => {
+        const ida = await registerUser(request, 'ida');
+        const jon = await registerUser(request, 'jon');
+        const socket = fakeIo();
+
+        expect(await relayTyping(socket, ida.user.id, jon.user.id, true)).toBe(true);
+        expect(socket.emitted).toEqual([
+            { room: `user-${jon.user.id}`, event: 'user-typing', data: { senderId: ida.user.id, isTyping: true } }
+        ]);
+
+        await block(jon, ida);
+        expect(await relayTyping(socket, ida.user.id, jon.user.id, true)).toBe(false);
+        expect(await relayTyping(socket, jon.user.id, ida.user.id, true)).toBe(false);
+        expect(socket.emitted).toHaveLength(1);
+    });
+});
@@ -0,0 +1,192 @@
+// ============================================
+// GROUP CHAT - FILTER, PINS, ALERTS AND MODERATION
+// ============================================
+
+import authRoutes from '../routes/auth.js';
+import groupRoutes from '../routes/groups.js';
+import groupMessageRoutes from '../routes/groupMessages.js';
+import { setupDatabase, startApp, registerUser, fakeIo } from './helpers.js';
+
+let cleanup;
+let app;
+let request;
+let io;
+let owner;
+let member;
+let groupId;
+let count = 0;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    app = await startApp([
+        ['/api/auth', authRoutes],
+        ['/api/groups', groupRoutes],
+        ['/api/group-messages', groupMessageRoutes]
+    ]);
+    request = app.request;
+    io = fakeIo();
+    app.app.set('io', io);
+});
+
+afterAll(async () => {
+    await app.close();
+    await cleanup();
+});
+
+beforeEach(async () => {
+    count++;
+    owner = await registerUser(request, `owner${count}`);
+    member = await registerUser(request, `member${count}`);
+    const created = await request('POST', '/api/groups', { token: owner.token, body: { name: 'Chemistry' } });
+    groupId = created.body.group.id;
+    await request('POST', `/api/groups/${groupId}/join`, { token: member.token });
+});
+
+const post = user => request('POST', '/api/group-messages', { token: user.token, body: { group_id: groupId, content: 'hi' } });
+const join = user => request('POST', `/api/groups/${groupId}/join`, { token: user.token });
+const leave = user => request('POST', `/api/groups/${groupId}/leave`, { token: user.token });
+const say = (user, content) => request('POST', '/api/group-messages', {
+    token: user.token, body: { group_id: groupId, content }
+});
+const moderationLog = () => request('GET', `/api/groups/${groupId}/moderation-log`, { token: owner.token })
+    .then(res => res.body.entries);
+
+// ========== WORD FILTER ==========
+
+test('a masking filter stars out whole filtered words and phrases in any case', async () => {
+    const set = await request('PUT', `/api/groups/${groupId}/chat-filter`, {
+        token: owner.token, body: { words: ['Darn', 'bad word'] }
+    });
+    expect(set.body.filter).toEqual({ words: ['darn', 'bad word'], action: 'mask' });
+
+    const res = await say(member, 'DARN it, a bad  word, but darned is fine');
+    expect(res.status).toBe(201);
+    expect(res.body.message.content).toBe('**** it, a ***  ****, but darned is fine');
+
+    const edited = await request('PUT', `/api/group-messages/${res.body.message.id}`, {
+        token: member.token, body: { content: 'darn again' }
+    });
+    expect(edited.body.message.content).toBe('**** again');
+});
+
+test('a rejecting filter refuses posts and edits that use a filtered word', async () => {
+    await request('PUT', `/api/groups/${groupId}/chat-filter`, {
+        token: owner.token, body: { words: ['darn'], action: 'reject' }
+    });
+    const refused = await say(member, 'oh darn');
+    expect(refused.status).toBe(400);
+    expect(refused.body.message).toMatch(/rules/);
+
+    const posted = await say(member, 'oh dear');
+    expect(posted.status).toBe(201);
+    const edit = await request('PUT', `/api/group-messages/${posted.body.message.id}`, {
+        token: member.token, body: { content: 'oh darn' }
+    });
+    expect(edit.status).toBe(400);
+});
+
+// ========== PINS AND THE AUDIT LOG ==========
+
+test('moderators pin and unpin messages, and each change is logged', async () => {
+    const { id } = (await say(member, 'exam is on Friday')).body.message;
+    expect((await request('PUT', `/api/group-messages/${id}/pin`, { token: member.token })).status).toBe(403);
+
+    const pinned = await request('PUT', `/api/group-messages/${id}/pin`, { token: owner.token });
+    expect(pinned.body.message).toMatchObject({ id, is_pinned: true, pinned_by: owner.user.id });
+    const list = await request('GET', `/api/group-messages/pinned?group_id=${groupId}`, { token: member.token });
+    expect(list.body.messages.map(m => m.id)).toEqual([id]);
+
+    expect((await request('DELETE', `/api/group-messages/${id}/pin`, { token: owner.token })).status).toBe(200);
+    const after = await request('GET', `/api/group-messages/pinned?group_id=${groupId}`, { token: member.token });
+    expect(after.body.messages).toEqual([]);
+
+    const log = await moderationLog();
+    expect(log.map(entry => [entry.action, entry.message_id, entry.actor_id])).toEqual([
+        ['unpin', id, owner.user.id],
+        ['pin', id, owner.user.id]
+    ]);
+});
+
+test('edits keep the previous wording and deletes the content in the moderation log', async () => {
+    const { id } = (await say(member, 'first draft')).body.message;
+    await request('PUT', `/api/group-messages/${id}`, { token: member.token, body: { content: 'second draft' } });
+    const removed = await request('DELETE', `/api/group-messages/${id}`, { token: owner.token });
+    expect(removed.status).toBe(200);
+
+    const log = await moderationLog();
+    expect(log.map(({ action, message_id, actor_id, target_user_id, details }) => ({
+        action, message_id, actor_id, target_user_id, details
+    }))).toEqual([
+        { action: 'delete', message_id: id, actor_id: owner.user.id, target_user_id: member.user.id,
+            details: { content: 'second draft' } },
+        { action: 'edit', message_id: id, actor_id: member.user.id, target_user_id: member.user.id,
+            details: { previous: 'first draft' } }
+    ]);
+
+    const history = await request('GET', `/api/group-messages?group_id=${groupId}`, { token: member.token });
+    expect(history.body.messages).toEqual([expect.objectContaining({ id, content: null, is_deleted: true })]);
+});
+
+// ========== ALERTS ==========
+
+test('only members who chose every message get an alert for one that names nobody', async () => {
+    const quiet = await registerUser(request, `quiet${count}`);
+    const picky = await registerUser(request, `picky${count}`);
+    await join(quiet);
+    await join(picky);
+    const prefer = (user, preference) => request('PUT', `/api/groups/${groupId}/notifications`, {
+        token: user.token, body: { preference }
+    });
+    expect((await prefer(quiet, 'none')).status).toBe(200);
+    expect((await prefer(picky, 'mentions')).status).toBe(200);
+    expect((await prefer(member, 'sometimes')).status).toBe(400);
+
+    io.emitted.length = 0;
+    await say(owner, 'meeting moved to 5pm');
+    const alerted = io.emitted.filter(e => e.event === 'group-message-alert').map(e => e.room);
+    expect(alerted).toEqual([`user-${member.user.id}`]);
+});
+
+test('a mute stops posting and still holds after leaving and rejoining', async () => {
+    const muted = await request('POST', `/api/groups/${groupId}/members/${member.user.id}/mute`, {
+        token: owner.token, body: { minutes: 60 }
+    });
+    expect(muted.status).toBe(200);
+    expect((await post(member)).status).toBe(403);
+
+    expect((await leave(member)).status).toBe(200);
+    expect((await join(member)).status).toBe(200);
+    const again = await post(member);
+    expect(again.status).toBe(403);
+    expect(again.body.message).toMatch(/muted/);
+
+    const members = await request('GET', `/api/groups/${groupId}/members`, { token: owner.token });
+    expect(members.body.members.find(m => m.id === member.user.id)).toMatchObject({ is_muted: true });
+});
+
+test('unmuting lets the member post again', async () => {
+    await request('POST', `/api/groups/${groupId}/members/${member.user.id}/mute`, { token: owner.token });
+    expect((await post(member)).status).toBe(403);
+
+    expect((await request('DELETE', `/api/groups/${groupId}/members/${member.user.id}/mute`, { token: owner.token }))
+        .status).toBe(200);
+    expect((await post(member)).status).toBe(201);
+});
+
+test('a kicked member can neither rejoin nor post', async () => {
+    const kicked = await request('DELETE', `/api/groups/${groupId}/members/${member.user.id}`, { token: owner.token });
+    expect(kicked.status).toBe(200);
+
+    const rejoin = await join(member);
+    expect(rejoin.status).toBe(403);
+    const code = (await request('GET', `/api/groups/${groupId}`, { token: owner.token })).body.group.invite_code;
+    expect((await request('POST', '/api/groups/join', { token: member.token, body: { invite_code: code } })).status)
+        .toBe(403);
+    expect((await post(member)).status).toBe(403);
+});
+
+test('a member who left of their own accord can come back', async () => {
+    await leave(member);
+    expect((await join(member)).status).toBe(200);
+    expect((await post(member)).status).toBe(201);
+});
@@ -0,0 +1,171 @@
+// ============================================
+// GROUP SESSION ROUTES - RSVPS, WAITLIST AND ACCESS
+// ============================================
+
+import authRoutes from '../routes/auth.js';
+import groupRoutes from '../routes/groups.js';
+import groupSessionRoutes from '../routes/groupSessions.js';
+import roomRoutes from '../routes/rooms.js';
+import { getDb } from '../db/database.js';
+import { setupDatabase, startApp, registerUser } from './helpers.js';
+
+let cleanup;
+let app;
+let request;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    app = await startApp([
+        ['/api/auth', authRoutes],
+        ['/api/groups', groupRoutes],
+        ['/api/group-sessions', groupSessionRoutes],
+        ['/api/rooms', roomRoutes]
+    ]);
+    request = app.request;
+});
+
+afterAll(async () => {
+    await app.close();
+    await cleanup();
+});
+
+const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+// A group owned by the first user that everyone else has joined
+async function groupOf(...names) {
+    const users = [];
+    for (const name of names) users.push(await registerUser(request, name));
+    const [owner, ...members] = users;
+    const created = await request('POST', '/api/groups', { token: owner.token, body: { name: `${names[0]}'s group` } });
+    const groupId = created.body.group.id;
+    for (const member of members) {
+        expect((await request('POST', `/api/groups/${groupId}/join`, { token: member.token })).status).toBe(200);
+    }
+    return { groupId, users };
+}
+
+async function scheduleSession(owner, groupId, body = {}) {
+    const res = await request('POST', '/api/group-sessions', {
+        token: owner.token,
+        body: { group_id: groupId, title: 'Revision', scheduled_for: tomorrow(), ...body }
+    });
+    expect(res.status).toBe(201);
+    return res.body.session.id;
+}
+
+const rsvp = (user, sessionId, status) => request('PUT', `/api/group-sessions/${sessionId}/rsvp`, {
+    token: user.token, body: { status }
+});
+
+describe('RSVPs', () => {
+    test('seats go first come first served and the waitlist moves up in order', async () => {
+        const { groupId, users: [owner, ann, ben, cal] } = await groupOf('sid', 'ann', 'ben', 'cal');
+        const sessionId = await scheduleSession(owner, groupId, { max_participants: 2 });
+
+        expect((await rsvp(ann, sessionId, 'accepted')).body.rsvp).toBe('accepted');
+        expect((await rsvp(ben, sessionId, 'accepted')).body.rsvp).toBe('waitlisted');
+        expect((await rsvp(cal, sessionId, 'accepted')).body.rsvp).toBe('waitlisted');
+        // Accepting again keeps the place in line
+        expect((await rsvp(ben, sessionId, 'accepted')).body.rsvp).toBe('waitlisted');
+
+        const declined = await rsvp(ann, sessionId, 'declined');
+        expect(declined.body.promoted).toEqual([ben.user.id]);
+        expect(declined.body.session).toMatchObject({ seats_taken: 2, seats_left: 0, waitlist_count: 1 });
+
+        // Answering maybe doesn't hold a seat
+        const maybe = await rsvp(ben, sessionId, 'maybe');
+        expect(maybe.body.promoted).toEqual([cal.user.id]);
+        expect(maybe.body.session).toMatchObject({ seats_taken: 2, waitlist_count: 0, maybe_count: 1 });
+    });
+
+    test('raising the limit seats people from the waitlist', async () => {
+        const { groupId, users: [owner, dee, eve] } = await groupOf('tom', 'dee', 'eve');
+        const sessionId = await scheduleSession(owner, groupId, { max_participants: 1 });
+        await rsvp(dee, sessionId, 'accepted');
+        await rsvp(eve, sessionId, 'accepted');
+
+        const raised = await request('PUT', `/api/group-sessions/${sessionId}`, {
+            token: owner.token, body: { title: 'Revision', scheduled_for: tomorrow(), max_participants: 2 }
+        });
+        expect(raised.status).toBe(200);
+        expect(raised.body.promoted).toEqual([dee.user.id]);
+        expect(raised.body.session).toMatchObject({ seats_taken: 2, waitlist_count: 1 });
+    });
+
+    test('members racing for the last seat get exactly one', async () => {
+        const names = ['uli', 'ada', 'bob', 'cyd', 'dot', 'eli'];
+        const { groupId, users: [owner, ...members] } = await groupOf(...names);
+        const sessionId = await scheduleSession(owner, groupId, { max_participants: 2 });
+
+        const answers = await Promise.all(members.map(member => rsvp(member, sessionId, 'accepted')));
+        expect(answers.map(res => res.body.rsvp).sort()).toEqual(['accepted', ...Array(4).fill('waitlisted')]);
+        const { current_participants: seats } = await getDb().get(
+            'SELECT current_participants FROM group_sessions WHERE id = ?', [sessionId]
+        );
+        expect(seats).toBe(2);
+    });
+
+    test('only sessions that are still on take answers', async () => {
+        const { groupId, users: [owner, fin] } = await groupOf('val', 'fin');
+        const sessionId = await scheduleSession(owner, groupId);
+        expect((await rsvp(fin, sessionId, 'going')).status).toBe(400);
+
+        await request('POST', `/api/group-sessions/${sessionId}/cancel`, { token: owner.token });
+        expect((await rsvp(fin, sessionId, 'accepted')).status).toBe(409);
+    });
+});
+
+describe('removed members', () => {
+    test('lose their seat, which goes to the waitlist, and can no longer see the session', async () => {
+        const { groupId, users: [owner, kicked, waiting] } = await groupOf('olga', 'ken', 'wes');
+        const sessionId = await scheduleSession(owner, groupId, { max_participants: 2 });
+        expect((await rsvp(kicked, sessionId, 'accepted')).body.rsvp).toBe('accepted');
+        expect((await rsvp(waiting, sessionId, 'accepted')).body.rsvp).toBe('waitlisted');
+
+        const removed = await request('DELETE', `/api/groups/${groupId}/members/${kicked.user.id}`, { token: owner.token });
+        expect(removed.status).toBe(200);
+
+        expect(await getDb().get('SELECT * FROM session_participants WHERE session_id = ? AND user_id = ?',
+            [sessionId, kicked.user.id])).toBeUndefined();
+        const session = await request('GET', `/api/group-sessions/${sessionId}`, { token: waiting.token });
+        expect(session.body.session).toMatchObject({ my_rsvp: 'accepted', seats_taken: 2 });
+
+        expect((await request('GET', `/api/group-sessions/${sessionId}`, { token: kicked.token })).status).toBe(404);
+        expect((await rsvp(kicked, sessionId, 'accepted')).status).toBe(404);
+        expect((await request('POST', `/api/group-sessions/${sessionId}/check-in`, { token: kicked.token })).status)
+            .toBe(404);
+    });
+
+    test("a former member's leftover RSVP doesn't open the session or its room", async () => {
+        const { groupId, users: [owner, leaver] } = await groupOf('pia', 'lou');
+        const sessionId = await scheduleSession(owner, groupId);
+        const room = await request('POST', '/api/rooms', { token: owner.token, body: { group_session_id: sessionId } });
+        expect(room.status).toBe(201);
+        await rsvp(leaver, sessionId, 'accepted');
+
+        // As if the row had survived the removal
+        await getDb().run('DELETE FROM group_members WHERE group_id = ? AND user_id = ?', [groupId, leaver.user.id]);
+        expect((await request('GET', `/api/group-sessions/${sessionId}`, { token: leaver.token })).status).toBe(404);
+        expect((await request('GET', `/api/rooms/${room.body.room.id}`, { token: leaver.token })).status).toBe(404);
+    });
+
+    test('friends invited to a room still get in without joining the group', async () => {
+        const { groupId, users: [owner] } = await groupOf('rex');
+        const friend = await registerUser(request, 'fay');
+        await getDb().run(
+            "INSERT INTO friendships (user_id1, user_id2, status, action_user_id) VALUES (?, ?, 'accepted', ?)",
+            [owner.user.id, friend.user.id, owner.user.id]
+        );
+        const sessionId = await scheduleSession(owner, groupId);
+        const room = await request('POST', '/api/rooms', {
+            token: owner.token, body: { group_session_id: sessionId, invite: [friend.user.id] }
+        });
+        expect(room.body.invited).toEqual([friend.user.id]);
+
+        expect((await request('GET', `/api/rooms/${room.body.room.id}`, { token: friend.token })).status).toBe(200);
+        expect((await request('GET', `/api/group-sessions/${sessionId}`, { token: friend.token })).status).toBe(200);
+        expect((await rsvp(friend, sessionId, 'accepted')).body.rsvp).toBe('accepted');
+        expect((await request('GET', '/api/rooms', { token: friend.token })).body.rooms.map(r => r.id))
+            .toEqual([room.body.room.id]);
+    });
+});
@@ -0,0 +1,137 @@
+// ============================================
+// GROUP CHAT - THREADS AND MENTIONS
+// ============================================
+
+import authRoutes from '../routes/auth.js';
+import groupRoutes from '../routes/groups.js';
+import groupMessageRoutes from '../routes/groupMessages.js';
+import { getDb } from '../db/database.js';
+import { mentionedMembers } from '../services/groupChat.js';
+import { setupDatabase, startApp, registerUser, fakeIo } from './helpers.js';
+
+let cleanup;
+let app;
+let request;
+let io;
+let owner;
+let groupId;
+let count = 0;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    app = await startApp([
+        ['/api/auth', authRoutes],
+        ['/api/groups', groupRoutes],
+        ['/api/group-messages', groupMessageRoutes]
+    ]);
+    request = app.request;
+    io = fakeIo();
+    app.app.set('io', io);
+});
+
+afterAll(async () => {
+    await app.close();
+    await cleanup();
+});
+
+beforeEach(async () => {
+    count++;
+    owner = await registerUser(request, `owner${count}`);
+    const created = await request('POST', '/api/groups', { token: owner.token, body: { name: 'Physics' } });
+    groupId = created.body.group.id;
+});
+
+async function joinAs(name) {
+    const user = await registerUser(request, `${name}${count}`);
+    await request('POST', `/api/groups/${groupId}/join`, { token: user.token });
+    return user;
+}
+
+async function say(user, content, replyTo) {
+    const res = await request('POST', '/api/group-messages', {
+        token: user.token, body: { group_id: groupId, content, reply_to: replyTo }
+    });
+    expect(res.status).toBe(201);
+    return res.body.message;
+}
+
+const mentionsOf = user => getDb().all(
+    "SELECT related_id FROM notifications WHERE user_id = ? AND type = 'group_mention'", [user.user.id]
+).then(rows => rows.map(row => row.related_id));
+
+// ========== THREADS ==========
+
+test('a reply to a reply joins the thread of the message that started it', async () => {
+    const root = await say(owner, 'who has the lab notes?');
+    const reply = await say(owner, 'I do', root.id);
+    const nested = await say(owner, 'can you share them?', reply.id);
+    expect(reply.parent_id).toBe(root.id);
+    expect(nested.parent_id).toBe(root.id);
+
+    const history = await request('GET', `/api/group-messages?group_id=${groupId}`, { token: owner.token });
+    expect(history.body.messages.map(m => [m.id, m.reply_count])).toEqual([[root.id, 2]]);
+});
+
+test('the thread view pages the replies under the message that started it', async () => {
+    const root = await say(owner, 'revision plan');
+    const replies = [];
+    for (const content of ['week 1', 'week 2', 'week 3']) replies.push((await say(owner, content, root.id)).id);
+
+    const thread = (id, query = '') => request('GET', `/api/group-messages/${id}/thread${query}`, { token: owner.token })
+        .then(res => res.body);
+    const latest = await thread(replies[0], '?limit=2');
+    expect(latest.root).toMatchObject({ id: root.id, reply_count: 3 });
+    expect(latest.messages.map(m => m.id)).toEqual(replies.slice(1));
+    const earlier = await thread(root.id, `?limit=2&before=${latest.next_before}`);
+    expect(earlier.messages.map(m => m.id)).toEqual([replies[0]]);
+    expect(earlier.next_before).toBeNull();
+});
+
+test('replies to deleted messages or to another group are refused', async () => {
+    const gone = await say(owner, 'wrong chat');
+    await request('DELETE', `/api/group-messages/${gone.id}`, { token: owner.token });
+    const other = await request('POST', '/api/groups', { token: owner.token, body: { name: 'Biology' } });
+    const elsewhere = await request('POST', '/api/group-messages', {
+        token: owner.token, body: { group_id: other.body.group.id, content: 'hello' }
+    });
+
+    for (const replyTo of [gone.id, elsewhere.body.message.id]) {
+        const res = await request('POST', '/api/group-messages', {
+            token: owner.token, body: { group_id: groupId, content: 'reply', reply_to: replyTo }
+        });
+        expect(res.status).toBe(404);
+    }
+});
+
+// ========== MENTIONS ==========
+
+test('a mention notifies members who want every message or mentions, but not those who want none', async () => {
+    const [all, mentions, none] = [await joinAs('all'), await joinAs('ment'), await joinAs('none')];
+    for (const [user, preference] of [[mentions, 'mentions'], [none, 'none']]) {
+        await request('PUT', `/api/groups/${groupId}/notifications`, { token: user.token, body: { preference } });
+    }
+    const outsider = await registerUser(request, `out${count}`);
+
+    io.emitted.length = 0;
+    const names = [all, mentions, none, outsider, owner].map(user => `@${user.user.username.toUpperCase()}`);
+    const message = await say(owner, `notes are up ${names.join(' ')}`);
+
+    expect(await mentionsOf(all)).toEqual([message.id]);
+    expect(await mentionsOf(mentions)).toEqual([message.id]);
+    expect(await mentionsOf(none)).toEqual([]);
+    expect(await mentionsOf(outsider)).toEqual([]);
+    expect(await mentionsOf(owner)).toEqual([]);
+    // A member who was named gets the notification instead of the plain alert
+    expect(io.emitted.filter(e => e.event === 'group-message-alert')).toEqual([]);
+});
+
+test('an email address is not a mention of the member named like its domain', async () => {
+    const maths = await joinAs('maths');
+    const name = maths.user.username;
+    expect(await mentionedMembers(groupId, `mail tutor@${name}.org or me@${name}`)).toEqual([]);
+    expect(await mentionedMembers(groupId, `(@${name}) and @${name}, again`))
+        .toEqual([{ id: maths.user.id, username: name }]);
+
+    await say(owner, `write to tutor@${name}.org`);
+    expect(await mentionsOf(maths)).toEqual([]);
+});
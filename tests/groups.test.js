@@ -0,0 +1,106 @@
+// ============================================
+// STUDY GROUP ROUTES - JOINING AND OWNERSHIP
+// ============================================
+
+import authRoutes from '../routes/auth.js';
+import groupRoutes from '../routes/groups.js';
+import { getDb } from '../db/database.js';
+import { setupDatabase, startApp, registerUser } from './helpers.js';
+
+let cleanup;
+let app;
+let request;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    app = await startApp([['/api/auth', authRoutes], ['/api/groups', groupRoutes]]);
+    request = app.request;
+});
+
+afterAll(async () => {
+    await app.close();
+    await cleanup();
+});
+
+async function createGroup(owner, body = {}) {
+    const res = await request('POST', '/api/groups', { token: owner.token, body: { name: 'Study buddies', ...body } });
+    expect(res.status).toBe(201);
+    return res.body.group;
+}
+
+const joinById = (user, groupId) => request('POST', `/api/groups/${groupId}/join`, { token: user.token });
+const joinByCode = (user, code) => request('POST', '/api/groups/join', { token: user.token, body: { invite_code: code } });
+const leave = (user, groupId) => request('POST', `/api/groups/${groupId}/leave`, { token: user.token });
+
+describe('joining', () => {
+    test('private groups are joined with the invite code, which can be rotated', async () => {
+        const owner = await registerUser(request, 'quinn');
+        const [first, second] = [await registerUser(request, 'ravi'), await registerUser(request, 'sana')];
+        const group = await createGroup(owner, { is_public: false });
+
+        expect((await joinById(first, group.id)).status).toBe(404);
+        expect((await joinByCode(first, group.invite_code.toLowerCase())).status).toBe(200);
+        expect((await joinByCode(first, group.invite_code)).status).toBe(409);
+
+        const rotated = await request('POST', `/api/groups/${group.id}/invite-code`, { token: owner.token });
+        expect(rotated.status).toBe(200);
+        expect((await joinByCode(second, group.invite_code)).status).toBe(404);
+        expect((await joinByCode(second, rotated.body.invite_code)).status).toBe(200);
+    });
+
+    test('a full group turns people away, also when they arrive together', async () => {
+        const owner = await registerUser(request, 'tara');
+        const group = await createGroup(owner, { max_members: 3 });
+        const joiners = [];
+        for (const name of ['uma', 'vic', 'wyn', 'xan']) joiners.push(await registerUser(request, name));
+
+        const results = await Promise.all(joiners.map(user => joinById(user, group.id)));
+        expect(results.map(res => res.status).sort()).toEqual([200, 200, 409, 409]);
+        expect(results.find(res => res.status === 409).body.message).toBe('This group is full');
+
+        const { count } = await getDb().get('SELECT COUNT(*) AS count FROM group_members WHERE group_id = ?', [group.id]);
+        expect(count).toBe(3);
+    });
+
+    test("archived groups can't be joined", async () => {
+        const owner = await registerUser(request, 'yara');
+        const joiner = await registerUser(request, 'zeke');
+        const group = await createGroup(owner);
+        await request('POST', `/api/groups/${group.id}/archive`, { token: owner.token });
+
+        expect((await joinByCode(joiner, group.invite_code)).status).toBe(404);
+        expect((await joinById(joiner, group.id)).status).toBe(404);
+    });
+});
+
+describe('creator succession', () => {
+    test('a co-creator takes over from a creator who leaves, before longer-standing members', async () => {
+        const owner = await registerUser(request, 'abe');
+        const [veteran, deputy] = [await registerUser(request, 'bev'), await registerUser(request, 'cal')];
+        const group = await createGroup(owner);
+        await joinById(veteran, group.id);
+        await joinById(deputy, group.id);
+        await request('PUT', `/api/groups/${group.id}/members/${deputy.user.id}/role`, {
+            token: owner.token, body: { role: 'co-creator' }
+        });
+
+        const res = await leave(owner, group.id);
+        expect(res.body).toMatchObject({ success: true, successor_id: deputy.user.id, archived: false });
+        const { creator_id: creatorId } = await getDb().get('SELECT creator_id FROM study_groups WHERE id = ?', [group.id]);
+        expect(creatorId).toBe(deputy.user.id);
+    });
+
+    test('otherwise the longest-standing member takes over, and the last to leave archives the group', async () => {
+        const owner = await registerUser(request, 'dee');
+        const [first, second] = [await registerUser(request, 'eve'), await registerUser(request, 'fin')];
+        const group = await createGroup(owner);
+        await joinById(first, group.id);
+        await joinById(second, group.id);
+
+        expect((await leave(owner, group.id)).body.successor_id).toBe(first.user.id);
+        expect((await leave(second, group.id)).body).toMatchObject({ successor_id: null, archived: false });
+        expect((await leave(first, group.id)).body).toMatchObject({ successor_id: null, archived: true });
+        const { is_active: isActive } = await getDb().get('SELECT is_active FROM study_groups WHERE id = ?', [group.id]);
+        expect(isActive).toBe(0);
+    });
+});
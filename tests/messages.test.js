@@ -0,0 +1,150 @@
+// ============================================
+// MESSAGE ROUTES - HISTORY, UNREAD COUNTS, RECEIPTS AND DELIVERY
+// ============================================
+
+import authRoutes from '../routes/auth.js';
+import messageRoutes from '../routes/messages.js';
+import { getDb } from '../db/database.js';
+import { deliverPending } from '../services/messages.js';
+import { setupDatabase, startApp, registerUser, fakeIo } from './helpers.js';
+
+let cleanup;
+let app;
+let request;
+let io;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    app = await startApp([['/api/auth', authRoutes], ['/api/messages', messageRoutes]]);
+    request = app.request;
+});
+
+beforeEach(() => {
+    io = fakeIo();
+    app.app.set('io', io);
+});
+
+afterAll(async () => {
+    await app.close();
+    await cleanup();
+});
+
+async function send(from, to, content) {
+    const res = await request('POST', '/api/messages', { token: from.token, body: { receiver_id: to.user.id, content } });
+    expect(res.status).toBe(201);
+    return res.body.message;
+}
+
+const history = (user, other, query = '') => request(
+    'GET', `/api/messages/conversations/${other.user.id}${query}`, { token: user.token }
+).then(res => res.body);
+const unread = user => request('GET', '/api/messages/unread', { token: user.token }).then(res => res.body);
+const emitted = event => io.emitted.filter(e => e.event === event);
+
+test('history pages go back in time, each page oldest first', async () => {
+    const [ann, ben] = [await registerUser(request, 'ann'), await registerUser(request, 'ben')];
+    const sent = [];
+    for (let i = 1; i <= 5; i++) sent.push((await send(i % 2 ? ann : ben, i % 2 ? ben : ann, `message ${i}`)).id);
+
+    const latest = await history(ann, ben, '?limit=2');
+    expect(latest.messages.map(m => m.id)).toEqual(sent.slice(3));
+    const middle = await history(ann, ben, `?limit=2&before=${latest.next_before}`);
+    expect(middle.messages.map(m => m.id)).toEqual(sent.slice(1, 3));
+    const oldest = await history(ben, ann, `?limit=2&before=${middle.next_before}`);
+    expect(oldest).toMatchObject({
+        messages: [expect.objectContaining({ id: sent[0], content: 'message 1' })],
+        next_before: null
+    });
+});
+
+test('unread counts add up per sender and drop as messages are read', async () => {
+    const cara = await registerUser(request, 'cara');
+    const dev = await registerUser(request, 'dev');
+    const eda = await registerUser(request, 'eda');
+    const fromDev = [await send(dev, cara, 'one'), await send(dev, cara, 'two'), await send(dev, cara, 'three')];
+    await send(eda, cara, 'hi');
+
+    const before = await unread(cara);
+    expect(before.unread_count).toBe(4);
+    expect(Object.fromEntries(before.conversations.map(c => [c.user_id, c.unread_count])))
+        .toEqual({ [dev.user.id]: 3, [eda.user.id]: 1 });
+
+    const read = await request('PUT', `/api/messages/conversations/${dev.user.id}/read`, {
+        token: cara.token, body: { up_to: fromDev[1].id }
+    });
+    expect(read.body.message_ids).toEqual([fromDev[0].id, fromDev[1].id]);
+
+    const conversations = await request('GET', '/api/messages/conversations', { token: cara.token });
+    expect(conversations.body.conversations.map(c => [c.user.id, c.unread_count])).toEqual([
+        [eda.user.id, 1], [dev.user.id, 1]
+    ]);
+    expect((await unread(cara)).unread_count).toBe(2);
+});
+
+test('reading a message sends a message-read receipt to both sides and reads the ones before it', async () => {
+    const [fay, gil] = [await registerUser(request, 'fay'), await registerUser(request, 'gil')];
+    const first = await send(fay, gil, 'first');
+    const second = await send(fay, gil, 'second');
+
+    expect((await request('PUT', `/api/messages/${second.id}/read`, { token: fay.token })).status).toBe(403);
+    const res = await request('PUT', `/api/messages/${second.id}/read`, { token: gil.token });
+    expect(res.body.message_ids).toEqual([first.id, second.id]);
+
+    const receipts = emitted('message-read');
+    expect(receipts.map(e => e.room).sort()).toEqual([`user-${fay.user.id}`, `user-${gil.user.id}`].sort());
+    expect(receipts[0].data).toMatchObject({ reader_id: gil.user.id, sender_id: fay.user.id, message_ids: [first.id, second.id] });
+
+    // Nothing left to read, so no second receipt
+    await request('PUT', `/api/messages/${second.id}/read`, { token: gil.token });
+    expect(emitted('message-read')).toHaveLength(2);
+});
+
+test('deleting a message keeps its place without its content', async () => {
+    const [hugo, iris] = [await registerUser(request, 'hugo'), await registerUser(request, 'iris')];
+    const message = await send(hugo, iris, 'oops');
+
+    expect((await request('DELETE', `/api/messages/${message.id}`, { token: iris.token })).status).toBe(403);
+    expect((await request('DELETE', `/api/messages/${message.id}`, { token: hugo.token })).status).toBe(200);
+
+    expect((await history(iris, hugo)).messages).toEqual([
+        expect.objectContaining({ id: message.id, content: null, is_deleted: true })
+    ]);
+    expect((await unread(iris)).unread_count).toBe(0);
+    expect(emitted('message-deleted').map(e => e.room).sort())
+        .toEqual([`user-${hugo.user.id}`, `user-${iris.user.id}`].sort());
+});
+
+test('messages sent while the receiver was offline are delivered when they connect', async () => {
+    const jay = await registerUser(request, 'jay');
+    const kit = await registerUser(request, 'kit');
+    const lex = await registerUser(request, 'lex');
+    const waiting = [await send(jay, kit, 'are you there?'), await send(jay, kit, 'hello?')];
+    const blockedMessage = await send(lex, kit, 'let me in');
+    await getDb().run('INSERT INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?)', [kit.user.id, lex.user.id]);
+    expect(waiting.map(m => m.delivered_at)).toEqual([null, null]);
+
+    const socketEvents = [];
+    const socket = { emit: (event, data) => socketEvents.push({ event, data }) };
+    expect(await deliverPending(io, socket, kit.user.id)).toBe(2);
+    expect(socketEvents.map(e => e.event)).toEqual(['pending-messages']);
+    expect(socketEvents[0].data.messages.map(m => m.id)).toEqual(waiting.map(m => m.id));
+    expect(emitted('message-delivered')).toEqual([{
+        room: `user-${jay.user.id}`,
+        event: 'message-delivered',
+        data: expect.objectContaining({ receiver_id: kit.user.id, message_ids: waiting.map(m => m.id) })
+    }]);
+
+    expect(await deliverPending(io, socket, kit.user.id)).toBe(0);
+    const { delivered_at: blockedDelivery } = await getDb().get(
+        'SELECT delivered_at FROM messages WHERE id = ?', [blockedMessage.id]
+    );
+    expect(blockedDelivery).toBeNull();
+});
+
+test('a receiver with a socket open gets the message delivered right away', async () => {
+    const [max, nia] = [await registerUser(request, 'max'), await registerUser(request, 'nia')];
+    io.sockets.adapter.rooms.set(`user-${nia.user.id}`, new Set(['socket-1']));
+    const message = await send(max, nia, 'ping');
+    expect(message.delivered_at).toEqual(expect.any(String));
+    expect(emitted('new-message')).toEqual([{ room: `user-${nia.user.id}`, event: 'new-message', data: message }]);
+});
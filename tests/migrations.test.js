@@ -0,0 +1,79 @@
+// ============================================
+// MIGRATIONS
+// ============================================
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { listMigrations, latestVersion, currentVersion, schemaStatus, migrate, rollback } from '../db/migrations.js';
+
+let dir;
+let conn;
+
+const tables = async () => (await conn.all(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+)).map(row => row.name);
+
+beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'studysync-migrations-'));
+    conn = await open({ filename: path.join(dir, 'test.db'), driver: sqlite3.Database });
+    await conn.exec('PRAGMA foreign_keys = ON');
+});
+
+afterEach(async () => {
+    await conn.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('versions are numbered 1..n without gaps', () => {
+    const versions = listMigrations().map(migration => migration.version);
+    expect(versions).toEqual(versions.map((_, i) => i + 1));
+    expect(latestVersion()).toBe(versions.length);
+});
+
+test('a fresh database migrates to the latest version', async () => {
+    expect(await currentVersion(conn)).toBe(0);
+
+    const applied = await migrate(conn);
+    expect(applied).toHaveLength(latestVersion());
+
+    const status = await schemaStatus(conn);
+    expect(status.current).toBe(latestVersion());
+    expect(status.pending).toEqual([]);
+    expect(await tables()).toEqual(expect.arrayContaining(['users', 'friendships', 'study_sessions']));
+
+    // Running again is a no-op
+    expect(await migrate(conn)).toEqual([]);
+});
+
+test('every migration reverts and re-applies cleanly', async () => {
+    await migrate(conn);
+    const migrated = await tables();
+
+    await rollback(conn, latestVersion());
+    expect(await currentVersion(conn)).toBe(0);
+    expect(await tables()).toEqual(['schema_migrations']);
+
+    await migrate(conn);
+    expect(await tables()).toEqual(migrated);
+});
+
+test('migrating to a target version stops there', async () => {
+    await migrate(conn, 2);
+    expect(await currentVersion(conn)).toBe(2);
+    expect((await schemaStatus(conn)).pending).toHaveLength(latestVersion() - 2);
+});
+
+test('a failing migration stops the run and is rolled back', async () => {
+    await migrate(conn, 1);
+    await conn.exec('DROP TABLE study_sessions');
+    await expect(migrate(conn)).rejects.toThrow();
+
+    const version = await currentVersion(conn);
+    expect(version).toBeLessThan(latestVersion());
+    const recorded = await conn.all('SELECT version FROM schema_migrations WHERE version > ?', [version]);
+    expect(recorded).toEqual([]);
+    expect(await conn.get('PRAGMA foreign_keys')).toEqual({ foreign_keys: 1 });
+});
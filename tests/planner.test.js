@@ -0,0 +1,63 @@
+// ============================================
+// STUDY PLANNER
+// ============================================
+
+import { getDb } from '../db/database.js';
+import { loadPlannerInput, commitPlan } from '../services/planner.js';
+import { setupDatabase } from './helpers.js';
+
+let cleanup;
+let userId;
+
+const addSession = (date, start, end, { status = 'planned', auto = 1 } = {}) => getDb().run(
+    `INSERT INTO study_sessions (user_id, title, scheduled_date, start_time, end_time, duration_minutes, status, auto_planned)
+     VALUES (?, 'Session', ?, ?, ?, 60, ?, ?)`,
+    [userId, date, start, end, status, auto]
+);
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    ({ lastID: userId } = await getDb().run(
+        "INSERT INTO users (username, email, password_hash) VALUES ('planner', 'planner@example.com', 'x')"
+    ));
+});
+
+afterAll(async () => {
+    await cleanup();
+});
+
+test('auto-planned sessions the plan keeps still count as busy time', async () => {
+    await addSession('2030-01-07', '08:00', '09:00');                        // earlier today: kept
+    await addSession('2030-01-07', '09:30', '10:30', { status: 'ongoing' }); // under way: kept
+    await addSession('2030-01-07', '14:00', '15:00');                        // later today: replaced
+    await addSession('2030-01-08', '09:00', '10:00');                        // tomorrow: replaced
+    await addSession('2030-01-08', '11:00', '12:00', { auto: 0 });           // manual: kept
+
+    const { busy } = await loadPlannerInput(userId, {
+        startDate: '2030-01-07', startTime: '10:00', endDate: '2030-01-13'
+    });
+    expect(busy.map(s => `${s.scheduled_date} ${s.start_time}`).sort()).toEqual([
+        '2030-01-07 08:00', '2030-01-07 09:30', '2030-01-08 11:00'
+    ]);
+
+    // Committing removes exactly the sessions left out of busy time
+    await commitPlan(userId, { start_date: '2030-01-07', start_time: '10:00', end_date: '2030-01-13', sessions: [] });
+    const left = await getDb().all(
+        'SELECT scheduled_date, start_time FROM study_sessions WHERE user_id = ? ORDER BY scheduled_date, start_time',
+        [userId]
+    );
+    expect(left.map(s => `${s.scheduled_date} ${s.start_time}`)).toEqual([
+        '2030-01-07 08:00', '2030-01-07 09:30', '2030-01-08 11:00'
+    ]);
+});
+
+test('committing a plan leaves auto-planned sessions before its start date alone', async () => {
+    await addSession('2030-01-03', '14:00', '15:00');
+
+    await commitPlan(userId, { start_date: '2030-01-07', start_time: '10:00', end_date: '2030-01-13', sessions: [] });
+    const earlier = await getDb().get(
+        "SELECT 1 AS kept FROM study_sessions WHERE user_id = ? AND scheduled_date = '2030-01-03'",
+        [userId]
+    );
+    expect(earlier).toEqual({ kept: 1 });
+});
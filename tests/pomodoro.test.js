@@ -0,0 +1,48 @@
+// ============================================
+// POMODORO ROUTES
+// ============================================
+
+import authRoutes from '../routes/auth.js';
+import pomodoroRoutes from '../routes/pomodoro.js';
+import { getDb } from '../db/database.js';
+import { setupDatabase, startApp, registerUser } from './helpers.js';
+
+let cleanup;
+let app;
+let request;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    app = await startApp([['/api/auth', authRoutes], ['/api/pomodoro', pomodoroRoutes]]);
+    request = app.request;
+});
+
+afterAll(async () => {
+    await app.close();
+    await cleanup();
+});
+
+test('starts sent at the same time leave a single running pomodoro', async () => {
+    const { token, user } = await registerUser(request, 'paula');
+    const results = await Promise.all(Array.from({ length: 5 }, () => request('POST', '/api/pomodoro/start', { token })));
+
+    expect(results.map(res => res.status).sort()).toEqual([201, 409, 409, 409, 409]);
+    const started = results.find(res => res.status === 201).body.pomodoro;
+    for (const res of results.filter(r => r.status === 409)) expect(res.body.pomodoro.id).toBe(started.id);
+
+    const { count } = await getDb().get(
+        "SELECT COUNT(*) AS count FROM pomodoro_sessions WHERE user_id = ? AND status IN ('active', 'paused')",
+        [user.id]
+    );
+    expect(count).toBe(1);
+});
+
+test('a new pomodoro can start once the last one is stopped', async () => {
+    const { token } = await registerUser(request, 'quinn');
+    const first = await request('POST', '/api/pomodoro/start', { token });
+    expect((await request('POST', '/api/pomodoro/start', { token })).status).toBe(409);
+
+    const stopped = await request('POST', `/api/pomodoro/${first.body.pomodoro.id}/stop`, { token });
+    expect(stopped.body.pomodoro.status).toBe('cancelled');
+    expect((await request('POST', '/api/pomodoro/start', { token })).status).toBe(201);
+});
@@ -0,0 +1,145 @@
+// ============================================
+// PRESENCE
+// ============================================
+
+import { jest } from '@jest/globals';
+import { getDb } from '../db/database.js';
+import {
+    PRIVACY_LEVELS, OFFLINE_GRACE_MS, presenceState, visiblePresence, userConnected, userDisconnected, setIdle,
+    announceStudyStart
+} from '../services/presence.js';
+import { setupDatabase, fakeIo } from './helpers.js';
+
+let cleanup;
+let count = 0;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+});
+
+afterAll(async () => {
+    await cleanup();
+});
+
+async function addUser(privacyLevel = PRIVACY_LEVELS.FULL) {
+    count++;
+    const { lastID: id } = await getDb().run(
+        "INSERT INTO users (username, email, password_hash, privacy_level) VALUES (?, ?, 'x', ?)",
+        [`user${count}`, `user${count}@example.com`, privacyLevel]
+    );
+    return { id, username: `user${count}` };
+}
+
+// A user with one accepted friend, who hears their presence
+async function friends(privacyLevel) {
+    const user = await addUser(privacyLevel);
+    const friend = await addUser();
+    await getDb().run(
+        "INSERT INTO friendships (user_id1, user_id2, status, action_user_id) VALUES (?, ?, 'accepted', ?)",
+        [user.id, friend.id, user.id]
+    );
+    return { user, friend };
+}
+
+const socketOf = (user, id = `${user.id}-a`) => ({ id, data: { user } });
+const heard = (io, friend) => io.emitted.filter(e => e.room === `user-${friend.id}`).map(e => ({ event: e.event, ...e.data }));
+
+describe('visiblePresence', () => {
+    const user = { id: 1, last_seen: '2030-01-01 10:00:00', current_subject: 'Biology' };
+
+    test('shows everything at the full level', () => {
+        expect(visiblePresence({ ...user, privacy_level: PRIVACY_LEVELS.FULL }, 'studying')).toEqual({
+            state: 'studying', last_seen: '2030-01-01T10:00:00.000Z', current_subject: 'Biology'
+        });
+    });
+
+    test('shows only online or offline at the online-only level', () => {
+        expect(visiblePresence({ ...user, privacy_level: PRIVACY_LEVELS.ONLINE_ONLY }, 'studying')).toEqual({
+            state: 'online', last_seen: '2030-01-01T10:00:00.000Z', current_subject: null
+        });
+    });
+
+    test('always shows offline when hidden', () => {
+        expect(visiblePresence({ ...user, privacy_level: PRIVACY_LEVELS.HIDDEN }, 'studying')).toEqual({
+            state: 'offline', last_seen: null, current_subject: null
+        });
+    });
+});
+
+describe('connections', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('friends hear a user come online, go idle once every tab is idle, and come back', async () => {
+        const { user, friend } = await friends();
+        const io = fakeIo();
+        const [laptop, phone] = [socketOf(user, 'laptop'), socketOf(user, 'phone')];
+
+        await userConnected(io, laptop);
+        await userConnected(io, phone);
+        expect(presenceState(user.id)).toBe('online');
+
+        await setIdle(io, laptop, true);
+        expect(presenceState(user.id)).toBe('online');
+        await setIdle(io, phone, true);
+        expect(presenceState(user.id)).toBe('idle');
+        await setIdle(io, phone, false);
+
+        expect(heard(io, friend).map(e => e.state)).toEqual(['online', 'idle', 'online']);
+        const { is_online: online } = await getDb().get('SELECT is_online FROM users WHERE id = ?', [user.id]);
+        expect(online).toBe(1);
+    });
+
+    test('a user goes offline only after the grace period, unless a tab reconnects', async () => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+        const { user, friend } = await friends();
+        const io = fakeIo();
+        const socket = socketOf(user);
+
+        await userConnected(io, socket);
+        await userDisconnected(io, socket);
+        jest.advanceTimersByTime(OFFLINE_GRACE_MS - 1000);
+        // A reload reconnects within the grace period
+        await userConnected(io, socketOf(user, 'reloaded'));
+        jest.advanceTimersByTime(OFFLINE_GRACE_MS);
+        expect(presenceState(user.id)).toBe('online');
+
+        await userDisconnected(io, socketOf(user, 'reloaded'));
+        jest.advanceTimersByTime(OFFLINE_GRACE_MS);
+        // The timer's database writes finish on the event loop's own time
+        for (let i = 0; i < 10000 && heard(io, friend).length < 2; i++) await new Promise(setImmediate);
+
+        expect(presenceState(user.id)).toBe('offline');
+        expect(heard(io, friend).map(e => e.state)).toEqual(['online', 'offline']);
+    });
+
+    test('a hidden user is never announced as online', async () => {
+        const { user, friend } = await friends(PRIVACY_LEVELS.HIDDEN);
+        const io = fakeIo();
+        await userConnected(io, socketOf(user));
+        expect(presenceState(user.id)).toBe('online');
+        expect(heard(io, friend)).toEqual([]);
+    });
+});
+
+describe('study session announcements', () => {
+    test('friends hear what a user with full presence started studying', async () => {
+        const { user, friend } = await friends();
+        const io = fakeIo();
+        expect(await announceStudyStart(io, user, { sessionId: 7, subject: 'Physics' })).toBe(1);
+        expect(heard(io, friend)).toEqual([{
+            event: 'friend-started-study', userId: user.id, username: user.username, sessionId: 7, subject: 'Physics'
+        }]);
+    });
+
+    test.each([
+        ['online-only', PRIVACY_LEVELS.ONLINE_ONLY],
+        ['hidden', PRIVACY_LEVELS.HIDDEN]
+    ])('nobody hears about a user whose presence is %s', async (_, level) => {
+        const { user, friend } = await friends(level);
+        const io = fakeIo();
+        expect(await announceStudyStart(io, user, { sessionId: 7, subject: 'Physics' })).toBe(0);
+        expect(heard(io, friend)).toEqual([]);
+    });
+});
@@ -0,0 +1,109 @@
+// ============================================
+// SESSION REMINDER SCHEDULER
+// ============================================
+
+import { getDb } from '../db/database.js';
+import { materializeReminders, dispatchDueReminders } from '../services/reminders.js';
+import { setupDatabase, fakeIo } from './helpers.js';
+
+let cleanup;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+});
+
+afterAll(async () => {
+    await cleanup();
+});
+
+let users = 0;
+async function createUser() {
+    users++;
+    const { lastID } = await getDb().run(
+        "INSERT INTO users (username, email, password_hash) VALUES (?, ?, 'x')",
+        [`reminded${users}`, `reminded${users}@example.com`]
+    );
+    return lastID;
+}
+
+async function createSession(userId, date, time) {
+    const { lastID } = await getDb().run(
+        `INSERT INTO study_sessions (user_id, title, scheduled_date, start_time, end_time, duration_minutes, status)
+         VALUES (?, 'Revision', ?, ?, '23:00', 60, 'planned')`,
+        [userId, date, time]
+    );
+    return lastID;
+}
+
+const remindersTo = (io, userId) => io.emitted.filter(e => e.room === `user-${userId}` && e.event === 'reminder');
+
+test('each lead time is sent once, when it comes', async () => {
+    const userId = await createUser();
+    await createSession(userId, '2030-01-10', '10:00');
+    const io = fakeIo();
+
+    expect(await materializeReminders(new Date('2030-01-09T10:00:00Z'))).toBe(3);
+    expect(await dispatchDueReminders(io, new Date('2030-01-09T10:00:00Z'))).toBe(1);
+    expect(await dispatchDueReminders(io, new Date('2030-01-09T10:00:30Z'))).toBe(0);
+    expect(await dispatchDueReminders(io, new Date('2030-01-10T09:00:00Z'))).toBe(1);
+    expect(remindersTo(io, userId)).toHaveLength(2);
+});
+
+test('after downtime only the most imminent overdue lead goes out', async () => {
+    const userId = await createUser();
+    const sessionId = await createSession(userId, '2031-01-10', '10:00');
+    const io = fakeIo();
+
+    await materializeReminders(new Date('2031-01-09T10:00:00Z'));
+    expect(await dispatchDueReminders(io, new Date('2031-01-10T09:50:00Z'))).toBe(1);
+    expect(remindersTo(io, userId)).toHaveLength(1);
+    const { unsent } = await getDb().get(
+        'SELECT COUNT(*) AS unsent FROM session_reminders WHERE session_id = ? AND sent = 0', [sessionId]
+    );
+    expect(unsent).toBe(0);
+});
+
+test('a session moved out of range drops its old reminders and is reminded at its new time', async () => {
+    const userId = await createUser();
+    const sessionId = await createSession(userId, '2032-01-10', '10:00');
+    const io = fakeIo();
+
+    await materializeReminders(new Date('2032-01-09T10:00:00Z'));
+    await getDb().run("UPDATE study_sessions SET scheduled_date = '2032-01-17' WHERE id = ?", [sessionId]);
+
+    expect(await dispatchDueReminders(io, new Date('2032-01-09T10:00:00Z'))).toBe(0);
+    expect(await dispatchDueReminders(io, new Date('2032-01-10T09:50:00Z'))).toBe(0);
+    expect(remindersTo(io, userId)).toEqual([]);
+    const { left } = await getDb().get('SELECT COUNT(*) AS left FROM session_reminders WHERE session_id = ?', [sessionId]);
+    expect(left).toBe(0);
+
+    expect(await materializeReminders(new Date('2032-01-17T09:00:00Z'))).toBe(2);
+    expect(await dispatchDueReminders(io, new Date('2032-01-17T09:00:00Z'))).toBe(1);
+    expect(remindersTo(io, userId)).toHaveLength(1);
+});
+
+test('group sessions remind the creator and members who accepted', async () => {
+    const [creator, accepted, declined] = [await createUser(), await createUser(), await createUser()];
+    const db = getDb();
+    const { lastID: groupId } = await db.run("INSERT INTO study_groups (name, creator_id) VALUES ('Group', ?)", [creator]);
+    const { lastID: sessionId } = await db.run(
+        `INSERT INTO group_sessions (group_id, creator_id, title, scheduled_for)
+         VALUES (?, ?, 'Group revision', '2033-01-10 10:00:00')`,
+        [groupId, creator]
+    );
+    await db.run(
+        "INSERT INTO session_participants (session_id, user_id, status) VALUES (?, ?, 'accepted'), (?, ?, 'declined')",
+        [sessionId, accepted, sessionId, declined]
+    );
+    const io = fakeIo();
+
+    // The day-before lead had already passed when the session was first seen
+    expect(await materializeReminders(new Date('2033-01-10T09:00:00Z'))).toBe(4);
+    expect(await dispatchDueReminders(io, new Date('2033-01-10T09:00:00Z'))).toBe(2);
+    for (const userId of [creator, accepted]) {
+        expect(remindersTo(io, userId)).toEqual([
+            expect.objectContaining({ data: expect.objectContaining({ groupSessionId: sessionId }) })
+        ]);
+    }
+    expect(remindersTo(io, declined)).toEqual([]);
+});
@@ -0,0 +1,95 @@
+// ============================================
+// STUDY REPORTS - PERIODS AND THE WEEKLY EMAIL
+// ============================================
+
+import fs from 'fs';
+import authRoutes from '../routes/auth.js';
+import analyticsRoutes from '../routes/analytics.js';
+import { getDb } from '../db/database.js';
+import { reportPeriod, sendWeeklyReports } from '../services/reports.js';
+import { outboxDir } from '../services/mailer.js';
+import { setupDatabase, startApp, registerUser } from './helpers.js';
+
+describe('reportPeriod', () => {
+    test('a week report covers the Monday-to-Sunday week of the date', () => {
+        expect(reportPeriod({ date: '2030-01-09' }, 'UTC')).toEqual({ period: 'week', from: '2030-01-07', to: '2030-01-13' });
+        expect(reportPeriod({ date: '2030-01-13' }, 'UTC')).toMatchObject({ from: '2030-01-07' });
+    });
+
+    test('without a date the week is the current one where the user is', () => {
+        // Sunday evening in UTC is already Monday in Tokyo
+        const now = new Date('2030-01-06T20:00:00Z');
+        expect(reportPeriod({}, 'UTC', now)).toMatchObject({ from: '2029-12-31', to: '2030-01-06' });
+        expect(reportPeriod({}, 'Asia/Tokyo', now)).toMatchObject({ from: '2030-01-07', to: '2030-01-13' });
+    });
+
+    test('a term defaults to the 16 weeks up to today', () => {
+        const now = new Date('2030-04-28T12:00:00Z');
+        expect(reportPeriod({ period: 'term' }, 'UTC', now)).toEqual({ period: 'term', from: '2030-01-07', to: '2030-04-28' });
+        expect(reportPeriod({ period: 'term', from: '2030-02-01', to: '2030-03-01' }, 'UTC', now))
+            .toMatchObject({ from: '2030-02-01', to: '2030-03-01' });
+    });
+});
+
+describe('reports', () => {
+    let cleanup;
+    let app;
+    let request;
+
+    beforeAll(async () => {
+        cleanup = await setupDatabase();
+        app = await startApp([['/api/auth', authRoutes], ['/api/analytics', analyticsRoutes]]);
+        request = app.request;
+    });
+
+    afterAll(async () => {
+        await app.close();
+        await cleanup();
+    });
+
+    test('downloads check the term range', async () => {
+        const { token } = await registerUser(request, 'rory');
+        const download = url => request('GET', `/api/analytics/reports/${url}`, { token });
+
+        const reversed = await download('pdf?period=term&from=2030-03-01&to=2030-02-01');
+        expect(reversed.status).toBe(400);
+        expect(reversed.body.message).toBe('from must not be after to');
+        expect((await download('xlsx?period=term&from=2029-01-01&to=2030-06-01')).status).toBe(400);
+        expect((await download('pdf?period=year')).status).toBe(400);
+
+        expect((await download('pdf?period=week&date=2030-01-09')).status).toBe(200);
+    });
+
+    test('the weekly email goes out once, after 18:00 on Sunday where the user lives', async () => {
+        const db = getDb();
+        const optIn = async (name, timezone) => {
+            const { user } = await registerUser(request, name);
+            await db.run('UPDATE users SET timezone = ? WHERE id = ?', [timezone, user.id]);
+            await db.run('UPDATE user_settings SET weekly_report_email = 1 WHERE user_id = ?', [user.id]);
+            return user;
+        };
+        const london = await optIn('lena', 'Europe/London');
+        const newYork = await optIn('nico', 'America/New_York');
+        const sentTo = async () => (await db.all(
+            'SELECT user_id FROM user_settings WHERE weekly_report_sent_at IS NOT NULL ORDER BY user_id'
+        )).map(row => row.user_id);
+
+        // 2030-01-06 is a Sunday
+        expect(await sendWeeklyReports(new Date('2030-01-05T19:00:00Z'))).toBe(0);
+        expect(await sendWeeklyReports(new Date('2030-01-06T17:59:00Z'))).toBe(0);
+        expect(await sendWeeklyReports(new Date('2030-01-06T18:00:00Z'))).toBe(1);
+        expect(await sentTo()).toEqual([london.id]);
+
+        // 18:00 in New York; London has had its email today
+        expect(await sendWeeklyReports(new Date('2030-01-06T23:00:00Z'))).toBe(1);
+        expect(await sentTo()).toEqual([london.id, newYork.id]);
+        expect(await sendWeeklyReports(new Date('2030-01-06T23:30:00Z'))).toBe(0);
+
+        expect(await sendWeeklyReports(new Date('2030-01-13T18:30:00Z'))).toBe(1);
+        const reports = fs.readdirSync(outboxDir())
+            .map(file => JSON.parse(fs.readFileSync(`${outboxDir()}/${file}`, 'utf8')))
+            .filter(mail => mail.subject.startsWith('Your StudySync week'));
+        expect(reports).toHaveLength(3);
+        expect(reports[0].attachments.map(a => a.contentType)).toEqual(['application/pdf', expect.stringContaining('sheet')]);
+    }, 30000);
+});
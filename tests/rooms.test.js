@@ -0,0 +1,172 @@
+// ============================================
+// STUDY ROOMS - SHARED CLOCK, ATTENDANCE AND ACCESS
+// ============================================
+
+import authRoutes from '../routes/auth.js';
+import groupRoutes from '../routes/groups.js';
+import groupSessionRoutes from '../routes/groupSessions.js';
+import roomRoutes from '../routes/rooms.js';
+import { getDb } from '../db/database.js';
+import { findRoom, roomClock, controlClock, joinRoom, leaveRoom, closeRoom } from '../services/studyRooms.js';
+import { setupDatabase, startApp, registerUser, fakeIo } from './helpers.js';
+
+const clockRoom = {
+    id: 1,
+    status: 'open',
+    phase: 'focus',
+    cycles_completed: 0,
+    phase_elapsed_seconds: 0,
+    phase_started_at: '2030-01-01 10:00:00',
+    focus_minutes: 25,
+    break_minutes: 5,
+    long_break_minutes: 15,
+    cycles_before_long_break: 2
+};
+
+describe('roomClock', () => {
+    test('a running clock rolls over into the next phases by itself', () => {
+        const clock = roomClock(clockRoom, new Date('2030-01-01T10:31:00Z'));
+        expect(clock).toMatchObject({ phase: 'focus', cycles_completed: 1, elapsed_seconds: 60, running: true });
+        expect(clock.ends_at).toBe('2030-01-01T10:55:00.000Z');
+
+        // Two focus phases make a long break
+        expect(roomClock(clockRoom, new Date('2030-01-01T10:57:00Z')))
+            .toMatchObject({ phase: 'long_break', cycles_completed: 2, elapsed_seconds: 120, remaining_seconds: 780 });
+    });
+
+    test('a paused clock stays where it stopped', () => {
+        const paused = { ...clockRoom, phase_started_at: null, phase_elapsed_seconds: 300 };
+        expect(roomClock(paused, new Date('2031-01-01T00:00:00Z')))
+            .toMatchObject({ phase: 'focus', running: false, elapsed_seconds: 300, ends_at: null });
+    });
+});
+
+describe('rooms', () => {
+    let cleanup;
+    let app;
+    let request;
+
+    beforeAll(async () => {
+        cleanup = await setupDatabase();
+        app = await startApp([
+            ['/api/auth', authRoutes],
+            ['/api/groups', groupRoutes],
+            ['/api/group-sessions', groupSessionRoutes],
+            ['/api/rooms', roomRoutes]
+        ]);
+        request = app.request;
+    });
+
+    afterAll(async () => {
+        await app.close();
+        await cleanup();
+    });
+
+    async function groupOf(...names) {
+        const users = [];
+        for (const name of names) users.push(await registerUser(request, name));
+        const [owner, ...members] = users;
+        const created = await request('POST', '/api/groups', { token: owner.token, body: { name: `${names[0]}'s room` } });
+        const groupId = created.body.group.id;
+        for (const member of members) await request('POST', `/api/groups/${groupId}/join`, { token: member.token });
+        return { groupId, users };
+    }
+
+    async function openRoom(owner, groupId, body = {}) {
+        const res = await request('POST', '/api/rooms', { token: owner.token, body: { group_id: groupId, ...body } });
+        expect(res.status).toBe(201);
+        return res.body;
+    }
+
+    const befriend = (a, b) => getDb().run(
+        "INSERT INTO friendships (user_id1, user_id2, status, action_user_id) VALUES (?, ?, 'accepted', ?)",
+        [Math.min(a.user.id, b.user.id), Math.max(a.user.id, b.user.id), a.user.id]
+    );
+
+    const socketOf = ({ user }) => ({ id: `socket-${user.id}`, data: { user }, join: () => {}, leave: () => {} });
+
+    test('the host can start, pause, skip and reset the clock', async () => {
+        const { groupId, users: [host] } = await groupOf('hana');
+        let room = await findRoom((await openRoom(host, groupId)).room.id);
+        const t0 = new Date('2030-01-01T10:00:00Z');
+
+        ({ room } = await controlClock(room, 'start', t0));
+        expect(roomClock(room, t0)).toMatchObject({ running: true, elapsed_seconds: 0 });
+        expect(await controlClock(room, 'start', t0)).toEqual({ error: 'The clock is already running' });
+
+        ({ room } = await controlClock(room, 'pause', new Date('2030-01-01T10:10:00Z')));
+        expect(roomClock(room, new Date('2030-01-01T12:00:00Z')))
+            .toMatchObject({ phase: 'focus', running: false, elapsed_seconds: 600 });
+        expect(await controlClock(room, 'pause')).toEqual({ error: 'The clock is not running' });
+
+        ({ room } = await controlClock(room, 'skip'));
+        expect(roomClock(room)).toMatchObject({ phase: 'short_break', cycles_completed: 1, elapsed_seconds: 0 });
+
+        ({ room } = await controlClock(room, 'reset'));
+        expect(roomClock(room)).toMatchObject({ phase: 'focus', cycles_completed: 0, elapsed_seconds: 0, running: false });
+        expect(await controlClock(room, 'rewind')).toEqual({ error: 'Unknown clock action' });
+    });
+
+    test('joining and leaving record attendance, and closing signs out whoever is left', async () => {
+        const { groupId, users: [host, guest] } = await groupOf('ivo', 'jia');
+        const room = await findRoom((await openRoom(host, groupId)).room.id);
+        const io = fakeIo();
+        const attendance = userId => getDb().get(
+            'SELECT status, joined_at, left_at FROM session_participants WHERE session_id = ? AND user_id = ?',
+            [room.group_session_id, userId]
+        );
+
+        await joinRoom(io, socketOf(host), room, new Date('2030-01-01T10:00:00Z'));
+        await joinRoom(io, socketOf(guest), room, new Date('2030-01-01T10:05:00Z'));
+        await leaveRoom(io, socketOf(guest), room.id, new Date('2030-01-01T10:20:00Z'));
+        expect(await attendance(guest.user.id))
+            .toEqual({ status: 'attended', joined_at: '2030-01-01 10:05:00', left_at: '2030-01-01 10:20:00' });
+
+        // Coming back keeps the first join time
+        await joinRoom(io, socketOf(guest), room, new Date('2030-01-01T10:30:00Z'));
+        expect(await attendance(guest.user.id)).toMatchObject({ joined_at: '2030-01-01 10:05:00', left_at: null });
+
+        const closed = await closeRoom(io, room, new Date('2030-01-01T11:00:00Z'));
+        expect(closed.status).toBe('closed');
+        expect(closed.session_status).toBe('completed');
+        for (const user of [host, guest]) {
+            expect((await attendance(user.user.id)).left_at).toBe('2030-01-01 11:00:00');
+        }
+        expect(io.emitted).toContainEqual({ room: `room-${room.id}`, event: 'room-closed', data: { room_id: room.id } });
+    });
+
+    test("rooms can't be opened in an archived group", async () => {
+        const { groupId, users: [owner] } = await groupOf('kai');
+        const session = await request('POST', '/api/group-sessions', {
+            token: owner.token,
+            body: { group_id: groupId, title: 'Later', scheduled_for: new Date(Date.now() + 86400000).toISOString() }
+        });
+        expect((await request('POST', `/api/groups/${groupId}/archive`, { token: owner.token })).status).toBe(200);
+
+        for (const body of [{ group_id: groupId }, { group_session_id: session.body.session.id }]) {
+            const res = await request('POST', '/api/rooms', { token: owner.token, body });
+            expect(res.status).toBe(409);
+            expect(res.body.message).toBe('This group is archived');
+        }
+    });
+
+    test('invited friends can join but not invite their own friends', async () => {
+        const { groupId, users: [owner] } = await groupOf('max');
+        const [friend, stranger, friendOfFriend] = [
+            await registerUser(request, 'ned'), await registerUser(request, 'ona'), await registerUser(request, 'pat')
+        ];
+        await befriend(owner, friend);
+        await befriend(friend, friendOfFriend);
+
+        const { room, invited } = await openRoom(owner, groupId, { invite: [friend.user.id, stranger.user.id] });
+        expect(invited).toEqual([friend.user.id]);
+        expect((await request('GET', `/api/rooms/${room.id}`, { token: friend.token })).status).toBe(200);
+        expect((await request('GET', `/api/rooms/${room.id}`, { token: stranger.token })).status).toBe(404);
+
+        const passedOn = await request('POST', `/api/rooms/${room.id}/invite`, {
+            token: friend.token, body: { user_ids: [friendOfFriend.user.id] }
+        });
+        expect(passedOn.status).toBe(403);
+        expect((await request('GET', `/api/rooms/${room.id}`, { token: friendOfFriend.token })).status).toBe(404);
+    });
+});
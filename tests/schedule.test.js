@@ -0,0 +1,66 @@
+// ============================================
+// SCHEDULE ROUTES
+// ============================================
+
+import authRoutes from '../routes/auth.js';
+import scheduleRoutes from '../routes/schedule.js';
+import { getDb } from '../db/database.js';
+import { setupDatabase, startApp, registerUser } from './helpers.js';
+
+let cleanup;
+let app;
+let request;
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    app = await startApp([['/api/auth', authRoutes], ['/api/schedule', scheduleRoutes]]);
+    request = app.request;
+});
+
+afterAll(async () => {
+    await app.close();
+    await cleanup();
+});
+
+test("deleting a completed session takes its minutes back from the subject's hours", async () => {
+    const { token, user } = await registerUser(request, 'sam');
+    const { lastID: subjectId } = await getDb().run(
+        "INSERT INTO subjects (user_id, name, hours_completed) VALUES (?, 'Physics', 2)",
+        [user.id]
+    );
+    const hours = async () => (await getDb().get('SELECT hours_completed FROM subjects WHERE id = ?', [subjectId]))
+        .hours_completed;
+
+    const created = await request('POST', '/api/schedule', {
+        token,
+        body: { subject_id: subjectId, title: 'Optics', scheduled_date: '2030-03-04', start_time: '10:00', end_time: '11:30' }
+    });
+    expect(created.status).toBe(201);
+    const id = created.body.session.id;
+
+    for (const status of ['ongoing', 'completed']) {
+        const res = await request('PATCH', `/api/schedule/${id}/status`, { token, body: { status } });
+        expect(res.status).toBe(200);
+    }
+    expect(await hours()).toBeCloseTo(3.5);
+
+    expect((await request('DELETE', `/api/schedule/${id}`, { token })).status).toBe(200);
+    expect(await hours()).toBeCloseTo(2);
+    expect((await request('DELETE', `/api/schedule/${id}`, { token })).status).toBe(404);
+});
+
+test('deleting a session that was never completed leaves the hours alone', async () => {
+    const { token, user } = await registerUser(request, 'tess');
+    const { lastID: subjectId } = await getDb().run(
+        "INSERT INTO subjects (user_id, name, hours_completed) VALUES (?, 'Maths', 1)",
+        [user.id]
+    );
+    const created = await request('POST', '/api/schedule', {
+        token,
+        body: { subject_id: subjectId, title: 'Algebra', scheduled_date: '2030-03-05', start_time: '09:00', end_time: '10:00' }
+    });
+    await request('DELETE', `/api/schedule/${created.body.session.id}`, { token });
+
+    const { hours_completed: hours } = await getDb().get('SELECT hours_completed FROM subjects WHERE id = ?', [subjectId]);
+    expect(hours).toBe(1);
+});
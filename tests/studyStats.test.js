@@ -0,0 +1,77 @@
+// ============================================
+// STUDY STATS - DAILY LOGS AND STREAKS
+// ============================================
+
+import { jest } from '@jest/globals';
+import { getDb } from '../db/database.js';
+import { streaksFromDates, rebuildAllStats, runDailyRollup } from '../services/studyStats.js';
+import { setupDatabase } from './helpers.js';
+
+const now = new Date('2030-05-10T12:00:00Z');
+let cleanup;
+let users;
+
+async function addUser(name) {
+    const { lastID: id } = await getDb().run(
+        "INSERT INTO users (username, email, password_hash, timezone) VALUES (?, ?, 'x', 'UTC')",
+        [name, `${name}@example.com`]
+    );
+    for (const date of ['2030-05-08', '2030-05-09', '2030-05-10']) {
+        await getDb().run(
+            `INSERT INTO study_sessions (user_id, title, scheduled_date, start_time, end_time, duration_minutes, status)
+             VALUES (?, 'Session', ?, '09:00', '10:00', 60, 'completed')`,
+            [id, date]
+        );
+    }
+    return id;
+}
+
+const streakOf = userId => getDb().get('SELECT current_streak FROM study_streaks WHERE user_id = ?', [userId]);
+
+beforeAll(async () => {
+    cleanup = await setupDatabase();
+    users = [await addUser('uma'), await addUser('vic'), await addUser('wil')];
+});
+
+afterAll(async () => {
+    await cleanup();
+});
+
+test('streaks count consecutive days and survive until a whole day is missed', () => {
+    const dates = ['2030-05-01', '2030-05-02', '2030-05-04', '2030-05-05', '2030-05-06'];
+    expect(streaksFromDates(dates, '2030-05-07')).toEqual({ current: 3, longest: 3, lastStudyDate: '2030-05-06' });
+    expect(streaksFromDates(dates, '2030-05-08').current).toBe(0);
+});
+
+describe('for every user', () => {
+    let errors;
+
+    beforeEach(async () => {
+        errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+        await getDb().run('DELETE FROM daily_logs');
+        await getDb().run('DELETE FROM study_streaks');
+        // One user's logs can't be written
+        await getDb().exec(`CREATE TRIGGER fail_daily_logs BEFORE INSERT ON daily_logs
+                            WHEN NEW.user_id = ${users[1]} BEGIN SELECT RAISE(ABORT, 'disk on fire'); END`);
+    });
+
+    afterEach(async () => {
+        await getDb().exec('DROP TRIGGER fail_daily_logs');
+        errors.mockRestore();
+    });
+
+    test('a rebuild that fails for one user still rebuilds the others', async () => {
+        expect(await rebuildAllStats({}, now)).toBe(2);
+
+        expect(await streakOf(users[0])).toEqual({ current_streak: 3 });
+        expect(await streakOf(users[1])).toBeUndefined();
+        expect(await streakOf(users[2])).toEqual({ current_streak: 3 });
+        expect(errors).toHaveBeenCalledTimes(1);
+    });
+
+    test('the daily rollup carries on past a user it fails for', async () => {
+        expect(await runDailyRollup(now)).toBe(2);
+        expect(await streakOf(users[2])).toEqual({ current_streak: 3 });
+        expect(errors).toHaveBeenCalledTimes(1);
+    });
+});
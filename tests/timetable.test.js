@@ -0,0 +1,52 @@
+// ============================================
+// TIMETABLE IMPORT - RECURRENCE
+// ============================================
+
+import { parseICalendar } from '../utils/ical.js';
+import { expandEvents } from '../services/timetable.js';
+
+const calendar = (dtstart, rrule) => parseICalendar([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:class-1',
+    'SUMMARY:Lecture',
+    `DTSTART:${dtstart}`,
+    'DURATION:PT1H',
+    `RRULE:${rrule}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n'));
+
+const expand = (dtstart, rrule) => expandEvents(calendar(dtstart, rrule).events, {
+    from: new Date('2026-10-05T00:00:00Z'),
+    to: new Date('2026-10-19T00:00:00Z'),
+    timeZone: 'UTC'
+});
+
+const startsOf = ({ occurrences }) => occurrences.map(o => o.start.toISOString());
+
+test('a daily rule that started decades ago still reaches the window', () => {
+    const result = expand('19900101T090000Z', 'FREQ=DAILY;INTERVAL=2');
+    expect(result.warnings).toEqual([]);
+    const days = ['05', '07', '09', '11', '13', '15', '17'];
+    expect(startsOf(result)).toEqual(days.map(day => `2026-10-${day}T09:00:00.000Z`));
+});
+
+test('a weekly rule that started decades ago keeps its weekdays and interval', () => {
+    // 1990-01-01 was a Monday, and so is 2026-10-05, a whole number of fortnights later
+    const result = expand('19900101T090000Z', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE');
+    expect(result.warnings).toEqual([]);
+    expect(startsOf(result)).toEqual(['2026-10-05T09:00:00.000Z', '2026-10-07T09:00:00.000Z']);
+});
+
+test('a COUNT rule longer than the iteration limit reports the truncation', () => {
+    const result = expand('19900101T090000Z', 'FREQ=DAILY;COUNT=100000');
+    expect(result.occurrences).toEqual([]);
+    expect(result.warnings).toEqual(['"Lecture": recurrence truncated after 5000 repetitions']);
+});
+
+test('a rule whose days never match produces nothing and no warning', () => {
+    // Tuesdays every seven days, restricted to Mondays
+    const result = expand('20261006T090000Z', 'FREQ=DAILY;INTERVAL=7;BYDAY=MO');
+    expect(result).toEqual({ occurrences: [], warnings: [] });
+});
@@ -0,0 +1,80 @@
+// ============================================
+// DELIMITED TEXT (CSV / TSV)
+// RFC 4180 quoting: fields may be quoted, "" is a literal quote and quoted
+// fields may span lines
+// ============================================
+
+/**
+ * Split text into rows of fields. Returns [{ line, fields }] where `line`
+ * is the 1-based line the row starts on; blank lines are dropped.
+ */
+export function parseDelimited(text, delimiter = ',') {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== '') rows.push({ line: rowLine, fields });
+        fields = [];
+        field = '';
+    };
+
+    const input = String(text).replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || fields.length) endRow();
+    return rows;
+}
+
+// Spreadsheets run a cell starting with one of these as a formula, so
+// exported text cells get a leading ' that makes them plain text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Undo the ' that formatDelimited() put in front of a formula-like cell.
+ */
+export function unescapeFormula(text) {
+    return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+function quote(value, delimiter) {
+    let text = value == null ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows (arrays of values) as delimited text with CRLF line endings. Text
+ * cells that a spreadsheet would read as a formula are prefixed with '.
+ */
+export function formatDelimited(rows, delimiter = ',') {
+    return rows.map(row => row.map(value => quote(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,158 @@
+// ============================================
+// ICALENDAR PARSER
+// Just enough of RFC 5545 to read timetables: VEVENTs with their dates,
+// durations, RRULE/EXDATE and RECURRENCE-ID overrides
+// ============================================
+
+import { safeTimeZone } from './time.js';
+
+const unescapeText = value => value
+    .replace(/\\[nN]/g, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+
+// NAME;PARAM=a;PARAM="b:c":value -> { name, params, value }
+function parseLine(line) {
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        else if (line[i] === ':' && !quoted) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const param of rawParams) {
+        const eq = param.indexOf('=');
+        if (eq > 0) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * An IANA zone for a TZID, or null. Handles prefixed ids such as
+ * "/mozilla.org/20070129_1/Europe/Berlin".
+ */
+export function resolveTzid(tzid) {
+    if (!tzid) return null;
+    if (safeTimeZone(tzid) === tzid) return tzid;
+    const match = tzid.match(/([A-Za-z_]+\/[A-Za-z_+-]+(?:\/[A-Za-z_+-]+)?)$/);
+    return match && safeTimeZone(match[1]) === match[1] ? match[1] : null;
+}
+
+/**
+ * A DATE or DATE-TIME value as { date: 'YYYY-MM-DD', time: 'HH:MM:SS' | null,
+ * utc, tzid }. `time` is null for all-day values.
+ */
+export function parseDateValue(value, params = {}) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+    const [, y, m, d, hh, mm, ss = '00', z] = match;
+    return {
+        date: `${y}-${m}-${d}`,
+        time: hh ? `${hh}:${mm}:${ss}` : null,
+        utc: Boolean(z),
+        tzid: z ? null : params.TZID || null
+    };
+}
+
+/**
+ * An ISO 8601 duration (P1W, PT1H30M, ...) in minutes.
+ */
+export function parseDuration(value) {
+    const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+    const [, sign, w = 0, d = 0, h = 0, m = 0, s = 0] = match;
+    const minutes = ((Number(w) * 7 + Number(d)) * 24 + Number(h)) * 60 + Number(m) + Number(s) / 60;
+    return sign === '-' ? -minutes : minutes;
+}
+
+export function parseRRule(value) {
+    const rule = {};
+    for (const part of value.split(';')) {
+        const [key, val] = part.split('=');
+        if (key && val) rule[key.toUpperCase()] = val;
+    }
+    return {
+        freq: rule.FREQ,
+        interval: Number(rule.INTERVAL) || 1,
+        count: rule.COUNT ? Number(rule.COUNT) : null,
+        until: rule.UNTIL ? parseDateValue(rule.UNTIL) : null,
+        byDay: rule.BYDAY ? rule.BYDAY.split(',').map(day => day.replace(/^[+-]?\d+/, '')) : null
+    };
+}
+
+function toEvent(props) {
+    const first = name => props.find(p => p.name === name);
+    const text = name => (first(name) ? unescapeText(first(name).value) : null);
+    const dates = name => props
+        .filter(p => p.name === name)
+        .flatMap(p => p.value.split(',').map(v => parseDateValue(v, p.params)))
+        .filter(Boolean);
+
+    const dtstart = first('DTSTART');
+    const start = dtstart && parseDateValue(dtstart.value, dtstart.params);
+    if (!start) return null;
+
+    const dtend = first('DTEND');
+    const rrule = first('RRULE');
+    const recurrenceId = first('RECURRENCE-ID');
+    return {
+        uid: text('UID'),
+        summary: text('SUMMARY') || '',
+        location: text('LOCATION'),
+        description: text('DESCRIPTION'),
+        status: (text('STATUS') || '').toUpperCase() || null,
+        transparent: (text('TRANSP') || '').toUpperCase() === 'TRANSPARENT',
+        start,
+        end: dtend ? parseDateValue(dtend.value, dtend.params) : null,
+        duration: first('DURATION') ? parseDuration(first('DURATION').value) : null,
+        rrule: rrule ? parseRRule(rrule.value) : null,
+        rdates: dates('RDATE'),
+        exdates: dates('EXDATE'),
+        recurrenceId: recurrenceId ? parseDateValue(recurrenceId.value, recurrenceId.params) : null
+    };
+}
+
+/**
+ * Parse an .ics document into { calendarTimeZone, events }. Throws when the
+ * text isn't a VCALENDAR.
+ */
+export function parseICalendar(text) {
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+        throw new Error('Not an iCalendar file');
+    }
+
+    const events = [];
+    const stack = [];
+    let calendarTimeZone = null;
+    let props = null;
+
+    for (const raw of lines) {
+        const line = parseLine(raw.trim());
+        if (!line) continue;
+
+        if (line.name === 'BEGIN') {
+            const component = line.value.toUpperCase();
+            stack.push(component);
+            if (component === 'VEVENT' && stack.length === 2) props = [];
+        } else if (line.name === 'END') {
+            const component = stack.pop();
+            if (component === 'VEVENT' && props) {
+                const event = toEvent(props);
+                if (event) events.push(event);
+                props = null;
+            }
+        } else if (props && stack[stack.length - 1] === 'VEVENT') {
+            props.push(line);
+        } else if (stack.length === 1 && line.name === 'X-WR-TIMEZONE') {
+            calendarTimeZone = resolveTzid(line.value.trim());
+        }
+    }
+
+    return { calendarTimeZone, events };
+}
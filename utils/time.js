@@ -0,0 +1,168 @@
+// ============================================
+// TIME ZONE HELPERS
+// Study sessions and free slots are stored as wall-clock date/time in the
+// owner's users.timezone; timestamps (created_at, remind_at, ...) are UTC
+// in SQLite's 'YYYY-MM-DD HH:MM:SS' format.
+// ============================================
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * The IANA zone if Intl knows it, otherwise 'UTC'.
+ */
+export function safeTimeZone(timeZone) {
+    if (!timeZone) return 'UTC';
+    try {
+        formatterFor(timeZone);
+        return timeZone;
+    } catch {
+        return 'UTC';
+    }
+}
+
+/**
+ * Calendar fields of an instant as seen in a time zone.
+ */
+export function zonedParts(date, timeZone = 'UTC') {
+    const parts = {};
+    for (const { type, value } of formatterFor(safeTimeZone(timeZone)).formatToParts(date)) {
+        parts[type] = value;
+    }
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        dayOfWeek: WEEKDAYS[parts.weekday]
+    };
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * An instant as local { date: 'YYYY-MM-DD', time: 'HH:MM', dayOfWeek } in a zone.
+ */
+export function toZonedDateTime(date, timeZone = 'UTC') {
+    const p = zonedParts(date, timeZone);
+    return {
+        date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+        time: `${pad(p.hour)}:${pad(p.minute)}`,
+        dayOfWeek: p.dayOfWeek
+    };
+}
+
+function zoneOffsetMs(timestamp, timeZone) {
+    const p = zonedParts(new Date(timestamp), timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * The instant at which a wall-clock date ('YYYY-MM-DD') and time ('HH:MM[:SS]')
+ * occur in a zone. Times skipped by a DST jump are pushed forward, as Date does.
+ */
+export function zonedTimeToUtc(date, time, timeZone = 'UTC') {
+    const zone = safeTimeZone(timeZone);
+    const [y, m, d] = date.split('-').map(Number);
+    const [hh, mm, ss = 0] = time.split(':').map(Number);
+    const wallClock = Date.UTC(y, m - 1, d, hh, mm, ss);
+
+    const first = zoneOffsetMs(wallClock, zone);
+    const second = zoneOffsetMs(wallClock - first, zone);
+    if (first === second) return new Date(wallClock - first);
+
+    // The offset changes near this time: keep the one that maps back to the
+    // same wall clock, else (a skipped time) the pre-jump, smaller offset
+    const retry = wallClock - second;
+    return new Date(zoneOffsetMs(retry, zone) === second ? retry : wallClock - Math.min(first, second));
+}
+
+/**
+ * Today's date ('YYYY-MM-DD') in a zone.
+ */
+export function todayIn(timeZone = 'UTC', now = new Date()) {
+    return toZonedDateTime(now, timeZone).date;
+}
+
+/**
+ * Shift a 'YYYY-MM-DD' date by whole days.
+ */
+export function addDays(date, days) {
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one 'YYYY-MM-DD' date to another.
+ */
+export function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+export function dayOfWeek(date) {
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * A Date as SQLite's UTC 'YYYY-MM-DD HH:MM:SS'.
+ */
+export function toSqlDateTime(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Parse a SQLite UTC timestamp (or any ISO string) into a Date.
+ */
+export function fromSqlDateTime(value) {
+    if (!value) return null;
+    const iso = String(value).replace(' ', 'T');
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(iso) ? iso : `${iso}Z`);
+}
+
+/**
+ * 'HH:MM[:SS]' to minutes after midnight, and back.
+ */
+export function timeToMinutes(time) {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+}
+
+export function minutesToTime(minutes) {
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * "15 minutes", "1 hour 30 minutes", "2 days" for a positive duration in minutes.
+ */
+export function humanizeMinutes(minutes) {
+    const unit = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const total = Math.max(1, Math.round(minutes));
+    if (total < 60) return unit(total, 'minute');
+    if (total < 24 * 60) {
+        const rest = total % 60;
+        return unit(Math.floor(total / 60), 'hour') + (rest ? ` ${unit(rest, 'minute')}` : '');
+    }
+    return unit(Math.round(total / (24 * 60)), 'day');
+}